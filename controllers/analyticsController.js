@@ -0,0 +1,55 @@
+import {
+  ANALYTICS_INTERVALS,
+  getSessionScores,
+  getQuestionTypeAccuracy,
+  getTopicMastery,
+  getMostMissedQuestions
+} from '../services/analyticsService.js';
+
+// Obtener la nota de cada cuestionario y mazo del usuario
+export const getSessionAnalytics = async (req, res) => {
+  try {
+    const sessions = await getSessionScores(req.user.id);
+    res.json({ sessions });
+  } catch (error) {
+    console.error('Error al calcular las notas por sesión:', error);
+    res.status(500).json({ error: 'Error al calcular las notas por sesión' });
+  }
+};
+
+// Obtener el porcentaje de aciertos por tipo de pregunta
+export const getQuestionTypeAnalytics = async (req, res) => {
+  try {
+    const questionTypes = await getQuestionTypeAccuracy(req.user.id);
+    res.json({ questionTypes });
+  } catch (error) {
+    console.error('Error al calcular los aciertos por tipo de pregunta:', error);
+    res.status(500).json({ error: 'Error al calcular los aciertos por tipo de pregunta' });
+  }
+};
+
+// Obtener el dominio de cada tema y su evolución (?interval=day|week|month&days=90)
+export const getTopicAnalytics = async (req, res) => {
+  try {
+    const interval = req.query.interval || 'week';
+    if (!ANALYTICS_INTERVALS.includes(interval)) {
+      return res.status(400).json({ error: `Periodo no soportado. Usa uno de: ${ANALYTICS_INTERVALS.join(', ')}` });
+    }
+    
+    res.json(await getTopicMastery(req.user.id, { interval, days: req.query.days }));
+  } catch (error) {
+    console.error('Error al calcular el dominio por tema:', error);
+    res.status(500).json({ error: 'Error al calcular el dominio por tema' });
+  }
+};
+
+// Obtener las preguntas que el usuario falla más (?limit=10)
+export const getMissedQuestions = async (req, res) => {
+  try {
+    const questions = await getMostMissedQuestions(req.user.id, { limit: req.query.limit });
+    res.json({ questions });
+  } catch (error) {
+    console.error('Error al obtener las preguntas más falladas:', error);
+    res.status(500).json({ error: 'Error al obtener las preguntas más falladas' });
+  }
+};
@@ -0,0 +1,95 @@
+import User from '../models/User.js';
+import { signToken } from '../middleware/auth.js';
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Registrar un nuevo usuario
+export const register = async (req, res) => {
+  try {
+    const { name, email, password } = req.body;
+    
+    // Solo textos: un objeto o un arreglo podría colarse como operador en la consulta a MongoDB
+    if (!name || !email || !password || ![name, email, password].every(value => typeof value === 'string')) {
+      return res.status(400).json({ error: 'Se requieren nombre, email y contraseña' });
+    }
+    
+    if (!EMAIL_REGEX.test(email)) {
+      return res.status(400).json({ error: 'El email no tiene un formato válido' });
+    }
+    
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ 
+        error: `La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres` 
+      });
+    }
+    
+    const existingUser = await User.findOne({ email: email.toLowerCase() });
+    if (existingUser) {
+      return res.status(409).json({ error: 'Ya existe una cuenta con ese email' });
+    }
+    
+    const user = new User({ name, email, password });
+    await user.save();
+    
+    res.status(201).json({
+      token: signToken(user),
+      user: user.toPublicJSON()
+    });
+  } catch (error) {
+    // Otra solicitud registró el mismo email entre la comprobación y el guardado (índice único)
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Ya existe una cuenta con ese email' });
+    }
+    console.error('Error al registrar el usuario:', error);
+    res.status(500).json({ 
+      error: 'Error al registrar el usuario',
+      details: error.message 
+    });
+  }
+};
+
+// Iniciar sesión con email y contraseña
+export const login = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    
+    if (!email || !password || typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'Se requieren email y contraseña' });
+    }
+    
+    const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
+    
+    // Mismo mensaje para email inexistente y contraseña incorrecta
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(401).json({ error: 'Credenciales incorrectas' });
+    }
+    
+    res.json({
+      token: signToken(user),
+      user: user.toPublicJSON()
+    });
+  } catch (error) {
+    console.error('Error al iniciar sesión:', error);
+    res.status(500).json({ 
+      error: 'Error al iniciar sesión',
+      details: error.message 
+    });
+  }
+};
+
+// Obtener el usuario autenticado
+export const getCurrentUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+    
+    res.json(user.toPublicJSON());
+  } catch (error) {
+    console.error('Error al obtener el usuario:', error);
+    res.status(500).json({ error: 'Error al obtener el usuario' });
+  }
+};
@@ -1,16 +1,33 @@
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import Conversation from '../models/Conversation.js';
 import Session from '../models/Session.js';
 import dotenv from 'dotenv';
+import mongoose from 'mongoose';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
-import { createWorker } from 'tesseract.js';
-import mammoth from 'mammoth';
-import pdfParse from 'pdf-parse';
 import { trackApiRequest, checkQuotaAvailable } from '../utils/quotaMonitor.js';
 import { isVercel, isVercelPath } from '../utils/environmentHelper.js';
+import { toPublicQuiz, parseStoredQuiz, stripAnswerKey } from '../utils/quizHelper.js';
+import { gradeAnswer, LOCALLY_GRADED_TYPES } from '../utils/answerGrading.js';
+import { getLLMProvider } from '../providers/index.js';
+import { parseQuizParams, parseDeckParams, MIXED_QUESTION_TYPE } from '../utils/quizSchema.js';
+import { jobQueue } from '../utils/jobQueue.js';
+import { streamAndSaveQuiz } from '../services/quizService.js';
+import { findOwnedDocument, storeUploadedDocument } from '../services/documentService.js';
+import { parseOcrLanguage } from '../extractors/ocrWorkerPool.js';
+import { recordReview, getDueReviews, deleteSessionReviews } from '../services/reviewService.js';
+import { getDeckCards, getStudyCards, listDecks } from '../services/flashcardService.js';
+import { CARD_RATINGS, ratingToAnswer } from '../utils/spacedRepetition.js';
+import { createTutorSession, sendTutorMessage, MAX_MESSAGE_LENGTH } from '../services/tutorService.js';
+import { parseSummaryParams } from '../utils/summarySchema.js';
+import { createAdaptiveSession, getAdaptiveStatus, needsNewQuestion, nextAdaptiveQuestion } from '../services/adaptiveService.js';
+import { parseAdaptiveParams } from '../utils/adaptiveTesting.js';
+import { exportQuiz, EXPORT_FORMATS } from '../exporters/index.js';
+import { parsePrintParams } from '../utils/examVariants.js';
+import { detectImportFormat, IMPORT_FORMATS } from '../importers/index.js';
+import { importQuestionBank } from '../services/importService.js';
+import QuizJob from '../models/QuizJob.js';
 
 dotenv.config();
 
@@ -34,455 +51,888 @@ if (!vercelEnvironment && !fs.existsSync(uploadsDir)) {
   }
 }
 
-// Configurar Gemini con manejo de errores mejorado
-let genAI;
-try {
-  const apiKey = process.env.GEMINI_API_KEY;
-  if (!apiKey) {
-    console.error('⚠️ Error: La variable de entorno GEMINI_API_KEY no está definida');
-    console.log('📝 Asegúrate de crear un archivo .env con tu clave API de Gemini');
+// Buscar una sesión que pertenezca al usuario autenticado (null si no existe o es de otro usuario)
+const findOwnedSession = async (sessionId, userId) => {
+  if (!sessionId || !mongoose.isValidObjectId(sessionId)) return null;
+  return Session.findOne({ _id: sessionId, owner: userId });
+};
+
+// Función para crear respuestas predefinidas para preguntas tipo multiple-choice y true-false
+const getLocalAnswerValidation = (questionType, userAnswer, correctAnswer, explanation) => {
+  let isCorrect;
+  
+  // Corregir la comparación para preguntas verdadero/falso
+  if (questionType === 'true-false') {
+    // Normalizar la respuesta del usuario y la respuesta correcta
+    const normalizedUserAnswer = String(userAnswer).toLowerCase() === 'true';
+    const normalizedCorrectAnswer = correctAnswer === 'true' || correctAnswer === true;
+    isCorrect = normalizedUserAnswer === normalizedCorrectAnswer;
   } else {
-    genAI = new GoogleGenerativeAI(apiKey);
-    console.log('✅ Gemini AI configurado correctamente');
+    // Para otros tipos de preguntas, comparación directa
+    isCorrect = userAnswer === correctAnswer;
   }
-} catch (error) {
-  console.error('❌ Error al inicializar Gemini:', error);
-}
+  
+  if (questionType === 'multiple-choice') {
+    return {
+      isCorrect,
+      feedback: isCorrect 
+        ? `¡Correcto! 👏 ${explanation || 'Muy bien hecho.'}` 
+        : `Incorrecto. 😕 La respuesta correcta es ${correctAnswer}. ${explanation || 'Intenta de nuevo.'}`
+    };
+  } else if (questionType === 'true-false') {
+    return {
+      isCorrect,
+      feedback: isCorrect 
+        ? `¡Correcto! 👏 ${explanation || 'Bien hecho.'}` 
+        : `Incorrecto. 😕 La respuesta correcta es ${correctAnswer === 'true' || correctAnswer === true ? 'Verdadero' : 'Falso'}. ${explanation || 'Intenta de nuevo.'}`
+    };
+  }
+};
 
-// Almacena las sesiones de chat activas
-const activeSessions = new Map();
+// Buscar la conversación del cuestionario a evaluar (la indicada o la más reciente de la sesión)
+const findQuizConversation = async (sessionId, conversationId) => {
+  if (conversationId) {
+    if (!mongoose.isValidObjectId(conversationId)) return null;
+    return Conversation.findOne({ _id: conversationId, sessionId });
+  }
+  return Conversation.findOne({ sessionId }).sort({ timestamp: -1 });
+};
 
-// Gestión de límites de tasa para Gemini API
-const rateLimiter = {
-  queue: [],
-  processing: false,
-  lastRequestTime: 0,
-  minTimeBetweenRequests: 30000, // 30 segundos entre solicitudes
-  maxRetries: 3,
+// Buscar una pregunta del cuestionario almacenado (la clave de respuestas nunca viene del cliente).
+// Devuelve { conversation, question }, con question undefined si no existe.
+const findQuizQuestion = async (sessionId, conversationId, index) => {
+  const conversation = await findQuizConversation(sessionId, conversationId);
+  const quiz = conversation ? parseStoredQuiz(conversation) : null;
+  return { conversation, question: quiz && Array.isArray(quiz.questions) ? quiz.questions[index] : undefined };
+};
+
+// Eliminar un archivo subido que no llegó a procesarse
+const removeUploadedFile = (file) => {
+  if (!file) return;
+  try {
+    if (fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+  } catch (cleanupError) {
+    console.error('Error al limpiar archivo temporal:', cleanupError);
+  }
+};
+
+// Comprobar que el proveedor de IA puede atender una solicitud (configurado y con cuota disponible).
+// Devuelve { status, body } si no puede, o null.
+const checkProviderAvailability = async (provider) => {
+  if (!provider.isConfigured()) {
+    return { status: 500, body: { 
+      error: `No se ha configurado correctamente el proveedor de IA (${provider.name})`,
+      message: 'Error interno del servidor: API key de Gemini no configurada. Verifica el archivo .env'
+    } };
+  }
   
-  // Añadir solicitud a la cola
-  addToQueue: function(promiseFunction, retryCount = 0) {
-    return new Promise((resolve, reject) => {
-      this.queue.push({
-        promiseFunction,
-        resolve,
-        reject,
-        retryCount
-      });
-      
-      if (!this.processing) {
-        this.processQueue();
+  // Verificar cuota (solo proveedores que consumen cuota externa)
+  if (provider.metered) {
+    let quotaStatus;
+    try {
+      quotaStatus = await checkQuotaAvailable();
+    } catch (error) {
+      // Sin poder contar la cuota compartida no se generan solicitudes al modelo
+      console.error('Error al comprobar la cuota de la API:', error);
+      return { status: 503, body: {
+        error: 'No se pudo comprobar la cuota de la API',
+        message: 'Por favor, intenta de nuevo en unos minutos'
+      } };
+    }
+    
+    if (quotaStatus.isQuotaExceeded) {
+      console.log(`Cuota de API excedida. Tiempo estimado para reinicio: ${Math.ceil(quotaStatus.timeToReset/1000)}s`);
+      return { status: 429, body: { 
+        error: 'La API está experimentando alta demanda',
+        message: `Por favor, intenta de nuevo en ${Math.ceil(quotaStatus.timeToReset/1000)} segundos`,
+        retryAfter: Math.ceil(quotaStatus.timeToReset/1000)
+      } };
+    }
+  }
+  
+  return null;
+};
+
+// Verificar si la ruta del documento subido es válida para el entorno actual
+const checkUploadPath = (file) => {
+  const isVercelEnv = vercelEnvironment || isVercelPath(file.path);
+  if (isVercelEnv && !file.path.startsWith('/tmp')) {
+    console.log(`Detectada ruta incompatible con Vercel: ${file.path}`);
+    return { status: 400, body: { 
+      error: "La carga de archivos no está disponible en este entorno. Por favor, utilice el campo de tema o texto."
+    } };
+  }
+  return null;
+};
+
+// Título de las sesiones nuevas sin tema, por tipo de sesión
+const UNTITLED_SESSION_TITLES = {
+  quiz: 'Cuestionario sin título',
+  flashcards: 'Tarjetas sin título',
+  summary: 'Resumen sin título'
+};
+
+// Validar una solicitud de generación (cuestionario, mazo de tarjetas o resumen) antes de procesar el documento.
+// Devuelve { error: { status, body } } si no es válida, o los parámetros de generación.
+const prepareQuizRequest = async (req, { sessionType = 'quiz', parseParams = parseQuizParams } = {}) => {
+  const { topic, sessionId, documentId } = req.body;
+  const provider = getLLMProvider();
+  
+  const { error: paramsError, ...generationParams } = parseParams(req.body);
+  if (paramsError) {
+    return { error: { status: 400, body: { error: paramsError } } };
+  }
+  
+  // Idiomas para el OCR de imágenes (p. ej. "spa+eng")
+  const { language: ocrLanguage, error: languageError } = parseOcrLanguage(req.body.language);
+  if (languageError) {
+    return { error: { status: 400, body: { error: languageError } } };
+  }
+  
+  let sessionTitle = topic || UNTITLED_SESSION_TITLES[sessionType];
+  
+  // Si se continúa una sesión existente, debe pertenecer al usuario y ser del mismo tipo
+  if (sessionId) {
+    const existingSession = await findOwnedSession(sessionId, req.user.id);
+    if (!existingSession || existingSession.type !== sessionType) {
+      return { error: { status: 404, body: { error: 'Sesión no encontrada' } } };
+    }
+    sessionTitle = existingSession.title;
+    // Las preguntas de un cuestionario de un solo tipo comparten tipo; los mixtos admiten cualquier composición
+    if (sessionType === 'quiz' && existingSession.questionType !== MIXED_QUESTION_TYPE) {
+      generationParams.questionType = existingSession.questionType;
+      generationParams.composition = null;
+    }
+  }
+  
+  // Documento guardado en la biblioteca del usuario (solo si no se sube un archivo nuevo)
+  let document = null;
+  if (documentId && !req.file) {
+    document = await findOwnedDocument(documentId, req.user.id, { withText: true });
+    if (!document) {
+      return { error: { status: 404, body: { error: 'Documento no encontrado' } } };
+    }
+  }
+  
+  const uploadError = req.file ? checkUploadPath(req.file) : null;
+  if (uploadError) {
+    return { error: uploadError };
+  }
+  
+  // Verificar proveedor y cuota antes de generar
+  const providerError = await checkProviderAvailability(provider);
+  if (providerError) {
+    return { error: providerError };
+  }
+  
+  return {
+    provider,
+    document,
+    ocrLanguage,
+    params: { topic, ...generationParams, sessionId, sessionTitle }
+  };
+};
+
+// Obtener el contenido del cuestionario: documento guardado, documento subido (que se guarda
+// en la biblioteca del usuario) o texto enviado. Devuelve { content, document, reused }.
+const resolveQuizContent = async (req, { document: storedDocument, ocrLanguage }) => {
+  if (storedDocument) {
+    storedDocument.lastUsedAt = new Date();
+    await storedDocument.save();
+    return { content: storedDocument.text, document: storedDocument, reused: true };
+  }
+  
+  if (!req.file) {
+    return { content: req.body.documentContent || '', document: null, reused: false };
+  }
+  
+  console.log(`Documento subido:`, {
+    filePath: req.file.path,
+    fileType: req.file.mimetype,
+    exists: fs.existsSync(req.file.path)
+  });
+  
+  const { document, reused } = await storeUploadedDocument(req.user.id, req.file, { language: ocrLanguage });
+  console.log(`Texto del documento disponible (${document.text.length} caracteres, reutilizado: ${reused})`);
+  return { content: document.text, document, reused };
+};
+
+// Resumen del documento usado para generar un cuestionario
+const describeDocument = ({ document, reused }) => {
+  const summary = document.toSummaryJSON();
+  return {
+    documentId: summary.id,
+    fileName: summary.fileName,
+    characters: summary.characterCount,
+    pageCount: summary.pageCount,
+    // Confianza del OCR y páginas reconocidas por OCR, para que el cliente pueda avisar de escaneos de mala calidad
+    ocr: summary.ocr,
+    pageMethods: summary.pageMethods,
+    reused
+  };
+};
+
+// Encolar la generación: la respuesta es inmediata y el cliente consulta el estado del trabajo.
+// Con un documento de la biblioteca, el worker lee el texto del documento guardado.
+const enqueueGeneration = async (owner, kind, prepared, source) => {
+  const job = await jobQueue.enqueue(owner, {
+    ...prepared.params,
+    content: source.document ? undefined : source.content,
+    documentId: source.document ? source.document._id.toString() : undefined,
+    hasDocument: !!source.document
+  }, { kind });
+  
+  return {
+    jobId: job._id.toString(),
+    kind,
+    status: job.status,
+    queuePosition: await jobQueue.getQueuePosition(job),
+    statusUrl: `/api/chat/jobs/${job._id}`,
+    document: source.document ? describeDocument(source) : null
+  };
+};
+
+// Generar cuestionario basado en el contenido
+export const generateQuiz = async (req, res) => {
+  try {
+    const prepared = await prepareQuizRequest(req);
+    if (prepared.error) {
+      removeUploadedFile(req.file);
+      return res.status(prepared.error.status).json(prepared.error.body);
+    }
+    
+    let source;
+    try {
+      source = await resolveQuizContent(req, prepared);
+    } catch (error) {
+      console.error('Error procesando el documento:', error);
+      return res.status(400).json({ error: error.message });
+    }
+    
+    res.status(202).json(await enqueueGeneration(req.user.id, 'quiz', prepared, source));
+  } catch (error) {
+    console.error('Error al generar el cuestionario:', error);
+    res.status(500).json({ 
+      error: 'Error al procesar la solicitud',
+      details: error.message 
+    });
+  }
+};
+
+// Generar cuestionario transmitiendo el progreso por Server-Sent Events
+export const streamQuiz = async (req, res) => {
+  const prepared = await prepareQuizRequest(req).catch(error => ({
+    error: { status: 500, body: { error: 'Error al procesar la solicitud', details: error.message } }
+  }));
+  if (prepared.error) {
+    removeUploadedFile(req.file);
+    return res.status(prepared.error.status).json(prepared.error.body);
+  }
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  // Si el cliente se desconecta dejamos de escribir (la generación termina y se guarda igualmente)
+  let clientClosed = false;
+  res.on('close', () => {
+    clientClosed = true;
+  });
+  
+  const sendEvent = (event, data) => {
+    if (clientClosed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  // Los errores se envían como eventos de una respuesta 200, así que el uso se devuelve aquí
+  const sendError = (data) => {
+    if (res.locals.releaseUsage) res.locals.releaseUsage();
+    sendEvent('error', data);
+  };
+  
+  try {
+    let source;
+    try {
+      if (req.file) {
+        sendEvent('status', { stage: 'extracting', message: 'Extrayendo texto del documento' });
       }
+      source = await resolveQuizContent(req, prepared);
+    } catch (error) {
+      console.error('Error procesando el documento:', error);
+      sendError({ status: 400, error: error.message });
+      return res.end();
+    }
+    
+    if (source.document) {
+      sendEvent('document', describeDocument(source));
+    }
+    
+    sendEvent('status', { stage: 'generating', message: 'Generando preguntas', questionCount: prepared.params.questionCount });
+    
+    const result = await streamAndSaveQuiz(prepared.provider, {
+      ...prepared.params,
+      owner: req.user.id,
+      content: source.content,
+      documentId: source.document ? source.document._id.toString() : undefined,
+      hasDocument: !!source.document
+    }, {
+      // Cada pregunta se envía en cuanto está completa y validada (sin clave de respuestas)
+      onQuestion: (question, index) => sendEvent('question', { index, question: stripAnswerKey(question) })
     });
-  },
+    
+    sendEvent('done', result);
+  } catch (error) {
+    console.error('Error al generar el cuestionario en streaming:', error);
+    sendError(error.code === 'QUIZ_VALIDATION_FAILED'
+      ? {
+          status: 502,
+          error: 'No se pudo generar un cuestionario estructurado. Por favor, intente de nuevo.',
+          details: error.message,
+          problems: error.problems
+        }
+      : { status: 500, error: 'Error al procesar la solicitud', details: error.message });
+  }
   
-  // Procesar la cola de solicitudes
-  processQueue: async function() {
-    if (this.queue.length === 0) {
-      this.processing = false;
-      return;
+  res.end();
+};
+
+// Consultar el estado de un trabajo de generación (cuestionario, mazo de tarjetas o apuntes)
+export const getJobStatus = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    
+    if (!mongoose.isValidObjectId(jobId)) {
+      return res.status(404).json({ error: 'Trabajo no encontrado' });
     }
     
-    this.processing = true;
-    const { promiseFunction, resolve, reject, retryCount } = this.queue.shift();
+    const job = await QuizJob.findOne({ _id: jobId, owner: req.user.id });
+    if (!job) {
+      return res.status(404).json({ error: 'Trabajo no encontrado' });
+    }
     
-    // Calcular el tiempo de espera necesario
-    const currentTime = Date.now();
-    const timeToWait = Math.max(0, this.lastRequestTime + this.minTimeBetweenRequests - currentTime);
+    // Despertar al worker por si esta instancia no lo tenía activo (p. ej. en serverless), y recuperar
+    // el trabajo si la instancia que lo ejecutaba dejó de dar latidos
+    if (job.status === 'queued') {
+      jobQueue.kick();
+    } else if (jobQueue.isStale(job)) {
+      jobQueue.recover();
+    }
     
-    if (timeToWait > 0) {
-      console.log(`Esperando ${timeToWait}ms antes de la siguiente solicitud`);
-      await new Promise(r => setTimeout(r, timeToWait));
+    res.json({
+      jobId: job._id.toString(),
+      kind: job.kind,
+      status: job.status,
+      queuePosition: await jobQueue.getQueuePosition(job),
+      result: job.status === 'done' ? job.result : null,
+      error: job.status === 'failed' ? job.error : null,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    });
+  } catch (error) {
+    console.error('Error al consultar el trabajo:', error);
+    res.status(500).json({ error: 'Error al consultar el estado del trabajo' });
+  }
+};
+
+// Generar un mazo de tarjetas de estudio a partir de un tema o documento (o añadir tarjetas a un mazo)
+export const generateFlashcards = async (req, res) => {
+  try {
+    const prepared = await prepareQuizRequest(req, { sessionType: 'flashcards', parseParams: parseDeckParams });
+    if (prepared.error) {
+      removeUploadedFile(req.file);
+      return res.status(prepared.error.status).json(prepared.error.body);
     }
     
+    let source;
     try {
-      this.lastRequestTime = Date.now();
-      const result = await promiseFunction();
-      resolve(result);
+      source = await resolveQuizContent(req, prepared);
     } catch (error) {
-      console.error('Error en solicitud a Gemini API:', error);
-      
-      // Comprobar si es un error de límite de tasa
-      if (error.message && error.message.includes('429 Too Many Requests')) {
-        let retryDelay = 30000; // Por defecto 30 segundos
-        
-        // Extraer el tiempo de espera sugerido por la API si está disponible
-        const retryDelayMatch = error.message.match(/retryDelay:"(\d+)s"/);
-        if (retryDelayMatch && retryDelayMatch[1]) {
-          retryDelay = parseInt(retryDelayMatch[1]) * 1000;
-        }
-        
-        // Añadir backoff exponencial
-        retryDelay = retryDelay * Math.pow(2, retryCount);
-        
-        if (retryCount < this.maxRetries) {
-          console.log(`Reintento ${retryCount + 1}/${this.maxRetries} después de ${retryDelay/1000}s`);
-          
-          // Esperar y reintentar
-          setTimeout(() => {
-            this.addToQueue(promiseFunction, retryCount + 1)
-              .then(resolve)
-              .catch(reject);
-          }, retryDelay);
-        } else {
-          reject(new Error('Se alcanzó el número máximo de reintentos debido a límites de tasa'));
-        }
-      } else {
-        reject(error);
-      }
+      console.error('Error procesando el documento:', error);
+      return res.status(400).json({ error: error.message });
     }
     
-    // Procesar la siguiente solicitud en la cola
-    setTimeout(() => this.processQueue(), 100);
+    // Como los cuestionarios, el mazo se genera en la cola de trabajos
+    res.status(202).json(await enqueueGeneration(req.user.id, 'flashcards', prepared, source));
+  } catch (error) {
+    console.error('Error al generar las tarjetas:', error);
+    res.status(500).json({ error: 'Error al procesar la solicitud', details: error.message });
   }
 };
 
-// Función para extraer texto de diferentes tipos de documentos
-const extractTextFromDocument = async (filePath, fileType) => {
+// Generar apuntes de estudio (resumen, esquema, conceptos clave y glosario) de un tema o documento
+export const generateSummary = async (req, res) => {
   try {
-    console.log(`Verificando existencia de archivo en: ${filePath}`);
+    const prepared = await prepareQuizRequest(req, { sessionType: 'summary', parseParams: parseSummaryParams });
+    if (prepared.error) {
+      removeUploadedFile(req.file);
+      return res.status(prepared.error.status).json(prepared.error.body);
+    }
     
-    // Verificar si estamos en Vercel y el archivo no está en /tmp
-    if ((vercelEnvironment || isVercelPath(filePath)) && !filePath.startsWith('/tmp')) {
-      console.log(`Ruta de archivo incompatible con Vercel: ${filePath}`);
-      throw new Error(`Ruta de archivo no accesible en este entorno. Por favor use el campo de tema o texto.`);
+    let source;
+    try {
+      source = await resolveQuizContent(req, prepared);
+    } catch (error) {
+      console.error('Error procesando el documento:', error);
+      return res.status(400).json({ error: error.message });
     }
     
-    // Verificar que el archivo existe
-    if (!fs.existsSync(filePath)) {
-      console.error(`Archivo no encontrado en: ${filePath}`);
-      throw new Error(`El archivo no existe en la ruta especificada. Verifique que la ruta es correcta.`);
+    if (!source.content.trim() && !prepared.params.topic) {
+      return res.status(400).json({ error: 'Indica un tema, un texto o un documento para resumir' });
     }
     
-    console.log(`Archivo encontrado, procediendo a extraer texto...`);
+    // Los documentos largos se resumen por partes, así que los apuntes se generan en la cola de trabajos
+    res.status(202).json(await enqueueGeneration(req.user.id, 'summary', prepared, source));
+  } catch (error) {
+    console.error('Error al generar el resumen:', error);
+    res.status(500).json({ error: 'Error al procesar la solicitud', details: error.message });
+  }
+};
 
-    if (fileType === 'application/pdf') {
-      // Extraer texto de PDF
-      try {
-        const dataBuffer = fs.readFileSync(filePath);
-        const pdfData = await pdfParse(dataBuffer);
-        console.log(`PDF procesado: ${pdfData.text.length} caracteres extraídos`);
-        return pdfData.text;
-      } catch (pdfError) {
-        console.error('Error al procesar PDF:', pdfError);
-        throw new Error('No se pudo extraer texto del PDF. Formato no compatible o documento corrupto.');
-      }
-    } else if (fileType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' || 
-               fileType === 'application/msword') {
-      // Extraer texto de Word
-      try {
-        const dataBuffer = fs.readFileSync(filePath);
-        const result = await mammoth.extractRawText({ buffer: dataBuffer });
-        console.log(`Documento Word procesado: ${result.value.length} caracteres extraídos`);
-        return result.value;
-      } catch (wordError) {
-        console.error('Error al procesar documento Word:', wordError);
-        throw new Error('No se pudo extraer texto del documento Word. Formato no compatible o documento corrupto.');
-      }
-    } else if (fileType.startsWith('image/')) {
-      // Extraer texto de imágenes usando OCR
-      try {
-        const worker = await createWorker();
-        await worker.loadLanguage('spa');
-        await worker.initialize('spa');
-        const { data } = await worker.recognize(filePath);
-        await worker.terminate();
-        console.log(`Imagen procesada con OCR: ${data.text.length} caracteres extraídos`);
-        return data.text;
-      } catch (ocrError) {
-        console.error('Error al procesar imagen con OCR:', ocrError);
-        throw new Error('No se pudo extraer texto de la imagen. Formato no compatible o imagen corrupta.');
-      }
-    }
-    return '';
+// Buscar un mazo de tarjetas del usuario autenticado (null si no existe, es de otro usuario o no es un mazo)
+const findOwnedDeck = async (sessionId, userId) => {
+  const session = await findOwnedSession(sessionId, userId);
+  return session && session.type === 'flashcards' ? session : null;
+};
+
+// Obtener los mazos de tarjetas del usuario
+export const getFlashcardDecks = async (req, res) => {
+  try {
+    res.json(await listDecks(req.user.id));
   } catch (error) {
-    console.error('Error al extraer texto del documento:', error);
-    throw new Error(`No se pudo procesar el documento: ${error.message}`);
-  } finally {
-    try {
-      if (fs.existsSync(filePath)) {
-        console.log(`Intentando eliminar archivo temporal: ${filePath}`);
-        fs.unlinkSync(filePath);
-        console.log(`Archivo temporal eliminado: ${filePath}`);
-      }
-    } catch (cleanupError) {
-      console.error('Error al limpiar archivo temporal:', cleanupError);
+    console.error('Error al obtener los mazos:', error);
+    res.status(500).json({ error: 'Error al obtener los mazos de tarjetas' });
+  }
+};
+
+// Obtener todas las tarjetas de un mazo con su última autoevaluación
+export const getFlashcardDeck = async (req, res) => {
+  try {
+    const session = await findOwnedDeck(req.params.sessionId, req.user.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Mazo no encontrado' });
     }
+    
+    const cards = await getDeckCards(req.user.id, session._id);
+    res.json({
+      sessionId: session._id.toString(),
+      title: session.title,
+      topic: session.topic,
+      createdAt: session.createdAt,
+      cards
+    });
+  } catch (error) {
+    console.error('Error al obtener el mazo:', error);
+    res.status(500).json({ error: 'Error al obtener el mazo de tarjetas' });
   }
 };
 
-// Función para crear respuestas predefinidas para preguntas tipo multiple-choice y true-false
-const getLocalAnswerValidation = (questionType, userAnswer, correctAnswer, explanation) => {
-  let isCorrect;
-  
-  // Corregir la comparación para preguntas verdadero/falso
-  if (questionType === 'true-false') {
-    // Normalizar la respuesta del usuario y la respuesta correcta
-    const normalizedUserAnswer = userAnswer.toLowerCase() === 'true';
-    const normalizedCorrectAnswer = correctAnswer === 'true' || correctAnswer === true;
-    isCorrect = normalizedUserAnswer === normalizedCorrectAnswer;
-  } else {
-    // Para otros tipos de preguntas, comparación directa
-    isCorrect = userAnswer === correctAnswer;
+// Obtener las tarjetas que tocan estudiar hoy: las pendientes de repaso y las nuevas
+export const studyFlashcards = async (req, res) => {
+  try {
+    const session = await findOwnedDeck(req.params.sessionId, req.user.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Mazo no encontrado' });
+    }
+    
+    res.json(await getStudyCards(req.user.id, session._id, { limit: req.query.limit }));
+  } catch (error) {
+    console.error('Error al preparar el estudio del mazo:', error);
+    res.status(500).json({ error: 'Error al preparar el estudio del mazo' });
   }
-  
-  if (questionType === 'multiple-choice') {
-    return {
-      isCorrect,
-      feedback: isCorrect 
-        ? `¡Correcto! 👏 ${explanation || 'Muy bien hecho.'}` 
-        : `Incorrecto. 😕 La respuesta correcta es ${correctAnswer}. ${explanation || 'Intenta de nuevo.'}`
-    };
-  } else if (questionType === 'true-false') {
-    return {
-      isCorrect,
-      feedback: isCorrect 
-        ? `¡Correcto! 👏 ${explanation || 'Bien hecho.'}` 
-        : `Incorrecto. 😕 La respuesta correcta es ${correctAnswer === 'true' || correctAnswer === true ? 'Verdadero' : 'Falso'}. ${explanation || 'Intenta de nuevo.'}`
-    };
+};
+
+// Guardar la autoevaluación de una tarjeta (again/hard/good/easy) y planificar su siguiente repaso
+export const rateFlashcard = async (req, res) => {
+  try {
+    const { conversationId, cardIndex, rating } = req.body;
+    
+    if (!Object.hasOwn(CARD_RATINGS, rating)) {
+      return res.status(400).json({ error: `La valoración debe ser una de: ${Object.keys(CARD_RATINGS).join(', ')}` });
+    }
+    
+    const index = Number(cardIndex);
+    if (!Number.isInteger(index) || index < 0) {
+      return res.status(400).json({ error: 'Se requiere un índice de tarjeta válido' });
+    }
+    
+    const session = await findOwnedDeck(req.params.sessionId, req.user.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Mazo no encontrado' });
+    }
+    
+    const sessionId = session._id.toString();
+    const conversation = await findQuizConversation(sessionId, conversationId);
+    const deck = conversation ? parseStoredQuiz(conversation) : null;
+    if (!deck || !Array.isArray(deck.cards) || !deck.cards[index]) {
+      return res.status(404).json({ error: 'Tarjeta no encontrada en el mazo' });
+    }
+    
+    const review = await recordUserAnswer(req.user.id, conversation, {
+      questionIndex: index,
+      userAnswer: rating,
+      ...ratingToAnswer(rating)
+    });
+    
+    res.json({ conversationId: conversation._id.toString(), cardIndex: index, rating, review });
+  } catch (error) {
+    console.error('Error al valorar la tarjeta:', error);
+    res.status(500).json({ error: 'Error al guardar la valoración de la tarjeta' });
   }
 };
 
-// Generar cuestionario basado en el contenido
-export const generateQuiz = async (req, res) => {
+// Buscar una práctica adaptativa del usuario autenticado (null si no existe, es de otro usuario o no es adaptativa)
+const findOwnedPractice = async (sessionId, userId) => {
+  const session = await findOwnedSession(sessionId, userId);
+  return session && session.type === 'adaptive' ? session : null;
+};
+
+// Empezar una práctica adaptativa sobre un tema o un documento de la biblioteca.
+// Las preguntas se piden una a una en /adaptive/:sessionId/next y se responden en /validate.
+export const startAdaptivePractice = async (req, res) => {
   try {
-    const { topic, questionType, questionCount, sessionId, documentContent } = req.body;
+    const { topic, documentId } = req.body;
     
-    if (!genAI) {
-      return res.status(500).json({ 
-        error: 'No se ha configurado correctamente la API de Gemini',
-        message: 'Error interno del servidor: API key de Gemini no configurada. Verifica el archivo .env'
-      });
+    const { error: paramsError, ...params } = parseAdaptiveParams(req.body);
+    if (paramsError) {
+      return res.status(400).json({ error: paramsError });
     }
     
-    let content = documentContent || '';
-    let prompt = '';
-    let currentSessionId = sessionId;
-    let sessionTitle = topic || 'Cuestionario sin título';
+    if (!topic && !documentId) {
+      return res.status(400).json({ error: 'Indica el tema (topic) o el documento (documentId) de la práctica' });
+    }
     
-    // Si hay un documento subido, procesarlo
-    if (req.file) {
-      const filePath = req.file.path;
-      const fileType = req.file.mimetype;
-      
-      // Verificar si la ruta es válida para el entorno actual
-      const isVercelEnv = vercelEnvironment || isVercelPath(filePath);
-      if (isVercelEnv && !filePath.startsWith('/tmp')) {
-        console.log(`Detectada ruta incompatible con Vercel: ${filePath}`);
-        return res.status(400).json({ 
-          error: "La carga de archivos no está disponible en este entorno. Por favor, utilice el campo de tema o texto."
-        });
-      }
-      
-      console.log(`Documento subido:`, {
-        filePath,
-        fileType,
-        exists: fs.existsSync(filePath),
-        isVercelEnv
-      });
-      
-      try {
-        console.log(`Procesando documento: ${filePath} (${fileType})`);
-        content = await extractTextFromDocument(filePath, fileType);
-        console.log(`Texto extraído exitosamente (${content.length} caracteres)`);
-      } catch (error) {
-        console.error('Error procesando el documento:', error);
-        return res.status(400).json({ error: error.message });
+    let document = null;
+    if (documentId) {
+      document = await findOwnedDocument(documentId, req.user.id);
+      if (!document) {
+        return res.status(404).json({ error: 'Documento no encontrado' });
       }
     }
     
-    const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
+    const session = await createAdaptiveSession({
+      owner: req.user.id,
+      title: topic || document.fileName,
+      topic: topic || '',
+      documentId: document ? document._id : null,
+      ...params
+    });
     
-    // Verificar cuota antes de generar
-    const quotaStatus = checkQuotaAvailable();
+    res.status(201).json({
+      sessionId: session._id.toString(),
+      title: session.title,
+      questionType: session.questionType,
+      maxQuestions: params.maxQuestions,
+      targetError: params.targetError,
+      nextUrl: `/api/chat/adaptive/${session._id}/next`
+    });
+  } catch (error) {
+    console.error('Error al crear la práctica adaptativa:', error);
+    res.status(500).json({ error: 'Error al crear la práctica adaptativa' });
+  }
+};
+
+// Si la solicitud de la siguiente pregunta generará una nueva (solo entonces cuenta para el límite de generación)
+export const requiresNewAdaptiveQuestion = async (req) => {
+  const session = await findOwnedPractice(req.params.sessionId, req.user.id);
+  return !!session && await needsNewQuestion(session);
+};
+
+// Obtener la siguiente pregunta de una práctica adaptativa (la pendiente de responder o una nueva adaptada
+// a la habilidad estimada) o, si se cumple la regla de parada, la estimación final del dominio
+export const getNextAdaptiveQuestion = async (req, res) => {
+  try {
+    const session = await findOwnedPractice(req.params.sessionId, req.user.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Práctica no encontrada' });
+    }
     
-    if (quotaStatus.isQuotaExceeded) {
-      console.log(`Cuota de API excedida. Tiempo estimado para reinicio: ${Math.ceil(quotaStatus.timeToReset/1000)}s`);
-      return res.status(429).json({ 
-        error: 'La API está experimentando alta demanda',
-        message: `Por favor, intenta de nuevo en ${Math.ceil(quotaStatus.timeToReset/1000)} segundos`,
-        retryAfter: Math.ceil(quotaStatus.timeToReset/1000)
-      });
+    // El proveedor y el documento solo hacen falta si hay que generar una pregunta nueva
+    const provider = getLLMProvider();
+    let content = '';
+    if (await needsNewQuestion(session)) {
+      const providerError = await checkProviderAvailability(provider);
+      if (providerError) {
+        return res.status(providerError.status).json(providerError.body);
+      }
+      
+      if (session.documentId) {
+        const document = await findOwnedDocument(session.documentId.toString(), req.user.id, { withText: true });
+        if (!document) {
+          return res.status(404).json({ error: 'El documento de la práctica ya no está en tu biblioteca' });
+        }
+        content = document.text;
+      }
     }
     
-    // Registrar el uso de la API
-    trackApiRequest();
-    
-    // Construir el prompt según el tipo de cuestionario
-    if (questionType === 'multiple-choice') {
-      prompt = `Actúa como un profesor que crea un cuestionario de opción múltiple sobre "${topic}". 
-      ${content ? 'Basándote en el siguiente contenido: ' + content.substring(0, 5000) : ''}
-      Genera ${questionCount || 5} preguntas de opción múltiple con 4 opciones cada una (a, b, c, d). 
-      Para cada pregunta, marca claramente la respuesta correcta y proporciona una explicación de por qué es correcta.
-      Usa emojis para hacer el contenido más atractivo.
-      Formatea tu respuesta como un objeto JSON con esta estructura exacta:
-      {
-        "questions": [
-          {
-            "question": "¿Pregunta 1?",
-            "options": ["opción a", "opción b", "opción c", "opción d"],
-            "correctAnswer": "a",
-            "explanation": "Explicación de por qué esta respuesta es correcta"
-          }
-        ]
-      }`;
-    } else if (questionType === 'true-false') {
-      prompt = `Actúa como un profesor que crea un cuestionario de verdadero/falso sobre "${topic}". 
-      ${content ? 'Basándote en el siguiente contenido: ' + content.substring(0, 5000) : ''}
-      Genera ${questionCount || 5} afirmaciones y especifica si cada una es verdadera o falsa.
-      Para cada afirmación, proporciona una explicación de por qué es verdadera o falsa.
-      Usa emojis para hacer el contenido más atractivo.
-      Formatea tu respuesta como un objeto JSON con esta estructura exacta:
-      {
-        "questions": [
-          {
-            "statement": "Afirmación 1",
-            "isTrue": true/false,
-            "explanation": "Explicación de por qué esta afirmación es verdadera/falsa"
-          }
-        ]
-      }`;
-    } else { // open-ended
-      prompt = `Actúa como un profesor que crea un cuestionario de preguntas abiertas sobre "${topic}". 
-      ${content ? 'Basándote en el siguiente contenido: ' + content.substring(0, 5000) : ''}
-      Genera ${questionCount || 5} preguntas que requieran respuestas explicativas.
-      Para cada pregunta, proporciona una respuesta modelo que sea completa y detallada.
-      Usa emojis para hacer el contenido más atractivo.
-      Formatea tu respuesta como un objeto JSON con esta estructura exacta:
-      {
-        "questions": [
-          {
-            "question": "¿Pregunta 1?",
-            "modelAnswer": "Respuesta modelo detallada para esta pregunta"
-          }
-        ]
-      }`;
-    }
-    
-    // Crear una nueva sesión en la BD si es necesario
-    if (!sessionId) {
-      const newSession = new Session({
-        title: sessionTitle,
-        type: 'quiz',
-        questionType: questionType,
-        topic: topic,
-        createdAt: new Date()
+    res.json({ sessionId: session._id.toString(), ...await nextAdaptiveQuestion(provider, session, { content }) });
+  } catch (error) {
+    console.error('Error al obtener la siguiente pregunta de la práctica:', error);
+    if (error.code === 'ADAPTIVE_QUESTION_PENDING') {
+      return res.status(409).json({ error: `${error.message}. Vuelve a pedirla en unos segundos.` });
+    }
+    if (error.code === 'QUIZ_VALIDATION_FAILED') {
+      return res.status(502).json({
+        error: 'No se pudo generar una pregunta estructurada. Por favor, intente de nuevo.',
+        details: error.message,
+        problems: error.problems
       });
-      
-      const savedSession = await newSession.save();
-      currentSessionId = savedSession._id.toString();
+    }
+    res.status(500).json({ error: 'Error al procesar la solicitud', details: error.message });
+  }
+};
+
+// Obtener el progreso y la estimación actual de una práctica adaptativa (sin generar preguntas)
+export const getAdaptivePractice = async (req, res) => {
+  try {
+    const session = await findOwnedPractice(req.params.sessionId, req.user.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Práctica no encontrada' });
     }
     
-    // Generar el cuestionario con Gemini usando el rate limiter
-    const generateQuizContent = async () => {
-      const result = await model.generateContent(prompt);
-      return result.response.text();
-    };
+    res.json({
+      sessionId: session._id.toString(),
+      title: session.title,
+      topic: session.topic,
+      questionType: session.questionType,
+      createdAt: session.createdAt,
+      ...await getAdaptiveStatus(session)
+    });
+  } catch (error) {
+    console.error('Error al obtener la práctica adaptativa:', error);
+    res.status(500).json({ error: 'Error al obtener la práctica adaptativa' });
+  }
+};
+
+// Crear la sesión de tutor de un primer mensaje, sobre un documento (subido o de la biblioteca) o un cuestionario.
+// Devuelve { session } o { error: { status, body } }.
+const startTutorSession = async (req) => {
+  const { topic, documentId, quizSessionId } = req.body;
+  let document = null;
+  let sourceSession = null;
+  
+  if (req.file) {
+    const uploadError = checkUploadPath(req.file);
+    if (uploadError) return { error: uploadError };
     
-    const response = await rateLimiter.addToQueue(generateQuizContent);
+    const { language, error: languageError } = parseOcrLanguage(req.body.language);
+    if (languageError) return { error: { status: 400, body: { error: languageError } } };
     
-    // Intentar parsear la respuesta como JSON
-    let parsedResponse;
     try {
-      // Extraer el JSON de la respuesta (por si Gemini añade texto adicional)
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        parsedResponse = JSON.parse(jsonMatch[0]);
-      } else {
-        throw new Error('No se encontró un formato JSON válido en la respuesta');
-      }
+      ({ document } = await storeUploadedDocument(req.user.id, req.file, { language }));
     } catch (error) {
-      console.error('Error al parsear la respuesta JSON:', error);
-      // Si hay error al parsear, devolvemos la respuesta como texto
-      parsedResponse = { 
-        raw: response,
-        error: 'No se pudo generar un cuestionario estructurado. Por favor, intente de nuevo.'
-      };
+      console.error('Error procesando el documento:', error);
+      return { error: { status: 400, body: { error: error.message } } };
     }
+  } else if (documentId) {
+    document = await findOwnedDocument(documentId, req.user.id);
+    if (!document) return { error: { status: 404, body: { error: 'Documento no encontrado' } } };
+  } else if (quizSessionId) {
+    sourceSession = await findOwnedSession(quizSessionId, req.user.id);
+    if (!sourceSession || !['quiz', 'flashcards'].includes(sourceSession.type)) {
+      return { error: { status: 404, body: { error: 'Cuestionario no encontrado' } } };
+    }
+  } else {
+    return { error: { status: 400, body: { error: 'Indica el documento (document o documentId) o el cuestionario (quizSessionId) sobre el que quieres preguntar' } } };
+  }
+  
+  const session = await createTutorSession({
+    owner: req.user.id,
+    title: topic || (document ? document.fileName : sourceSession.title),
+    topic,
+    documentId: document ? document._id : null,
+    sourceSessionId: sourceSession ? sourceSession._id.toString() : null
+  });
+  return { session };
+};
+
+// Enviar un mensaje al tutor: responde sobre el documento o cuestionario de la sesión, con el historial reciente
+export const sendMessage = async (req, res) => {
+  try {
+    const message = typeof req.body.message === 'string' ? req.body.message.trim() : '';
     
-    // Guardar el cuestionario en la base de datos
-    const conversation = new Conversation({
-      sessionId: currentSessionId,
-      prompt: JSON.stringify({
-        topic,
-        questionType,
-        questionCount,
-        hasDocument: !!req.file
-      }),
-      response: JSON.stringify(parsedResponse),
-      timestamp: new Date()
-    });
+    if (!message) {
+      removeUploadedFile(req.file);
+      return res.status(400).json({ error: 'Se requiere un mensaje' });
+    }
+    if (message.length > MAX_MESSAGE_LENGTH) {
+      removeUploadedFile(req.file);
+      return res.status(400).json({ error: `El mensaje no puede superar los ${MAX_MESSAGE_LENGTH} caracteres` });
+    }
     
-    await conversation.save();
+    const provider = getLLMProvider();
+    const providerError = await checkProviderAvailability(provider);
+    if (providerError) {
+      removeUploadedFile(req.file);
+      return res.status(providerError.status).json(providerError.body);
+    }
     
-    res.json({
-      sessionId: currentSessionId,
-      sessionTitle,
-      quiz: parsedResponse
-    });
+    // Continuar una conversación existente (su material no cambia) o empezar una nueva
+    let session;
+    if (req.body.sessionId) {
+      removeUploadedFile(req.file);
+      session = await findOwnedSession(req.body.sessionId, req.user.id);
+      if (!session || session.type !== 'chat') {
+        return res.status(404).json({ error: 'Sesión no encontrada' });
+      }
+    } else {
+      const started = await startTutorSession(req);
+      if (started.error) {
+        removeUploadedFile(req.file);
+        return res.status(started.error.status).json(started.error.body);
+      }
+      session = started.session;
+    }
+    
+    const result = await sendTutorMessage(provider, { owner: req.user.id, session, message });
+    res.json(result);
   } catch (error) {
-    console.error('Error al generar el cuestionario:', error);
-    res.status(500).json({ 
-      error: 'Error al procesar la solicitud',
-      details: error.message 
-    });
+    console.error('Error al responder el mensaje:', error);
+    if (error.code === 'SOURCE_NOT_FOUND') {
+      return res.status(410).json({ error: error.message });
+    }
+    if (error.code === 'INVALID_JSON') {
+      return res.status(502).json({ error: 'El tutor no pudo generar una respuesta. Por favor, intente de nuevo.', details: error.message });
+    }
+    res.status(500).json({ error: 'Error al procesar la solicitud', details: error.message });
+  }
+};
+
+// Indica si la respuesta se evaluará con el modelo (preguntas abiertas); usado por el límite de uso 'grading'
+export const requiresModelGrading = async (req) => {
+  const session = await findOwnedSession(req.body.sessionId, req.user.id);
+  if (!session || session.questionType !== MIXED_QUESTION_TYPE) {
+    return !!session && session.questionType === 'open-ended';
+  }
+  
+  // En los cuestionarios mixtos depende del tipo de la pregunta
+  const { question } = await findQuizQuestion(req.body.sessionId, req.body.conversationId, Number(req.body.questionIndex));
+  return !!question && question.questionType === 'open-ended';
+};
+
+// Guardar la respuesta del usuario en la conversación del cuestionario y actualizar su repaso espaciado.
+// Devuelve la nueva planificación de repaso (null si la respuesta no se pudo evaluar).
+const recordUserAnswer = async (owner, conversation, answer) => {
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    { $push: { userAnswers: answer } }
+  );
+  
+  try {
+    return await recordReview(owner, {
+      sessionId: conversation.sessionId,
+      conversationId: conversation._id,
+      questionIndex: answer.questionIndex
+    }, answer);
+  } catch (error) {
+    // La respuesta ya está guardada; la planificación de la pregunta se actualizará con su siguiente respuesta
+    console.error('Error al actualizar el repaso espaciado:', error);
+    return null;
   }
 };
 
 // Validar respuesta del usuario
 export const validateAnswer = async (req, res) => {
   try {
-    const { sessionId, questionIndex, userAnswer, question, correctAnswer, questionType } = req.body;
+    const { sessionId, conversationId, questionIndex, userAnswer } = req.body;
     
-    if (!genAI) {
-      return res.status(500).json({ 
-        error: 'No se ha configurado correctamente la API de Gemini',
-        message: 'Error interno del servidor: API key de Gemini no configurada. Verifica el archivo .env'
+    if (userAnswer === undefined || userAnswer === null || userAnswer === '') {
+      return res.status(400).json({ error: 'Se requiere la respuesta del usuario' });
+    }
+    
+    const index = Number(questionIndex);
+    if (!Number.isInteger(index) || index < 0) {
+      return res.status(400).json({ error: 'Se requiere un índice de pregunta válido' });
+    }
+    
+    // Solo se pueden responder cuestionarios propios
+    const session = await findOwnedSession(sessionId, req.user.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Sesión no encontrada' });
+    }
+    
+    // Buscar la pregunta en el cuestionario almacenado
+    const { conversation, question } = await findQuizQuestion(sessionId, conversationId, index);
+    
+    if (!question) {
+      return res.status(404).json({ error: 'Pregunta no encontrada en el cuestionario' });
+    }
+    
+    // Cada pregunta indica su tipo; los cuestionarios anteriores solo lo guardan en la sesión
+    const questionType = question.questionType || session.questionType;
+    
+    // Completar huecos, relacionar, ordenar y numéricas se corrigen localmente, con crédito parcial
+    if (LOCALLY_GRADED_TYPES.includes(questionType)) {
+      const result = gradeAnswer(questionType, question, userAnswer);
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      
+      const review = await recordUserAnswer(req.user.id, conversation, {
+        questionIndex: index,
+        questionType,
+        userAnswer: typeof userAnswer === 'string' ? userAnswer : JSON.stringify(userAnswer),
+        correct: result.isCorrect,
+        score: result.score
+      });
+      
+      return res.json({
+        ...result,
+        explanation: question.explanation,
+        review
       });
     }
     
     // Para preguntas de opción múltiple o verdadero/falso, la validación es directa
-    if (correctAnswer !== undefined) {
-      let isCorrect;
-      
-      // Corregir la comparación para preguntas verdadero/falso
-      if (questionType === 'true-false') {
-        // Normalizar valores para la comparación
-        const normalizedUserAnswer = userAnswer.toLowerCase() === 'true';
-        const normalizedCorrectAnswer = correctAnswer === 'true' || correctAnswer === true;
-        isCorrect = normalizedUserAnswer === normalizedCorrectAnswer;
-      } else {
-        // Para otras preguntas, comparación directa
-        isCorrect = userAnswer === correctAnswer;
-      }
+    if (questionType === 'multiple-choice' || questionType === 'true-false') {
+      const correctAnswer = questionType === 'true-false' ? question.isTrue : question.correctAnswer;
       
-      // Usar validación local con la comparación corregida
       const result = getLocalAnswerValidation(
-        questionType, 
-        userAnswer, 
-        correctAnswer, 
+        questionType,
+        userAnswer,
+        correctAnswer,
         question.explanation
       );
       
-      // Guardar la respuesta del usuario en la base de datos
-      await Conversation.findOneAndUpdate(
-        { sessionId },
-        { 
-          $push: { 
-            userAnswers: {
-              questionIndex,
-              userAnswer,
-              correct: isCorrect
-            }
-          }
-        }
-      );
+      const review = await recordUserAnswer(req.user.id, conversation, {
+        questionIndex: index,
+        questionType,
+        userAnswer: String(userAnswer),
+        correct: result.isCorrect
+      });
       
-      return res.json(result);
+      // Revelar la solución ahora que el usuario ya ha respondido
+      return res.json({
+        ...result,
+        correctAnswer,
+        explanation: question.explanation,
+        review
+      });
     }
     
-    // Para preguntas abiertas, verificar cuota antes de usar Gemini
-    const quotaStatus = checkQuotaAvailable();
+    const provider = getLLMProvider();
+    
+    if (!provider.isConfigured()) {
+      return res.status(500).json({
+        error: `No se ha configurado correctamente el proveedor de IA (${provider.name})`,
+        message: 'Error interno del servidor: API key de Gemini no configurada. Verifica el archivo .env'
+      });
+    }
+    
+    // Para preguntas abiertas, verificar cuota antes de usar el proveedor
+    // (si no se puede comprobar, se evalúa como con la cuota agotada)
+    const quotaStatus = provider.metered
+      ? await checkQuotaAvailable().catch(error => {
+        console.error('Error al comprobar la cuota de la API:', error);
+        return { isQuotaExceeded: true, timeToReset: 0 };
+      })
+      : { isQuotaExceeded: false, timeToReset: 0 };
     
     // Si la cuota está excedida, usar evaluación local
     if (quotaStatus.isQuotaExceeded) {
@@ -492,32 +942,25 @@ export const validateAnswer = async (req, res) => {
       const fallbackResponse = {
         isCorrect: null,
         score: 5,
-        feedback: "El sistema está experimentando alta demanda. No podemos evaluar tu respuesta detalladamente en este momento. Por favor, compara tu respuesta con la respuesta modelo proporcionada. 🧠"
+        feedback: "El sistema está experimentando alta demanda. No podemos evaluar tu respuesta detalladamente en este momento. Por favor, compara tu respuesta con la respuesta modelo proporcionada. 🧠",
+        modelAnswer: question.modelAnswer
       };
       
-      // Guardar en la base de datos
-      await Conversation.findOneAndUpdate(
-        { sessionId },
-        { 
-          $push: { 
-            userAnswers: {
-              questionIndex,
-              userAnswer,
-              correct: null,
-              score: 5
-            }
-          }
-        }
-      );
+      await recordUserAnswer(req.user.id, conversation, {
+        questionIndex: index,
+        questionType,
+        userAnswer: String(userAnswer),
+        correct: null,
+        score: 5
+      });
       
       return res.json(fallbackResponse);
     }
     
     // Registrar el uso de la API
-    trackApiRequest();
-    
-    // Para preguntas abiertas, usar Gemini con gestión de límites de tasa
-    const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
+    if (provider.metered) {
+      await trackApiRequest();
+    }
     
     const prompt = `Actúa como un profesor que evalúa respuestas a preguntas abiertas.
     
@@ -538,42 +981,38 @@ export const validateAnswer = async (req, res) => {
       "feedback": "Explicación detallada para el estudiante, comentando lo que está bien y lo que podría mejorar"
     }`;
     
-    const generateResponse = async () => {
-      const result = await model.generateContent(prompt);
-      return result.response.text();
-    };
-    
-    // Usar el rate limiter para la solicitud
-    const response = await rateLimiter.addToQueue(generateResponse);
+    // Evaluar con el proveedor configurado (null si la respuesta no es un JSON válido)
+    let evaluation = null;
+    try {
+      evaluation = await provider.generateJSON(prompt, {
+        task: 'evaluation',
+        question: question.question,
+        modelAnswer: question.modelAnswer,
+        userAnswer: String(userAnswer)
+      });
+    } catch (error) {
+      if (error.code !== 'INVALID_JSON') throw error;
+      console.error('Error al parsear la evaluación JSON:', error);
+    }
     
-    // Intentar parsear la respuesta como JSON
     try {
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const evaluation = JSON.parse(jsonMatch[0]);
-        
-        // Guardar la respuesta del usuario en la base de datos
-        await Conversation.findOneAndUpdate(
-          { sessionId },
-          { 
-            $push: { 
-              userAnswers: {
-                questionIndex,
-                userAnswer,
-                correct: evaluation.isCorrect,
-                score: evaluation.score
-              }
-            }
-          }
-        );
+      if (evaluation) {
+        const review = await recordUserAnswer(req.user.id, conversation, {
+          questionIndex: index,
+          questionType,
+          userAnswer: String(userAnswer),
+          correct: evaluation.isCorrect,
+          score: evaluation.score
+        });
         
-        return res.json(evaluation);
+        return res.json({ ...evaluation, modelAnswer: question.modelAnswer, review });
       } else {
         // Si no podemos obtener un JSON válido, crear una respuesta genérica
         const fallbackResponse = {
           isCorrect: null,
           score: 5,
-          feedback: "No se pudo evaluar con precisión tu respuesta. Sin embargo, recuerda que lo importante es que hayas comprendido el concepto. Revisa la respuesta modelo a continuación. 🧠"
+          feedback: "No se pudo evaluar con precisión tu respuesta. Sin embargo, recuerda que lo importante es que hayas comprendido el concepto. Revisa la respuesta modelo a continuación. 🧠",
+          modelAnswer: question.modelAnswer
         };
         
         return res.json(fallbackResponse);
@@ -585,12 +1024,13 @@ export const validateAnswer = async (req, res) => {
       return res.json({
         isCorrect: null,
         score: 5,
-        feedback: "Debido a problemas técnicos, no podemos evaluar detalladamente tu respuesta en este momento. Por favor, compara tu respuesta con la respuesta modelo para autoevaluarte. 🔍"
+        feedback: "Debido a problemas técnicos, no podemos evaluar detalladamente tu respuesta en este momento. Por favor, compara tu respuesta con la respuesta modelo para autoevaluarte. 🔍",
+        modelAnswer: question.modelAnswer
       });
     }
   } catch (error) {
     console.error('Error al validar la respuesta:', error);
-    res.status(500).json({ 
+    res.status(500).json({
       error: 'Error al procesar la solicitud',
       details: error.message,
       fallbackResponse: {
@@ -602,6 +1042,17 @@ export const validateAnswer = async (req, res) => {
   }
 };
 
+// Obtener las preguntas pendientes de repaso de hoy, de todas las sesiones del usuario
+export const getReviewQueue = async (req, res) => {
+  try {
+    const { dueCount, reviews } = await getDueReviews(req.user.id, { limit: req.query.limit });
+    res.json({ dueCount, reviews });
+  } catch (error) {
+    console.error('Error al obtener los repasos pendientes:', error);
+    res.status(500).json({ error: 'Error al obtener los repasos pendientes' });
+  }
+};
+
 // Obtener historial de conversaciones de una sesión específica
 export const getConversationHistory = async (req, res) => {
   try {
@@ -611,25 +1062,41 @@ export const getConversationHistory = async (req, res) => {
       return res.status(400).json({ error: 'Se requiere ID de sesión' });
     }
     
+    const session = await findOwnedSession(sessionId, req.user.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Sesión no encontrada' });
+    }
+    
     const conversations = await Conversation.find({ sessionId })
       .sort({ timestamp: 1 })
       .exec();
-      
-    res.json(conversations);
+    
+    // Revelar la clave de respuestas solo de las preguntas ya respondidas
+    const history = conversations.map(conversation => {
+      const record = conversation.toObject();
+      const quiz = parseStoredQuiz(conversation);
+      if (quiz) {
+        const answeredIndexes = (record.userAnswers || []).map(answer => answer.questionIndex);
+        record.response = JSON.stringify(toPublicQuiz(quiz, answeredIndexes));
+      }
+      return record;
+    });
+    
+    res.json(history);
   } catch (error) {
     console.error('Error al obtener el historial:', error);
     res.status(500).json({ error: 'Error al obtener el historial de conversaciones' });
   }
 };
 
-// Obtener todas las sesiones disponibles
+// Obtener las sesiones del usuario autenticado
 export const getSessions = async (req, res) => {
   try {
-    const sessions = await Session.find()
+    const sessions = await Session.find({ owner: req.user.id })
       .sort({ createdAt: -1 }) // Ordenar por más reciente primero
       .limit(20) // Limitar a las 20 sesiones más recientes
       .exec();
-      
+    
     res.json(sessions);
   } catch (error) {
     console.error('Error al obtener las sesiones:', error);
@@ -637,6 +1104,95 @@ export const getSessions = async (req, res) => {
   }
 };
 
+// Importar un banco de preguntas (GIFT, Aiken o CSV) como cuestionarios; no consume cuota del modelo
+export const importQuestions = async (req, res) => {
+  try {
+    const content = (req.file ? req.file.buffer.toString('utf8') : String(req.body.content || '')).replace(/^\uFEFF/, '');
+    if (!content.trim()) {
+      return res.status(400).json({ error: 'Sube un archivo o envía el contenido del banco de preguntas' });
+    }
+    
+    const format = req.body.format
+      ? String(req.body.format).toLowerCase()
+      : detectImportFormat(req.file && req.file.originalname, content);
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `No se reconoce el formato del banco. Indica "format": ${IMPORT_FORMATS.join(', ')}` });
+    }
+    
+    const title = req.body.title
+      || (req.file && path.parse(req.file.originalname).name)
+      || 'Banco de preguntas importado';
+    
+    const result = await importQuestionBank({ owner: req.user.id, format, content, title });
+    if (result.imported === 0) {
+      return res.status(400).json({
+        error: 'No se ha podido importar ninguna pregunta',
+        errors: result.errors
+      });
+    }
+    
+    console.log(`Banco ${format} importado: ${result.imported} preguntas, ${result.errors.length} errores`);
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Error al importar el banco de preguntas:', error);
+    res.status(500).json({ error: 'Error al importar el banco de preguntas' });
+  }
+};
+
+// Exportar las preguntas de un cuestionario (con sus respuestas) a un formato de LMS o de estudio,
+// o a un PDF imprimible con variantes barajadas (?variants, shuffle, shuffleOptions, seed)
+export const exportSession = async (req, res) => {
+  try {
+    const format = String(req.query.format || '').toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Formato de exportación no soportado. Usa uno de: ${EXPORT_FORMATS.join(', ')}` });
+    }
+    
+    const { error: printError, ...printOptions } = parsePrintParams(req.query);
+    if (printError) {
+      return res.status(400).json({ error: printError });
+    }
+    
+    const session = await findOwnedSession(req.params.sessionId, req.user.id);
+    if (!session || session.type !== 'quiz') {
+      return res.status(404).json({ error: 'Cuestionario no encontrado' });
+    }
+    
+    // Preguntas de todos los cuestionarios de la sesión, en orden
+    const conversations = await Conversation.find({ sessionId: session._id.toString() }).sort({ timestamp: 1 });
+    const questions = conversations.flatMap(conversation => {
+      const quiz = parseStoredQuiz(conversation);
+      return quiz && Array.isArray(quiz.questions) ? quiz.questions : [];
+    });
+    
+    if (questions.length === 0) {
+      return res.status(404).json({ error: 'El cuestionario no tiene preguntas para exportar' });
+    }
+    
+    const file = await exportQuiz(format, {
+      title: session.title,
+      questionType: session.questionType,
+      questions
+    }, {
+      ...printOptions,
+      // Sin semilla, las variantes de una sesión son siempre las mismas al volver a descargarlas
+      seed: printOptions.seed || session._id.toString()
+    });
+    
+    res.set({
+      'Content-Type': file.contentType,
+      'Content-Disposition': `attachment; filename="${file.fileName}"`
+    });
+    res.send(file.content);
+  } catch (error) {
+    console.error('Error al exportar el cuestionario:', error);
+    if (error.code === 'EXPORT_UNSUPPORTED') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Error al exportar el cuestionario' });
+  }
+};
+
 // Eliminar una sesión
 export const deleteSession = async (req, res) => {
   try {
@@ -646,14 +1202,16 @@ export const deleteSession = async (req, res) => {
       return res.status(400).json({ error: 'Se requiere ID de sesión' });
     }
     
+    // Solo el propietario puede eliminar la sesión
+    const session = await findOwnedSession(sessionId, req.user.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Sesión no encontrada' });
+    }
+    
     // Eliminar la sesión y sus conversaciones
-    await Session.findByIdAndDelete(sessionId);
+    await Session.deleteOne({ _id: session._id });
     await Conversation.deleteMany({ sessionId });
-    
-    // Eliminar del mapa de sesiones activas si existe
-    if (activeSessions.has(sessionId)) {
-      activeSessions.delete(sessionId);
-    }
+    await deleteSessionReviews(req.user.id, sessionId);
     
     res.json({ success: true, message: 'Sesión eliminada correctamente' });
   } catch (error) {
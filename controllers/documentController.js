@@ -0,0 +1,49 @@
+import Document from '../models/Document.js';
+import { findOwnedDocument } from '../services/documentService.js';
+
+// Obtener los documentos guardados del usuario (sin el texto extraído)
+export const getDocuments = async (req, res) => {
+  try {
+    const documents = await Document.find({ owner: req.user.id })
+      .select('-text')
+      .sort({ lastUsedAt: -1 })
+      .exec();
+    
+    res.json(documents.map(document => document.toSummaryJSON()));
+  } catch (error) {
+    console.error('Error al obtener los documentos:', error);
+    res.status(500).json({ error: 'Error al obtener los documentos' });
+  }
+};
+
+// Obtener un documento con su texto extraído
+export const getDocument = async (req, res) => {
+  try {
+    const document = await findOwnedDocument(req.params.documentId, req.user.id, { withText: true });
+    if (!document) {
+      return res.status(404).json({ error: 'Documento no encontrado' });
+    }
+    
+    res.json({ ...document.toSummaryJSON(), pages: document.pages, text: document.text });
+  } catch (error) {
+    console.error('Error al obtener el documento:', error);
+    res.status(500).json({ error: 'Error al obtener el documento' });
+  }
+};
+
+// Eliminar un documento de la biblioteca (los cuestionarios ya generados se conservan)
+export const deleteDocument = async (req, res) => {
+  try {
+    const document = await findOwnedDocument(req.params.documentId, req.user.id);
+    if (!document) {
+      return res.status(404).json({ error: 'Documento no encontrado' });
+    }
+    
+    await Document.deleteOne({ _id: document._id });
+    
+    res.json({ success: true, message: 'Documento eliminado correctamente' });
+  } catch (error) {
+    console.error('Error al eliminar el documento:', error);
+    res.status(500).json({ error: 'Error al eliminar el documento' });
+  }
+};
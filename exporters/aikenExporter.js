@@ -0,0 +1,42 @@
+import { OPTION_LETTERS } from '../utils/quizSchema.js';
+
+// Aiken solo admite preguntas de opción única en una línea cada una
+const singleLine = (value) => String(value ?? '').replace(/\s*\r?\n\s*/g, ' ').trim();
+
+// Opciones y respuesta correcta de cada tipo de pregunta admitido por Aiken
+const choicesByType = {
+  'multiple-choice': (question) => ({
+    options: question.options,
+    correctIndex: OPTION_LETTERS.indexOf(question.correctAnswer)
+  }),
+  'true-false': (question) => ({
+    options: ['Verdadero', 'Falso'],
+    correctIndex: question.isTrue ? 0 : 1
+  })
+};
+
+// Tipos de pregunta que se pueden exportar a Aiken
+export const AIKEN_QUESTION_TYPES = Object.keys(choicesByType);
+
+// Exportar un cuestionario al formato Aiken de Moodle (texto UTF-8)
+export const exportAiken = ({ questionType, questions }) => {
+  if (questions.some(question => !choicesByType[question.questionType || questionType])) {
+    const error = new Error(`El formato Aiken solo admite preguntas de tipo: ${AIKEN_QUESTION_TYPES.join(', ')}`);
+    error.code = 'EXPORT_UNSUPPORTED';
+    throw error;
+  }
+  
+  const items = questions.map(question => {
+    const { options, correctIndex } = choicesByType[question.questionType || questionType](question);
+    const letters = options.map((_, index) => String.fromCharCode(65 + index));
+    return [
+      singleLine(question.question || question.statement),
+      ...options.map((option, index) => `${letters[index]}. ${singleLine(option)}`),
+      `ANSWER: ${letters[correctIndex]}`
+    ].join('\n');
+  });
+  
+  return `${items.join('\n\n')}\n`;
+};
+
+export default exportAiken;
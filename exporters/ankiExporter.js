@@ -0,0 +1,83 @@
+import { OPTION_LETTERS, CLOZE_BLANK } from '../utils/quizSchema.js';
+import { stripAnswerKey } from '../utils/quizHelper.js';
+
+const escapeHtml = (value) => {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+// Campo de Anki: HTML en una sola línea y sin tabuladores (son el separador de campos)
+const ankiField = (html) => html.replace(/\t/g, ' ').replace(/\r?\n/g, '<br>');
+
+// Anverso y reverso de la tarjeta de cada tipo de pregunta
+const cardSides = {
+  'multiple-choice': (question) => ({
+    front: `${escapeHtml(question.question)}<br><br>${question.options
+      .map((option, index) => `${OPTION_LETTERS[index]}) ${escapeHtml(option)}`)
+      .join('<br>')}`,
+    back: `<b>${question.correctAnswer}) ${escapeHtml(question.options[OPTION_LETTERS.indexOf(question.correctAnswer)])}</b>`
+      + `<br><br>${escapeHtml(question.explanation)}`
+  }),
+  'true-false': (question) => ({
+    front: `¿Verdadero o falso?<br><br>${escapeHtml(question.statement)}`,
+    back: `<b>${question.isTrue ? 'Verdadero' : 'Falso'}</b><br><br>${escapeHtml(question.explanation)}`
+  }),
+  'open-ended': (question) => ({
+    front: escapeHtml(question.question),
+    back: escapeHtml(question.modelAnswer)
+  }),
+  // El anverso muestra los huecos y el reverso el texto completo con las respuestas resaltadas
+  'fill-in-the-blank': (question) => ({
+    front: escapeHtml(question.text).split(CLOZE_BLANK).join('[...]'),
+    back: `${escapeHtml(question.text).split(CLOZE_BLANK)
+      .map((part, index) => part + (question.blanks[index] ? `<b>${escapeHtml(question.blanks[index].answers[0])}</b>` : ''))
+      .join('')}<br><br>${escapeHtml(question.explanation)}`
+  }),
+  // Las columnas y los elementos se barajan como en la versión de la pregunta que ve el estudiante
+  'matching': (question) => {
+    const { left, right } = stripAnswerKey(question);
+    return {
+      front: `${escapeHtml(question.question)}<br><br>${left.map((item, index) => `${index + 1}. ${escapeHtml(item)}`).join('<br>')}`
+        + `<br><br>${right.map(item => `- ${escapeHtml(item)}`).join('<br>')}`,
+      back: question.pairs.map(pair => `<b>${escapeHtml(pair.left)}</b> → ${escapeHtml(pair.right)}`).join('<br>')
+        + `<br><br>${escapeHtml(question.explanation)}`
+    };
+  },
+  'ordering': (question) => ({
+    front: `${escapeHtml(question.question)}<br><br>${stripAnswerKey(question).items.map(item => escapeHtml(item)).join('<br>')}`,
+    back: `${question.sequence.map((item, index) => `${index + 1}. ${escapeHtml(item)}`).join('<br>')}<br><br>${escapeHtml(question.explanation)}`
+  }),
+  'numeric': (question) => {
+    const tolerance = question.tolerance > 0 ? ` ± ${question.tolerance}` : '';
+    return {
+      front: escapeHtml(question.question),
+      back: `<b>${question.answer}${tolerance}${question.unit ? ` ${escapeHtml(question.unit)}` : ''}</b><br><br>${escapeHtml(question.explanation)}`
+    };
+  }
+};
+
+// Tipos de pregunta que se pueden exportar a Anki
+export const ANKI_QUESTION_TYPES = Object.keys(cardSides);
+
+// Exportar un cuestionario como archivo de texto importable en Anki (nota "Basic": anverso, reverso y etiquetas)
+export const exportAnki = ({ title, questionType, questions }) => {
+  const header = [
+    '#separator:tab',
+    '#html:true',
+    '#notetype:Basic',
+    `#deck:${String(title).replace(/[\t\r\n]/g, ' ')}`,
+    '#tags column:3'
+  ];
+  const rows = questions.map(question => {
+    const type = question.questionType || questionType;
+    const { front, back } = cardSides[type](question);
+    return [ankiField(front), ankiField(back), `study-buddy ${type}`].join('\t');
+  });
+  
+  return `${[...header, ...rows].join('\n')}\n`;
+};
+
+export default exportAnki;
@@ -0,0 +1,45 @@
+import { OPTION_LETTERS } from '../utils/quizSchema.js';
+
+// Tipos de pregunta que caben en las columnas del CSV
+export const CSV_QUESTION_TYPES = ['multiple-choice', 'true-false', 'open-ended'];
+
+const COLUMNS = ['number', 'type', 'question', 'option_a', 'option_b', 'option_c', 'option_d', 'correct_answer', 'explanation', 'model_answer'];
+
+// Campo CSV (RFC 4180): entre comillas si contiene separadores, comillas o saltos de línea
+const csvField = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Columnas de cada pregunta según su tipo
+const rowValues = (questionType, question, index) => {
+  const options = Array.isArray(question.options) ? question.options : [];
+  const correctAnswer = questionType === 'true-false'
+    ? (question.isTrue ? 'true' : 'false')
+    : questionType === 'multiple-choice' ? question.correctAnswer : '';
+  
+  return {
+    number: index + 1,
+    type: questionType,
+    question: question.question || question.statement,
+    ...Object.fromEntries(OPTION_LETTERS.map((letter, optionIndex) => [`option_${letter}`, options[optionIndex]])),
+    correct_answer: correctAnswer,
+    explanation: question.explanation,
+    model_answer: question.modelAnswer
+  };
+};
+
+// Exportar un cuestionario a CSV (UTF-8 con BOM para que Excel respete los acentos)
+export const exportCsv = ({ questionType, questions }) => {
+  const lines = [
+    COLUMNS.join(','),
+    ...questions.map((question, index) => {
+      const values = rowValues(question.questionType || questionType, question, index);
+      return COLUMNS.map(column => csvField(values[column])).join(',');
+    })
+  ];
+  
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+};
+
+export default exportCsv;
@@ -0,0 +1,67 @@
+import { OPTION_LETTERS, CLOZE_BLANK } from '../utils/quizSchema.js';
+
+// Escapar los caracteres especiales de GIFT (~ = # { } :) y los saltos de línea
+const escapeGift = (value) => {
+  return String(value ?? '')
+    .replace(/([~=#{}:\\])/g, '\\$1')
+    .replace(/\r?\n/g, '\\n');
+};
+
+// Retroalimentación general de la pregunta (se muestra tras responder)
+const generalFeedback = (text) => (text ? `####${escapeGift(text)}` : '');
+
+// Texto de la pregunta seguido de sus respuestas entre las llaves de GIFT
+const withAnswers = (text, answers) => `${escapeGift(text)} {${answers}}`;
+
+// Texto y respuestas de cada tipo de pregunta
+const questionBodies = {
+  'multiple-choice': (question) => {
+    const correctIndex = OPTION_LETTERS.indexOf(question.correctAnswer);
+    const options = question.options
+      .map((option, index) => `\t${index === correctIndex ? '=' : '~'}${escapeGift(option)}`)
+      .join('\n');
+    return withAnswers(question.question, `\n${options}\n\t${generalFeedback(question.explanation)}\n`);
+  },
+  'true-false': (question) => withAnswers(question.statement, `${question.isTrue ? 'TRUE' : 'FALSE'}${generalFeedback(question.explanation)}`),
+  // Pregunta de ensayo: la respuesta modelo queda como retroalimentación para el profesor y el alumno
+  'open-ended': (question) => withAnswers(question.question, generalFeedback(question.modelAnswer ? `Respuesta modelo: ${question.modelAnswer}` : '')),
+  // Palabra que falta: las respuestas aceptadas van en el lugar del hueco. GIFT solo admite un hueco por pregunta.
+  'fill-in-the-blank': (question, name) => {
+    if (question.blanks.length > 1) {
+      const error = new Error(`El formato Moodle GIFT solo admite preguntas de completar con un hueco, y "${name}" tiene ${question.blanks.length}`);
+      error.code = 'EXPORT_UNSUPPORTED';
+      throw error;
+    }
+    const [before, after] = question.text.split(CLOZE_BLANK);
+    const answers = question.blanks[0].answers.map(answer => `=${escapeGift(answer)}`).join(' ');
+    return `${escapeGift(before)}{${answers}${generalFeedback(question.explanation)}}${escapeGift(after)}`;
+  },
+  'matching': (question) => {
+    const pairs = question.pairs
+      .map(pair => `\t=${escapeGift(pair.left)} -> ${escapeGift(pair.right)}`)
+      .join('\n');
+    return withAnswers(question.question, `\n${pairs}\n\t${generalFeedback(question.explanation)}\n`);
+  },
+  // La unidad no forma parte de la respuesta numérica de GIFT, así que se indica en el enunciado
+  'numeric': (question) => withAnswers(
+    question.unit ? `${question.question} (en ${question.unit})` : question.question,
+    `#${question.answer}:${question.tolerance}${generalFeedback(question.explanation)}`
+  )
+};
+
+// Tipos de pregunta que se pueden exportar a GIFT (no tiene preguntas de ordenar)
+export const GIFT_QUESTION_TYPES = Object.keys(questionBodies);
+
+// Exportar un cuestionario a Moodle GIFT (texto UTF-8)
+export const exportGift = ({ title, questionType, questions }) => {
+  // Categoría de Moodle en la que se importan las preguntas ("/" separa subcategorías)
+  const header = `$CATEGORY: ${String(title).replace(/[\r\n/]+/g, ' ').trim()}\n`;
+  const items = questions.map((question, index) => {
+    const name = `Pregunta ${index + 1}`;
+    return `::${escapeGift(name)}::${questionBodies[question.questionType || questionType](question, name)}`;
+  });
+  
+  return `${header}\n${items.join('\n\n')}\n`;
+};
+
+export default exportGift;
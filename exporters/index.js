@@ -0,0 +1,97 @@
+import { exportGift, GIFT_QUESTION_TYPES } from './giftExporter.js';
+import { exportAiken, AIKEN_QUESTION_TYPES } from './aikenExporter.js';
+import { exportQti, QTI_QUESTION_TYPES } from './qtiExporter.js';
+import { exportCsv, CSV_QUESTION_TYPES } from './csvExporter.js';
+import { exportAnki, ANKI_QUESTION_TYPES } from './ankiExporter.js';
+import { exportPdf, PDF_QUESTION_TYPES } from './pdfExporter.js';
+
+// Formatos de exportación de cuestionarios. Cada exportador recibe { title, questionType, questions }
+// (con la clave de respuestas; en los cuestionarios mixtos cada pregunta indica su tipo en questionType) y las opciones de la exportación, y devuelve el contenido del archivo (texto o Buffer,
+// o una promesa).
+// questionTypes son los tipos de pregunta que admite cada formato.
+const exporters = {
+  gift: {
+    name: 'Moodle GIFT',
+    extension: 'gift.txt',
+    contentType: 'text/plain; charset=utf-8',
+    export: exportGift,
+    questionTypes: GIFT_QUESTION_TYPES
+  },
+  aiken: {
+    name: 'Aiken',
+    extension: 'aiken.txt',
+    contentType: 'text/plain; charset=utf-8',
+    export: exportAiken,
+    questionTypes: AIKEN_QUESTION_TYPES
+  },
+  qti: {
+    name: 'IMS QTI 2.1',
+    extension: 'qti.zip',
+    contentType: 'application/zip',
+    export: exportQti,
+    questionTypes: QTI_QUESTION_TYPES
+  },
+  csv: {
+    name: 'CSV',
+    extension: 'csv',
+    contentType: 'text/csv; charset=utf-8',
+    export: exportCsv,
+    questionTypes: CSV_QUESTION_TYPES
+  },
+  anki: {
+    name: 'Anki',
+    extension: 'anki.txt',
+    contentType: 'text/plain; charset=utf-8',
+    export: exportAnki,
+    questionTypes: ANKI_QUESTION_TYPES
+  },
+  pdf: {
+    name: 'PDF imprimible',
+    extension: 'pdf',
+    contentType: 'application/pdf',
+    export: exportPdf,
+    questionTypes: PDF_QUESTION_TYPES
+  }
+};
+
+export const EXPORT_FORMATS = Object.keys(exporters);
+
+// Nombre de archivo seguro a partir del título (sin acentos ni caracteres especiales)
+const toFileName = (title) => {
+  const slug = String(title || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .toLowerCase()
+    .substring(0, 60);
+  return slug || 'cuestionario';
+};
+
+// Exportar un cuestionario al formato indicado. Devuelve { fileName, contentType, content }.
+// Lanza un error con code 'EXPORT_UNSUPPORTED' si el formato no existe o no admite el tipo de pregunta.
+export const exportQuiz = async (format, quiz, options = {}) => {
+  const exporter = exporters[format];
+  if (!exporter) {
+    const error = new Error(`Formato de exportación no soportado. Usa uno de: ${EXPORT_FORMATS.join(', ')}`);
+    error.code = 'EXPORT_UNSUPPORTED';
+    throw error;
+  }
+  
+  // En los cuestionarios mixtos cada pregunta indica su tipo
+  const questionTypes = new Set(quiz.questions.map(question => question.questionType || quiz.questionType));
+  const unsupported = [...questionTypes].filter(type => !exporter.questionTypes.includes(type));
+  if (unsupported.length > 0) {
+    const error = new Error(`El formato ${exporter.name} no admite preguntas de tipo ${unsupported.join(', ')}. Admite: ${exporter.questionTypes.join(', ')}`);
+    error.code = 'EXPORT_UNSUPPORTED';
+    throw error;
+  }
+  
+  return {
+    fileName: `${toFileName(quiz.title)}.${exporter.extension}`,
+    contentType: exporter.contentType,
+    content: await exporter.export(quiz, options)
+  };
+};
+
+export default exportQuiz;
@@ -0,0 +1,302 @@
+import { createCanvas, PDFDocument } from '@napi-rs/canvas';
+import { OPTION_LETTERS, CLOZE_BLANK } from '../utils/quizSchema.js';
+import { stripAnswerKey } from '../utils/quizHelper.js';
+import { buildExamVariants } from '../utils/examVariants.js';
+
+// Página A4 en puntos y márgenes
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 56;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const FOOTER_HEIGHT = 24;
+
+// Fuentes sin serifa habituales en servidores (la genérica puede resolverse a una con serifa)
+const FONT_FAMILY = 'Helvetica, Arial, "Liberation Sans", "DejaVu Sans", sans-serif';
+const FONTS = {
+  title: `bold 16px ${FONT_FAMILY}`,
+  heading: `bold 12px ${FONT_FAMILY}`,
+  body: `11px ${FONT_FAMILY}`,
+  bold: `bold 11px ${FONT_FAMILY}`,
+  small: `9px ${FONT_FAMILY}`
+};
+const LINE_HEIGHT = 15;
+// Sangría de las opciones y del texto de las preguntas tras su número
+const INDENT = 24;
+// Líneas en blanco para responder las preguntas abiertas
+const OPEN_ENDED_LINES = 6;
+const ANSWER_LINE_HEIGHT = 24;
+const QUESTION_SPACING = 12;
+
+const INSTRUCTIONS = {
+  'multiple-choice': 'Rodea la letra de la opción correcta.',
+  'true-false': 'Marca con una X si cada afirmación es verdadera o falsa.',
+  'open-ended': 'Responde cada pregunta en el espacio indicado.',
+  'fill-in-the-blank': 'Completa los huecos del texto.',
+  'matching': 'Escribe junto a cada elemento la letra del que le corresponde.',
+  'ordering': 'Numera los elementos en el orden correcto.',
+  'numeric': 'Escribe el resultado numérico en la línea.'
+};
+
+// Letra de cada elemento de la columna derecha en las preguntas de relacionar
+const matchLetter = (index) => String.fromCharCode(97 + index);
+
+// Enunciado de la pregunta, con los huecos de las de completar alargados para escribir a mano
+const questionText = (question) => (question.text
+  ? question.text.split(CLOZE_BLANK).join('______________')
+  : question.question || question.statement);
+
+// Contexto solo para medir el texto durante la maquetación
+const measureContext = createCanvas(1, 1).getContext('2d');
+
+// Partir un texto en líneas que quepan en el ancho indicado (respetando sus saltos de línea)
+const wrapText = (text, font, maxWidth) => {
+  measureContext.font = font;
+  const fits = (value) => measureContext.measureText(value).width <= maxWidth;
+  const lines = [];
+  
+  String(text ?? '').split(/\r?\n/).forEach(paragraph => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (fits(candidate)) {
+        line = candidate;
+        return;
+      }
+      if (line) lines.push(line);
+      
+      // Las palabras más largas que la línea se cortan por caracteres
+      line = '';
+      for (const char of word) {
+        if (line && !fits(line + char)) {
+          lines.push(line);
+          line = '';
+        }
+        line += char;
+      }
+    });
+    lines.push(line);
+  });
+  
+  return lines;
+};
+
+// Filas de un texto maquetado: una fila por línea, con sangría y un prefijo opcional en la primera ("1.", "a)")
+const textRows = (text, { font = FONTS.body, x = 0, prefix = '', indent = 0, lineHeight = LINE_HEIGHT } = {}) => {
+  const baseline = lineHeight - 4;
+  return wrapText(text, font, CONTENT_WIDTH - x - indent).map((line, index) => ({
+    height: lineHeight,
+    ops: [
+      ...(index === 0 && prefix ? [{ type: 'text', x, y: baseline, text: prefix, font }] : []),
+      { type: 'text', x: x + indent, y: baseline, text: line, font }
+    ]
+  }));
+};
+
+const spacer = (height) => ({ height, ops: [] });
+
+// Filas de respuesta de cada tipo de pregunta en el examen
+const answerSpaceRows = {
+  'multiple-choice': (question) => question.options.flatMap((option, index) =>
+    textRows(option, { x: INDENT, prefix: `${OPTION_LETTERS[index]})`, indent: INDENT })
+  ),
+  'true-false': () => [{
+    height: LINE_HEIGHT + 4,
+    ops: [
+      { type: 'box', x: INDENT, y: 3, size: 10 },
+      { type: 'text', x: INDENT + 16, y: 12, text: 'Verdadero', font: FONTS.body },
+      { type: 'box', x: INDENT + 110, y: 3, size: 10 },
+      { type: 'text', x: INDENT + 126, y: 12, text: 'Falso', font: FONTS.body }
+    ]
+  }],
+  'open-ended': () => Array.from({ length: OPEN_ENDED_LINES }, () => ({
+    height: ANSWER_LINE_HEIGHT,
+    ops: [{ type: 'line', x1: INDENT, y1: ANSWER_LINE_HEIGHT - 4, x2: CONTENT_WIDTH, y2: ANSWER_LINE_HEIGHT - 4 }]
+  })),
+  // Los huecos están en el propio enunciado
+  'fill-in-the-blank': () => [],
+  // Las columnas se muestran como en la versión de la pregunta que ve el estudiante: la derecha barajada
+  'matching': (question) => {
+    const { left, right } = stripAnswerKey(question);
+    return [
+      ...left.flatMap((item, index) => textRows(`${item}  →  ____`, { x: INDENT, prefix: `${index + 1}.`, indent: INDENT })),
+      spacer(6),
+      ...right.flatMap((item, index) => textRows(item, { x: INDENT, prefix: `${matchLetter(index)})`, indent: INDENT }))
+    ];
+  },
+  // Una casilla junto a cada elemento (barajados) para escribir su posición
+  'ordering': (question) => stripAnswerKey(question).items.map(item => ({
+    height: LINE_HEIGHT + 4,
+    ops: [
+      { type: 'box', x: INDENT, y: 1, size: 14 },
+      { type: 'text', x: INDENT + 22, y: 12, text: item, font: FONTS.body }
+    ]
+  })),
+  'numeric': (question) => [{
+    height: ANSWER_LINE_HEIGHT,
+    ops: [
+      { type: 'line', x1: INDENT, y1: ANSWER_LINE_HEIGHT - 4, x2: INDENT + 160, y2: ANSWER_LINE_HEIGHT - 4 },
+      ...(question.unit ? [{ type: 'text', x: INDENT + 166, y: ANSWER_LINE_HEIGHT - 6, text: question.unit, font: FONTS.body }] : [])
+    ]
+  }]
+};
+
+// Filas de la solución de cada tipo de pregunta en la clave de respuestas
+const answerKeyRows = {
+  'multiple-choice': (question, number) => {
+    const index = OPTION_LETTERS.indexOf(question.correctAnswer);
+    return textRows(`${question.correctAnswer}) ${question.options[index]}`, { font: FONTS.bold, prefix: `${number}.`, indent: INDENT });
+  },
+  'true-false': (question, number) => textRows(question.isTrue ? 'Verdadero' : 'Falso', { font: FONTS.bold, prefix: `${number}.`, indent: INDENT }),
+  'open-ended': (question, number) => [
+    ...textRows('Respuesta modelo:', { font: FONTS.bold, prefix: `${number}.`, indent: INDENT }),
+    ...textRows(question.modelAnswer, { x: INDENT })
+  ],
+  'fill-in-the-blank': (question, number) => textRows(
+    question.blanks.map((blank, index) => `(${index + 1}) ${blank.answers.join(' / ')}`).join('   '),
+    { font: FONTS.bold, prefix: `${number}.`, indent: INDENT }
+  ),
+  'matching': (question, number) => {
+    const { right } = stripAnswerKey(question);
+    const answer = question.pairs.map((pair, index) => `${index + 1}-${matchLetter(right.indexOf(pair.right))}`).join('  ');
+    return textRows(answer, { font: FONTS.bold, prefix: `${number}.`, indent: INDENT });
+  },
+  'ordering': (question, number) => textRows(question.sequence.map((item, index) => `${index + 1}. ${item}`).join('   '), { font: FONTS.bold, prefix: `${number}.`, indent: INDENT }),
+  'numeric': (question, number) => {
+    const tolerance = question.tolerance > 0 ? ` ± ${question.tolerance}` : '';
+    return textRows(`${question.answer}${tolerance}${question.unit ? ` ${question.unit}` : ''}`, { font: FONTS.bold, prefix: `${number}.`, indent: INDENT });
+  }
+};
+
+// Tipos de pregunta que se pueden exportar a PDF
+export const PDF_QUESTION_TYPES = Object.keys(answerKeyRows);
+
+// Reparto de bloques de filas en páginas. Un bloque se mantiene en una página si cabe en ella;
+// si es más alto que una página entera se parte entre filas.
+const createPaginator = () => {
+  const pages = [];
+  const maxY = PAGE_HEIGHT - MARGIN - FOOTER_HEIGHT;
+  let y = 0;
+  
+  const newPage = () => {
+    pages.push([]);
+    y = MARGIN;
+  };
+  
+  // Las coordenadas de las filas son relativas a su esquina; en la página se suman el margen y la altura actual
+  const placeRow = (row) => {
+    if (pages.length === 0 || y + row.height > maxY) newPage();
+    row.ops.forEach(op => pages[pages.length - 1].push(op.type === 'line'
+      ? { ...op, x1: op.x1 + MARGIN, x2: op.x2 + MARGIN, y1: op.y1 + y, y2: op.y2 + y }
+      : { ...op, x: op.x + MARGIN, y: op.y + y }));
+    y += row.height;
+  };
+  
+  const place = (rows) => {
+    const height = rows.reduce((sum, row) => sum + row.height, 0);
+    if (pages.length === 0 || (y + height > maxY && height <= maxY - MARGIN)) newPage();
+    rows.forEach(placeRow);
+  };
+  
+  return { pages, newPage, place };
+};
+
+// Cabecera de un examen o de su clave de respuestas
+const headerRows = (title, subtitle) => [
+  ...textRows(title, { font: FONTS.title, lineHeight: 22 }),
+  ...(subtitle ? textRows(subtitle, { font: FONTS.heading }) : []),
+  spacer(10)
+];
+
+// Maquetar los exámenes de todas las variantes y, a continuación, sus claves de respuestas
+const layoutExam = ({ title, questionType, variants, shuffled }) => {
+  const paginator = createPaginator();
+  const variantName = (variant) => (variants.length > 1 ? `Variante ${variant.label}` : '');
+  // En los cuestionarios mixtos cada pregunta indica su tipo
+  const typeOf = (question) => question.questionType || questionType;
+  const instructions = [...new Set(variants[0].questions.map(typeOf))].map(type => INSTRUCTIONS[type]).join(' ');
+  
+  variants.forEach(variant => {
+    paginator.newPage();
+    paginator.place([
+      ...headerRows(title, [variantName(variant), `${variant.questions.length} preguntas`].filter(Boolean).join(' · ')),
+      ...textRows('Nombre: ______________________________________   Fecha: ______________'),
+      spacer(6),
+      ...textRows(instructions, { font: FONTS.small }),
+      spacer(QUESTION_SPACING)
+    ]);
+    
+    variant.questions.forEach((question, index) => {
+      paginator.place([
+        ...textRows(questionText(question), { font: FONTS.bold, prefix: `${index + 1}.`, indent: INDENT }),
+        spacer(4),
+        ...answerSpaceRows[typeOf(question)](question),
+        spacer(QUESTION_SPACING)
+      ]);
+    });
+  });
+  
+  // La clave de respuestas va aparte, después de todos los exámenes, para poder separarla al imprimir
+  variants.forEach(variant => {
+    paginator.newPage();
+    paginator.place(headerRows(`Clave de respuestas: ${title}`, variantName(variant)));
+    
+    variant.questions.forEach((question, index) => {
+      // Con las preguntas barajadas se indica su número en el cuestionario original, para corregir con una sola referencia
+      const originalNumber = shuffled
+        ? textRows(`Pregunta ${question.sourceIndex + 1} del cuestionario original`, { x: INDENT, font: FONTS.small })
+        : [];
+      paginator.place([
+        ...answerKeyRows[typeOf(question)](question, index + 1),
+        ...originalNumber,
+        ...(question.explanation ? textRows(`Explicación: ${question.explanation}`, { x: INDENT }) : []),
+        spacer(QUESTION_SPACING / 2)
+      ]);
+    });
+  });
+  
+  return paginator.pages;
+};
+
+// Dibujar las páginas maquetadas en un PDF, con el número de página al pie
+const renderPages = (pages, title) => {
+  const document = new PDFDocument({ title, creator: 'Study Buddy' });
+  
+  pages.forEach((ops, pageIndex) => {
+    const context = document.beginPage(PAGE_WIDTH, PAGE_HEIGHT);
+    context.fillStyle = '#000000';
+    context.strokeStyle = '#000000';
+    context.lineWidth = 0.75;
+    
+    ops.forEach(op => {
+      if (op.type === 'text') {
+        context.font = op.font;
+        context.fillText(op.text, op.x, op.y);
+      } else if (op.type === 'box') {
+        context.strokeRect(op.x, op.y, op.size, op.size);
+      } else if (op.type === 'line') {
+        context.beginPath();
+        context.moveTo(op.x1, op.y1);
+        context.lineTo(op.x2, op.y2);
+        context.stroke();
+      }
+    });
+    
+    context.font = FONTS.small;
+    context.textAlign = 'center';
+    context.fillText(`Página ${pageIndex + 1} de ${pages.length}`, PAGE_WIDTH / 2, PAGE_HEIGHT - MARGIN / 2);
+    context.textAlign = 'left';
+    document.endPage();
+  });
+  
+  return document.close();
+};
+
+// Exportar un cuestionario a un PDF imprimible: uno o varios exámenes (variantes con preguntas y opciones
+// barajadas) y una sección aparte con la clave de respuestas, las explicaciones y las respuestas modelo.
+// Opciones: { variants, shuffle, shuffleOptions, seed } (ver utils/examVariants.js).
+export const exportPdf = ({ title, questionType, questions }, options = {}) => {
+  const variants = buildExamVariants(questionType, questions, { ...options, seed: options.seed || title });
+  return renderPages(layoutExam({ title, questionType, variants, shuffled: !!options.shuffle }), title);
+};
+
+export default exportPdf;
@@ -0,0 +1,217 @@
+import JSZip from 'jszip';
+import { OPTION_LETTERS, CLOZE_BLANK } from '../utils/quizSchema.js';
+
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const QTI_SCHEMA_LOCATION = `${QTI_NAMESPACE} http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd`;
+const MATCH_CORRECT_TEMPLATE = 'http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct';
+const MAP_RESPONSE_TEMPLATE = 'http://www.imsglobal.org/question/qti_v2p1/rptemplates/map_response';
+
+const SCORE_DECLARATION = `<outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
+    <defaultValue><value>0</value></defaultValue>
+  </outcomeDeclaration>`;
+
+const escapeXml = (value) => {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+// Texto en párrafos XHTML
+const paragraphs = (text) => {
+  return String(text ?? '')
+    .split(/\r?\n\s*\r?\n/)
+    .filter(paragraph => paragraph.trim())
+    .map(paragraph => `<p>${escapeXml(paragraph.trim()).replace(/\r?\n/g, '<br/>')}</p>`)
+    .join('');
+};
+
+// Explicación o respuesta modelo visible solo para quien corrige
+const scorerRubric = (label, text) => {
+  return text ? `\n    <rubricBlock view="scorer"><p><strong>${escapeXml(label)}:</strong></p>${paragraphs(text)}</rubricBlock>` : '';
+};
+
+// Pregunta de opción única (opción múltiple y verdadero/falso) corregida automáticamente
+const choiceItem = ({ prompt, choices, correctIndex, explanation }) => ({
+  declarations: `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">
+    <correctResponse><value>${choices[correctIndex].id}</value></correctResponse>
+  </responseDeclaration>
+  ${SCORE_DECLARATION}`,
+  body: `<choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">
+      <prompt>${escapeXml(prompt)}</prompt>
+${choices.map(choice => `      <simpleChoice identifier="${choice.id}">${escapeXml(choice.text)}</simpleChoice>`).join('\n')}
+    </choiceInteraction>${scorerRubric('Explicación', explanation)}`,
+  processing: `<responseProcessing template="${MATCH_CORRECT_TEMPLATE}"/>`
+});
+
+// Contenido de cada tipo de pregunta: declaraciones, cuerpo y corrección
+const itemParts = {
+  'multiple-choice': (question) => choiceItem({
+    prompt: question.question,
+    choices: question.options.map((option, index) => ({ id: `choice_${OPTION_LETTERS[index]}`, text: option })),
+    correctIndex: OPTION_LETTERS.indexOf(question.correctAnswer),
+    explanation: question.explanation
+  }),
+  'true-false': (question) => choiceItem({
+    prompt: question.statement,
+    choices: [{ id: 'choice_true', text: 'Verdadero' }, { id: 'choice_false', text: 'Falso' }],
+    correctIndex: question.isTrue ? 0 : 1,
+    explanation: question.explanation
+  }),
+  // Respuesta abierta: se corrige manualmente con la respuesta modelo
+  'open-ended': (question) => ({
+    declarations: `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"/>
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"/>`,
+    body: `${paragraphs(question.question)}
+    <extendedTextInteraction responseIdentifier="RESPONSE" expectedLines="6"/>${scorerRubric('Respuesta modelo', question.modelAnswer)}`,
+    processing: ''
+  }),
+  // Cada hueco es un campo de texto con sus respuestas aceptadas (sin distinguir mayúsculas);
+  // la nota es la fracción de huecos acertados
+  'fill-in-the-blank': (question) => {
+    const blanks = question.blanks.map((blank, index) => ({ id: `RESPONSE_${index + 1}`, answers: blank.answers }));
+    const parts = question.text.split(CLOZE_BLANK);
+    const text = parts
+      .map((part, index) => escapeXml(part) + (blanks[index] ? `<textEntryInteraction responseIdentifier="${blanks[index].id}" expectedLength="15"/>` : ''))
+      .join('');
+    return {
+      declarations: `${blanks.map(blank => `<responseDeclaration identifier="${blank.id}" cardinality="single" baseType="string">
+    <correctResponse><value>${escapeXml(blank.answers[0])}</value></correctResponse>
+    <mapping defaultValue="0">
+${blank.answers.map(answer => `      <mapEntry mapKey="${escapeXml(answer)}" mappedValue="${1 / blanks.length}" caseSensitive="false"/>`).join('\n')}
+    </mapping>
+  </responseDeclaration>`).join('\n  ')}
+  ${SCORE_DECLARATION}`,
+      body: `<p>${text}</p>${scorerRubric('Explicación', question.explanation)}`,
+      processing: `<responseProcessing>
+    <setOutcomeValue identifier="SCORE">
+      <sum>${blanks.map(blank => `<mapResponse identifier="${blank.id}"/>`).join('')}</sum>
+    </setOutcomeValue>
+  </responseProcessing>`
+    };
+  },
+  // Cada elemento de la izquierda se relaciona con uno de la derecha; la nota es la fracción de parejas acertadas
+  'matching': (question) => {
+    const count = question.pairs.length;
+    return {
+      declarations: `<responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="directedPair">
+    <correctResponse>
+${question.pairs.map((_, index) => `      <value>left_${index + 1} right_${index + 1}</value>`).join('\n')}
+    </correctResponse>
+    <mapping defaultValue="0" lowerBound="0">
+${question.pairs.map((_, index) => `      <mapEntry mapKey="left_${index + 1} right_${index + 1}" mappedValue="${1 / count}"/>`).join('\n')}
+    </mapping>
+  </responseDeclaration>
+  ${SCORE_DECLARATION}`,
+      body: `<matchInteraction responseIdentifier="RESPONSE" shuffle="true" maxAssociations="${count}">
+      <prompt>${escapeXml(question.question)}</prompt>
+      <simpleMatchSet>
+${question.pairs.map((pair, index) => `        <simpleAssociableChoice identifier="left_${index + 1}" matchMax="1">${escapeXml(pair.left)}</simpleAssociableChoice>`).join('\n')}
+      </simpleMatchSet>
+      <simpleMatchSet>
+${question.pairs.map((pair, index) => `        <simpleAssociableChoice identifier="right_${index + 1}" matchMax="1">${escapeXml(pair.right)}</simpleAssociableChoice>`).join('\n')}
+      </simpleMatchSet>
+    </matchInteraction>${scorerRubric('Explicación', question.explanation)}`,
+      processing: `<responseProcessing template="${MAP_RESPONSE_TEMPLATE}"/>`
+    };
+  },
+  // Los elementos se muestran barajados y solo puntúa el orden completo
+  'ordering': (question) => ({
+    declarations: `<responseDeclaration identifier="RESPONSE" cardinality="ordered" baseType="identifier">
+    <correctResponse>
+${question.sequence.map((_, index) => `      <value>item_${index + 1}</value>`).join('\n')}
+    </correctResponse>
+  </responseDeclaration>
+  ${SCORE_DECLARATION}`,
+    body: `<orderInteraction responseIdentifier="RESPONSE" shuffle="true">
+      <prompt>${escapeXml(question.question)}</prompt>
+${question.sequence.map((item, index) => `      <simpleChoice identifier="item_${index + 1}">${escapeXml(item)}</simpleChoice>`).join('\n')}
+    </orderInteraction>${scorerRubric('Explicación', question.explanation)}`,
+    processing: `<responseProcessing template="${MATCH_CORRECT_TEMPLATE}"/>`
+  }),
+  // Respuesta numérica, correcta si está dentro del margen de error
+  'numeric': (question) => ({
+    declarations: `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="float">
+    <correctResponse><value>${question.answer}</value></correctResponse>
+  </responseDeclaration>
+  ${SCORE_DECLARATION}`,
+    body: `${paragraphs(question.question)}
+    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="10"/>${question.unit ? ` ${escapeXml(question.unit)}` : ''}</p>${scorerRubric('Explicación', question.explanation)}`,
+    processing: `<responseProcessing>
+    <responseCondition>
+      <responseIf>
+        <equal toleranceMode="absolute" tolerance="${question.tolerance} ${question.tolerance}">
+          <variable identifier="RESPONSE"/>
+          <correct identifier="RESPONSE"/>
+        </equal>
+        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">1</baseValue></setOutcomeValue>
+      </responseIf>
+    </responseCondition>
+  </responseProcessing>`
+  })
+};
+
+// Tipos de pregunta que se pueden exportar a QTI
+export const QTI_QUESTION_TYPES = Object.keys(itemParts);
+
+const buildItem = (identifier, title, parts) => `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="${QTI_SCHEMA_LOCATION}"
+  identifier="${identifier}" title="${escapeXml(title)}" adaptive="false" timeDependent="false">
+  ${parts.declarations}
+  <itemBody>
+    ${parts.body}
+  </itemBody>${parts.processing ? `\n  ${parts.processing}` : ''}
+</assessmentItem>
+`;
+
+const buildTest = (title, items) => `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentTest xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="${QTI_SCHEMA_LOCATION}"
+  identifier="test" title="${escapeXml(title)}">
+  <testPart identifier="part_1" navigationMode="nonlinear" submissionMode="simultaneous">
+    <assessmentSection identifier="section_1" title="${escapeXml(title)}" visible="true">
+${items.map(item => `      <assessmentItemRef identifier="${item.identifier}" href="${item.href}"/>`).join('\n')}
+    </assessmentSection>
+  </testPart>
+</assessmentTest>
+`;
+
+const buildManifest = (items) => `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="manifest">
+  <metadata>
+    <schema>QTIv2.1 Package</schema>
+    <schemaversion>1.0.0</schemaversion>
+  </metadata>
+  <organizations/>
+  <resources>
+    <resource identifier="test" type="imsqti_test_xmlv2p1" href="test.xml">
+      <file href="test.xml"/>
+${items.map(item => `      <dependency identifierref="${item.identifier}"/>`).join('\n')}
+    </resource>
+${items.map(item => `    <resource identifier="${item.identifier}" type="imsqti_item_xmlv2p1" href="${item.href}">
+      <file href="${item.href}"/>
+    </resource>`).join('\n')}
+  </resources>
+</manifest>
+`;
+
+// Exportar un cuestionario como paquete IMS QTI 2.1 (zip con el manifiesto, el test y una pregunta por archivo)
+export const exportQti = async ({ title, questionType, questions }) => {
+  const zip = new JSZip();
+  const items = questions.map((question, index) => ({
+    identifier: `item_${index + 1}`,
+    href: `items/item_${index + 1}.xml`,
+    xml: buildItem(`item_${index + 1}`, `Pregunta ${index + 1}`, itemParts[question.questionType || questionType](question))
+  }));
+  
+  items.forEach(item => zip.file(item.href, item.xml));
+  zip.file('test.xml', buildTest(title, items));
+  zip.file('imsmanifest.xml', buildManifest(items));
+  
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+export default exportQti;
@@ -0,0 +1,40 @@
+import fs from 'fs';
+import path from 'path';
+import JSZip from 'jszip';
+import { parseAttributes, htmlToText } from './markupExtractor.js';
+
+// Texto de un libro EPUB: los capítulos en el orden de lectura (spine) del libro
+export const extractEpub = async (filePath) => {
+  const zip = await JSZip.loadAsync(fs.readFileSync(filePath));
+  
+  const containerXml = await zip.file('META-INF/container.xml')?.async('string');
+  const rootfileTag = (containerXml || '').match(/<rootfile\b[^>]*>/);
+  if (!rootfileTag) {
+    throw new Error('El EPUB no tiene META-INF/container.xml válido');
+  }
+  
+  const opfPath = parseAttributes(rootfileTag[0])['full-path'];
+  const opfXml = (await zip.file(opfPath)?.async('string')) || '';
+  const opfDir = path.posix.dirname(opfPath);
+  
+  const manifest = new Map();
+  for (const [tag] of opfXml.matchAll(/<item\b[^>]*>/g)) {
+    const { id, href, 'media-type': mediaType } = parseAttributes(tag);
+    manifest.set(id, { href, mediaType });
+  }
+  
+  const chapters = [];
+  for (const [tag] of opfXml.matchAll(/<itemref\b[^>]*>/g)) {
+    const item = manifest.get(parseAttributes(tag).idref);
+    if (!item || !/html/.test(item.mediaType || '')) continue;
+    
+    const chapterPath = path.posix.normalize(path.posix.join(opfDir, decodeURIComponent(item.href)));
+    const html = await zip.file(chapterPath)?.async('string');
+    const text = html ? htmlToText(html) : '';
+    if (text) chapters.push(text);
+  }
+  
+  return { text: chapters.join('\n\n'), pageCount: null };
+};
+
+export default extractEpub;
@@ -0,0 +1,9 @@
+import { ocrWorkerPool, DEFAULT_OCR_LANGUAGE } from './ocrWorkerPool.js';
+
+// Texto de una imagen mediante OCR, con la confianza media del reconocimiento
+export const extractImage = async (filePath, { language = DEFAULT_OCR_LANGUAGE } = {}) => {
+  const { text, confidence } = await ocrWorkerPool.recognize(filePath, language);
+  return { text, pageCount: 1, ocr: { language, confidence } };
+};
+
+export default extractImage;
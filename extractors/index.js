@@ -0,0 +1,145 @@
+import fs from 'fs';
+import path from 'path';
+import { extractPdf } from './pdfExtractor.js';
+import { extractWord } from './wordExtractor.js';
+import { extractImage } from './imageExtractor.js';
+import { extractPptx, extractOdt } from './officeExtractor.js';
+import { extractEpub } from './epubExtractor.js';
+import { extractHtml, extractMarkdown, extractPlainText } from './markupExtractor.js';
+import { isVercel, isVercelPath } from '../utils/environmentHelper.js';
+
+// Verificación del entorno Vercel (solo se puede leer de /tmp)
+const vercelEnvironment = isVercel() || process.cwd().includes('/var/task');
+
+// Extractores disponibles, por tipo de documento. Cada extractor recibe la ruta del archivo y las
+// opciones de extracción ({ language } para el OCR) y devuelve { text, pageCount, ocr?, pages? }
+// (pageCount es null si el formato no tiene páginas; ocr = { language, confidence } si se usó OCR;
+// pages = método de extracción de cada página, si el formato puede combinar texto y OCR).
+// El tipo se detecta por la extensión del archivo o, si no se reconoce, por su tipo MIME.
+const extractors = {
+  pdf: {
+    name: 'PDF',
+    extensions: ['.pdf'],
+    mimeTypes: ['application/pdf'],
+    extract: extractPdf
+  },
+  word: {
+    name: 'Word',
+    extensions: ['.docx', '.doc'],
+    mimeTypes: [
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/msword'
+    ],
+    extract: extractWord
+  },
+  pptx: {
+    name: 'PowerPoint',
+    extensions: ['.pptx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+    extract: extractPptx
+  },
+  odt: {
+    name: 'OpenDocument',
+    extensions: ['.odt'],
+    mimeTypes: ['application/vnd.oasis.opendocument.text'],
+    extract: extractOdt
+  },
+  epub: {
+    name: 'EPUB',
+    extensions: ['.epub'],
+    mimeTypes: ['application/epub+zip'],
+    extract: extractEpub
+  },
+  markdown: {
+    name: 'Markdown',
+    extensions: ['.md', '.markdown'],
+    mimeTypes: ['text/markdown', 'text/x-markdown'],
+    extract: extractMarkdown
+  },
+  html: {
+    name: 'HTML',
+    extensions: ['.html', '.htm', '.xhtml'],
+    mimeTypes: ['text/html', 'application/xhtml+xml'],
+    extract: extractHtml
+  },
+  text: {
+    name: 'texto',
+    extensions: ['.txt'],
+    mimeTypes: ['text/plain'],
+    extract: extractPlainText
+  },
+  image: {
+    name: 'imagen',
+    extensions: ['.jpg', '.jpeg', '.png'],
+    mimeTypes: ['image/jpeg', 'image/png', 'image/jpg'],
+    extract: extractImage
+  }
+};
+
+// Nombres de los formatos admitidos (para los mensajes de error)
+export const SUPPORTED_FORMATS = Object.values(extractors).map(extractor => extractor.name);
+
+// Detectar el tipo de un archivo subido ({ originalname, mimetype }); null si no está soportado
+export const detectDocumentType = ({ originalname, mimetype }) => {
+  const extension = path.extname(originalname || '').toLowerCase();
+  const types = Object.keys(extractors);
+  
+  return types.find(type => extension && extractors[type].extensions.includes(extension))
+    || types.find(type => extractors[type].mimeTypes.includes(mimetype))
+    || null;
+};
+
+// Extraer el texto de un documento subido según su tipo detectado. Devuelve { text, pageCount, ocr?, pages? }.
+// El archivo se elimina al terminar.
+export const extractTextFromDocument = async (filePath, documentType, options = {}) => {
+  try {
+    console.log(`Verificando existencia de archivo en: ${filePath}`);
+    
+    // Verificar si estamos en Vercel y el archivo no está en /tmp
+    if ((vercelEnvironment || isVercelPath(filePath)) && !filePath.startsWith('/tmp')) {
+      console.log(`Ruta de archivo incompatible con Vercel: ${filePath}`);
+      throw new Error(`Ruta de archivo no accesible en este entorno. Por favor use el campo de tema o texto.`);
+    }
+    
+    // Verificar que el archivo existe
+    if (!fs.existsSync(filePath)) {
+      console.error(`Archivo no encontrado en: ${filePath}`);
+      throw new Error(`El archivo no existe en la ruta especificada. Verifique que la ruta es correcta.`);
+    }
+    
+    const extractor = extractors[documentType];
+    if (!extractor) {
+      throw new Error(`Formato de archivo no soportado. Formatos admitidos: ${SUPPORTED_FORMATS.join(', ')}`);
+    }
+    
+    console.log(`Archivo encontrado, extrayendo texto (${extractor.name})...`);
+    
+    let result;
+    try {
+      result = await extractor.extract(filePath, options);
+    } catch (extractError) {
+      console.error(`Error al procesar el archivo ${extractor.name}:`, extractError);
+      throw new Error(`No se pudo extraer texto del archivo ${extractor.name}. Formato no compatible o archivo corrupto.`);
+    }
+    
+    console.log(`Documento ${extractor.name} procesado: ${result.text.length} caracteres extraídos`
+      + (result.pageCount ? ` (${result.pageCount} páginas)` : '')
+      + (result.ocr ? ` con OCR ${result.ocr.language}, confianza ${result.ocr.confidence}%` : ''));
+    return result;
+  } catch (error) {
+    console.error('Error al extraer texto del documento:', error);
+    throw new Error(`No se pudo procesar el documento: ${error.message}`);
+  } finally {
+    try {
+      if (fs.existsSync(filePath)) {
+        console.log(`Intentando eliminar archivo temporal: ${filePath}`);
+        fs.unlinkSync(filePath);
+        console.log(`Archivo temporal eliminado: ${filePath}`);
+      }
+    } catch (cleanupError) {
+      console.error('Error al limpiar archivo temporal:', cleanupError);
+    }
+  }
+};
+
+export default extractTextFromDocument;
@@ -0,0 +1,100 @@
+import fs from 'fs';
+
+// Entidades HTML/XML con nombre más habituales en apuntes en español
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  aacute: 'á', eacute: 'é', iacute: 'í', oacute: 'ó', uacute: 'ú', uuml: 'ü', ntilde: 'ñ',
+  Aacute: 'Á', Eacute: 'É', Iacute: 'Í', Oacute: 'Ó', Uacute: 'Ú', Uuml: 'Ü', Ntilde: 'Ñ',
+  iexcl: '¡', iquest: '¿', laquo: '«', raquo: '»', hellip: '…', mdash: '—', ndash: '–',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', middot: '·', deg: '°', copy: '©'
+};
+
+// Código Unicode válido (sin los sustitutos UTF-16, que no son caracteres por sí solos)
+const isValidCodePoint = (code) => code <= 0x10FFFF && !(code >= 0xD800 && code <= 0xDFFF);
+
+// Decodificar entidades con nombre y numéricas (&amp;, &#241;, &#xF1;).
+// Las numéricas fuera del rango de Unicode se dejan tal cual.
+export const decodeEntities = (text) => {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return isValidCodePoint(code) ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[entity] ?? match;
+  });
+};
+
+// Ordenar espacios: sin espacios repetidos dentro de las líneas y como mucho una línea en blanco seguida
+export const tidyText = (text) => {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.replace(/[ \t\u00A0]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+// Atributos de una etiqueta XML como objeto ({ Id: 'rId1', Target: '...' })
+export const parseAttributes = (tag) => {
+  const attributes = {};
+  for (const [, name, value] of tag.matchAll(/([\w:.-]+)\s*=\s*"([^"]*)"/g)) {
+    attributes[name] = decodeEntities(value);
+  }
+  return attributes;
+};
+
+const stripTags = (html) => html.replace(/<[^>]*>/g, '');
+
+// Convertir HTML en texto. Los títulos se conservan como títulos Markdown ("## Tema")
+// para que el documento se pueda dividir por secciones.
+export const htmlToText = (html) => {
+  const text = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head|nav|svg)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, inner) =>
+      `\n\n${'#'.repeat(Number(level))} ${stripTags(inner).replace(/\s+/g, ' ').trim()}\n\n`)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<\/(p|div|section|article|header|footer|blockquote|pre|ul|ol|tr|table|dt|dd|figure|figcaption)>/gi, '\n')
+    .replace(/<(td|th)\b[^>]*>/gi, ' ');
+  
+  return tidyText(decodeEntities(stripTags(text)));
+};
+
+// Quitar la sintaxis de Markdown que no aporta contenido (enlaces, imágenes, énfasis, código),
+// conservando los títulos y las listas
+export const markdownToText = (markdown) => {
+  const text = markdown
+    .replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n/, '') // front matter
+    .replace(/^\s*(```|~~~).*$/gm, '')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, '')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(^|[^\w*])[*_]([^*_\n]+)[*_](?=[^\w*]|$)/g, '$1$2')
+    .replace(/`([^`]+)`/g, '$1');
+  
+  return tidyText(decodeEntities(text));
+};
+
+const readUtf8 = (filePath) => fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+
+// Texto de un archivo HTML
+export const extractHtml = async (filePath) => ({ text: htmlToText(readUtf8(filePath)), pageCount: null });
+
+// Texto de un archivo Markdown
+export const extractMarkdown = async (filePath) => ({ text: markdownToText(readUtf8(filePath)), pageCount: null });
+
+// Texto plano
+export const extractPlainText = async (filePath) => ({ text: tidyText(readUtf8(filePath)), pageCount: null });
+
+export default {
+  decodeEntities,
+  parseAttributes,
+  htmlToText,
+  markdownToText,
+  extractHtml,
+  extractMarkdown,
+  extractPlainText
+};
@@ -0,0 +1,172 @@
+import dotenv from 'dotenv';
+import { createWorker } from 'tesseract.js';
+
+dotenv.config();
+
+// Idiomas de OCR admitidos (códigos de Tesseract); se pueden combinar con "+", p. ej. "spa+eng"
+export const OCR_LANGUAGES = ['spa', 'eng', 'fra', 'deu', 'ita', 'por', 'cat', 'glg', 'eus', 'lat'];
+export const DEFAULT_OCR_LANGUAGE = process.env.OCR_DEFAULT_LANGUAGE || 'spa';
+const MAX_COMBINED_LANGUAGES = 3;
+
+// Validar y normalizar el idioma de OCR solicitado ("SPA + eng" -> "spa+eng").
+// Devuelve { language } o { error }.
+export const parseOcrLanguage = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return { language: DEFAULT_OCR_LANGUAGE };
+  }
+  
+  const languages = String(value).toLowerCase().split('+').map(language => language.trim());
+  const unsupported = languages.filter(language => !OCR_LANGUAGES.includes(language));
+  
+  if (unsupported.length > 0 || languages.length > MAX_COMBINED_LANGUAGES) {
+    return {
+      error: `Idioma de OCR no soportado. Usa hasta ${MAX_COMBINED_LANGUAGES} de: ${OCR_LANGUAGES.join(', ')} (combinados con "+", p. ej. "spa+eng")`
+    };
+  }
+  
+  return { language: [...new Set(languages)].join('+') };
+};
+
+// Grupo acotado de workers de Tesseract reutilizados entre solicitudes.
+// Arrancar un worker (y cargar sus idiomas) es lo más lento del OCR, así que se mantienen calientes
+// y las solicitudes que no encuentran un worker libre esperan en cola.
+export const ocrWorkerPool = {
+  maxWorkers: Math.max(1, parseInt(process.env.OCR_POOL_SIZE) || 2),
+  idleTimeout: 5 * 60 * 1000, // Cerrar los workers que lleven 5 minutos sin uso
+  workers: [],
+  queue: [],
+  
+  // Reconocer el texto de una imagen. Devuelve { text, confidence } (confianza media de 0 a 100).
+  recognize: async function(image, language = DEFAULT_OCR_LANGUAGE) {
+    const slot = await this.acquire(language);
+    
+    try {
+      const { data } = await slot.worker.recognize(image);
+      return { text: data.text, confidence: Math.round(data.confidence) };
+    } finally {
+      this.release(slot);
+    }
+  },
+  
+  // Obtener un worker libre para el idioma (reutilizando, reconfigurando o creando uno), o esperar turno
+  acquire: async function(language) {
+    const idle = this.workers.filter(slot => !slot.busy);
+    let slot = idle.find(candidate => candidate.language === language) || null;
+    
+    if (!slot && this.workers.length < this.maxWorkers) {
+      slot = { worker: null, language, busy: true, idleTimer: null };
+      this.workers.push(slot);
+      
+      try {
+        slot.worker = await this.startWorker(language);
+        console.log(`Worker de OCR creado (${language}), ${this.workers.length}/${this.maxWorkers}`);
+      } catch (error) {
+        this.workers = this.workers.filter(candidate => candidate !== slot);
+        this.dispatch();
+        throw error;
+      }
+      return slot;
+    }
+    
+    slot = slot || idle[0];
+    if (!slot) {
+      return new Promise((resolve, reject) => this.queue.push({ language, resolve, reject }));
+    }
+    
+    this.take(slot);
+    if (slot.language !== language) {
+      await this.switchLanguage(slot, language);
+    }
+    return slot;
+  },
+  
+  // Arrancar un worker con los idiomas indicados.
+  // Sin errorHandler, tesseract.js lanza los errores del worker como excepciones no capturadas, y si
+  // falla la descarga de un idioma la promesa de createWorker no llega a resolverse: se rechaza aquí.
+  startWorker: function(language) {
+    return new Promise((resolve, reject) => {
+      let started = false;
+      
+      createWorker(language, undefined, {
+        errorHandler: (error) => {
+          if (started) {
+            console.error('Error en un worker de OCR:', error);
+          } else {
+            reject(new Error(`No se pudo iniciar el OCR (${language}): ${error}`));
+          }
+        }
+      }).then(worker => {
+        started = true;
+        resolve(worker);
+      }, reject);
+    });
+  },
+  
+  // Marcar un worker como ocupado
+  take: function(slot) {
+    slot.busy = true;
+    clearTimeout(slot.idleTimer);
+  },
+  
+  // Cambiar los idiomas cargados en un worker
+  switchLanguage: async function(slot, language) {
+    try {
+      await slot.worker.reinitialize(language);
+      slot.language = language;
+    } catch (error) {
+      await this.discard(slot);
+      throw error;
+    }
+  },
+  
+  // Devolver un worker al grupo y atender la siguiente solicitud en cola
+  release: function(slot) {
+    slot.busy = false;
+    slot.idleTimer = setTimeout(() => this.discard(slot), this.idleTimeout);
+    slot.idleTimer.unref(); // No mantener vivo el proceso solo por el temporizador
+    this.dispatch();
+  },
+  
+  // Entregar workers libres a las solicitudes en cola (preferentemente con el mismo idioma)
+  dispatch: function() {
+    while (this.queue.length > 0) {
+      const idle = this.workers.filter(slot => !slot.busy);
+      
+      if (idle.length === 0) {
+        // Un worker descartado deja sitio para crear otro
+        if (this.workers.length < this.maxWorkers) {
+          const { language, resolve, reject } = this.queue.shift();
+          this.acquire(language).then(resolve, reject);
+          continue;
+        }
+        return;
+      }
+      
+      const { language, resolve, reject } = this.queue.shift();
+      const slot = idle.find(candidate => candidate.language === language) || idle[0];
+      this.take(slot);
+      
+      if (slot.language === language) {
+        resolve(slot);
+      } else {
+        this.switchLanguage(slot, language).then(() => resolve(slot), reject);
+      }
+    }
+  },
+  
+  // Cerrar un worker y sacarlo del grupo
+  discard: async function(slot) {
+    clearTimeout(slot.idleTimer);
+    this.workers = this.workers.filter(candidate => candidate !== slot);
+    
+    try {
+      if (slot.worker) await slot.worker.terminate();
+    } catch (error) {
+      console.error('Error al cerrar un worker de OCR:', error);
+    }
+    
+    this.dispatch();
+  }
+};
+
+export default ocrWorkerPool;
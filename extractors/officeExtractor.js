@@ -0,0 +1,116 @@
+import fs from 'fs';
+import path from 'path';
+import JSZip from 'jszip';
+import { decodeEntities, parseAttributes, tidyText } from './markupExtractor.js';
+import { PAGE_SEPARATOR } from '../utils/documentChunker.js';
+
+const loadZip = (filePath) => JSZip.loadAsync(fs.readFileSync(filePath));
+
+const readZipText = async (zip, name) => {
+  const entry = zip.file(name);
+  return entry ? entry.async('string') : null;
+};
+
+// Relaciones de una parte del paquete (Id -> ruta dentro del zip)
+const readRelationships = async (zip, partName) => {
+  const relsName = path.posix.join(path.posix.dirname(partName), '_rels', `${path.posix.basename(partName)}.rels`);
+  const xml = await readZipText(zip, relsName);
+  const relationships = [];
+  
+  for (const [tag] of (xml || '').matchAll(/<Relationship\b[^>]*>/g)) {
+    const { Id, Type, Target } = parseAttributes(tag);
+    relationships.push({
+      id: Id,
+      type: Type || '',
+      target: path.posix.normalize(path.posix.join(path.posix.dirname(partName), Target))
+    });
+  }
+  return relationships;
+};
+
+// Texto de los párrafos DrawingML (<a:p>) de una diapositiva o de sus notas
+const drawingText = (xml) => {
+  const paragraphs = [];
+  const withoutFields = xml.replace(/<a:fld\b[\s\S]*?<\/a:fld>/g, ''); // número de diapositiva, fecha...
+  
+  for (const [, inner] of withoutFields.matchAll(/<a:p\b[^>]*>([\s\S]*?)<\/a:p>/g)) {
+    const text = inner
+      .replace(/<a:br\b[^>]*\/>/g, '\n')
+      .match(/<a:t(?:\s[^>]*)?>[^<]*<\/a:t>|\n/g);
+    const paragraph = (text || [])
+      .map(part => (part === '\n' ? '\n' : decodeEntities(part.replace(/<[^>]*>/g, ''))))
+      .join('')
+      .trim();
+    if (paragraph) paragraphs.push(paragraph);
+  }
+  return paragraphs.join('\n');
+};
+
+// Texto de una presentación PowerPoint: texto de cada diapositiva y sus notas del orador.
+// Las diapositivas se separan con un salto de página.
+export const extractPptx = async (filePath) => {
+  const zip = await loadZip(filePath);
+  
+  // El orden de las diapositivas lo define presentation.xml, no el nombre de los archivos
+  const presentationXml = (await readZipText(zip, 'ppt/presentation.xml')) || '';
+  const relationships = await readRelationships(zip, 'ppt/presentation.xml');
+  let slideNames = [...presentationXml.matchAll(/<p:sldId\b[^>]*>/g)]
+    .map(([tag]) => relationships.find(rel => rel.id === parseAttributes(tag)['r:id']))
+    .filter(Boolean)
+    .map(rel => rel.target);
+  
+  if (slideNames.length === 0) {
+    const slideNumber = (name) => Number(name.match(/(\d+)\.xml$/)[1]);
+    slideNames = Object.keys(zip.files)
+      .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+      .sort((a, b) => slideNumber(a) - slideNumber(b));
+  }
+  
+  const slides = [];
+  for (const slideName of slideNames) {
+    const slideText = drawingText((await readZipText(zip, slideName)) || '');
+    
+    const notesRel = (await readRelationships(zip, slideName)).find(rel => rel.type.endsWith('/notesSlide'));
+    const notesText = notesRel ? drawingText((await readZipText(zip, notesRel.target)) || '') : '';
+    
+    slides.push(notesText ? `${slideText}\n\nNotas del orador:\n${notesText}` : slideText);
+  }
+  
+  return { text: slides.join(PAGE_SEPARATOR), pageCount: slides.length };
+};
+
+// Máximo de espacios de un <text:s text:c="N"/> (el texto final agrupa los espacios seguidos)
+const MAX_ODT_SPACES = 100;
+
+// Número de espacios de un <text:s/>: el atributo text:c, o 1 si no lo tiene
+const spaceCount = (attributes) => {
+  const count = parseInt(parseAttributes(attributes)['text:c'], 10);
+  return Number.isInteger(count) && count > 0 ? Math.min(count, MAX_ODT_SPACES) : 1;
+};
+
+// Texto de un documento OpenDocument (.odt). Los títulos se conservan como títulos Markdown.
+export const extractOdt = async (filePath) => {
+  const zip = await loadZip(filePath);
+  const contentXml = (await readZipText(zip, 'content.xml')) || '';
+  const metaXml = (await readZipText(zip, 'meta.xml')) || '';
+  
+  const body = (contentXml.match(/<office:body>([\s\S]*)<\/office:body>/) || [null, contentXml])[1]
+    .replace(/<text:s\b([^>]*)\/>/g, (match, attributes) => ' '.repeat(spaceCount(attributes)))
+    .replace(/<text:tab\b[^>]*\/>/g, '\t')
+    .replace(/<text:line-break\b[^>]*\/>/g, '\n')
+    .replace(/<text:h\b([^>]*)>([\s\S]*?)<\/text:h>/g, (match, attributes, inner) => {
+      const level = Number((attributes.match(/text:outline-level="(\d+)"/) || [])[1]) || 1;
+      return `\n\n${'#'.repeat(Math.min(level, 6))} ${inner}\n\n`;
+    })
+    .replace(/<\/text:p>|<text:p\b[^>]*\/>/g, '\n')
+    .replace(/<text:list-item\b[^>]*>/g, '\n- ')
+    .replace(/<[^>]*>/g, '');
+  
+  const pageCount = Number((metaXml.match(/meta:page-count="(\d+)"/) || [])[1]) || null;
+  return { text: tidyText(decodeEntities(body)), pageCount };
+};
+
+export default {
+  extractPptx,
+  extractOdt
+};
@@ -0,0 +1,117 @@
+import fs from 'fs';
+import pdfParse from 'pdf-parse';
+import { PAGE_SEPARATOR } from '../utils/documentChunker.js';
+import { renderPdfPages } from './pdfRasterizer.js';
+import { ocrWorkerPool, DEFAULT_OCR_LANGUAGE } from './ocrWorkerPool.js';
+
+// Páginas con menos caracteres visibles que este umbral se consideran escaneadas y se pasan por OCR
+const MIN_PAGE_TEXT_LENGTH = 30;
+// Máximo de páginas de un PDF que se reconocen por OCR (el OCR tarda varios segundos por página)
+const MAX_OCR_PAGES = Math.max(0, parseInt(process.env.OCR_MAX_PDF_PAGES) || 30);
+
+// Extraer el texto de una página de PDF (misma lógica que el render por defecto de pdf-parse)
+const renderPdfPage = async (pageData) => {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false
+  });
+  
+  let lastY, text = '';
+  for (const item of textContent.items) {
+    if (lastY == item.transform[5] || !lastY) {
+      text += item.str;
+    } else {
+      text += '\n' + item.str;
+    }
+    lastY = item.transform[5];
+  }
+  return text;
+};
+
+const visibleLength = (text) => text.replace(/\s/g, '').length;
+
+// Reconocer por OCR las páginas indicadas. Devuelve un Map número de página -> { text, confidence }.
+// Si falla el OCR de una página se conserva su texto extraído y se sigue con las demás.
+const ocrPages = async (dataBuffer, pageNumbers, language) => {
+  const results = new Map();
+  
+  try {
+    for await (const { pageNumber, image, error: renderError } of renderPdfPages(dataBuffer, pageNumbers)) {
+      if (renderError) {
+        console.error(`Error al renderizar la página ${pageNumber} del PDF:`, renderError);
+        continue;
+      }
+      
+      try {
+        results.set(pageNumber, await ocrWorkerPool.recognize(image, language));
+      } catch (error) {
+        console.error(`Error al reconocer por OCR la página ${pageNumber} del PDF:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('Error al abrir el PDF para reconocer sus páginas escaneadas:', error);
+  }
+  
+  return results;
+};
+
+// Texto de un PDF, con las páginas separadas por un salto de página.
+// Las páginas sin texto extraíble (escaneadas) se renderizan y se reconocen por OCR; el resultado
+// indica en "pages" el método usado en cada página: 'text', 'ocr', 'empty' (el OCR tampoco encontró
+// texto), 'failed' (el OCR falló) o 'skipped' (demasiadas páginas escaneadas para reconocerlas todas).
+export const extractPdf = async (filePath, { language = DEFAULT_OCR_LANGUAGE } = {}) => {
+  const dataBuffer = fs.readFileSync(filePath);
+  const pages = [];
+  await pdfParse(dataBuffer, {
+    pagerender: async (pageData) => {
+      const text = await renderPdfPage(pageData);
+      pages.push(text);
+      return text;
+    }
+  });
+  
+  const scannedPages = pages
+    .map((text, index) => ({ pageNumber: index + 1, text }))
+    .filter(({ text }) => visibleLength(text) < MIN_PAGE_TEXT_LENGTH)
+    .map(({ pageNumber }) => pageNumber);
+  const pagesToOcr = scannedPages.slice(0, MAX_OCR_PAGES);
+  
+  if (scannedPages.length > 0) {
+    console.log(`PDF con ${scannedPages.length} páginas sin texto extraíble; reconociendo ${pagesToOcr.length} por OCR (${language})`);
+  }
+  
+  const recognized = pagesToOcr.length > 0 ? await ocrPages(dataBuffer, pagesToOcr, language) : new Map();
+  
+  const pageReports = pages.map((text, index) => {
+    const pageNumber = index + 1;
+    const ocrResult = recognized.get(pageNumber);
+    
+    // Se usa el OCR solo si recupera más texto que la extracción directa
+    if (ocrResult && visibleLength(ocrResult.text) > visibleLength(text)) {
+      pages[index] = ocrResult.text;
+      return { page: pageNumber, method: 'ocr', characters: ocrResult.text.length, confidence: ocrResult.confidence };
+    }
+    
+    if (!scannedPages.includes(pageNumber)) {
+      return { page: pageNumber, method: 'text', characters: text.length, confidence: null };
+    }
+    
+    let method = 'skipped';
+    if (pagesToOcr.includes(pageNumber)) {
+      method = ocrResult ? 'empty' : 'failed';
+    }
+    return { page: pageNumber, method, characters: text.length, confidence: ocrResult ? ocrResult.confidence : null };
+  });
+  
+  const ocrReports = pageReports.filter(report => report.method === 'ocr');
+  const ocr = ocrReports.length > 0
+    ? {
+        language,
+        confidence: Math.round(ocrReports.reduce((sum, report) => sum + report.confidence, 0) / ocrReports.length)
+      }
+    : null;
+  
+  return { text: pages.join(PAGE_SEPARATOR), pageCount: pages.length, ocr, pages: pageReports };
+};
+
+export default extractPdf;
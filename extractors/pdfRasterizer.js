@@ -0,0 +1,48 @@
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { createCanvas } from '@napi-rs/canvas';
+
+// Escala de renderizado: 1 = 72 ppp; 2.5 ≈ 180 ppp, suficiente para el OCR de texto impreso
+const RENDER_SCALE = 2.5;
+
+// Renderizar una página del PDF como imagen PNG
+const renderPage = async (pdf, pageNumber, scale) => {
+  const page = await pdf.getPage(pageNumber);
+  
+  try {
+    const viewport = page.getViewport({ scale });
+    const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    const context = canvas.getContext('2d');
+    
+    // Fondo blanco: las zonas transparentes se verían negras al reconocer el texto
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    await page.render({ canvasContext: context, viewport }).promise;
+    return canvas.toBuffer('image/png');
+  } finally {
+    page.cleanup();
+  }
+};
+
+// Renderizar páginas de un PDF como imágenes PNG, de una en una para no mantenerlas todas en memoria.
+// Genera { pageNumber, image } para cada número de página (empezando en 1), o { pageNumber, error }
+// si esa página no se pudo renderizar (las siguientes se renderizan igualmente).
+export async function* renderPdfPages(dataBuffer, pageNumbers, { scale = RENDER_SCALE } = {}) {
+  const pdf = await getDocument({ data: new Uint8Array(dataBuffer), verbosity: 0 }).promise;
+  
+  try {
+    for (const pageNumber of pageNumbers) {
+      let image;
+      try {
+        image = await renderPage(pdf, pageNumber, scale);
+      } catch (error) {
+        yield { pageNumber, error };
+        continue;
+      }
+      yield { pageNumber, image };
+    }
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+export default renderPdfPages;
@@ -0,0 +1,11 @@
+import fs from 'fs';
+import mammoth from 'mammoth';
+
+// Texto de un documento Word
+export const extractWord = async (filePath) => {
+  const dataBuffer = fs.readFileSync(filePath);
+  const result = await mammoth.extractRawText({ buffer: dataBuffer });
+  return { text: result.value, pageCount: null };
+};
+
+export default extractWord;
@@ -0,0 +1,120 @@
+import { OPTION_LETTERS } from '../utils/quizSchema.js';
+
+const OPTION_LINE = /^([A-Z])[.)]\s+(.+)$/;
+const ANSWER_LINE = /^ANSWER:\s*([A-Z])\s*$/i;
+// Opciones que convierten una pregunta de dos opciones en verdadero/falso
+const TRUE_LABELS = ['verdadero', 'true', 'cierto'];
+const FALSE_LABELS = ['falso', 'false'];
+
+// Convertir una pregunta Aiken en { questionType, question }; lanza un error si no encaja en ningún tipo
+const toQuestion = ({ text, options, answerIndex }) => {
+  const labels = options.map(option => option.toLowerCase().replace(/[.\s]+$/, ''));
+  if (options.length === 2 && TRUE_LABELS.includes(labels[0]) && FALSE_LABELS.includes(labels[1])) {
+    const isTrue = answerIndex === 0;
+    return {
+      questionType: 'true-false',
+      question: {
+        statement: text,
+        isTrue,
+        explanation: `La afirmación es ${isTrue ? 'verdadera' : 'falsa'}.`
+      }
+    };
+  }
+  
+  if (options.length !== OPTION_LETTERS.length) {
+    throw new Error(`las preguntas de opción múltiple deben tener ${OPTION_LETTERS.length} opciones (tiene ${options.length})`);
+  }
+  
+  const correctAnswer = OPTION_LETTERS[answerIndex];
+  return {
+    questionType: 'multiple-choice',
+    question: {
+      question: text,
+      options,
+      correctAnswer,
+      explanation: `La respuesta correcta es la opción ${correctAnswer}.`
+    }
+  };
+};
+
+// Parsear un banco de preguntas en formato Aiken: enunciado, opciones "A." o "A)" y "ANSWER: X".
+// Devuelve { items: [{ line, questionType, question }], errors: [{ line, message }] }.
+export const parseAiken = (content) => {
+  const items = [];
+  const errors = [];
+  let current = null;
+  // Tras un error en mitad de una pregunta se ignoran sus líneas hasta su ANSWER
+  let skipping = false;
+  
+  const fail = (line, message) => {
+    errors.push({ line, message });
+    current = null;
+  };
+  
+  content.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    const lineNumber = index + 1;
+    if (!line) return;
+    
+    const answer = line.match(ANSWER_LINE);
+    if (skipping) {
+      skipping = !answer;
+      return;
+    }
+    if (answer) {
+      if (!current) {
+        errors.push({ line: lineNumber, message: 'línea ANSWER sin pregunta' });
+        return;
+      }
+      if (current.options.length < 2) {
+        fail(current.line, 'la pregunta debe tener al menos dos opciones');
+        return;
+      }
+      
+      const answerIndex = answer[1].toUpperCase().charCodeAt(0) - 65;
+      if (answerIndex >= current.options.length) {
+        fail(lineNumber, `la respuesta ${answer[1].toUpperCase()} no corresponde a ninguna opción`);
+        return;
+      }
+      
+      try {
+        items.push({ line: current.line, ...toQuestion({ ...current, answerIndex }) });
+      } catch (error) {
+        errors.push({ line: current.line, message: error.message });
+      }
+      current = null;
+      return;
+    }
+    
+    const option = line.match(OPTION_LINE);
+    if (current && option) {
+      const expected = String.fromCharCode(65 + current.options.length);
+      if (option[1] !== expected) {
+        fail(lineNumber, `se esperaba la opción ${expected}`);
+        skipping = true;
+        return;
+      }
+      current.options.push(option[2].trim());
+      return;
+    }
+    
+    // Una línea que no es opción ni respuesta empieza una pregunta (o continúa el enunciado)
+    if (current && current.options.length > 0) {
+      errors.push({ line: current.line, message: 'falta la línea ANSWER' });
+      current = null;
+    }
+    if (current) {
+      current.text = `${current.text} ${line}`;
+    } else {
+      current = { line: lineNumber, text: line, options: [] };
+    }
+  });
+  
+  if (current) {
+    errors.push({ line: current.line, message: 'falta la línea ANSWER' });
+  }
+  
+  return { items, errors };
+};
+
+export default parseAiken;
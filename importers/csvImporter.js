@@ -0,0 +1,146 @@
+import { OPTION_LETTERS } from '../utils/quizSchema.js';
+
+// Columnas obligatorias; el resto (number, type, option_a..d, correct_answer, explanation, model_answer) son opcionales
+const REQUIRED_COLUMNS = ['question'];
+const TRUE_VALUES = ['true', 'verdadero', 'v', 't', '1'];
+const FALSE_VALUES = ['false', 'falso', 'f', '0'];
+
+// Separar un CSV (RFC 4180) en registros, con la línea en la que empieza cada uno.
+// Admite campos entre comillas con separadores, comillas dobles ("") y saltos de línea.
+const parseRecords = (content, separator) => {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === separator) {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      fields.push(field);
+      records.push({ line: recordLine, fields });
+      fields = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+  
+  if (field !== '' || fields.length > 0) {
+    fields.push(field);
+    records.push({ line: recordLine, fields });
+  }
+  
+  return records.filter(record => record.fields.some(value => value.trim()));
+};
+
+// Tipo de una fila: la columna "type" o, si está vacía, el que se deduce de las columnas rellenas
+const rowType = (row) => {
+  if (row.type) return row.type.toLowerCase();
+  if (OPTION_LETTERS.some(letter => row[`option_${letter}`])) return 'multiple-choice';
+  if ([...TRUE_VALUES, ...FALSE_VALUES].includes(row.correct_answer.toLowerCase())) return 'true-false';
+  return 'open-ended';
+};
+
+// Convertir una fila en { questionType, question }; lanza un error si la fila no es válida
+const toQuestion = (row) => {
+  const questionType = rowType(row);
+  
+  if (questionType === 'multiple-choice') {
+    const correctAnswer = row.correct_answer.toLowerCase().replace(/[).:]$/, '');
+    return {
+      questionType,
+      question: {
+        question: row.question,
+        options: OPTION_LETTERS.map(letter => row[`option_${letter}`]),
+        correctAnswer,
+        explanation: row.explanation || (OPTION_LETTERS.includes(correctAnswer) ? `La respuesta correcta es la opción ${correctAnswer}.` : '')
+      }
+    };
+  }
+  
+  if (questionType === 'true-false') {
+    const value = row.correct_answer.toLowerCase();
+    if (!TRUE_VALUES.includes(value) && !FALSE_VALUES.includes(value)) {
+      throw new Error('"correct_answer" debe ser true o false');
+    }
+    const isTrue = TRUE_VALUES.includes(value);
+    return {
+      questionType,
+      question: {
+        statement: row.question,
+        isTrue,
+        explanation: row.explanation || `La afirmación es ${isTrue ? 'verdadera' : 'falsa'}.`
+      }
+    };
+  }
+  
+  if (questionType === 'open-ended') {
+    return {
+      questionType,
+      question: { question: row.question, modelAnswer: row.model_answer || row.correct_answer }
+    };
+  }
+  
+  throw new Error(`tipo de pregunta no soportado "${row.type}". Usa uno de: multiple-choice, true-false, open-ended`);
+};
+
+// Parsear un banco de preguntas en CSV con cabecera (las mismas columnas que la exportación a CSV).
+// El separador puede ser coma o punto y coma (Excel en español). Las líneas de los errores son las del archivo.
+// Devuelve { items: [{ line, questionType, question }], errors: [{ line, message }] }.
+export const parseCsv = (content) => {
+  const text = content.replace(/^\uFEFF/, '');
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const separator = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+  const [header, ...records] = parseRecords(text, separator);
+  
+  if (!header) {
+    return { items: [], errors: [{ line: 1, message: 'el archivo está vacío' }] };
+  }
+  
+  const columns = header.fields.map(column => column.trim().toLowerCase());
+  const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    return { items: [], errors: [{ line: header.line, message: `faltan columnas en la cabecera: ${missing.join(', ')}` }] };
+  }
+  
+  const items = [];
+  const errors = [];
+  records.forEach(({ line, fields }) => {
+    const row = Object.fromEntries(['type', 'correct_answer', 'explanation', 'model_answer', ...OPTION_LETTERS.map(letter => `option_${letter}`)]
+      .map(column => [column, '']));
+    columns.forEach((column, index) => {
+      row[column] = (fields[index] || '').trim();
+    });
+    
+    try {
+      items.push({ line, ...toQuestion(row) });
+    } catch (error) {
+      errors.push({ line, message: error.message });
+    }
+  });
+  
+  return { items, errors };
+};
+
+export default parseCsv;
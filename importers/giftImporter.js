@@ -0,0 +1,168 @@
+import { OPTION_LETTERS } from '../utils/quizSchema.js';
+
+const GIFT_ESCAPES = { n: '\n', '~': '~', '=': '=', '#': '#', '{': '{', '}': '}', ':': ':', '\\': '\\' };
+
+// Quitar los escapes de GIFT (\~ \= \# \{ \} \: \n)
+const unescapeGift = (value) => value.replace(/\\(.)/g, (match, char) => GIFT_ESCAPES[char] ?? match).trim();
+
+// Posición del primer carácter no escapado de `chars` a partir de `from` (-1 si no hay)
+const findUnescaped = (text, chars, from = 0) => {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (chars.includes(text[i])) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+// Separar el bloque de respuestas en la retroalimentación general (####) y las respuestas (=correcta, ~incorrecta),
+// cada una con su retroalimentación (#) y su porcentaje (%50%)
+const parseAnswerBlock = (block) => {
+  let body = block;
+  let generalFeedback = '';
+  const generalIndex = body.search(/(?<!\\)####/);
+  if (generalIndex !== -1) {
+    generalFeedback = unescapeGift(body.slice(generalIndex + 4));
+    body = body.slice(0, generalIndex);
+  }
+  
+  const answers = [];
+  let start = findUnescaped(body, '=~');
+  while (start !== -1) {
+    const next = findUnescaped(body, '=~', start + 1);
+    const raw = body.slice(start + 1, next === -1 ? body.length : next);
+    const feedbackIndex = findUnescaped(raw, '#');
+    let text = feedbackIndex === -1 ? raw : raw.slice(0, feedbackIndex);
+    
+    const weightMatch = text.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+    const weight = weightMatch ? Number(weightMatch[1]) : (body[start] === '=' ? 100 : 0);
+    if (weightMatch) text = text.slice(weightMatch[0].length);
+    
+    answers.push({
+      correct: body[start] === '=' || weight >= 100,
+      text: unescapeGift(text),
+      feedback: feedbackIndex === -1 ? '' : unescapeGift(raw.slice(feedbackIndex + 1))
+    });
+    start = next;
+  }
+  
+  return { body: body.trim(), answers, generalFeedback };
+};
+
+// Convertir una pregunta GIFT en { questionType, question }; lanza un error si el tipo no está soportado
+const toQuestion = (text, block) => {
+  const { body, answers, generalFeedback } = parseAnswerBlock(block);
+  
+  // Verdadero/falso: {T}, {TRUE}, {F}, {FALSE} (con retroalimentación opcional)
+  const trueFalse = body.match(/^(T|TRUE|F|FALSE)\b/i);
+  if (trueFalse && answers.length === 0) {
+    const isTrue = trueFalse[1].toUpperCase().startsWith('T');
+    return {
+      questionType: 'true-false',
+      question: {
+        statement: text,
+        isTrue,
+        explanation: generalFeedback || `La afirmación es ${isTrue ? 'verdadera' : 'falsa'}.`
+      }
+    };
+  }
+  
+  if (body.startsWith('#')) {
+    throw new Error('las preguntas numéricas no están soportadas');
+  }
+  if (answers.some(answer => answer.text.includes('->'))) {
+    throw new Error('las preguntas de emparejamiento no están soportadas');
+  }
+  
+  // Ensayo ({} o solo retroalimentación general) y respuesta corta (solo respuestas correctas)
+  if (answers.length === 0 || answers.every(answer => answer.correct)) {
+    const modelAnswer = answers.length > 0
+      ? answers[0].text
+      : generalFeedback.replace(/^Respuesta modelo:\s*/i, '');
+    if (!modelAnswer) {
+      throw new Error('la pregunta abierta no tiene respuesta modelo (añádela como retroalimentación general con ####)');
+    }
+    return { questionType: 'open-ended', question: { question: text, modelAnswer } };
+  }
+  
+  const correct = answers.filter(answer => answer.correct);
+  if (correct.length !== 1) {
+    throw new Error('las preguntas de opción múltiple deben tener exactamente una respuesta correcta');
+  }
+  if (answers.length !== OPTION_LETTERS.length) {
+    throw new Error(`las preguntas de opción múltiple deben tener ${OPTION_LETTERS.length} opciones (tiene ${answers.length})`);
+  }
+  
+  const correctAnswer = OPTION_LETTERS[answers.indexOf(correct[0])];
+  return {
+    questionType: 'multiple-choice',
+    question: {
+      question: text,
+      options: answers.map(answer => answer.text),
+      correctAnswer,
+      explanation: generalFeedback || correct[0].feedback || `La respuesta correcta es la opción ${correctAnswer}.`
+    }
+  };
+};
+
+// Parsear un banco de preguntas en formato Moodle GIFT.
+// Devuelve { items: [{ line, questionType, question }], errors: [{ line, message }] }.
+export const parseGift = (content) => {
+  const items = [];
+  const errors = [];
+  const lines = content.split(/\r?\n/);
+  let buffer = [];
+  let startLine = 0;
+  
+  const flush = () => {
+    const raw = buffer.join('\n').trim();
+    buffer = [];
+    if (!raw) return;
+    
+    try {
+      const open = findUnescaped(raw, '{');
+      const close = open === -1 ? -1 : findUnescaped(raw, '}', open);
+      if (open === -1 || close === -1) {
+        throw new Error('falta el bloque de respuestas entre llaves { }');
+      }
+      if (raw.slice(close + 1).trim()) {
+        throw new Error('las preguntas con el hueco en mitad del texto no están soportadas');
+      }
+      
+      // Quitar el título (::título::) y el formato del texto ([html], [markdown]...)
+      const text = unescapeGift(
+        raw.slice(0, open)
+          .replace(/^::(?:[^:\\]|\\.)*::/, '')
+          .replace(/^\s*\[(?:html|moodle|plain|markdown)\]/i, '')
+          .replace(/<[^>]+>/g, '')
+      );
+      if (!text) {
+        throw new Error('la pregunta no tiene enunciado');
+      }
+      
+      items.push({ line: startLine, ...toQuestion(text, raw.slice(open + 1, close)) });
+    } catch (error) {
+      errors.push({ line: startLine, message: error.message });
+    }
+  };
+  
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('//') || trimmed.startsWith('$CATEGORY:')) return;
+    
+    // Las preguntas se separan por líneas en blanco
+    if (!trimmed) {
+      flush();
+      return;
+    }
+    if (buffer.length === 0) startLine = index + 1;
+    buffer.push(line);
+  });
+  flush();
+  
+  return { items, errors };
+};
+
+export default parseGift;
@@ -0,0 +1,68 @@
+import path from 'path';
+import { validateQuestion } from '../utils/quizSchema.js';
+import { parseGift } from './giftImporter.js';
+import { parseAiken } from './aikenImporter.js';
+import { parseCsv } from './csvImporter.js';
+
+// Formatos de importación de bancos de preguntas. Cada importador recibe el texto del archivo y devuelve
+// { items: [{ line, questionType, question }], errors: [{ line, message }] }.
+const importers = {
+  gift: {
+    name: 'Moodle GIFT',
+    extensions: ['.gift'],
+    parse: parseGift
+  },
+  aiken: {
+    name: 'Aiken',
+    extensions: ['.aiken'],
+    parse: parseAiken
+  },
+  csv: {
+    name: 'CSV',
+    extensions: ['.csv'],
+    parse: parseCsv
+  }
+};
+
+export const IMPORT_FORMATS = Object.keys(importers);
+// Extensiones que se aceptan al subir un banco (los .txt pueden ser GIFT o Aiken)
+export const IMPORT_EXTENSIONS = [...Object.values(importers).flatMap(importer => importer.extensions), '.txt'];
+
+// Detectar el formato por la extensión del archivo o, si no basta, por el contenido
+export const detectImportFormat = (fileName, content) => {
+  const extension = path.extname(String(fileName || '')).toLowerCase();
+  const byExtension = IMPORT_FORMATS.find(format => importers[format].extensions.includes(extension));
+  if (byExtension) return byExtension;
+  
+  if (/^\s*ANSWER:\s*[A-Z]\s*$/im.test(content)) return 'aiken';
+  if (/(?<!\\)\{[^}]*(?<!\\)\}/.test(content)) return 'gift';
+  return null;
+};
+
+// Parsear un banco de preguntas y validar cada pregunta con el mismo esquema que las generadas por el modelo.
+// Devuelve { questions: [{ line, questionType, question }], errors: [{ line, message }] } ordenados por línea.
+// Lanza un error con code 'IMPORT_UNSUPPORTED' si el formato no existe.
+export const parseQuestionBank = (format, content) => {
+  const importer = importers[format];
+  if (!importer) {
+    const error = new Error(`Formato de importación no soportado. Usa uno de: ${IMPORT_FORMATS.join(', ')}`);
+    error.code = 'IMPORT_UNSUPPORTED';
+    throw error;
+  }
+  
+  const { items, errors } = importer.parse(String(content || ''));
+  const questions = [];
+  
+  items.forEach(({ line, questionType, question: rawQuestion }) => {
+    const { question, errors: questionErrors } = validateQuestion(questionType, rawQuestion);
+    if (questionErrors.length === 0) {
+      questions.push({ line, questionType, question });
+    } else {
+      errors.push({ line, message: questionErrors.join('; ') });
+    }
+  });
+  
+  return { questions, errors: errors.sort((a, b) => a.line - b.line) };
+};
+
+export default parseQuestionBank;
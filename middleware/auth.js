@@ -0,0 +1,49 @@
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+
+if (!process.env.JWT_SECRET) {
+  console.warn('⚠️ JWT_SECRET no está definida. Los tokens de autenticación no se podrán firmar ni verificar.');
+}
+
+// Firmar un token para un usuario autenticado
+export const signToken = (user) => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET no configurada');
+  }
+  
+  return jwt.sign(
+    { sub: user._id.toString(), email: user.email },
+    process.env.JWT_SECRET,
+    { expiresIn: JWT_EXPIRES_IN }
+  );
+};
+
+// Middleware que exige un token válido en la cabecera Authorization
+export const requireAuth = (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Se requiere autenticación' });
+  }
+  
+  if (!process.env.JWT_SECRET) {
+    return res.status(500).json({ 
+      error: 'La autenticación no está configurada en el servidor',
+      message: 'Error interno del servidor: JWT_SECRET no configurada. Verifica el archivo .env'
+    });
+  }
+  
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    req.user = { id: payload.sub, email: payload.email };
+    next();
+  } catch (error) {
+    console.error('Token inválido:', error.message);
+    return res.status(401).json({ error: 'Token inválido o expirado' });
+  }
+};
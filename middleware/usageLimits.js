@@ -0,0 +1,49 @@
+import { consumeUsage, releaseUsage } from '../utils/usageLimiter.js';
+
+// Identificador del solicitante: el usuario autenticado (todas las rutas con límites de uso requieren sesión)
+export const getUsageSubject = (req) => `user:${req.user.id}`;
+
+// Middleware que aplica los límites por usuario de una acción ('generation', 'grading' o 'chat').
+// `appliesTo(req)` permite limitar solo algunas solicitudes (p. ej. solo la evaluación de preguntas abiertas).
+export const enforceUsageLimit = (action, { appliesTo } = {}) => async (req, res, next) => {
+  try {
+    if (appliesTo && !(await appliesTo(req))) {
+      return next();
+    }
+    
+    const subject = getUsageSubject(req);
+    const usage = await consumeUsage(action, subject);
+    
+    if (!usage.allowed) {
+      const period = usage.window === 'minute' ? 'por minuto' : 'diario';
+      res.set('Retry-After', String(usage.retryAfter));
+      return res.status(429).json({
+        error: `Has alcanzado tu límite ${period} de ${usage.limit} solicitudes`,
+        message: `Por favor, intenta de nuevo en ${usage.retryAfter} segundos`,
+        retryAfter: usage.retryAfter,
+        limit: { action, window: usage.window, max: usage.limit }
+      });
+    }
+    
+    // Las solicitudes rechazadas por el propio endpoint no consumen el límite del usuario.
+    // Se devuelve el uso a las ventanas en las que se contó, aunque la solicitud termine en otro minuto.
+    // Los endpoints que informan de sus errores con un 200 (p. ej. en streaming) llaman a res.locals.releaseUsage().
+    let released = false;
+    res.locals.releaseUsage = () => {
+      if (released) return;
+      released = true;
+      releaseUsage(action, subject, usage.windows).catch(error => console.error('Error al liberar el uso:', error));
+    };
+    res.on('finish', () => {
+      if (res.statusCode >= 400) {
+        res.locals.releaseUsage();
+      }
+    });
+    
+    next();
+  } catch (error) {
+    // Un fallo al contar el uso no debe bloquear al estudiante
+    console.error(`Error al aplicar el límite de uso "${action}":`, error);
+    next();
+  }
+};
@@ -0,0 +1,27 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Session from './models/Session.js';
+import { backfillReviewHistory } from './services/reviewService.js';
+
+// Migración de una sola vez: planificar el repaso espaciado de las preguntas respondidas antes de que existiera.
+// Se puede volver a ejecutar sin riesgo: las preguntas que ya tienen planificación no se tocan.
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/study-buddy-app';
+
+try {
+  await mongoose.connect(MONGODB_URI);
+  
+  const owners = (await Session.distinct('owner')).filter(Boolean);
+  let total = 0;
+  for (const owner of owners) {
+    total += await backfillReviewHistory(owner);
+  }
+  
+  console.log(`✅ Repaso espaciado: ${total} preguntas del historial planificadas (${owners.length} usuarios)`);
+} catch (error) {
+  console.error('❌ Error al migrar el historial de repaso:', error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
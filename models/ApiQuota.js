@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+// Estado compartido de cuota y ritmo de solicitudes a la API de IA (un documento por clave de API)
+const ApiQuotaSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: 'gemini'
+  },
+  requestsToday: {
+    type: Number,
+    default: 0
+  },
+  requestsThisMinute: {
+    type: Number,
+    default: 0
+  },
+  lastMinuteTimestamp: {
+    type: Number,
+    default: 0
+  },
+  dailyReset: String,
+  minuteQuota: Number,
+  dailyQuota: Number,
+  quotaExceededCount: {
+    type: Number,
+    default: 0
+  },
+  // Momento reservado para la última solicitud (para espaciar las solicitudes entre instancias)
+  lastRequestSlot: {
+    type: Number,
+    default: 0
+  },
+  lastUpdate: String,
+  history: [{
+    _id: false,
+    date: String,
+    requests: Number,
+    quotaExceeds: Number
+  }]
+});
+
+const ApiQuota = mongoose.models.ApiQuota || mongoose.model('ApiQuota', ApiQuotaSchema);
+
+export default ApiQuota;
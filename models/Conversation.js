@@ -20,9 +20,15 @@ const ConversationSchema = new mongoose.Schema({
   },
   userAnswers: [{
     questionIndex: Number,
+    // Tipo de la pregunta respondida (en los cuestionarios mixtos cada pregunta tiene el suyo)
+    questionType: String,
     userAnswer: String,
     correct: Boolean,
-    score: Number
+    score: Number,
+    answeredAt: {
+      type: Date,
+      default: Date.now
+    }
   }]
 });
 
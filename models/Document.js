@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+
+const DocumentSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  // Tipo detectado (pdf, word, pptx, markdown...), que decide cómo se extrae el texto
+  documentType: {
+    type: String,
+    default: null
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+  // SHA-256 del archivo subido (para no volver a procesar el mismo archivo)
+  contentHash: {
+    type: String,
+    required: true
+  },
+  // Texto extraído (las páginas se separan con un salto de página)
+  text: {
+    type: String,
+    default: ''
+  },
+  characterCount: {
+    type: Number,
+    default: 0
+  },
+  pageCount: {
+    type: Number,
+    default: null
+  },
+  // Idiomas y confianza media (0-100) del OCR, si el texto se obtuvo por OCR
+  ocr: {
+    language: {
+      type: String,
+      default: null
+    },
+    confidence: {
+      type: Number,
+      default: null
+    }
+  },
+  // Método de extracción de cada página (texto del PDF u OCR de la página renderizada)
+  pages: [{
+    _id: false,
+    page: Number,
+    method: {
+      type: String,
+      enum: ['text', 'ocr', 'empty', 'failed', 'skipped']
+    },
+    characters: Number,
+    confidence: Number
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Por debajo de esta confianza el texto reconocido probablemente tiene muchos errores
+const LOW_OCR_CONFIDENCE = 60;
+
+// Cada usuario guarda una sola copia de cada archivo
+DocumentSchema.index({ owner: 1, contentHash: 1 }, { unique: true });
+
+// Metadatos públicos del documento (sin el texto extraído)
+DocumentSchema.methods.toSummaryJSON = function() {
+  return {
+    id: this._id.toString(),
+    fileName: this.fileName,
+    mimeType: this.mimeType,
+    documentType: this.documentType,
+    size: this.size,
+    contentHash: this.contentHash,
+    characterCount: this.characterCount,
+    pageCount: this.pageCount,
+    ocr: this.ocr && this.ocr.language
+      ? {
+          language: this.ocr.language,
+          confidence: this.ocr.confidence,
+          lowConfidence: this.ocr.confidence !== null && this.ocr.confidence < LOW_OCR_CONFIDENCE
+        }
+      : null,
+    // Número de páginas por método de extracción ({ text: 10, ocr: 2 })
+    pageMethods: (this.pages || []).reduce((counts, page) => {
+      counts[page.method] = (counts[page.method] || 0) + 1;
+      return counts;
+    }, {}),
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt
+  };
+};
+
+const Document = mongoose.models.Document || mongoose.model('Document', DocumentSchema);
+
+export default Document;
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+const QuizJobSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Qué se genera: un cuestionario, un mazo de tarjetas o unos apuntes
+  kind: {
+    type: String,
+    enum: ['quiz', 'flashcards', 'summary'],
+    default: 'quiz'
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'done', 'failed'],
+    default: 'queued'
+  },
+  // Parámetros de generación (length solo en los apuntes): el texto enviado, o el documento de la biblioteca del que se lee el texto
+  params: {
+    topic: String,
+    questionType: String,
+    questionCount: Number,
+    composition: [{
+      _id: false,
+      questionType: String,
+      count: Number
+    }],
+    difficulty: String,
+    bloomLevels: [String],
+    sessionId: String,
+    sessionTitle: String,
+    length: String,
+    content: String,
+    documentId: String,
+    hasDocument: Boolean
+  },
+  // Resultado público (sin clave de respuestas) una vez terminado
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    message: String,
+    problems: [String]
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  startedAt: Date,
+  // Último latido del worker: se actualiza al reclamar el trabajo y tras cada petición al modelo
+  heartbeatAt: Date,
+  finishedAt: Date
+});
+
+// Índice para que el worker tome los trabajos pendientes por orden de llegada
+QuizJobSchema.index({ status: 1, createdAt: 1 });
+
+const QuizJob = mongoose.models.QuizJob || mongoose.model('QuizJob', QuizJobSchema);
+
+export default QuizJob;
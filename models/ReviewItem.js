@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+// Estado de repaso espaciado (SM-2) de una pregunta para un usuario
+const ReviewItemSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sessionId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  conversationId: {
+    type: String,
+    required: true
+  },
+  questionIndex: {
+    type: Number,
+    required: true
+  },
+  // Factor de facilidad: cuánto crece el intervalo tras cada acierto (mínimo 1.3)
+  easeFactor: {
+    type: Number,
+    default: 2.5
+  },
+  // Días hasta el siguiente repaso
+  interval: {
+    type: Number,
+    default: 0
+  },
+  // Aciertos seguidos desde el último fallo
+  repetitions: {
+    type: Number,
+    default: 0
+  },
+  lapses: {
+    type: Number,
+    default: 0
+  },
+  reviewCount: {
+    type: Number,
+    default: 0
+  },
+  lastQuality: {
+    type: Number,
+    default: null
+  },
+  lastReviewedAt: Date,
+  dueAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Una entrada por usuario y pregunta
+ReviewItemSchema.index({ owner: 1, conversationId: 1, questionIndex: 1 }, { unique: true });
+// Índice para buscar los repasos pendientes de un usuario
+ReviewItemSchema.index({ owner: 1, dueAt: 1 });
+
+const ReviewItem = mongoose.models.ReviewItem || mongoose.model('ReviewItem', ReviewItemSchema);
+
+export default ReviewItem;
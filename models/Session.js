@@ -1,30 +1,71 @@
 import mongoose from 'mongoose';
 
 const SessionSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
   title: {
     type: String,
     required: true
   },
   type: {
     type: String,
-    enum: ['quiz', 'chat'],
+    enum: ['quiz', 'chat', 'flashcards', 'summary', 'adaptive'],
     default: 'quiz'
   },
+  // Tipo de las preguntas de los cuestionarios y las prácticas adaptativas (null en el resto de sesiones).
+  // 'mixed' si el cuestionario mezcla tipos: entonces cada pregunta guarda el suyo en "questionType".
   questionType: {
     type: String,
-    enum: ['multiple-choice', 'true-false', 'open-ended'],
-    default: 'multiple-choice'
+    enum: ['multiple-choice', 'true-false', 'open-ended', 'fill-in-the-blank', 'matching', 'ordering', 'numeric', 'mixed'],
+    default: null
   },
   topic: {
     type: String,
     default: ''
   },
+  // Material de las sesiones de tutor (type 'chat'): un documento de la biblioteca o un cuestionario.
+  // Las prácticas adaptativas (type 'adaptive') también pueden basarse en un documento de la biblioteca.
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    default: null
+  },
+  sourceSessionId: {
+    type: String,
+    default: null
+  },
+  // Práctica adaptativa (type 'adaptive'): reglas de parada, última estimación de la habilidad y, al terminar, el motivo
+  adaptive: {
+    maxQuestions: Number,
+    targetError: Number,
+    ability: Number,
+    standardError: Number,
+    // 'target-error' o 'max-questions'
+    stopReason: String,
+    finishedAt: Date,
+    // Pregunta que se está generando (id de su conversación) y desde cuándo, para no generar dos a la vez
+    pendingConversationId: {
+      type: String,
+      default: null
+    },
+    pendingSince: {
+      type: Date,
+      default: null
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// Índice compuesto para listar las sesiones de un usuario por fecha
+SessionSchema.index({ owner: 1, createdAt: -1 });
+
 const Session = mongoose.models.Session || mongoose.model('Session', SessionSchema);
 
 export default Session;
@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+// Contador de uso por usuario/IP, acción y ventana de tiempo (p. ej. "generation:user:123:day:2025-04-25")
+const UsageCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  // MongoDB elimina el contador automáticamente cuando su ventana ha terminado
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+UsageCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const UsageCounter = mongoose.models.UsageCounter || mongoose.model('UsageCounter', UsageCounterSchema);
+
+export default UsageCounter;
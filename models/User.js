@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+
+const SALT_ROUNDS = 10;
+
+const UserSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  password: {
+    type: String,
+    required: true,
+    select: false // Nunca devolver el hash en las consultas por defecto
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Hashear la contraseña antes de guardar si ha cambiado
+UserSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
+  
+  try {
+    this.password = await bcrypt.hash(this.password, SALT_ROUNDS);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Comparar una contraseña en texto plano con el hash almacenado
+UserSchema.methods.comparePassword = function(candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Representación pública del usuario (sin contraseña)
+UserSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id.toString(),
+    name: this.name,
+    email: this.email,
+    createdAt: this.createdAt
+  };
+};
+
+const User = mongoose.models.User || mongoose.model('User', UserSchema);
+
+export default User;
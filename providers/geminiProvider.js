@@ -0,0 +1,61 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { rateLimiter } from '../utils/rateLimiter.js';
+import { parseJsonResponse } from './jsonResponse.js';
+
+// Proveedor LLM basado en Google Gemini
+export const createGeminiProvider = ({ apiKey, model = 'gemini-1.5-flash' } = {}) => {
+  let genAI = null;
+  
+  try {
+    if (!apiKey) {
+      console.error('⚠️ Error: La variable de entorno GEMINI_API_KEY no está definida');
+      console.log('📝 Asegúrate de crear un archivo .env con tu clave API de Gemini');
+    } else {
+      genAI = new GoogleGenerativeAI(apiKey);
+      console.log(`✅ Gemini AI configurado correctamente (modelo: ${model})`);
+    }
+  } catch (error) {
+    console.error('❌ Error al inicializar Gemini:', error);
+  }
+  
+  const generateText = async (prompt) => {
+    if (!genAI) {
+      throw new Error('API key de Gemini no configurada');
+    }
+    
+    const generativeModel = genAI.getGenerativeModel({ model });
+    
+    // Todas las llamadas pasan por el rate limiter para respetar los límites de Gemini
+    return rateLimiter.addToQueue(async () => {
+      const result = await generativeModel.generateContent(prompt);
+      return result.response.text();
+    });
+  };
+  
+  // Transmitir el texto generado por fragmentos; la solicitud inicial también pasa por el rate limiter
+  const streamText = async function* (prompt) {
+    if (!genAI) {
+      throw new Error('API key de Gemini no configurada');
+    }
+    
+    const generativeModel = genAI.getGenerativeModel({ model });
+    const result = await rateLimiter.addToQueue(() => generativeModel.generateContentStream(prompt));
+    
+    for await (const chunk of result.stream) {
+      yield chunk.text();
+    }
+  };
+  
+  return {
+    name: 'gemini',
+    model,
+    // Las llamadas consumen la cuota de la API de Gemini
+    metered: true,
+    isConfigured: () => !!genAI,
+    generateText,
+    streamText,
+    generateJSON: async (prompt, options) => parseJsonResponse(await generateText(prompt, options))
+  };
+};
+
+export default createGeminiProvider;
@@ -0,0 +1,44 @@
+import dotenv from 'dotenv';
+import { createGeminiProvider } from './geminiProvider.js';
+import { createStubProvider } from './stubProvider.js';
+
+dotenv.config();
+
+// Proveedores disponibles, seleccionados con la variable LLM_PROVIDER.
+// Todos exponen la misma interfaz:
+//   - name, model
+//   - metered: si las llamadas consumen la cuota controlada por quotaMonitor
+//   - isConfigured(): si el proveedor puede atender solicitudes
+//   - generateText(prompt, options): texto generado
+//   - streamText(prompt, options): generador asíncrono con el texto por fragmentos
+//   - generateJSON(prompt, options): objeto parseado (error con code 'INVALID_JSON' si no es JSON)
+// `options.task` y el resto de campos de options describen la solicitud de forma estructurada
+// ('quiz', 'evaluation', 'tutor', ...); el proveedor de pruebas los usa para construir su respuesta.
+const providerFactories = {
+  gemini: () => createGeminiProvider({
+    apiKey: process.env.GEMINI_API_KEY,
+    model: process.env.LLM_MODEL || 'gemini-1.5-flash'
+  }),
+  stub: () => createStubProvider()
+};
+
+let provider = null;
+
+// Obtener el proveedor configurado (se crea una sola vez)
+export const getLLMProvider = () => {
+  if (provider) return provider;
+  
+  const providerName = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+  const factory = providerFactories[providerName];
+  
+  if (!factory) {
+    console.warn(`⚠️ Proveedor LLM desconocido "${providerName}". Usando Gemini.`);
+    provider = providerFactories.gemini();
+  } else {
+    provider = factory();
+  }
+  
+  return provider;
+};
+
+export default getLLMProvider;
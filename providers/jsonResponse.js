@@ -0,0 +1,63 @@
+// Buscar el primer objeto JSON completo en un texto, respetando llaves dentro de cadenas
+const findJsonObject = (text) => {
+  let start = text.indexOf('{');
+  
+  while (start !== -1) {
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    
+    for (let i = start; i < text.length; i++) {
+      const char = text[i];
+      
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        depth++;
+      } else if (char === '}') {
+        depth--;
+        if (depth === 0) {
+          const candidate = text.slice(start, i + 1);
+          try {
+            return JSON.parse(candidate);
+          } catch (error) {
+            break; // Objeto equilibrado pero inválido: probar desde la siguiente llave
+          }
+        }
+      }
+    }
+    
+    start = text.indexOf('{', start + 1);
+  }
+  
+  return null;
+};
+
+// Extraer un objeto JSON de la respuesta en texto de un modelo
+export const parseJsonResponse = (text) => {
+  // Quitar bloques de código markdown (```json ... ```) que el modelo suele añadir
+  const cleaned = String(text || '').replace(/```(?:json)?/gi, '').trim();
+  
+  let parsed = null;
+  try {
+    parsed = JSON.parse(cleaned);
+  } catch (error) {
+    // Si el modelo añade texto adicional, buscar el primer objeto JSON válido
+    parsed = findJsonObject(cleaned);
+  }
+  
+  if (!parsed || typeof parsed !== 'object') {
+    const formatError = new Error('No se encontró un formato JSON válido en la respuesta');
+    formatError.code = 'INVALID_JSON';
+    formatError.raw = text;
+    throw formatError;
+  }
+  
+  return parsed;
+};
+
+export default parseJsonResponse;
@@ -0,0 +1,254 @@
+// Proveedor LLM local y determinista para desarrollo y pruebas sin conexión.
+// No llama a ninguna API: construye respuestas válidas a partir de las pistas (options) que envía el controlador.
+
+const OPTION_LETTERS = ['a', 'b', 'c', 'd'];
+const CARD_TYPES = ['term', 'qa', 'cloze'];
+
+// Hash sencillo y estable para que el mismo tema produzca siempre el mismo cuestionario
+const hashString = (value) => {
+  let hash = 0;
+  for (const char of String(value)) {
+    hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  }
+  return hash;
+};
+
+// Frases del contenido que se usan como material para las preguntas
+const extractSentences = (content) => {
+  return String(content || '')
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length > 20);
+};
+
+// Palabras significativas de un texto (para comparar respuestas)
+const keywords = (text) => {
+  return new Set(
+    String(text || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .split(/[^a-z0-9ñ]+/)
+      .filter(word => word.length > 3)
+  );
+};
+
+const buildQuestion = (questionType, topic, index, seed, sentences) => {
+  const source = sentences.length > 0 ? sentences[index % sentences.length] : null;
+  const subject = topic || 'el tema';
+  
+  if (questionType === 'true-false') {
+    const isTrue = (seed + index) % 2 === 0;
+    return {
+      statement: source
+        ? `${isTrue ? '' : 'No es cierto que: '}${source}`
+        : `La afirmación ${index + 1} sobre ${subject} es ${isTrue ? 'verdadera' : 'falsa'} 🤔`,
+      isTrue,
+      explanation: `Respuesta generada por el proveedor de pruebas: la afirmación es ${isTrue ? 'verdadera' : 'falsa'}.`
+    };
+  }
+  
+  if (questionType === 'flashcard') {
+    const cardType = CARD_TYPES[(seed + index) % CARD_TYPES.length];
+    if (cardType === 'cloze') {
+      const words = (source || `El punto ${index + 1} de ${subject} es importante`).split(' ');
+      const hidden = Math.floor(words.length / 2);
+      return {
+        type: cardType,
+        front: words.map((word, position) => (position === hidden ? '____' : word)).join(' '),
+        back: words[hidden]
+      };
+    }
+    return {
+      type: cardType,
+      front: cardType === 'term' ? `Concepto ${index + 1} de ${subject}` : `¿Qué sabes del punto ${index + 1} de ${subject}? 🃏`,
+      back: source || `Explicación del punto ${index + 1} de ${subject}.`
+    };
+  }
+  
+  if (questionType === 'fill-in-the-blank') {
+    const words = (source || `El punto ${index + 1} de ${subject} es importante`).split(' ');
+    const hidden = Math.floor(words.length / 2);
+    const answer = words[hidden].replace(/[.,;:!?]+$/, '');
+    return {
+      text: words.map((word, position) => (position === hidden ? word.replace(answer, '____') : word)).join(' '),
+      blanks: [{ answers: [...new Set([answer, answer.toLowerCase()])] }],
+      explanation: `Respuesta generada por el proveedor de pruebas: el hueco es "${answer}".`
+    };
+  }
+  
+  if (questionType === 'matching') {
+    return {
+      question: `Relaciona cada concepto del punto ${index + 1} de ${subject} con su descripción 🔗`,
+      pairs: [1, 2, 3, 4].map(number => ({
+        left: `Concepto ${number} del punto ${index + 1}`,
+        right: sentences.length > 0 ? sentences[(index + number) % sentences.length] + ` (${number})` : `Descripción ${number} del punto ${index + 1}`
+      })),
+      explanation: 'Respuesta generada por el proveedor de pruebas: cada concepto va con la descripción de su mismo número.'
+    };
+  }
+  
+  if (questionType === 'ordering') {
+    return {
+      question: `Ordena los pasos del punto ${index + 1} de ${subject} 🔢`,
+      sequence: [0, 1, 2, 3].map(offset => sentences.length >= 4
+        ? sentences[(index + offset) % sentences.length]
+        : `Paso ${offset + 1} del punto ${index + 1}`),
+      explanation: 'Respuesta generada por el proveedor de pruebas: los pasos van en el orden en que aparecen en el contenido.'
+    };
+  }
+  
+  if (questionType === 'numeric') {
+    const answer = ((seed + index) % 100) + 0.5;
+    return {
+      question: `¿Cuál es el valor del punto ${index + 1} de ${subject}? 🔢`,
+      answer,
+      tolerance: 0.5,
+      unit: 'cm',
+      explanation: `Respuesta generada por el proveedor de pruebas: el valor es ${answer} cm.`
+    };
+  }
+  
+  if (questionType === 'open-ended') {
+    return {
+      question: `¿Qué puedes explicar sobre el punto ${index + 1} de ${subject}? 📝`,
+      modelAnswer: source || `Una respuesta completa sobre el punto ${index + 1} de ${subject}.`
+    };
+  }
+  
+  const correctAnswer = OPTION_LETTERS[(seed + index) % OPTION_LETTERS.length];
+  return {
+    question: `¿Cuál es la afirmación correcta sobre el punto ${index + 1} de ${subject}? 🧐`,
+    options: OPTION_LETTERS.map(letter => letter === correctAnswer
+      ? (source || `Afirmación correcta ${index + 1}`)
+      : `Distractor ${letter.toUpperCase()} de la pregunta ${index + 1}`),
+    correctAnswer,
+    explanation: `Respuesta generada por el proveedor de pruebas: la opción correcta es la ${correctAnswer}.`
+  };
+};
+
+// Cuestionario determinista con la estructura que espera el controlador
+const buildQuiz = ({ topic = '', questionType = 'multiple-choice', questionCount = 5, content = '', difficulty, levelPlan, startIndex = 0 }) => {
+  const seed = hashString(`${topic}|${questionType}`);
+  const sentences = extractSentences(content);
+  const count = Math.max(1, parseInt(questionCount) || 5);
+  
+  // Con niveles pedidos, cada pregunta lleva la dificultad y el nivel cognitivo que le toca en el plan.
+  // startIndex numera las preguntas a continuación de otras anteriores, para no repetirlas.
+  return {
+    questions: Array.from({ length: count }, (_, index) => ({
+      ...buildQuestion(questionType, topic, startIndex + index, seed, sentences),
+      ...(difficulty && levelPlan ? { difficulty, bloomLevel: levelPlan[index % levelPlan.length] } : {})
+    }))
+  };
+};
+
+// Evaluación determinista de una respuesta abierta según las palabras compartidas con la respuesta modelo
+const buildEvaluation = ({ userAnswer = '', modelAnswer = '' }) => {
+  const expected = keywords(modelAnswer);
+  const given = keywords(userAnswer);
+  const shared = [...expected].filter(word => given.has(word)).length;
+  const score = expected.size === 0 ? 5 : Math.round((shared / expected.size) * 10);
+  
+  return {
+    isCorrect: score >= 5,
+    score,
+    feedback: score >= 5
+      ? `Buena respuesta 👍 Cubres ${shared} de ${expected.size} ideas clave de la respuesta modelo.`
+      : `Tu respuesta cubre ${shared} de ${expected.size} ideas clave. Revisa la respuesta modelo 📚`
+  };
+};
+
+// Apuntes deterministas: el resumen y las ideas son las primeras frases del contenido
+const buildNotes = ({ topic = '', content = '', mode = 'notes', partSummaries = [], length = 'medium' }) => {
+  const sentenceCount = { short: 2, medium: 4, long: 8 }[length] || 4;
+  
+  if (mode === 'synthesis') {
+    return { summary: partSummaries.join(' ') || `Resumen de prueba sobre ${topic || 'el tema'}.` };
+  }
+  
+  const subject = topic || 'el tema';
+  const sentences = extractSentences(content);
+  const ideas = sentences.length > 0 ? sentences : [`${subject} es el tema de estos apuntes de prueba.`];
+  const terms = [...new Set(ideas.join(' ').match(/\b[A-ZÁÉÍÓÚÑ][a-záéíóúñ]{4,}\b/g) || [])].slice(0, 5);
+  
+  return {
+    summary: ideas.slice(0, sentenceCount).join(' '),
+    outline: [{
+      title: `Ideas principales sobre ${subject}`,
+      points: ideas.slice(0, 3),
+      children: ideas.length > 3 ? [{ title: 'Detalles', points: ideas.slice(3, 6), children: [] }] : []
+    }],
+    keyConcepts: ideas.slice(0, 3).map((idea, index) => ({ concept: `Concepto ${index + 1} de ${subject}`, explanation: idea })),
+    glossary: terms.map(term => ({ term, definition: `Definición de prueba de "${term}".` }))
+  };
+};
+
+// Respuesta del tutor: la frase del material que más palabras comparte con el mensaje
+const buildTutorReply = ({ message = '', sections = [] }) => {
+  const asked = keywords(message);
+  let best = null;
+  
+  for (const section of sections) {
+    for (const sentence of extractSentences(section.text)) {
+      const shared = [...keywords(sentence)].filter(word => asked.has(word)).length;
+      if (shared > 0 && (!best || shared > best.shared)) {
+        best = { shared, sentence, title: section.title };
+      }
+    }
+  }
+  
+  if (!best) {
+    return {
+      answer: 'No encuentro esa información en el material 🤔 Prueba a reformular la pregunta o consulta otra sección.',
+      grounded: false,
+      sections: []
+    };
+  }
+  
+  return {
+    answer: `Según el material: ${best.sentence} 📘`,
+    grounded: true,
+    sections: [best.title]
+  };
+};
+
+const buildJSON = (options = {}) => {
+  switch (options.task) {
+    case 'quiz':
+      return buildQuiz(options);
+    case 'evaluation':
+      return buildEvaluation(options);
+    case 'tutor':
+      return buildTutorReply(options);
+    case 'summary':
+      return buildNotes(options);
+    default:
+      return { text: `Respuesta de prueba para la tarea "${options.task || 'desconocida'}"` };
+  }
+};
+
+// Tamaño de los fragmentos en los que se trocea la respuesta al simular streaming
+const STREAM_CHUNK_SIZE = 48;
+
+export const createStubProvider = () => {
+  console.log('🧪 Usando el proveedor LLM de pruebas (stub): no se realizarán llamadas a la red');
+  
+  return {
+    name: 'stub',
+    model: 'stub',
+    // No consume cuota de ninguna API externa
+    metered: false,
+    isConfigured: () => true,
+    generateText: async (prompt, options) => JSON.stringify(buildJSON(options)),
+    streamText: async function* (prompt, options) {
+      const text = JSON.stringify(buildJSON(options));
+      for (let i = 0; i < text.length; i += STREAM_CHUNK_SIZE) {
+        yield text.slice(i, i + STREAM_CHUNK_SIZE);
+      }
+    },
+    generateJSON: async (prompt, options) => buildJSON(options)
+  };
+};
+
+export default createStubProvider;
@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  getSessionAnalytics,
+  getQuestionTypeAnalytics,
+  getTopicAnalytics,
+  getMissedQuestions
+} from '../controllers/analyticsController.js';
+import { requireAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Todas las estadísticas son del usuario autenticado
+router.use(requireAuth);
+
+// Ruta para obtener la nota de cada cuestionario y mazo
+router.get('/sessions', getSessionAnalytics);
+
+// Ruta para obtener los aciertos por tipo de pregunta
+router.get('/question-types', getQuestionTypeAnalytics);
+
+// Ruta para obtener el dominio de cada tema y su evolución
+router.get('/topics', getTopicAnalytics);
+
+// Ruta para obtener las preguntas más falladas
+router.get('/missed-questions', getMissedQuestions);
+
+export { router as analyticsRouter };
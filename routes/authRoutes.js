@@ -0,0 +1,16 @@
+import express from 'express';
+import { register, login, getCurrentUser } from '../controllers/authController.js';
+import { requireAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Ruta para registrar un usuario
+router.post('/register', register);
+
+// Ruta para iniciar sesión
+router.post('/login', login);
+
+// Ruta para obtener el usuario autenticado
+router.get('/me', requireAuth, getCurrentUser);
+
+export { router as authRouter };
@@ -5,16 +5,41 @@ import fs from 'fs';
 import { fileURLToPath } from 'url';
 import { 
   generateQuiz, 
+  streamQuiz,
+  getJobStatus,
   validateAnswer,
+  requiresModelGrading,
+  getReviewQueue,
+  generateFlashcards,
+  getFlashcardDecks,
+  getFlashcardDeck,
+  studyFlashcards,
+  rateFlashcard,
+  startAdaptivePractice,
+  getAdaptivePractice,
+  getNextAdaptiveQuestion,
+  requiresNewAdaptiveQuestion,
+  sendMessage,
+  generateSummary,
   getConversationHistory, 
   getSessions,
+  importQuestions,
+  exportSession,
   deleteSession
 } from '../controllers/chatController.js';
 import { checkQuotaAvailable } from '../utils/quotaMonitor.js';
+import { requireAuth } from '../middleware/auth.js';
+import { enforceUsageLimit, getUsageSubject } from '../middleware/usageLimits.js';
+import { getUsageStatus } from '../utils/usageLimiter.js';
+import { detectDocumentType, SUPPORTED_FORMATS } from '../extractors/index.js';
+import { IMPORT_EXTENSIONS } from '../importers/index.js';
 import { isVercel, isVercelPath, getUploadPath, getSafeTempPath } from '../utils/environmentHelper.js';
 
 const router = express.Router();
 
+// Todas las rutas de chat requieren un usuario autenticado
+router.use(requireAuth);
+
 // Verificación mejorada del entorno Vercel
 const vercelEnvironment = isVercel() || process.cwd().includes('/var/task');
 console.log(`Entorno detectado por chatRoutes: ${vercelEnvironment ? 'Vercel (producción)' : 'Desarrollo local'}`);
@@ -79,21 +104,12 @@ const storage = multer.diskStorage({
   }
 });
 
-// Filtrar tipos de archivos permitidos
+// Filtrar tipos de archivos permitidos (los que tienen un extractor de texto)
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = [
-    'application/pdf', 
-    'application/msword', 
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'image/jpeg',
-    'image/png',
-    'image/jpg'
-  ];
-  
-  if (allowedTypes.includes(file.mimetype)) {
+  if (detectDocumentType(file)) {
     cb(null, true);
   } else {
-    cb(new Error('Formato de archivo no soportado. Por favor sube PDF, Word, JPG o PNG.'), false);
+    cb(new Error(`Formato de archivo no soportado. Por favor sube uno de estos formatos: ${SUPPORTED_FORMATS.join(', ')}.`), false);
   }
 };
 
@@ -114,7 +130,7 @@ const uploadMiddleware = (req, res, next) => {
     console.log('Forzando uso de directorio temporal /tmp');
     process.env.VERCEL = '1'; // Forzar el flag de Vercel para el resto de la aplicación
   }
-
+  
   const multerSingle = upload.single('document');
   
   multerSingle(req, res, function(err) {
@@ -153,11 +169,62 @@ const uploadMiddleware = (req, res, next) => {
   });
 };
 
-// Ruta para generar cuestionarios
-router.post('/quiz', uploadMiddleware, generateQuiz);
+// Los bancos de preguntas son texto pequeño: se leen en memoria, sin pasar por el directorio de uploads
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (IMPORT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Formato de banco no soportado. Por favor sube uno de estos formatos: ${IMPORT_EXTENSIONS.join(', ')}.`), false);
+    }
+  },
+  limits: { fileSize: 2 * 1024 * 1024 } // 2MB máximo
+});
+
+const importUploadMiddleware = (req, res, next) => {
+  importUpload.single('document')(req, res, (err) => {
+    if (err) {
+      console.error(`Error al subir el banco de preguntas: ${err.message}`);
+      return res.status(400).json({ error: err instanceof multer.MulterError ? `Error al subir el archivo: ${err.message}` : err.message });
+    }
+    next();
+  });
+};
+
+// Ruta para generar cuestionarios (encola un trabajo y responde de inmediato)
+router.post('/quiz', enforceUsageLimit('generation'), uploadMiddleware, generateQuiz);
+
+// Ruta para generar cuestionarios con progreso en streaming (Server-Sent Events)
+router.post('/quiz/stream', enforceUsageLimit('generation'), uploadMiddleware, streamQuiz);
+
+// Ruta para consultar el estado de un trabajo de generación
+router.get('/jobs/:jobId', getJobStatus);
 
 // Ruta para validar respuestas
-router.post('/validate', validateAnswer);
+router.post('/validate', enforceUsageLimit('grading', { appliesTo: requiresModelGrading }), validateAnswer);
+
+// Ruta para obtener las preguntas pendientes de repaso (repetición espaciada)
+router.get('/review', getReviewQueue);
+
+// Ruta para generar apuntes de estudio (resumen, esquema, conceptos clave y glosario)
+router.post('/summary', enforceUsageLimit('generation'), uploadMiddleware, generateSummary);
+
+// Rutas de los mazos de tarjetas de estudio: generar, listar, estudiar y autoevaluar
+router.post('/flashcards', enforceUsageLimit('generation'), uploadMiddleware, generateFlashcards);
+router.get('/flashcards', getFlashcardDecks);
+router.get('/flashcards/:sessionId', getFlashcardDeck);
+router.get('/flashcards/:sessionId/study', studyFlashcards);
+router.post('/flashcards/:sessionId/rate', rateFlashcard);
+
+// Rutas de la práctica adaptativa: empezar, consultar el progreso y pedir la siguiente pregunta
+// (las respuestas se validan en /validate)
+router.post('/adaptive', startAdaptivePractice);
+router.get('/adaptive/:sessionId', getAdaptivePractice);
+router.post('/adaptive/:sessionId/next', enforceUsageLimit('generation', { appliesTo: requiresNewAdaptiveQuestion }), getNextAdaptiveQuestion);
+
+// Ruta para conversar con el tutor sobre un documento o cuestionario
+router.post('/message', enforceUsageLimit('chat'), uploadMiddleware, sendMessage);
 
 // Ruta para obtener el historial de conversaciones por sessionId
 router.get('/history', getConversationHistory);
@@ -165,24 +232,43 @@ router.get('/history', getConversationHistory);
 // Ruta para obtener todas las sesiones disponibles
 router.get('/sessions', getSessions);
 
+// Ruta para importar un banco de preguntas (GIFT, Aiken o CSV) como cuestionarios
+router.post('/import', importUploadMiddleware, importQuestions);
+
+// Ruta para exportar un cuestionario (?format=gift, aiken, qti, csv o anki)
+router.get('/sessions/:sessionId/export', exportSession);
+
 // Ruta para eliminar una sesión
 router.delete('/sessions/:sessionId', deleteSession);
 
 // Endpoint para verificar el estado de la API
-router.get('/api-status', (req, res) => {
-  const quotaStatus = checkQuotaAvailable();
-  
-  res.json({
-    status: quotaStatus.isQuotaExceeded ? 'limited' : 'available',
-    requestsThisMinute: quotaStatus.quotaData.requestsThisMinute,
-    minuteQuota: quotaStatus.quotaData.minuteQuota,
-    requestsToday: quotaStatus.quotaData.requestsToday,
-    dailyQuota: quotaStatus.quotaData.dailyQuota,
-    timeToReset: quotaStatus.timeToReset,
-    message: quotaStatus.isQuotaExceeded 
-      ? `La API está experimentando alta demanda. Por favor, intenta de nuevo en ${Math.ceil(quotaStatus.timeToReset/1000)} segundos.`
-      : 'API disponible'
-  });
+router.get('/api-status', async (req, res) => {
+  try {
+    const quotaStatus = await checkQuotaAvailable();
+    // Límites de uso del usuario autenticado
+    const usage = await getUsageStatus(getUsageSubject(req));
+    
+    res.json({
+      status: quotaStatus.isQuotaExceeded ? 'limited' : 'available',
+      requestsThisMinute: quotaStatus.quotaData.requestsThisMinute,
+      minuteQuota: quotaStatus.quotaData.minuteQuota,
+      requestsToday: quotaStatus.quotaData.requestsToday,
+      dailyQuota: quotaStatus.quotaData.dailyQuota,
+      timeToReset: quotaStatus.timeToReset,
+      usage,
+      message: quotaStatus.isQuotaExceeded 
+        ? `La API está experimentando alta demanda. Por favor, intenta de nuevo en ${Math.ceil(quotaStatus.timeToReset/1000)} segundos.`
+        : 'API disponible'
+    });
+  } catch (error) {
+    // Sin acceso a la cuota o a los contadores de uso no se puede saber si la API está disponible
+    console.error('Error al comprobar el estado de la API:', error);
+    res.status(503).json({
+      status: 'unknown',
+      error: 'No se pudo comprobar el estado de la API',
+      message: 'Por favor, intenta de nuevo en unos segundos.'
+    });
+  }
 });
 
 export { router };
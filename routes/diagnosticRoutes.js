@@ -64,7 +64,8 @@ router.get('/', (req, res) => {
     envVars: {
       VERCEL: process.env.VERCEL || 'no definido',
       MONGODB_URI: process.env.MONGODB_URI ? 'definido' : 'no definido',
-      GEMINI_API_KEY: process.env.GEMINI_API_KEY ? 'definido' : 'no definido'
+      GEMINI_API_KEY: process.env.GEMINI_API_KEY ? 'definido' : 'no definido',
+      LLM_PROVIDER: process.env.LLM_PROVIDER || 'gemini (por defecto)'
     }
   });
 });
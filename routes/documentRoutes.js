@@ -0,0 +1,19 @@
+import express from 'express';
+import { getDocuments, getDocument, deleteDocument } from '../controllers/documentController.js';
+import { requireAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Todas las rutas de documentos requieren un usuario autenticado
+router.use(requireAuth);
+
+// Ruta para obtener los documentos guardados del usuario
+router.get('/', getDocuments);
+
+// Ruta para obtener un documento con su texto
+router.get('/:documentId', getDocument);
+
+// Ruta para eliminar un documento
+router.delete('/:documentId', deleteDocument);
+
+export { router as documentRouter };
@@ -4,12 +4,16 @@ import dotenv from 'dotenv';
 import mongoose from 'mongoose';
 import { router as chatRoutes } from './routes/chatRoutes.js';
 import { diagnosticRouter } from './routes/diagnosticRoutes.js';
+import { authRouter } from './routes/authRoutes.js';
+import { documentRouter } from './routes/documentRoutes.js';
+import { analyticsRouter } from './routes/analyticsRoutes.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 // Importar utilidades
 import { runDiagnostic } from './utils/vercelDiagnostic.js';
 import { isVercel } from './utils/environmentHelper.js';import mongoConnector from './utils/mongoConnector.js';
+import { jobQueue } from './utils/jobQueue.js';
 
 // Obtener el directorio actual
 const __filename = fileURLToPath(import.meta.url);
@@ -92,8 +96,9 @@ if (!vercelEnvironment) {
   }
 }
 
-// Verificar configuración de Gemini
-if (!process.env.GEMINI_API_KEY) {
+// Verificar configuración de Gemini (no necesaria con el proveedor de pruebas)
+const llmProvider = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+if (llmProvider === 'gemini' && !process.env.GEMINI_API_KEY) {
   console.warn('\x1b[33m%s\x1b[0m', '⚠️  ADVERTENCIA: No se encontró la variable GEMINI_API_KEY');
   console.log('\x1b[36m%s\x1b[0m', 'Para configurar la API key de Gemini:');
   console.log('1. Crea un archivo .env en la carpeta backend');
@@ -129,13 +134,19 @@ app.use(express.json());
 // MongoDB Connection
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/study-buddy-app';
 
+// Reanudar los trabajos de generación pendientes o interrumpidos en cuanto haya conexión
+mongoose.connection.on('connected', () => jobQueue.start());
+
 // Conexión a MongoDB mejorada
 mongoConnector.connect(MONGODB_URI)
   .then(() => console.log('✅ MongoDB conectado'))
   .catch(err => console.error('❌ Error de conexión a MongoDB:', err));
 
 // Rutas
+app.use('/api/auth', authRouter);
 app.use('/api/chat', chatRoutes);
+app.use('/api/documents', documentRouter);
+app.use('/api/analytics', analyticsRouter);
 app.use('/api/diagnostic', diagnosticRouter);
 
 // Ruta para probar el servidor
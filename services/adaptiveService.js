@@ -0,0 +1,232 @@
+import Conversation from '../models/Conversation.js';
+import Session from '../models/Session.js';
+import { generateNewQuestion } from '../utils/quizGenerator.js';
+import { parseStoredQuiz, stripAnswerKey } from '../utils/quizHelper.js';
+import { buildChunks } from '../utils/documentChunker.js';
+import {
+  DIFFICULTY_SCALE,
+  responseValue,
+  estimateAbility,
+  selectDifficulty,
+  selectBloomLevel,
+  stoppingReason,
+  describeProficiency
+} from '../utils/adaptiveTesting.js';
+
+// Tiempo tras el que se libera la reserva de una pregunta que no se terminó de generar (p. ej., si el proceso se detuvo)
+const PENDING_QUESTION_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Crear una sesión de práctica adaptativa (type 'adaptive') con sus reglas de parada
+export const createAdaptiveSession = async ({ owner, title, topic, questionType, documentId, maxQuestions, targetError }) => {
+  const session = new Session({
+    owner,
+    title,
+    type: 'adaptive',
+    questionType,
+    topic,
+    documentId: documentId || null,
+    adaptive: { maxQuestions, targetError },
+    createdAt: new Date()
+  });
+  
+  return session.save();
+};
+
+// Preguntas de la práctica en orden, cada una en su conversación, con su primera respuesta.
+// Solo cuenta el primer intento: los siguientes se responden después de haber visto la solución.
+const loadPracticeItems = async (sessionId) => {
+  const conversations = await Conversation.find({ sessionId: sessionId.toString() }).sort({ timestamp: 1 });
+  
+  return conversations
+    .map(conversation => {
+      const quiz = parseStoredQuiz(conversation);
+      return {
+        conversation,
+        question: quiz && Array.isArray(quiz.questions) ? quiz.questions[0] : null,
+        answer: (conversation.userAnswers || []).find(entry => entry.questionIndex === 0) || null
+      };
+    })
+    .filter(item => item.question);
+};
+
+// Habilidad estimada con las respuestas evaluadas (las que no se pudieron evaluar no cuentan)
+const buildPracticeState = (items) => {
+  const responses = items
+    .filter(item => item.answer && DIFFICULTY_SCALE[item.question.difficulty] !== undefined)
+    .map(item => ({ difficulty: item.question.difficulty, value: responseValue(item.answer) }))
+    .filter(response => response.value !== null);
+  
+  return {
+    ...estimateAbility(responses),
+    asked: items.length,
+    answered: items.filter(item => item.answer).length,
+    correct: items.filter(item => item.answer && item.answer.correct === true).length
+  };
+};
+
+// Progreso de la práctica para el cliente, con la estimación actual
+const describeProgress = (session, state) => ({
+  asked: state.asked,
+  answered: state.answered,
+  correct: state.correct,
+  maxQuestions: session.adaptive.maxQuestions,
+  targetError: session.adaptive.targetError,
+  estimate: describeProficiency(state)
+});
+
+// Pregunta sin la clave de respuestas, con los datos para responderla en /api/chat/validate
+const describeQuestion = (item) => ({
+  conversationId: item.conversation._id.toString(),
+  questionIndex: 0,
+  question: stripAnswerKey(item.question)
+});
+
+// Guardar la última estimación en la sesión y, si se cumple la regla de parada, darla por terminada
+const saveEstimate = async (session, state, stopReason) => {
+  session.adaptive.ability = state.ability;
+  session.adaptive.standardError = state.standardError;
+  if (stopReason) {
+    session.adaptive.stopReason = stopReason;
+    session.adaptive.finishedAt = new Date();
+  }
+  await session.save();
+};
+
+// Estado de la práctica: 'finished' (con el motivo de parada y la estimación final del dominio del estudiante)
+// o 'active' (con la pregunta pendiente de responder, si la hay)
+const describeStatus = (session, items, state) => {
+  if (session.adaptive.finishedAt) {
+    return {
+      status: 'finished',
+      stopReason: session.adaptive.stopReason,
+      progress: describeProgress(session, state),
+      proficiency: describeProficiency(state)
+    };
+  }
+  
+  const pending = items.find(item => !item.answer);
+  return {
+    status: 'active',
+    progress: describeProgress(session, state),
+    question: pending ? describeQuestion(pending) : null
+  };
+};
+
+// Reservar la generación de la siguiente pregunta con una actualización atómica de la sesión, para que dos
+// solicitudes simultáneas no generen dos preguntas. Devuelve false si otra solicitud la está generando.
+const reserveNextQuestion = async (session, conversationId, now = new Date()) => {
+  const reserved = await Session.findOneAndUpdate(
+    {
+      _id: session._id,
+      'adaptive.finishedAt': null,
+      $or: [
+        { 'adaptive.pendingConversationId': null },
+        { 'adaptive.pendingSince': { $lt: new Date(now.getTime() - PENDING_QUESTION_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { 'adaptive.pendingConversationId': conversationId, 'adaptive.pendingSince': now } },
+    { new: true }
+  );
+  return !!reserved;
+};
+
+// Liberar la reserva, solo si sigue siendo la de esta solicitud
+const releaseNextQuestion = (session, conversationId) => {
+  return Session.updateOne(
+    { _id: session._id, 'adaptive.pendingConversationId': conversationId },
+    { $set: { 'adaptive.pendingConversationId': null, 'adaptive.pendingSince': null } }
+  );
+};
+
+// Estado de una práctica sin generar preguntas
+export const getAdaptiveStatus = async (session) => {
+  const items = await loadPracticeItems(session._id);
+  return describeStatus(session, items, buildPracticeState(items));
+};
+
+// Si la siguiente solicitud de la práctica generará una pregunta nueva (para aplicar el límite de uso)
+export const needsNewQuestion = async (session) => {
+  if (session.adaptive.finishedAt) return false;
+  
+  const items = await loadPracticeItems(session._id);
+  return !items.some(item => !item.answer) && !stoppingReason(buildPracticeState(items), session.adaptive);
+};
+
+// Siguiente paso de la práctica a partir de las respuestas registradas por validateAnswer:
+// - la pregunta pendiente, si la última aún no se ha respondido;
+// - el resultado final, si se alcanza el error típico objetivo o el número máximo de preguntas;
+// - o una pregunta nueva de la dificultad más cercana a la habilidad estimada.
+// "content" es el texto del documento de la práctica: cada pregunta se genera con uno de sus fragmentos, por turnos.
+// Lanza un error con code 'ADAPTIVE_QUESTION_PENDING' si otra solicitud ya está generando la siguiente pregunta.
+export const nextAdaptiveQuestion = async (provider, session, { content = '' } = {}) => {
+  const items = await loadPracticeItems(session._id);
+  const state = buildPracticeState(items);
+  if (session.adaptive.finishedAt || items.some(item => !item.answer)) {
+    return describeStatus(session, items, state);
+  }
+  
+  const stopReason = stoppingReason(state, session.adaptive);
+  await saveEstimate(session, state, stopReason);
+  
+  if (stopReason) {
+    console.log(`Práctica adaptativa ${session._id} terminada (${stopReason}): habilidad ${state.ability.toFixed(2)} ± ${state.standardError.toFixed(2)}`);
+    return describeStatus(session, items, state);
+  }
+  
+  const conversation = new Conversation({ sessionId: session._id.toString(), timestamp: new Date() });
+  const conversationId = conversation._id.toString();
+  if (!await reserveNextQuestion(session, conversationId)) {
+    const error = new Error('Ya se está generando la siguiente pregunta de la práctica');
+    error.code = 'ADAPTIVE_QUESTION_PENDING';
+    throw error;
+  }
+  
+  try {
+    // Otra solicitud pudo terminar de generar la pregunta entre la lectura anterior y la reserva
+    const currentItems = await loadPracticeItems(session._id);
+    if (currentItems.length !== items.length) {
+      return describeStatus(session, currentItems, buildPracticeState(currentItems));
+    }
+    
+    const difficulty = selectDifficulty(state.ability);
+    const bloomLevel = selectBloomLevel(difficulty, items.filter(item => item.question.difficulty === difficulty).length);
+    const chunks = content && content.trim() ? buildChunks(content) : [];
+    const chunk = chunks.length > 0 ? chunks[items.length % chunks.length].text : '';
+    
+    const question = await generateNewQuestion(provider, {
+      topic: session.topic,
+      questionType: session.questionType,
+      content: chunk,
+      difficulty,
+      bloomLevel,
+      previousQuestions: items.map(item => item.question)
+    });
+    
+    conversation.prompt = JSON.stringify({
+      topic: session.topic,
+      questionType: session.questionType,
+      difficulty,
+      bloomLevel,
+      ability: state.ability,
+      standardError: state.standardError,
+      adaptive: true
+    });
+    conversation.response = JSON.stringify({ questions: [question] });
+    await conversation.save();
+    
+    return {
+      status: 'active',
+      progress: describeProgress(session, { ...state, asked: state.asked + 1 }),
+      question: describeQuestion({ conversation, question })
+    };
+  } finally {
+    await releaseNextQuestion(session, conversationId);
+  }
+};
+
+export default {
+  createAdaptiveSession,
+  getAdaptiveStatus,
+  needsNewQuestion,
+  nextAdaptiveQuestion
+};
@@ -0,0 +1,321 @@
+import mongoose from 'mongoose';
+import Conversation from '../models/Conversation.js';
+import Session from '../models/Session.js';
+import { parseStoredQuiz } from '../utils/quizHelper.js';
+
+// Periodos de la evolución del dominio por tema
+export const ANALYTICS_INTERVALS = ['day', 'week', 'month'];
+const DEFAULT_INTERVAL = 'week';
+const DEFAULT_DAYS = 90;
+const MAX_DAYS = 365;
+const DEFAULT_MISSED_LIMIT = 10;
+const MAX_MISSED_LIMIT = 50;
+// Nota mínima (sobre 1) para contar una respuesta como acierto
+const PASSING_POINTS = 0.5;
+
+const clamp = (value, fallback, max) => {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? Math.min(number, max) : fallback;
+};
+
+// Porcentaje redondeado de una nota media sobre 1 (null si no hay respuestas evaluadas)
+const toPercent = (value) => ({ $cond: [{ $eq: [value, null] }, null, { $round: [{ $multiply: [value, 100] }, 0] }] });
+
+// Etapas comunes: las respuestas evaluadas de los cuestionarios, prácticas adaptativas y mazos del usuario,
+// una por documento, con su nota sobre 1. Las preguntas abiertas puntúan su nota (0-10) y el resto, acierto
+// o fallo; las respuestas sin evaluar (correct: null) no cuentan.
+const gradedAnswerStages = (owner, { since = null } = {}) => [
+  {
+    $match: {
+      owner: new mongoose.Types.ObjectId(owner),
+      type: { $in: ['quiz', 'flashcards', 'adaptive'] }
+    }
+  },
+  {
+    $lookup: {
+      from: Conversation.collection.name,
+      let: { sessionId: { $toString: '$_id' } },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$sessionId', '$$sessionId'] } } },
+        { $project: { timestamp: 1, userAnswers: 1 } }
+      ],
+      as: 'conversation'
+    }
+  },
+  { $unwind: '$conversation' },
+  { $unwind: { path: '$conversation.userAnswers', includeArrayIndex: 'answerIndex' } },
+  {
+    $project: {
+      _id: 0,
+      sessionId: { $toString: '$_id' },
+      sessionTitle: '$title',
+      sessionType: '$type',
+      // Los mazos no tienen tipo de pregunta: sus tarjetas cuentan como tipo "flashcard"
+      sessionQuestionType: { $cond: [{ $eq: ['$type', 'flashcards'] }, 'flashcard', '$questionType'] },
+      // Tipo de la pregunta: el guardado con la respuesta (los cuestionarios mixtos tienen varios) o,
+      // en respuestas antiguas, el de la sesión
+      questionType: {
+        $cond: [
+          { $eq: ['$type', 'flashcards'] },
+          'flashcard',
+          { $ifNull: ['$conversation.userAnswers.questionType', '$questionType'] }
+        ]
+      },
+      // Tema normalizado; las sesiones sin tema se agrupan por su título
+      topic: {
+        $let: {
+          vars: { topic: { $trim: { input: { $ifNull: ['$topic', ''] } } } },
+          in: { $cond: [{ $eq: ['$$topic', ''] }, '$title', '$$topic'] }
+        }
+      },
+      conversationId: { $toString: '$conversation._id' },
+      questionIndex: '$conversation.userAnswers.questionIndex',
+      answerIndex: 1,
+      answeredAt: { $ifNull: ['$conversation.userAnswers.answeredAt', '$conversation.timestamp'] },
+      points: {
+        $switch: {
+          branches: [
+            {
+              case: {
+                $and: [
+                  { $isNumber: '$conversation.userAnswers.score' },
+                  { $eq: [{ $type: '$conversation.userAnswers.correct' }, 'bool'] }
+                ]
+              },
+              then: { $divide: [{ $min: [{ $max: ['$conversation.userAnswers.score', 0] }, 10] }, 10] }
+            },
+            { case: { $eq: ['$conversation.userAnswers.correct', true] }, then: 1 },
+            { case: { $eq: ['$conversation.userAnswers.correct', false] }, then: 0 }
+          ],
+          default: null
+        }
+      }
+    }
+  },
+  { $match: { points: { $ne: null }, ...(since ? { answeredAt: { $gte: since } } : {}) } },
+  { $sort: { answeredAt: 1, answerIndex: 1 } }
+];
+
+// Nota de cada sesión: media de la última respuesta de cada pregunta (y de la primera, para ver la mejora)
+export const getSessionScores = async (owner) => {
+  return Session.aggregate([
+    ...gradedAnswerStages(owner),
+    {
+      $group: {
+        _id: { sessionId: '$sessionId', conversationId: '$conversationId', questionIndex: '$questionIndex' },
+        sessionTitle: { $first: '$sessionTitle' },
+        sessionType: { $first: '$sessionType' },
+        sessionQuestionType: { $first: '$sessionQuestionType' },
+        topic: { $first: '$topic' },
+        firstPoints: { $first: '$points' },
+        lastPoints: { $last: '$points' },
+        attempts: { $sum: 1 },
+        firstAnsweredAt: { $first: '$answeredAt' },
+        lastAnsweredAt: { $last: '$answeredAt' }
+      }
+    },
+    {
+      $group: {
+        _id: '$_id.sessionId',
+        sessionTitle: { $first: '$sessionTitle' },
+        sessionType: { $first: '$sessionType' },
+        questionType: { $first: '$sessionQuestionType' },
+        topic: { $first: '$topic' },
+        answeredQuestions: { $sum: 1 },
+        correctQuestions: { $sum: { $cond: [{ $gte: ['$lastPoints', PASSING_POINTS] }, 1, 0] } },
+        attempts: { $sum: '$attempts' },
+        score: { $avg: '$lastPoints' },
+        firstAttemptScore: { $avg: '$firstPoints' },
+        firstAnsweredAt: { $min: '$firstAnsweredAt' },
+        lastAnsweredAt: { $max: '$lastAnsweredAt' }
+      }
+    },
+    { $sort: { lastAnsweredAt: -1 } },
+    {
+      $project: {
+        _id: 0,
+        sessionId: '$_id',
+        sessionTitle: 1,
+        sessionType: 1,
+        questionType: 1,
+        topic: 1,
+        answeredQuestions: 1,
+        correctQuestions: 1,
+        attempts: 1,
+        score: toPercent('$score'),
+        firstAttemptScore: toPercent('$firstAttemptScore'),
+        firstAnsweredAt: 1,
+        lastAnsweredAt: 1
+      }
+    }
+  ]);
+};
+
+// Acierto por tipo de pregunta, sobre todas las respuestas (incluidos los reintentos)
+export const getQuestionTypeAccuracy = async (owner) => {
+  return Session.aggregate([
+    ...gradedAnswerStages(owner),
+    {
+      $group: {
+        _id: '$questionType',
+        answers: { $sum: 1 },
+        correct: { $sum: { $cond: [{ $gte: ['$points', PASSING_POINTS] }, 1, 0] } },
+        averagePoints: { $avg: '$points' },
+        sessions: { $addToSet: '$sessionId' }
+      }
+    },
+    { $sort: { answers: -1 } },
+    {
+      $project: {
+        _id: 0,
+        questionType: '$_id',
+        answers: 1,
+        correct: 1,
+        accuracy: toPercent({ $divide: ['$correct', '$answers'] }),
+        averageScore: toPercent('$averagePoints'),
+        sessions: { $size: '$sessions' }
+      }
+    }
+  ]);
+};
+
+// Dominio de cada tema (media de la última respuesta de cada pregunta) y su evolución por periodos
+// (media de las respuestas de cada periodo) en los últimos `days` días
+export const getTopicMastery = async (owner, { interval = DEFAULT_INTERVAL, days } = {}) => {
+  const periodDays = clamp(days, DEFAULT_DAYS, MAX_DAYS);
+  const since = new Date(Date.now() - periodDays * 24 * 60 * 60 * 1000);
+  
+  const [result] = await Session.aggregate([
+    ...gradedAnswerStages(owner, { since }),
+    {
+      $facet: {
+        mastery: [
+          {
+            $group: {
+              _id: { topic: { $toLower: '$topic' }, conversationId: '$conversationId', questionIndex: '$questionIndex' },
+              topic: { $last: '$topic' },
+              lastPoints: { $last: '$points' },
+              sessionId: { $last: '$sessionId' }
+            }
+          },
+          {
+            $group: {
+              _id: '$_id.topic',
+              topic: { $last: '$topic' },
+              questions: { $sum: 1 },
+              mastery: { $avg: '$lastPoints' },
+              sessions: { $addToSet: '$sessionId' }
+            }
+          }
+        ],
+        trend: [
+          {
+            $group: {
+              _id: {
+                topic: { $toLower: '$topic' },
+                period: { $dateTrunc: { date: '$answeredAt', unit: interval, startOfWeek: 'monday' } }
+              },
+              answers: { $sum: 1 },
+              averagePoints: { $avg: '$points' }
+            }
+          },
+          { $sort: { '_id.period': 1 } },
+          {
+            $group: {
+              _id: '$_id.topic',
+              trend: {
+                $push: { period: '$_id.period', answers: '$answers', score: toPercent('$averagePoints') }
+              },
+              answers: { $sum: '$answers' }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+  
+  const trends = new Map(result.trend.map(entry => [entry._id, entry]));
+  const topics = result.mastery.map(entry => {
+    const trend = trends.get(entry._id);
+    const first = trend.trend[0];
+    const last = trend.trend[trend.trend.length - 1];
+    return {
+      topic: entry.topic,
+      questions: entry.questions,
+      answers: trend.answers,
+      sessions: entry.sessions.length,
+      mastery: Math.round(entry.mastery * 100),
+      // Diferencia entre el último periodo y el primero (null si solo hay uno)
+      change: trend.trend.length > 1 ? last.score - first.score : null,
+      trend: trend.trend
+    };
+  });
+  
+  return {
+    interval,
+    days: periodDays,
+    topics: topics.sort((a, b) => b.answers - a.answers)
+  };
+};
+
+// Texto de una pregunta o tarjeta del cuestionario almacenado
+const questionText = (stored, questionIndex) => {
+  const items = stored && (Array.isArray(stored.cards) ? stored.cards : stored.questions);
+  const item = Array.isArray(items) ? items[questionIndex] : null;
+  return item ? item.question || item.statement || item.text || item.front || null : null;
+};
+
+// Preguntas con más fallos (y, a igualdad, con mayor proporción de fallos), con su enunciado
+export const getMostMissedQuestions = async (owner, { limit } = {}) => {
+  const missedLimit = clamp(limit, DEFAULT_MISSED_LIMIT, MAX_MISSED_LIMIT);
+  
+  const missed = await Session.aggregate([
+    ...gradedAnswerStages(owner),
+    {
+      $group: {
+        _id: { conversationId: '$conversationId', questionIndex: '$questionIndex' },
+        sessionId: { $first: '$sessionId' },
+        sessionTitle: { $first: '$sessionTitle' },
+        questionType: { $first: '$questionType' },
+        topic: { $first: '$topic' },
+        attempts: { $sum: 1 },
+        misses: { $sum: { $cond: [{ $lt: ['$points', PASSING_POINTS] }, 1, 0] } },
+        lastPoints: { $last: '$points' },
+        lastAnsweredAt: { $last: '$answeredAt' }
+      }
+    },
+    { $match: { misses: { $gt: 0 } } },
+    { $addFields: { missRate: { $divide: ['$misses', '$attempts'] } } },
+    { $sort: { misses: -1, missRate: -1, lastAnsweredAt: -1 } },
+    { $limit: missedLimit }
+  ]);
+  
+  // Los enunciados están dentro del JSON del cuestionario: se leen solo los de las preguntas seleccionadas
+  const conversationIds = [...new Set(missed.map(entry => entry._id.conversationId))];
+  const conversations = await Conversation.find({ _id: { $in: conversationIds } }).select('response').lean();
+  const storedById = new Map(conversations.map(conversation => [conversation._id.toString(), parseStoredQuiz(conversation)]));
+  
+  return missed.map(entry => ({
+    sessionId: entry.sessionId,
+    sessionTitle: entry.sessionTitle,
+    conversationId: entry._id.conversationId,
+    questionIndex: entry._id.questionIndex,
+    questionType: entry.questionType,
+    topic: entry.topic,
+    question: questionText(storedById.get(entry._id.conversationId), entry._id.questionIndex),
+    attempts: entry.attempts,
+    misses: entry.misses,
+    missRate: Math.round(entry.missRate * 100),
+    // Si la última respuesta ya fue un acierto, la pregunta está superada
+    lastCorrect: entry.lastPoints >= PASSING_POINTS,
+    lastAnsweredAt: entry.lastAnsweredAt
+  }));
+};
+
+export default {
+  ANALYTICS_INTERVALS,
+  getSessionScores,
+  getQuestionTypeAccuracy,
+  getTopicMastery,
+  getMostMissedQuestions
+};
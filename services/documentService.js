@@ -0,0 +1,90 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import mongoose from 'mongoose';
+import Document from '../models/Document.js';
+import { extractTextFromDocument, detectDocumentType } from '../extractors/index.js';
+
+// Hash SHA-256 del contenido de un archivo
+const hashFile = (filePath) => {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+};
+
+// Eliminar el archivo subido si sigue en disco (la extracción de texto ya lo elimina)
+const removeTemporaryFile = (filePath) => {
+  try {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  } catch (error) {
+    console.error('Error al limpiar archivo temporal:', error);
+  }
+};
+
+// Buscar un documento que pertenezca al usuario (null si no existe o es de otro usuario)
+export const findOwnedDocument = async (documentId, owner, { withText = false } = {}) => {
+  if (!documentId || !mongoose.isValidObjectId(documentId)) return null;
+  const query = Document.findOne({ _id: documentId, owner });
+  return withText ? query : query.select('-text');
+};
+
+// Guardar un archivo subido en la biblioteca del usuario.
+// Si el usuario ya subió el mismo archivo se reutiliza el texto guardado sin volver a procesarlo,
+// salvo que se obtuviera por OCR con otros idiomas (entonces se repite el OCR con los nuevos).
+// Devuelve { document, reused }.
+export const storeUploadedDocument = async (owner, file, { language } = {}) => {
+  try {
+    const contentHash = hashFile(file.path);
+    
+    const existing = await Document.findOne({ owner, contentHash });
+    if (existing && (!existing.ocr || !existing.ocr.language || existing.ocr.language === language)) {
+      console.log(`Documento ya procesado (${existing._id}), se reutiliza el texto guardado`);
+      existing.lastUsedAt = new Date();
+      await existing.save();
+      return { document: existing, reused: true };
+    }
+    
+    const documentType = detectDocumentType(file);
+    const { text, pageCount, ocr, pages } = await extractTextFromDocument(file.path, documentType, { language });
+    const extracted = {
+      text,
+      characterCount: text.length,
+      pageCount,
+      ocr: ocr || { language: null, confidence: null },
+      pages: pages || []
+    };
+    
+    if (existing) {
+      console.log(`Documento ${existing._id} reprocesado con OCR en ${language}`);
+      existing.set({ ...extracted, lastUsedAt: new Date() });
+      await existing.save();
+      return { document: existing, reused: false };
+    }
+    
+    try {
+      const document = await Document.create({
+        owner,
+        fileName: file.originalname,
+        mimeType: file.mimetype,
+        documentType,
+        size: file.size,
+        contentHash,
+        ...extracted
+      });
+      return { document, reused: false };
+    } catch (error) {
+      // Otra solicitud guardó el mismo archivo mientras se extraía el texto
+      if (error.code === 11000) {
+        return { document: await Document.findOne({ owner, contentHash }), reused: true };
+      }
+      throw error;
+    }
+  } finally {
+    // El archivo temporal se elimina también si falla la búsqueda o el guardado del documento
+    removeTemporaryFile(file.path);
+  }
+};
+
+export default {
+  findOwnedDocument,
+  storeUploadedDocument
+};
@@ -0,0 +1,175 @@
+import Conversation from '../models/Conversation.js';
+import Session from '../models/Session.js';
+import ReviewItem from '../models/ReviewItem.js';
+import { generateCoveredQuiz } from '../utils/quizGenerator.js';
+import { parseStoredQuiz } from '../utils/quizHelper.js';
+import { FLASHCARD_ITEM_TYPE } from '../utils/quizSchema.js';
+
+const DEFAULT_STUDY_LIMIT = 20;
+const MAX_STUDY_LIMIT = 100;
+
+const cardKey = (conversationId, cardIndex) => `${conversationId}:${cardIndex}`;
+
+// Fin del día actual: las tarjetas que vencen hoy ya se pueden estudiar
+const endOfDay = (now) => {
+  const end = new Date(now);
+  end.setHours(23, 59, 59, 999);
+  return end;
+};
+
+// Tarjetas guardadas en una conversación (vacío si no es un mazo)
+const parseStoredCards = (conversation) => {
+  const deck = parseStoredQuiz(conversation);
+  return deck && Array.isArray(deck.cards) ? deck.cards : [];
+};
+
+// Guardar un mazo generado en la sesión del usuario (creando la sesión de tipo 'flashcards' si no existe)
+export const saveDeck = async (deck, {
+  owner,
+  topic,
+  questionCount,
+  sessionId,
+  sessionTitle,
+  documentId,
+  hasDocument
+}) => {
+  let currentSessionId = sessionId;
+  
+  if (!sessionId) {
+    const newSession = new Session({
+      owner,
+      title: sessionTitle,
+      type: 'flashcards',
+      questionType: null,
+      topic: topic,
+      createdAt: new Date()
+    });
+    
+    const savedSession = await newSession.save();
+    currentSessionId = savedSession._id.toString();
+  }
+  
+  const conversation = new Conversation({
+    sessionId: currentSessionId,
+    prompt: JSON.stringify({
+      topic,
+      cardCount: questionCount,
+      documentId: documentId || null,
+      hasDocument: !!hasDocument
+    }),
+    response: JSON.stringify(deck),
+    timestamp: new Date()
+  });
+  
+  await conversation.save();
+  
+  // Las tarjetas se devuelven completas: el reverso se muestra al darles la vuelta
+  return {
+    sessionId: currentSessionId,
+    conversationId: conversation._id.toString(),
+    sessionTitle,
+    deck
+  };
+};
+
+// Generar tarjetas validadas (cubriendo todo el documento, si lo hay) y guardarlas como mazo
+// (onProgress y beforeSave como en createQuiz)
+export const createDeck = async (provider, params, { onProgress, beforeSave } = {}) => {
+  const { topic, questionCount, content } = params;
+  const { questions, coverage } = await generateCoveredQuiz(provider, {
+    topic,
+    questionType: FLASHCARD_ITEM_TYPE,
+    questionCount,
+    content
+  }, { onProgress });
+  if (beforeSave) await beforeSave();
+  return saveDeck({ cards: questions, coverage }, params);
+};
+
+// Tarjetas de un mazo (de todas sus conversaciones) con su última autoevaluación y su planificación de repaso
+export const getDeckCards = async (owner, sessionId) => {
+  const [conversations, reviewItems] = await Promise.all([
+    Conversation.find({ sessionId: String(sessionId) }).sort({ timestamp: 1 }).lean(),
+    ReviewItem.find({ owner, sessionId: String(sessionId) }).lean()
+  ]);
+  const reviews = new Map(reviewItems.map(item => [cardKey(item.conversationId, item.questionIndex), item]));
+  
+  return conversations.flatMap(conversation => {
+    const conversationId = conversation._id.toString();
+    const ratings = new Map((conversation.userAnswers || []).map(answer => [answer.questionIndex, answer]));
+    
+    return parseStoredCards(conversation).map((card, cardIndex) => {
+      const review = reviews.get(cardKey(conversationId, cardIndex));
+      const lastRating = ratings.get(cardIndex);
+      return {
+        conversationId,
+        cardIndex,
+        ...card,
+        lastRating: lastRating ? lastRating.userAnswer : null,
+        ratedAt: lastRating ? lastRating.answeredAt : null,
+        dueAt: review ? review.dueAt : null,
+        interval: review ? review.interval : 0,
+        repetitions: review ? review.repetitions : 0
+      };
+    });
+  });
+};
+
+// Tarjetas para una sesión de estudio: primero las que vencen hoy (las más atrasadas antes)
+// y después las que aún no se han estudiado
+export const getStudyCards = async (owner, sessionId, { limit, now = new Date() } = {}) => {
+  const maxCards = Math.min(MAX_STUDY_LIMIT, Math.max(1, parseInt(limit) || DEFAULT_STUDY_LIMIT));
+  const dueBefore = endOfDay(now);
+  const cards = await getDeckCards(owner, sessionId);
+  
+  const due = cards
+    .filter(card => card.dueAt && card.dueAt <= dueBefore)
+    .sort((a, b) => a.dueAt - b.dueAt);
+  const unseen = cards.filter(card => !card.dueAt);
+  
+  return {
+    totalCards: cards.length,
+    dueCount: due.length,
+    newCount: unseen.length,
+    cards: [...due, ...unseen].slice(0, maxCards)
+  };
+};
+
+// Mazos del usuario con su número de tarjetas y las pendientes de hoy
+export const listDecks = async (owner, { now = new Date() } = {}) => {
+  const sessions = await Session.find({ owner, type: 'flashcards' }).sort({ createdAt: -1 }).lean();
+  const sessionIds = sessions.map(session => session._id.toString());
+  
+  const [conversations, dueItems] = await Promise.all([
+    Conversation.find({ sessionId: { $in: sessionIds } }).select('sessionId response').lean(),
+    ReviewItem.find({ owner, sessionId: { $in: sessionIds }, dueAt: { $lte: endOfDay(now) } }).select('sessionId').lean()
+  ]);
+  
+  const countBySession = (entries, count) => {
+    const counts = new Map();
+    entries.forEach(entry => counts.set(entry.sessionId, (counts.get(entry.sessionId) || 0) + count(entry)));
+    return counts;
+  };
+  const cardCounts = countBySession(conversations, conversation => parseStoredCards(conversation).length);
+  const due = countBySession(dueItems, () => 1);
+  
+  return sessions.map(session => {
+    const id = session._id.toString();
+    return {
+      sessionId: id,
+      title: session.title,
+      topic: session.topic,
+      createdAt: session.createdAt,
+      cardCount: cardCounts.get(id) || 0,
+      dueCount: due.get(id) || 0
+    };
+  });
+};
+
+export default {
+  saveDeck,
+  createDeck,
+  getDeckCards,
+  getStudyCards,
+  listDecks
+};
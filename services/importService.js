@@ -0,0 +1,49 @@
+import { parseQuestionBank } from '../importers/index.js';
+import { saveQuiz } from './quizService.js';
+
+// Sufijo del título de cada sesión cuando un banco mezcla varios tipos de pregunta
+const QUESTION_TYPE_LABELS = {
+  'multiple-choice': 'opción múltiple',
+  'true-false': 'verdadero/falso',
+  'open-ended': 'respuesta abierta'
+};
+
+// Importar un banco de preguntas como cuestionarios del usuario, sin llamar al modelo.
+// Cada sesión tiene un único tipo de pregunta, así que se crea una sesión por tipo presente en el banco.
+// Devuelve { format, imported, sessions: [{ sessionId, conversationId, sessionTitle, questionType, questionCount }], errors }.
+export const importQuestionBank = async ({ owner, format, content, title }) => {
+  const { questions, errors } = parseQuestionBank(format, content);
+  
+  const groups = new Map();
+  questions.forEach(({ questionType, question }) => {
+    if (!groups.has(questionType)) groups.set(questionType, []);
+    groups.get(questionType).push(question);
+  });
+  
+  const sessions = [];
+  for (const [questionType, typeQuestions] of groups) {
+    const sessionTitle = groups.size > 1 ? `${title} (${QUESTION_TYPE_LABELS[questionType]})` : title;
+    const saved = await saveQuiz({ questions: typeQuestions }, {
+      owner,
+      topic: title,
+      questionType,
+      questionCount: typeQuestions.length,
+      sessionTitle,
+      importedFrom: format
+    });
+    
+    sessions.push({
+      sessionId: saved.sessionId,
+      conversationId: saved.conversationId,
+      sessionTitle,
+      questionType,
+      questionCount: typeQuestions.length
+    });
+  }
+  
+  return { format, imported: questions.length, sessions, errors };
+};
+
+export default {
+  importQuestionBank
+};
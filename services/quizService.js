@@ -0,0 +1,90 @@
+import Conversation from '../models/Conversation.js';
+import Session from '../models/Session.js';
+import { generateCoveredQuiz } from '../utils/quizGenerator.js';
+import { toPublicQuiz } from '../utils/quizHelper.js';
+
+// Guardar un cuestionario ya validado en la sesión del usuario (creando la sesión si no existe).
+// Devuelve la versión pública del cuestionario, sin la clave de respuestas.
+export const saveQuiz = async (quiz, {
+  owner,
+  topic,
+  questionType,
+  questionCount,
+  composition,
+  difficulty,
+  bloomLevels,
+  sessionId,
+  sessionTitle,
+  documentId,
+  hasDocument,
+  importedFrom
+}) => {
+  let currentSessionId = sessionId;
+  
+  // Crear una nueva sesión en la BD si es necesario (solo cuando la generación ha tenido éxito)
+  if (!sessionId) {
+    const newSession = new Session({
+      owner,
+      title: sessionTitle,
+      type: 'quiz',
+      // Como en parseQuizParams, un cuestionario sin tipo es de opción múltiple
+      questionType: questionType || 'multiple-choice',
+      topic: topic,
+      createdAt: new Date()
+    });
+    
+    const savedSession = await newSession.save();
+    currentSessionId = savedSession._id.toString();
+  }
+  
+  // Guardar el cuestionario en la base de datos
+  const conversation = new Conversation({
+    sessionId: currentSessionId,
+    prompt: JSON.stringify({
+      topic,
+      questionType,
+      questionCount,
+      composition: composition && composition.length > 0 ? composition : null,
+      difficulty: difficulty || null,
+      bloomLevels: bloomLevels || null,
+      documentId: documentId || null,
+      hasDocument: !!hasDocument,
+      importedFrom: importedFrom || null
+    }),
+    response: JSON.stringify(quiz),
+    timestamp: new Date()
+  });
+  
+  await conversation.save();
+  
+  // La clave de respuestas se queda en el servidor; el cliente solo recibe las preguntas
+  return {
+    sessionId: currentSessionId,
+    conversationId: conversation._id.toString(),
+    sessionTitle,
+    quiz: toPublicQuiz(quiz)
+  };
+};
+
+// Generar un cuestionario validado (cubriendo todo el documento, si lo hay) y guardarlo.
+// onProgress() se llama cada vez que el modelo responde y beforeSave() justo antes de guardar (puede lanzar
+// un error para no guardar, p. ej. si el trabajo de la cola ya no pertenece a este intento).
+export const createQuiz = async (provider, params, { onProgress, beforeSave } = {}) => {
+  const { topic, questionType, questionCount, composition, content, difficulty, bloomLevels } = params;
+  const quiz = await generateCoveredQuiz(provider, { topic, questionType, questionCount, composition, content, difficulty, bloomLevels }, { onProgress });
+  if (beforeSave) await beforeSave();
+  return saveQuiz(quiz, params);
+};
+
+// Generar un cuestionario en streaming (avisando de cada pregunta válida) y guardarlo al terminar
+export const streamAndSaveQuiz = async (provider, params, { onQuestion } = {}) => {
+  const { topic, questionType, questionCount, composition, content, difficulty, bloomLevels } = params;
+  const quiz = await generateCoveredQuiz(provider, { topic, questionType, questionCount, composition, content, difficulty, bloomLevels }, { onQuestion });
+  return saveQuiz(quiz, params);
+};
+
+export default {
+  saveQuiz,
+  createQuiz,
+  streamAndSaveQuiz
+};
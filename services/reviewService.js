@@ -0,0 +1,150 @@
+import Conversation from '../models/Conversation.js';
+import ReviewItem from '../models/ReviewItem.js';
+import Session from '../models/Session.js';
+import { answerQuality, scheduleReview } from '../utils/spacedRepetition.js';
+import { parseStoredQuiz, stripAnswerKey } from '../utils/quizHelper.js';
+
+const DEFAULT_REVIEW_LIMIT = 20;
+const MAX_REVIEW_LIMIT = 100;
+// Intentos de guardar un repaso cuando otra respuesta a la misma pregunta se guarda a la vez
+const MAX_REVIEW_UPDATE_ATTEMPTS = 5;
+
+const reviewKey = (conversationId, questionIndex) => `${conversationId}:${questionIndex}`;
+
+// Estado de repaso que se devuelve al cliente
+const toReviewSchedule = (item) => ({
+  dueAt: item.dueAt,
+  interval: item.interval,
+  easeFactor: item.easeFactor,
+  repetitions: item.repetitions
+});
+
+// Actualizar la planificación de repaso de una pregunta tras una respuesta evaluada.
+// Devuelve el nuevo estado de repaso, o null si la respuesta no se pudo evaluar.
+// La escritura solo se aplica si nadie ha repasado la pregunta desde la lectura (reviewCount aumenta con
+// cada repaso); si no, se vuelve a calcular con el estado nuevo para no perder ninguna respuesta.
+export const recordReview = async (owner, { sessionId, conversationId, questionIndex }, answer, now = new Date()) => {
+  const quality = answerQuality(answer);
+  if (quality === null) return null;
+  
+  const filter = { owner, conversationId: String(conversationId), questionIndex };
+  
+  for (let attempt = 0; attempt < MAX_REVIEW_UPDATE_ATTEMPTS; attempt++) {
+    const existing = await ReviewItem.findOne(filter).lean();
+    const next = { ...scheduleReview(existing || {}, quality, now), sessionId: String(sessionId) };
+    
+    try {
+      const item = existing
+        ? await ReviewItem.findOneAndUpdate({ ...filter, reviewCount: existing.reviewCount }, { $set: next }, { new: true })
+        : await ReviewItem.create({ ...filter, ...next });
+      if (item) return toReviewSchedule(item);
+    } catch (error) {
+      // Otra respuesta creó la entrada a la vez: se repite con su estado
+      if (error.code !== 11000) throw error;
+    }
+  }
+  
+  const error = new Error('No se pudo actualizar la planificación de repaso: la pregunta se repasó a la vez varias veces');
+  error.code = 'REVIEW_CONFLICT';
+  throw error;
+};
+
+// Crear la planificación de las preguntas que un usuario respondió antes de que existiera el repaso espaciado,
+// reproduciendo su historial de respuestas. Es una migración de una sola vez (migrate-review-history.js):
+// desde entonces recordReview actualiza la planificación con cada respuesta.
+// Devuelve el número de preguntas planificadas.
+export const backfillReviewHistory = async (owner) => {
+  const sessions = await Session.find({ owner }).select('_id').lean();
+  const conversations = await Conversation.find({
+    sessionId: { $in: sessions.map(session => session._id.toString()) },
+    'userAnswers.0': { $exists: true }
+  }).select('sessionId timestamp userAnswers').lean();
+  if (conversations.length === 0) return 0;
+  
+  const existing = await ReviewItem.find({ owner }).select('conversationId questionIndex').lean();
+  const scheduled = new Set(existing.map(item => reviewKey(item.conversationId, item.questionIndex)));
+  const newItems = [];
+  
+  for (const conversation of conversations) {
+    const conversationId = conversation._id.toString();
+    const states = new Map();
+    
+    for (const answer of conversation.userAnswers) {
+      if (scheduled.has(reviewKey(conversationId, answer.questionIndex))) continue;
+      
+      const quality = answerQuality(answer);
+      if (quality === null) continue;
+      
+      const answeredAt = answer.answeredAt || conversation.timestamp || new Date();
+      states.set(answer.questionIndex, scheduleReview(states.get(answer.questionIndex) || {}, quality, answeredAt));
+    }
+    
+    for (const [questionIndex, state] of states) {
+      newItems.push({ ...state, owner, sessionId: conversation.sessionId, conversationId, questionIndex });
+    }
+  }
+  
+  if (newItems.length > 0) {
+    // Ignorar duplicados si otra solicitud creó la misma entrada a la vez
+    await ReviewItem.insertMany(newItems, { ordered: false }).catch(error => {
+      if (error.code !== 11000 && !(error.writeErrors || []).every(writeError => writeError.code === 11000)) throw error;
+    });
+  }
+  
+  return newItems.length;
+};
+
+// Preguntas que el usuario debe repasar hoy (de todas sus sesiones), las más atrasadas primero
+export const getDueReviews = async (owner, { limit, now = new Date() } = {}) => {
+  const maxItems = Math.min(MAX_REVIEW_LIMIT, Math.max(1, parseInt(limit) || DEFAULT_REVIEW_LIMIT));
+  const endOfToday = new Date(now);
+  endOfToday.setHours(23, 59, 59, 999);
+  
+  const dueFilter = { owner, dueAt: { $lte: endOfToday } };
+  const [dueCount, items] = await Promise.all([
+    ReviewItem.countDocuments(dueFilter),
+    ReviewItem.find(dueFilter).sort({ dueAt: 1 }).limit(maxItems).lean()
+  ]);
+  
+  const [conversations, sessions] = await Promise.all([
+    Conversation.find({ _id: { $in: [...new Set(items.map(item => item.conversationId))] } }).lean(),
+    Session.find({ _id: { $in: [...new Set(items.map(item => item.sessionId))] }, owner }).lean()
+  ]);
+  const quizzes = new Map(conversations.map(conversation => [conversation._id.toString(), parseStoredQuiz(conversation)]));
+  const sessionsById = new Map(sessions.map(session => [session._id.toString(), session]));
+  
+  const reviews = [];
+  for (const item of items) {
+    const quiz = quizzes.get(item.conversationId);
+    const session = sessionsById.get(item.sessionId);
+    // Los mazos de tarjetas guardan "cards" en lugar de "questions"
+    const entries = quiz && (session && session.type === 'flashcards' ? quiz.cards : quiz.questions);
+    const question = Array.isArray(entries) ? entries[item.questionIndex] : null;
+    if (!question || !session) continue; // La sesión o el cuestionario se han eliminado
+    
+    reviews.push({
+      sessionId: item.sessionId,
+      conversationId: item.conversationId,
+      questionIndex: item.questionIndex,
+      sessionTitle: session.title,
+      sessionType: session.type,
+      questionType: question.questionType || session.questionType,
+      question: stripAnswerKey(question),
+      ...toReviewSchedule(item)
+    });
+  }
+  
+  return { dueCount, reviews };
+};
+
+// Eliminar la planificación de repaso de una sesión
+export const deleteSessionReviews = (owner, sessionId) => {
+  return ReviewItem.deleteMany({ owner, sessionId: String(sessionId) });
+};
+
+export default {
+  recordReview,
+  backfillReviewHistory,
+  getDueReviews,
+  deleteSessionReviews
+};
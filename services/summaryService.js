@@ -0,0 +1,64 @@
+import Conversation from '../models/Conversation.js';
+import Session from '../models/Session.js';
+import { generateStudyNotes } from '../utils/summaryGenerator.js';
+
+// Guardar unos apuntes en la sesión del usuario (creando la sesión de tipo 'summary' si no existe)
+export const saveSummary = async (notes, {
+  owner,
+  topic,
+  length,
+  sessionId,
+  sessionTitle,
+  documentId,
+  hasDocument
+}) => {
+  let currentSessionId = sessionId;
+  
+  if (!sessionId) {
+    const newSession = new Session({
+      owner,
+      title: sessionTitle,
+      type: 'summary',
+      questionType: null,
+      topic: topic,
+      createdAt: new Date()
+    });
+    
+    const savedSession = await newSession.save();
+    currentSessionId = savedSession._id.toString();
+  }
+  
+  const conversation = new Conversation({
+    sessionId: currentSessionId,
+    prompt: JSON.stringify({
+      topic,
+      length,
+      documentId: documentId || null,
+      hasDocument: !!hasDocument
+    }),
+    response: JSON.stringify(notes),
+    timestamp: new Date()
+  });
+  
+  await conversation.save();
+  
+  return {
+    sessionId: currentSessionId,
+    conversationId: conversation._id.toString(),
+    sessionTitle,
+    notes
+  };
+};
+
+// Generar los apuntes de un tema o documento y guardarlos (onProgress y beforeSave como en createQuiz)
+export const createSummary = async (provider, params, { onProgress, beforeSave } = {}) => {
+  const { topic, content, length } = params;
+  const notes = await generateStudyNotes(provider, { topic, content, length }, { onProgress });
+  if (beforeSave) await beforeSave();
+  return saveSummary(notes, params);
+};
+
+export default {
+  saveSummary,
+  createSummary
+};
@@ -0,0 +1,194 @@
+import Conversation from '../models/Conversation.js';
+import Session from '../models/Session.js';
+import Document from '../models/Document.js';
+import { trackApiRequest } from '../utils/quotaMonitor.js';
+import { parseStoredQuiz, toPublicQuiz } from '../utils/quizHelper.js';
+import { selectRelevantSections, windowHistory, buildTutorPrompt } from '../utils/tutorContext.js';
+
+// Longitud máxima de un mensaje del estudiante
+export const MAX_MESSAGE_LENGTH = 2000;
+
+// Nombres de los campos de preguntas y tarjetas al describirlas como material de referencia
+const FIELD_LABELS = {
+  question: 'Pregunta',
+  statement: 'Afirmación',
+  text: 'Texto para completar',
+  left: 'Columna izquierda',
+  right: 'Columna derecha',
+  items: 'Elementos a ordenar',
+  options: 'Opciones',
+  correctAnswer: 'Respuesta correcta',
+  isTrue: 'Es verdadera',
+  explanation: 'Explicación',
+  modelAnswer: 'Respuesta modelo',
+  blanks: 'Respuestas de los huecos',
+  pairs: 'Parejas correctas',
+  sequence: 'Orden correcto',
+  answer: 'Respuesta correcta',
+  tolerance: 'Margen de error',
+  unit: 'Unidad',
+  front: 'Anverso',
+  back: 'Reverso'
+};
+
+const parseJSON = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Texto del valor de un campo (las listas se escriben en una línea)
+const describeValue = (field, value) => {
+  if (field === 'options') return value.map((option, index) => `${String.fromCharCode(97 + index)}) ${option}`).join(' ');
+  if (field === 'isTrue') return value ? 'sí' : 'no';
+  if (field === 'blanks') return value.map((blank, index) => `${index + 1}) ${blank.answers.join(' / ')}`).join(' ');
+  if (field === 'pairs') return value.map(pair => `${pair.left} = ${pair.right}`).join('; ');
+  return Array.isArray(value) ? value.join('; ') : value;
+};
+
+// Texto de una pregunta o tarjeta con los campos conocidos
+const describeItem = (item) => {
+  return Object.entries(FIELD_LABELS)
+    .filter(([field]) => item[field] !== undefined && item[field] !== null && item[field] !== '')
+    .map(([field, label]) => `${label}: ${describeValue(field, item[field])}`)
+    .join('\n');
+};
+
+// Texto de referencia de un cuestionario o mazo: una sección por pregunta, con la clave de respuestas
+// solo de las preguntas ya respondidas (el tutor no debe revelar las demás)
+const describeQuizSession = (conversations) => {
+  return conversations.map((conversation, conversationIndex) => {
+    const stored = parseStoredQuiz(conversation);
+    if (!stored) return '';
+    
+    const answers = conversation.userAnswers || [];
+    const quiz = Array.isArray(stored.cards)
+      ? { questions: stored.cards }
+      : toPublicQuiz(stored, answers.map(answer => answer.questionIndex));
+    const prefix = conversations.length > 1 ? `Cuestionario ${conversationIndex + 1} - ` : '';
+    
+    return (quiz.questions || []).map((question, index) => {
+      const lastAnswer = answers.filter(answer => answer.questionIndex === index).pop();
+      const answerLine = lastAnswer
+        ? `\nRespuesta del estudiante: ${lastAnswer.userAnswer}${lastAnswer.correct === true ? ' (correcta)' : lastAnswer.correct === false ? ' (incorrecta)' : ''}`
+        : '';
+      return `# ${prefix}Pregunta ${index + 1}\n${describeItem(question)}${answerLine}`;
+    }).join('\n\n');
+  }).join('\n\n');
+};
+
+// Material de referencia de una sesión de tutor: el documento o el cuestionario sobre el que se pregunta.
+// Devuelve { title, text } o null si la fuente ya no existe.
+export const loadTutorSource = async (owner, session) => {
+  if (session.documentId) {
+    const document = await Document.findOne({ _id: session.documentId, owner });
+    return document ? { title: document.fileName, text: document.text } : null;
+  }
+  
+  if (session.sourceSessionId) {
+    const sourceSession = await Session.findOne({ _id: session.sourceSessionId, owner });
+    if (!sourceSession) return null;
+    
+    const conversations = await Conversation.find({ sessionId: session.sourceSessionId }).sort({ timestamp: 1 }).lean();
+    return { title: sourceSession.title, text: describeQuizSession(conversations) };
+  }
+  
+  return null;
+};
+
+// Crear una sesión de tutor asociada a un documento o a un cuestionario
+export const createTutorSession = ({ owner, title, topic, documentId, sourceSessionId }) => {
+  return Session.create({
+    owner,
+    title,
+    type: 'chat',
+    questionType: null,
+    topic: topic || '',
+    documentId: documentId || null,
+    sourceSessionId: sourceSessionId || null,
+    createdAt: new Date()
+  });
+};
+
+// Turnos anteriores de una sesión de tutor, del más antiguo al más reciente
+const loadTurns = async (sessionId) => {
+  const conversations = await Conversation.find({ sessionId }).sort({ timestamp: 1 }).lean();
+  return conversations
+    .map(conversation => ({ prompt: parseJSON(conversation.prompt), response: parseJSON(conversation.response) }))
+    .filter(({ prompt, response }) => prompt && response && typeof prompt.message === 'string' && typeof response.answer === 'string')
+    .map(({ prompt, response }) => ({ message: prompt.message, answer: response.answer }));
+};
+
+// Responder un mensaje del estudiante con el material de la sesión y el historial reciente, y guardar el turno.
+// Lanza un error con code 'SOURCE_NOT_FOUND' si el material se ha eliminado y con code 'INVALID_JSON' si la
+// respuesta del modelo no tiene el formato esperado.
+export const sendTutorMessage = async (provider, { owner, session, message }) => {
+  const source = await loadTutorSource(owner, session);
+  if (!source) {
+    const error = new Error('El documento o cuestionario de esta conversación ya no existe');
+    error.code = 'SOURCE_NOT_FOUND';
+    throw error;
+  }
+  
+  const sessionId = session._id.toString();
+  const turns = await loadTurns(sessionId);
+  const history = windowHistory(turns);
+  
+  // La última pregunta ayuda a encontrar el material de las preguntas de seguimiento ("¿y por qué?")
+  const previousMessage = turns.length > 0 ? turns[turns.length - 1].message : '';
+  const sections = selectRelevantSections(source.text, `${message} ${previousMessage}`);
+  
+  if (provider.metered) {
+    await trackApiRequest();
+  }
+  
+  const reply = await provider.generateJSON(
+    buildTutorPrompt({ sourceTitle: source.title, sections, history, message }),
+    { task: 'tutor', message, sections }
+  );
+  
+  if (!reply || typeof reply.answer !== 'string' || !reply.answer.trim()) {
+    const error = new Error('La respuesta del tutor no tiene el formato esperado');
+    error.code = 'INVALID_JSON';
+    throw error;
+  }
+  
+  // Solo se citan secciones que realmente se enviaron al modelo
+  const citedTitles = new Set(Array.isArray(reply.sections) ? reply.sections : []);
+  const sources = sections
+    .filter(section => citedTitles.has(section.title))
+    .map(section => ({ title: section.title, pages: section.pages }));
+  const response = {
+    answer: reply.answer.trim(),
+    grounded: reply.grounded !== false,
+    sources
+  };
+  
+  const conversation = await Conversation.create({
+    sessionId,
+    prompt: JSON.stringify({ message }),
+    response: JSON.stringify(response),
+    timestamp: new Date()
+  });
+  
+  return {
+    sessionId,
+    conversationId: conversation._id.toString(),
+    sessionTitle: session.title,
+    ...response,
+    context: {
+      sections: sections.length,
+      historyTurns: history.turns.length,
+      omittedTurns: history.omitted
+    }
+  };
+};
+
+export default {
+  MAX_MESSAGE_LENGTH,
+  loadTutorSource,
+  createTutorSession,
+  sendTutorMessage
+};
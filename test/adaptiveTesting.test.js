@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  estimateAbility,
+  stoppingReason,
+  responseValue,
+  selectDifficulty,
+  parseAdaptiveParams,
+  MIN_ADAPTIVE_QUESTIONS
+} from '../utils/adaptiveTesting.js';
+
+const answers = (difficulty, values) => values.map(value => ({ difficulty, value }));
+
+test('estimateAbility sin respuestas devuelve la distribución inicial N(0, 1)', () => {
+  const { ability, standardError } = estimateAbility([]);
+  assert.ok(Math.abs(ability) < 1e-9);
+  assert.ok(Math.abs(standardError - 1) < 0.01);
+});
+
+test('estimateAbility sube con los aciertos, baja con los fallos y el error típico se reduce', () => {
+  const correct = estimateAbility(answers('medium', [1, 1, 1]));
+  const wrong = estimateAbility(answers('medium', [0, 0, 0]));
+  assert.ok(correct.ability > 0);
+  assert.ok(Math.abs(correct.ability + wrong.ability) < 1e-9); // simétricas
+  
+  const few = estimateAbility(answers('medium', [1, 0]));
+  const many = estimateAbility(answers('medium', [1, 0, 1, 0, 1, 0, 1, 0]));
+  assert.ok(many.standardError < few.standardError);
+});
+
+test('estimateAbility es finita aunque el estudiante lo acierte todo', () => {
+  const { ability, standardError } = estimateAbility(answers('hard', Array(15).fill(1)));
+  assert.ok(Number.isFinite(ability) && ability > 1 && ability < 4);
+  assert.ok(standardError > 0);
+});
+
+test('estimateAbility da más habilidad por acertar preguntas difíciles que fáciles', () => {
+  assert.ok(estimateAbility(answers('hard', [1, 1])).ability > estimateAbility(answers('easy', [1, 1])).ability);
+});
+
+test('estimateAbility cuenta el crédito parcial entre el acierto y el fallo', () => {
+  const partial = estimateAbility(answers('medium', [0.5, 0.5])).ability;
+  assert.ok(Math.abs(partial) < 1e-9);
+  assert.equal(responseValue({ correct: false, score: 5 }), 0.5);
+  assert.equal(responseValue({ correct: true }), 1);
+  assert.equal(responseValue({ correct: null, score: 7 }), null);
+});
+
+test('stoppingReason solo tiene en cuenta la precisión a partir del mínimo de respuestas', () => {
+  const rules = { maxQuestions: 10, targetError: 0.6 };
+  assert.equal(stoppingReason({ answered: MIN_ADAPTIVE_QUESTIONS - 1, standardError: 0.4 }, rules), null);
+  assert.equal(stoppingReason({ answered: MIN_ADAPTIVE_QUESTIONS, standardError: 0.6 }, rules), 'target-error');
+  assert.equal(stoppingReason({ answered: 7, standardError: 0.7 }, rules), null);
+  assert.equal(stoppingReason({ answered: 10, standardError: 0.7 }, rules), 'max-questions');
+  // Si se cumplen las dos reglas, manda la precisión
+  assert.equal(stoppingReason({ answered: 10, standardError: 0.5 }, rules), 'target-error');
+});
+
+test('selectDifficulty elige el nivel más cercano a la habilidad', () => {
+  assert.equal(selectDifficulty(-0.8), 'easy');
+  assert.equal(selectDifficulty(0.4), 'medium');
+  assert.equal(selectDifficulty(2.5), 'hard');
+});
+
+test('parseAdaptiveParams aplica los valores por defecto y comprueba los límites', () => {
+  assert.deepEqual(parseAdaptiveParams({}), { questionType: 'multiple-choice', maxQuestions: 15, targetError: 0.6 });
+  assert.ok(parseAdaptiveParams({ maxQuestions: '4' }).error);
+  assert.ok(parseAdaptiveParams({ targetError: '0.1' }).error);
+  assert.ok(parseAdaptiveParams({ questionType: 'essay' }).error);
+});
@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import Conversation from '../models/Conversation.js';
+import { getSessionScores, getQuestionTypeAccuracy, getTopicMastery, getMostMissedQuestions } from '../services/analyticsService.js';
+
+const owner = new mongoose.Types.ObjectId().toString();
+
+// Simular Session.aggregate: guarda los pipelines recibidos y devuelve el resultado indicado
+const mockAggregate = (t, result = []) => {
+  const pipelines = [];
+  t.mock.method(Session, 'aggregate', async (pipeline) => {
+    pipelines.push(pipeline);
+    return result;
+  });
+  return pipelines;
+};
+
+// Primera (o última) etapa de un tipo dentro de un pipeline
+const stage = (pipeline, name) => pipeline.find(step => step[name])?.[name];
+const lastStage = (pipeline, name) => pipeline.findLast(step => step[name])?.[name];
+
+test('las agregaciones parten de las sesiones evaluables del usuario y descartan las respuestas sin nota', async (t) => {
+  const pipelines = mockAggregate(t);
+  await getSessionScores(owner);
+  await getQuestionTypeAccuracy(owner);
+  
+  for (const pipeline of pipelines) {
+    const [first] = pipeline;
+    assert.equal(first.$match.owner.toString(), owner);
+    assert.deepEqual(first.$match.type, { $in: ['quiz', 'flashcards', 'adaptive'] });
+    assert.equal(stage(pipeline, '$lookup').from, Conversation.collection.name);
+    assert.deepEqual(pipeline.find(step => step.$match && step.$match.points).$match, { points: { $ne: null } });
+  }
+  
+  // El tipo de pregunta de cada respuesta prevalece sobre el de la sesión (cuestionarios mixtos)
+  const project = stage(pipelines[1], '$project');
+  assert.deepEqual(project.questionType.$cond[2], { $ifNull: ['$conversation.userAnswers.questionType', '$questionType'] });
+  assert.equal(stage(pipelines[1], '$group')._id, '$questionType');
+});
+
+test('getSessionScores agrupa primero por pregunta y después por sesión', async (t) => {
+  const pipelines = mockAggregate(t);
+  await getSessionScores(owner);
+  
+  const groups = pipelines[0].filter(step => step.$group).map(step => step.$group);
+  assert.equal(groups.length, 2);
+  assert.deepEqual(groups[0]._id, { sessionId: '$sessionId', conversationId: '$conversationId', questionIndex: '$questionIndex' });
+  assert.equal(groups[1]._id, '$_id.sessionId');
+  assert.deepEqual(groups[1].score, { $avg: '$lastPoints' });
+});
+
+test('getTopicMastery filtra por fecha, agrupa por el periodo pedido y calcula el cambio', async (t) => {
+  const period = (day) => new Date(`2026-01-0${day}T00:00:00Z`);
+  const pipelines = mockAggregate(t, [{
+    mastery: [
+      { _id: 'célula', topic: 'Célula', questions: 4, mastery: 0.625, sessions: ['a', 'b'] },
+      { _id: 'tejidos', topic: 'Tejidos', questions: 1, mastery: 1, sessions: ['c'] }
+    ],
+    trend: [
+      { _id: 'tejidos', answers: 1, trend: [{ period: period(5), answers: 1, score: 100 }] },
+      { _id: 'célula', answers: 6, trend: [{ period: period(5), answers: 3, score: 40 }, { period: period(6), answers: 3, score: 75 }] }
+    ]
+  }]);
+  
+  const before = Date.now();
+  const result = await getTopicMastery(owner, { interval: 'day', days: 1000 });
+  
+  const since = pipelines[0].find(step => step.$match && step.$match.answeredAt).$match.answeredAt.$gte;
+  assert.ok(Math.abs(before - 365 * 24 * 60 * 60 * 1000 - since.getTime()) < 1000);
+  assert.equal(stage(pipelines[0], '$facet').trend[0].$group._id.period.$dateTrunc.unit, 'day');
+  
+  assert.equal(result.interval, 'day');
+  assert.equal(result.days, 365);
+  assert.deepEqual(result.topics.map(topic => [topic.topic, topic.answers, topic.sessions, topic.mastery, topic.change]), [
+    ['Célula', 6, 2, 63, 35],
+    ['Tejidos', 1, 1, 100, null]
+  ]);
+});
+
+test('getMostMissedQuestions limita el resultado y añade el enunciado de cada pregunta', async (t) => {
+  const conversationId = new mongoose.Types.ObjectId();
+  const pipelines = mockAggregate(t, [{
+    _id: { conversationId: conversationId.toString(), questionIndex: 1 },
+    sessionId: 's1',
+    sessionTitle: 'Repaso',
+    questionType: 'true-false',
+    topic: 'Agua',
+    attempts: 3,
+    misses: 2,
+    missRate: 2 / 3,
+    lastPoints: 1,
+    lastAnsweredAt: new Date('2026-01-05')
+  }]);
+  t.mock.method(Conversation, 'find', () => ({
+    select: () => ({
+      lean: async () => [{
+        _id: conversationId,
+        response: JSON.stringify({ questions: [{ question: 'Primera' }, { statement: 'El agua hierve a 100 ºC' }] })
+      }]
+    })
+  }));
+  
+  const [missed] = await getMostMissedQuestions(owner, { limit: 500 });
+  
+  assert.equal(stage(pipelines[0], '$limit'), 50);
+  assert.deepEqual(lastStage(pipelines[0], '$sort'), { misses: -1, missRate: -1, lastAnsweredAt: -1 });
+  assert.equal(missed.question, 'El agua hierve a 100 ºC');
+  assert.equal(missed.missRate, 67);
+  assert.equal(missed.lastCorrect, true);
+  
+  await getMostMissedQuestions(owner, { limit: 'abc' });
+  assert.equal(stage(pipelines[1], '$limit'), 10);
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { gradeAnswer } from '../utils/answerGrading.js';
+
+const blanks = {
+  text: 'La ____ produce energía y el ____ guarda el ADN.',
+  blanks: [{ answers: ['mitocondria', 'mitocondrias'] }, { answers: ['núcleo'] }],
+  explanation: 'Orgánulos de la célula.'
+};
+
+const matching = {
+  question: 'Relaciona cada país con su capital',
+  pairs: [{ left: 'Francia', right: 'París' }, { left: 'Italia', right: 'Roma' }, { left: 'Alemania', right: 'Berlín' }, { left: 'Portugal', right: 'Lisboa' }],
+  explanation: 'Capitales europeas.'
+};
+
+const ordering = {
+  question: 'Ordena las etapas',
+  sequence: ['Profase', 'Metafase', 'Anafase', 'Telofase'],
+  explanation: 'Fases de la mitosis.'
+};
+
+const numeric = (overrides = {}) => ({
+  question: '¿Cuánto vale g?',
+  answer: 9.81,
+  tolerance: 0.05,
+  unit: 'm/s²',
+  explanation: 'Aceleración de la gravedad.',
+  ...overrides
+});
+
+test('fill-in-the-blank acepta las variantes sin tener en cuenta acentos ni mayúsculas', () => {
+  const result = gradeAnswer('fill-in-the-blank', blanks, ['Mitocondrias', 'nucleo.']);
+  assert.equal(result.isCorrect, true);
+  assert.equal(result.score, 10);
+  assert.deepEqual(result.correctAnswer, ['mitocondria', 'núcleo']);
+});
+
+test('fill-in-the-blank da crédito parcial por hueco y acepta la lista como JSON', () => {
+  const result = gradeAnswer('fill-in-the-blank', blanks, '["ribosoma", "núcleo"]');
+  assert.equal(result.isCorrect, false);
+  assert.equal(result.score, 5);
+  assert.deepEqual(result.details.map(detail => detail.correct), [false, true]);
+  assert.match(result.feedback, /Parcialmente correcto/);
+});
+
+test('fill-in-the-blank con un solo hueco admite un texto y rechaza listas de otro tamaño', () => {
+  const single = { text: 'La capital de España es ____.', blanks: [{ answers: ['Madrid'] }], explanation: 'E' };
+  assert.equal(gradeAnswer('fill-in-the-blank', single, 'madrid').score, 10);
+  assert.ok(gradeAnswer('fill-in-the-blank', blanks, ['mitocondria']).error);
+});
+
+test('matching puntúa la fracción de parejas acertadas', () => {
+  const result = gradeAnswer('matching', matching, ['París', 'Berlín', 'Roma', 'Lisboa']);
+  assert.equal(result.score, 5);
+  assert.deepEqual(result.details.map(detail => detail.correct), [true, false, false, true]);
+});
+
+test('matching no premia repetir el mismo elemento en todas las parejas', () => {
+  const result = gradeAnswer('matching', matching, ['París', 'París', 'París', 'París']);
+  assert.equal(result.isCorrect, false);
+  assert.equal(result.score, 3); // 1 de 4 parejas, redondeado
+});
+
+test('matching rechaza respuestas a las que les faltan parejas o que no son una lista', () => {
+  assert.ok(gradeAnswer('matching', matching, ['París', 'Roma', 'Berlín']).error);
+  assert.ok(gradeAnswer('matching', matching, 'París').error);
+  assert.ok(gradeAnswer('matching', matching, '[no es json').error);
+});
+
+test('ordering puntúa los pares de elementos en el orden correcto entre sí', () => {
+  assert.equal(gradeAnswer('ordering', ordering, ordering.sequence).score, 10);
+  
+  // Un elemento fuera de sitio: 5 de 6 pares siguen en orden
+  const swapped = gradeAnswer('ordering', ordering, ['Metafase', 'Profase', 'Anafase', 'Telofase']);
+  assert.equal(swapped.isCorrect, false);
+  assert.equal(swapped.score, 8);
+  assert.deepEqual(swapped.details.map(detail => detail.correct), [false, false, true, true]);
+  
+  // El orden inverso no tiene ningún par en orden
+  assert.equal(gradeAnswer('ordering', ordering, [...ordering.sequence].reverse()).score, 0);
+});
+
+test('ordering rechaza elementos repetidos, desconocidos o que faltan', () => {
+  assert.ok(gradeAnswer('ordering', ordering, ['Profase', 'Profase', 'Anafase', 'Telofase']).error);
+  assert.ok(gradeAnswer('ordering', ordering, ['Profase', 'Metafase', 'Anafase', 'Interfase']).error);
+  assert.ok(gradeAnswer('ordering', ordering, ['Profase', 'Metafase', 'Anafase']).error);
+});
+
+test('numeric acepta los valores en el límite del margen de error y rechaza los de fuera', () => {
+  assert.equal(gradeAnswer('numeric', numeric(), '9.86').isCorrect, true);
+  assert.equal(gradeAnswer('numeric', numeric(), '9.76').isCorrect, true);
+  assert.equal(gradeAnswer('numeric', numeric(), '9.87').isCorrect, false);
+  assert.equal(gradeAnswer('numeric', numeric(), '9.75').score, 0);
+});
+
+test('numeric sin margen exige el valor exacto', () => {
+  const exact = numeric({ answer: 0.3, tolerance: 0 });
+  assert.equal(gradeAnswer('numeric', exact, String(0.1 + 0.2)).isCorrect, true);
+  assert.equal(gradeAnswer('numeric', exact, '0.31').isCorrect, false);
+});
+
+test('numeric admite coma decimal y la unidad al final, y rechaza lo que no es un número', () => {
+  const result = gradeAnswer('numeric', numeric(), '9,8 m/s²');
+  assert.equal(result.isCorrect, true);
+  assert.equal(result.details.userAnswer, 9.8);
+  assert.ok(gradeAnswer('numeric', numeric(), 'nueve').error);
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitIntoSections, buildChunks, mergeChunks, allocateQuestions, PAGE_SEPARATOR, MAX_CHUNK_LENGTH } from '../utils/documentChunker.js';
+
+const paragraph = (words) => 'Texto de relleno del apartado. '.repeat(words / 5).trim();
+
+test('splitIntoSections divide por títulos y anota las páginas de cada sección', () => {
+  const text = [
+    '# Introducción',
+    paragraph(20),
+    `${PAGE_SEPARATOR}CAPÍTULO 1 La célula`,
+    paragraph(20),
+    PAGE_SEPARATOR + paragraph(20),
+    '2.1 Mitosis',
+    paragraph(20)
+  ].join('\n');
+  
+  const sections = splitIntoSections(text);
+  assert.deepEqual(sections.map(section => section.title), ['Introducción', 'CAPÍTULO 1 La célula', '2.1 Mitosis']);
+  assert.deepEqual(sections.map(section => [section.pageStart, section.pageEnd]), [[1, 1], [2, 3], [3, 3]]);
+  assert.ok(sections.every(section => !section.text.includes(PAGE_SEPARATOR)));
+});
+
+test('splitIntoSections divide por páginas si no hay al menos dos títulos', () => {
+  const sections = splitIntoSections(['# Único título', paragraph(10), paragraph(10), '  '].join(PAGE_SEPARATOR));
+  assert.deepEqual(sections.map(section => section.title), ['Página 1', 'Página 2', 'Página 3']);
+  
+  assert.deepEqual(splitIntoSections(paragraph(10)).map(section => section.title), ['Contenido']);
+  assert.deepEqual(splitIntoSections(''), []);
+});
+
+test('buildChunks agrupa las secciones pequeñas y conserva sus títulos y páginas', () => {
+  const text = ['Uno', 'Dos', 'Tres', 'Cuatro'].map(title => `# ${title}\n${paragraph(50)}`).join(`\n${PAGE_SEPARATOR}`);
+  const chunks = buildChunks(text);
+  
+  assert.equal(chunks.length, 1);
+  assert.deepEqual(chunks[0].titles, ['Uno', 'Dos', 'Tres', 'Cuatro']);
+  assert.deepEqual([chunks[0].pageStart, chunks[0].pageEnd], [1, 4]);
+  assert.equal(chunks[0].length, chunks[0].text.length);
+});
+
+test('buildChunks parte las secciones más largas que MAX_CHUNK_LENGTH', () => {
+  const text = `# Largo\n${Array.from({ length: 10 }, () => paragraph(500)).join('\n\n')}\n# Corto\n${paragraph(20)}`;
+  const chunks = buildChunks(text, { maxChunks: 1 });
+  
+  assert.ok(chunks.length > 1);
+  assert.ok(chunks.every(chunk => chunk.length <= MAX_CHUNK_LENGTH));
+  assert.match(chunks[0].titles[0], /^Largo \(parte 1\)$/);
+  assert.deepEqual(chunks.map(chunk => chunk.index), chunks.map((_, index) => index));
+});
+
+test('allocateQuestions reparte todas las preguntas en proporción al tamaño', () => {
+  const chunks = [{ length: 1000 }, { length: 3000 }, { length: 1000 }];
+  assert.deepEqual(allocateQuestions(chunks, 5), [1, 3, 1]);
+  
+  // Con menos preguntas que fragmentos quedan repartidas por el documento
+  const even = Array.from({ length: 6 }, () => ({ length: 1000 }));
+  assert.deepEqual(allocateQuestions(even, 2), [0, 1, 0, 0, 1, 0]);
+});
+
+test('allocateQuestions con maxChunks usa como mucho ese número de fragmentos a lo largo del documento', () => {
+  const chunks = Array.from({ length: 6 }, (_, index) => ({ length: index === 4 ? 2000 : 1000 }));
+  const allocation = allocateQuestions(chunks, 6, { maxChunks: 2 });
+  
+  assert.equal(allocation.reduce((sum, count) => sum + count, 0), 6);
+  assert.equal(allocation.filter(count => count > 0).length, 2);
+  // Un fragmento en cada mitad del documento: el más grande de cada tramo
+  assert.equal(allocation[0], 3);
+  assert.equal(allocation[4], 3);
+});
+
+test('mergeChunks une fragmentos contiguos hasta maxChunks y recorta los tramos demasiado largos', () => {
+  const chunks = Array.from({ length: 9 }, (_, index) => ({
+    titles: [`T${index}`],
+    text: String(index).repeat(1000),
+    pageStart: index + 1,
+    pageEnd: index + 1,
+    index,
+    length: 1000
+  }));
+  assert.equal(mergeChunks(chunks, 10), chunks);
+  
+  const merged = mergeChunks(chunks, 3);
+  assert.deepEqual(merged.map(chunk => chunk.titles), [['T0', 'T1', 'T2'], ['T3', 'T4', 'T5'], ['T6', 'T7', 'T8']]);
+  assert.deepEqual(merged.map(chunk => [chunk.index, chunk.pageStart, chunk.pageEnd]), [[0, 1, 3], [1, 4, 6], [2, 7, 9]]);
+  
+  // Cada fragmento aporta su comienzo en proporción a su tamaño
+  const [first] = mergeChunks(chunks, 3, { maxLength: 900 });
+  assert.equal(first.text, ['0', '1', '2'].map(digit => digit.repeat(300)).join('\n\n'));
+  assert.equal(first.length, first.text.length);
+});
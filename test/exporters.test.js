@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import { exportQuiz } from '../exporters/index.js';
+import { parseQuestionBank } from '../importers/index.js';
+
+const multipleChoice = {
+  question: '¿Qué símbolo {separa} las claves: "=" o "~"?',
+  options: ['Igual', 'Virgulilla', 'Almohadilla', 'Dos puntos'],
+  correctAnswer: 'a',
+  explanation: 'Línea 1\nLínea 2'
+};
+const trueFalse = { statement: 'El agua hierve a 100 ºC, a nivel del mar', isTrue: true, explanation: 'A 1 atm.' };
+const openEnded = { question: 'Explica la fotosíntesis', modelAnswer: 'Las plantas convierten la luz en energía.' };
+
+const quiz = (questionType, questions) => ({ title: 'Biología: tema 1', questionType, questions });
+const mixed = (questions) => quiz('mixed', questions);
+
+test('exportQuiz nombra el archivo a partir del título y rechaza formatos desconocidos', async () => {
+  const file = await exportQuiz('aiken', quiz('true-false', [trueFalse]));
+  assert.equal(file.fileName, 'biologia-tema-1.aiken.txt');
+  assert.match(file.contentType, /^text\/plain/);
+  
+  await assert.rejects(exportQuiz('docx', quiz('true-false', [trueFalse])), error => error.code === 'EXPORT_UNSUPPORTED');
+});
+
+test('exportQuiz responde con los tipos que el formato no admite', async () => {
+  const numeric = { questionType: 'numeric', question: '¿g?', answer: 9.81, tolerance: 0.05, explanation: 'E' };
+  await assert.rejects(
+    exportQuiz('csv', mixed([{ ...trueFalse, questionType: 'true-false' }, numeric])),
+    error => error.code === 'EXPORT_UNSUPPORTED' && /no admite preguntas de tipo numeric\./.test(error.message)
+  );
+});
+
+test('GIFT escapa los caracteres especiales y se vuelve a importar igual', async () => {
+  const { content } = await exportQuiz('gift', mixed([
+    { ...multipleChoice, questionType: 'multiple-choice' },
+    { ...trueFalse, questionType: 'true-false' },
+    { ...openEnded, questionType: 'open-ended' }
+  ]));
+  
+  assert.match(content, /^\$CATEGORY: Biología: tema 1\n/);
+  assert.match(content, /\\\{separa\\\} las claves\\: "\\=" o "\\~"\?/);
+  assert.match(content, /####Línea 1\\nLínea 2/);
+  
+  const { questions, errors } = parseQuestionBank('gift', content);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(questions.map(item => item.question), [multipleChoice, trueFalse, openEnded]);
+});
+
+test('GIFT exporta relacionar, numéricas y huecos, pero no varios huecos en una pregunta', async () => {
+  const { content } = await exportQuiz('gift', mixed([
+    { questionType: 'matching', question: 'Relaciona', pairs: [{ left: 'Francia', right: 'París' }, { left: 'Italia', right: 'Roma' }, { left: 'Grecia', right: 'Atenas' }], explanation: 'E' },
+    { questionType: 'numeric', question: '¿g?', answer: 9.81, tolerance: 0.05, unit: 'm/s²', explanation: 'E' },
+    { questionType: 'fill-in-the-blank', text: 'La ____ produce energía.', blanks: [{ answers: ['mitocondria', 'mitocondrias'] }], explanation: 'E' }
+  ]));
+  
+  assert.match(content, /::Relaciona \{\n\t=Francia -> París\n\t=Italia -> Roma\n\t=Grecia -> Atenas\n\t####E\n\}/);
+  assert.match(content, /::¿g\? \(en m\/s²\) \{#9\.81:0\.05####E\}/);
+  assert.match(content, /::La \{=mitocondria =mitocondrias####E\} produce energía\./);
+  
+  const twoBlanks = { questionType: 'fill-in-the-blank', text: 'La ____ y el ____.', blanks: [{ answers: ['a'] }, { answers: ['b'] }], explanation: 'E' };
+  await assert.rejects(exportQuiz('gift', mixed([twoBlanks])), error => error.code === 'EXPORT_UNSUPPORTED' && /Pregunta 1/.test(error.message));
+});
+
+test('Aiken pone cada pregunta en una línea con sus opciones y la respuesta', async () => {
+  const { content } = await exportQuiz('aiken', mixed([
+    { ...multipleChoice, questionType: 'multiple-choice', question: 'Dos\nlíneas' },
+    { ...trueFalse, questionType: 'true-false' }
+  ]));
+  
+  assert.equal(content, 'Dos líneas\nA. Igual\nB. Virgulilla\nC. Almohadilla\nD. Dos puntos\nANSWER: A\n\n'
+    + `${trueFalse.statement}\nA. Verdadero\nB. Falso\nANSWER: A\n`);
+});
+
+test('CSV empieza con BOM y pone entre comillas los campos con separadores, comillas o saltos de línea', async () => {
+  const { content } = await exportQuiz('csv', quiz('multiple-choice', [multipleChoice]));
+  const [header, row] = content.slice(1).split('\r\n');
+  
+  assert.equal(content[0], '\uFEFF');
+  assert.equal(header, 'number,type,question,option_a,option_b,option_c,option_d,correct_answer,explanation,model_answer');
+  assert.equal(row, '1,multiple-choice,"¿Qué símbolo {separa} las claves: ""="" o ""~""?",Igual,Virgulilla,Almohadilla,Dos puntos,a,"Línea 1\nLínea 2",');
+  
+  // La exportación se puede volver a importar
+  assert.deepEqual(parseQuestionBank('csv', content).questions.map(item => item.question), [multipleChoice]);
+});
+
+test('QTI empaqueta el manifiesto, el test y una pregunta por archivo con su respuesta correcta', async () => {
+  const { content } = await exportQuiz('qti', mixed([
+    { ...multipleChoice, questionType: 'multiple-choice' },
+    { questionType: 'ordering', question: 'Ordena', sequence: ['Profase', 'Metafase', 'Anafase'], explanation: 'E' },
+    { questionType: 'numeric', question: '¿g?', answer: 9.81, tolerance: 0.05, explanation: 'E' }
+  ]));
+  const zip = await JSZip.loadAsync(content);
+  
+  assert.deepEqual(Object.keys(zip.files).filter(name => !zip.files[name].dir).sort(),
+    ['imsmanifest.xml', 'items/item_1.xml', 'items/item_2.xml', 'items/item_3.xml', 'test.xml']);
+  assert.match(await zip.file('imsmanifest.xml').async('string'), /<dependency identifierref="item_3"\/>/);
+  
+  const choice = await zip.file('items/item_1.xml').async('string');
+  assert.match(choice, /<correctResponse><value>choice_a<\/value><\/correctResponse>/);
+  assert.match(choice, /¿Qué símbolo \{separa\} las claves: &quot;=&quot; o &quot;~&quot;\?/);
+  
+  const ordering = await zip.file('items/item_2.xml').async('string');
+  assert.match(ordering, /cardinality="ordered"/);
+  assert.match(ordering, /<value>item_1<\/value>\n\s*<value>item_2<\/value>\n\s*<value>item_3<\/value>/);
+  
+  assert.match(await zip.file('items/item_3.xml').async('string'), /<equal toleranceMode="absolute" tolerance="0.05 0.05">/);
+});
+
+test('Anki escribe una nota por línea sin tabuladores ni saltos de línea en los campos', async () => {
+  const { content } = await exportQuiz('anki', mixed([
+    { ...openEnded, questionType: 'open-ended', modelAnswer: 'Con\tluz\ny agua <b>' },
+    { ...trueFalse, questionType: 'true-false' }
+  ]));
+  const lines = content.trimEnd().split('\n');
+  
+  assert.deepEqual(lines.slice(0, 5), ['#separator:tab', '#html:true', '#notetype:Basic', '#deck:Biología: tema 1', '#tags column:3']);
+  assert.deepEqual(lines[5].split('\t'), ['Explica la fotosíntesis', 'Con luz<br>y agua &lt;b&gt;', 'study-buddy open-ended']);
+  assert.equal(lines[6].split('\t')[2], 'study-buddy true-false');
+});
+
+test('PDF genera un documento con varias variantes de un cuestionario mixto', async () => {
+  const { content, contentType } = await exportQuiz('pdf', mixed([
+    { ...multipleChoice, questionType: 'multiple-choice' },
+    { questionType: 'matching', question: 'Relaciona', pairs: [{ left: 'Francia', right: 'París' }, { left: 'Italia', right: 'Roma' }, { left: 'Grecia', right: 'Atenas' }], explanation: 'E' },
+    { questionType: 'fill-in-the-blank', text: 'La ____ produce energía.', blanks: [{ answers: ['mitocondria'] }], explanation: 'E' }
+  ]), { variants: 2, shuffle: true, shuffleOptions: true });
+  
+  assert.equal(contentType, 'application/pdf');
+  assert.equal(content.subarray(0, 5).toString(), '%PDF-');
+});
@@ -0,0 +1,145 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuestionBank, detectImportFormat } from '../importers/index.js';
+import { parseGift } from '../importers/giftImporter.js';
+import { parseAiken } from '../importers/aikenImporter.js';
+import { parseCsv } from '../importers/csvImporter.js';
+
+test('parseGift lee opción múltiple, verdadero/falso y ensayo, con escapes y retroalimentación', () => {
+  const { items, errors } = parseGift([
+    '$CATEGORY: Geografía',
+    '// comentario',
+    '::P1::Capital de Francia\\: ¿cuál es? {',
+    '  ~Madrid',
+    '  =París#Correcto',
+    '  ~Roma',
+    '  ~Berlín',
+    '  ####Es la capital desde el siglo X.',
+    '}',
+    '',
+    '::P2::El agua hierve a 100 ºC a nivel del mar {T####A 1 atm.}',
+    '',
+    '::P3::[markdown]Explica la fotosíntesis {####Respuesta modelo: Las plantas convierten la luz en energía\\: glucosa.}'
+  ].join('\n'));
+  
+  assert.deepEqual(errors, []);
+  assert.deepEqual(items.map(item => [item.line, item.questionType]), [[3, 'multiple-choice'], [11, 'true-false'], [13, 'open-ended']]);
+  assert.equal(items[0].question.question, 'Capital de Francia: ¿cuál es?');
+  assert.equal(items[0].question.correctAnswer, 'b');
+  assert.equal(items[0].question.explanation, 'Es la capital desde el siglo X.');
+  assert.deepEqual(items[1].question, { statement: 'El agua hierve a 100 ºC a nivel del mar', isTrue: true, explanation: 'A 1 atm.' });
+  assert.equal(items[2].question.modelAnswer, 'Las plantas convierten la luz en energía: glucosa.');
+});
+
+test('parseGift informa de la línea de las preguntas que no puede importar', () => {
+  const { items, errors } = parseGift([
+    'Sin respuestas',
+    '',
+    'Relaciona {=Francia -> París =Italia -> Roma =Alemania -> Berlín}',
+    '',
+    'Dos correctas {=a =b ~c ~d}',
+    '',
+    'La {=mitocondria} produce energía.'
+  ].join('\n'));
+  
+  assert.equal(items.length, 0);
+  assert.deepEqual(errors.map(error => error.line), [1, 3, 5, 7]);
+  assert.match(errors[0].message, /llaves/);
+  assert.match(errors[1].message, /emparejamiento/);
+  assert.match(errors[2].message, /exactamente una respuesta correcta/);
+  assert.match(errors[3].message, /mitad del texto/);
+});
+
+test('parseAiken lee opción múltiple y convierte Verdadero/Falso en verdadero/falso', () => {
+  const { items, errors } = parseAiken([
+    '¿Cuál es la capital',
+    'de Italia?',
+    'A. Madrid',
+    'B) Roma',
+    'C. París',
+    'D. Berlín',
+    'ANSWER: B',
+    '',
+    'El Sol es una estrella',
+    'A. Verdadero',
+    'B. Falso',
+    'ANSWER: A'
+  ].join('\r\n'));
+  
+  assert.deepEqual(errors, []);
+  assert.equal(items[0].question.question, '¿Cuál es la capital de Italia?');
+  assert.equal(items[0].question.correctAnswer, 'b');
+  assert.deepEqual([items[1].line, items[1].questionType, items[1].question.isTrue], [9, 'true-false', true]);
+});
+
+test('parseAiken sigue tras una pregunta mal formada', () => {
+  const { items, errors } = parseAiken([
+    'Pregunta con opciones desordenadas',
+    'A. Uno',
+    'C. Tres',
+    'D. Cuatro',
+    'ANSWER: A',
+    'Pregunta sin respuesta',
+    'A. Uno',
+    'B. Dos',
+    'Pregunta con tres opciones',
+    'A. Uno',
+    'B. Dos',
+    'C. Tres',
+    'ANSWER: D',
+    'ANSWER: A'
+  ].join('\n'));
+  
+  assert.equal(items.length, 0);
+  assert.deepEqual(errors, [
+    { line: 3, message: 'se esperaba la opción B' },
+    { line: 6, message: 'falta la línea ANSWER' },
+    { line: 13, message: 'la respuesta D no corresponde a ninguna opción' },
+    { line: 14, message: 'línea ANSWER sin pregunta' }
+  ]);
+});
+
+test('parseCsv admite punto y coma, campos entre comillas con saltos de línea y deduce el tipo', () => {
+  const { items, errors } = parseCsv([
+    '\uFEFFquestion;option_a;option_b;option_c;option_d;correct_answer;model_answer',
+    '"¿Capital; de Francia?";Madrid;París;Roma;Berlín;B);',
+    'El Sol es una estrella;;;;;verdadero;',
+    '"Explica ""fotosíntesis""',
+    'en una frase";;;;;;Luz en energía'
+  ].join('\r\n'));
+  
+  assert.deepEqual(errors, []);
+  assert.deepEqual(items.map(item => [item.line, item.questionType]), [[2, 'multiple-choice'], [3, 'true-false'], [4, 'open-ended']]);
+  assert.equal(items[0].question.question, '¿Capital; de Francia?');
+  assert.equal(items[0].question.correctAnswer, 'b');
+  assert.equal(items[2].question.question, 'Explica "fotosíntesis"\r\nen una frase');
+});
+
+test('parseCsv rechaza cabeceras sin "question", tipos desconocidos y verdadero/falso sin valor', () => {
+  assert.deepEqual(parseCsv('pregunta,respuesta\nUno,Dos').errors, [{ line: 1, message: 'faltan columnas en la cabecera: question' }]);
+  
+  const { errors } = parseCsv('question,type,correct_answer\nUno,essay,\nDos,true-false,quizá');
+  assert.deepEqual(errors.map(error => error.line), [2, 3]);
+  assert.match(errors[0].message, /no soportado "essay"/);
+  assert.match(errors[1].message, /true o false/);
+});
+
+test('detectImportFormat usa la extensión y, en los .txt, el contenido', () => {
+  assert.equal(detectImportFormat('banco.csv', ''), 'csv');
+  assert.equal(detectImportFormat('banco.txt', 'Pregunta\nA. Uno\nB. Dos\nANSWER: A'), 'aiken');
+  assert.equal(detectImportFormat('banco.txt', 'Pregunta {T}'), 'gift');
+  assert.equal(detectImportFormat('banco.txt', 'Solo texto'), null);
+});
+
+test('parseQuestionBank valida las preguntas con el esquema y ordena los errores por línea', () => {
+  const { questions, errors } = parseQuestionBank('csv', [
+    'question,type,option_a,option_b,option_c,option_d,correct_answer,explanation',
+    'Sin opción correcta,multiple-choice,a,b,c,d,e,',
+    '¿Dos más dos?,multiple-choice,3,4,5,6,b,Suma básica',
+    'Otra,essay,,,,,,'
+  ].join('\n'));
+  
+  assert.deepEqual(questions.map(item => [item.line, item.questionType]), [[3, 'multiple-choice']]);
+  assert.deepEqual(errors.map(error => error.line), [2, 4]);
+  assert.throws(() => parseQuestionBank('xml', ''), error => error.code === 'IMPORT_UNSUPPORTED');
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeEntities, tidyText, parseAttributes, htmlToText, markdownToText } from '../extractors/markupExtractor.js';
+
+test('decodeEntities decodifica entidades con nombre, decimales y hexadecimales', () => {
+  assert.equal(decodeEntities('Espa&ntilde;a &amp; &#191;qu&#xE9;? &laquo;&hellip;&raquo;'), 'España & ¿qué? «…»');
+  assert.equal(decodeEntities('&#x1F600;'), '😀');
+  // Las entidades desconocidas se dejan tal cual
+  assert.equal(decodeEntities('&desconocida; &amp'), '&desconocida; &amp');
+});
+
+test('decodeEntities deja sin decodificar los códigos fuera de Unicode y los sustitutos', () => {
+  assert.equal(decodeEntities('a&#x110000;b'), 'a&#x110000;b');
+  assert.equal(decodeEntities('&#99999999999;'), '&#99999999999;');
+  assert.equal(decodeEntities('&#xD800;'), '&#xD800;');
+});
+
+test('tidyText quita los espacios repetidos y deja como mucho una línea en blanco', () => {
+  assert.equal(tidyText('  Uno \t dos  tres\r\n\r\n\r\n\r\nCuatro  '), 'Uno dos tres\n\nCuatro');
+});
+
+test('parseAttributes lee los atributos con prefijo y decodifica sus valores', () => {
+  assert.deepEqual(parseAttributes('<Relationship Id="rId1" Target="slides/slide1.xml" r:id="a&amp;b"/>'), {
+    Id: 'rId1',
+    Target: 'slides/slide1.xml',
+    'r:id': 'a&b'
+  });
+});
+
+test('htmlToText convierte los títulos en Markdown y descarta scripts, estilos y navegación', () => {
+  const text = htmlToText([
+    '<html><head><title>Ignorado</title><style>p { color: red }</style></head><body>',
+    '<nav>Menú</nav><!-- comentario -->',
+    '<h1>La <em>célula</em></h1>',
+    '<p>Unidad b&aacute;sica<br>de la vida.</p>',
+    '<ul><li>Núcleo</li><li>Citoplasma</li></ul>',
+    '<table><tr><td>A</td><td>B</td></tr></table>',
+    '<script>alert(1)</script></body></html>'
+  ].join(''));
+  
+  assert.equal(text, '# La célula\n\nUnidad básica\nde la vida.\n\n- Núcleo\n- Citoplasma\nA B');
+});
+
+test('markdownToText quita enlaces, imágenes, énfasis y código pero conserva títulos y listas', () => {
+  const text = markdownToText([
+    '---',
+    'title: Apuntes',
+    '---',
+    '# Tema 1',
+    'La **mitocondria** produce _energía_ ([ver](http://x.y)).',
+    '![Esquema de la célula](celula.png)',
+    '```js',
+    'const `codigo` = 1;',
+    '```',
+    '- Uso de `ATP`'
+  ].join('\n'));
+  
+  assert.equal(text, '# Tema 1\nLa mitocondria produce energía (ver).\nEsquema de la célula\n\nconst codigo = 1;\n\n- Uso de ATP');
+});
@@ -0,0 +1,111 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseOcrLanguage, DEFAULT_OCR_LANGUAGE, ocrWorkerPool } from '../extractors/ocrWorkerPool.js';
+
+// Worker de Tesseract falso: devuelve el idioma cargado como texto reconocido
+const fakeWorker = (language, { failReinitialize = false } = {}) => {
+  const worker = {
+    language,
+    terminated: false,
+    recognize: async (image) => ({ data: { text: `${image}:${worker.language}`, confidence: 91.6 } }),
+    reinitialize: async (next) => {
+      if (failReinitialize) throw new Error('reinitialize falló');
+      worker.language = next;
+    },
+    terminate: async () => {
+      worker.terminated = true;
+    }
+  };
+  return worker;
+};
+
+let started;
+
+beforeEach((t) => {
+  for (const slot of ocrWorkerPool.workers) clearTimeout(slot.idleTimer);
+  ocrWorkerPool.workers = [];
+  ocrWorkerPool.queue = [];
+  ocrWorkerPool.maxWorkers = 2;
+  started = [];
+  
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(ocrWorkerPool, 'startWorker', async (language) => {
+    const worker = fakeWorker(language);
+    started.push(worker);
+    return worker;
+  });
+});
+
+test('parseOcrLanguage normaliza, quita duplicados y usa el idioma por defecto', () => {
+  assert.deepEqual(parseOcrLanguage(undefined), { language: DEFAULT_OCR_LANGUAGE });
+  assert.deepEqual(parseOcrLanguage(''), { language: DEFAULT_OCR_LANGUAGE });
+  assert.deepEqual(parseOcrLanguage('SPA + eng'), { language: 'spa+eng' });
+  assert.deepEqual(parseOcrLanguage('eng+eng'), { language: 'eng' });
+});
+
+test('parseOcrLanguage rechaza idiomas no admitidos o demasiadas combinaciones', () => {
+  assert.match(parseOcrLanguage('klingon').error, /no soportado/);
+  assert.match(parseOcrLanguage('spa+').error, /no soportado/);
+  assert.match(parseOcrLanguage('spa+eng+fra+deu').error, /hasta 3/);
+});
+
+test('recognize reutiliza el worker libre del mismo idioma', async () => {
+  assert.deepEqual(await ocrWorkerPool.recognize('a', 'spa'), { text: 'a:spa', confidence: 92 });
+  assert.deepEqual(await ocrWorkerPool.recognize('b', 'spa'), { text: 'b:spa', confidence: 92 });
+  
+  assert.equal(started.length, 1);
+  assert.equal(ocrWorkerPool.workers.length, 1);
+  assert.equal(ocrWorkerPool.workers[0].busy, false);
+});
+
+test('con el grupo lleno, un worker libre de otro idioma se reconfigura en lugar de crear otro', async () => {
+  ocrWorkerPool.maxWorkers = 1;
+  
+  await ocrWorkerPool.recognize('a', 'spa');
+  assert.deepEqual(await ocrWorkerPool.recognize('b', 'eng'), { text: 'b:eng', confidence: 92 });
+  
+  assert.equal(started.length, 1);
+  assert.equal(ocrWorkerPool.workers[0].language, 'eng');
+});
+
+test('las solicitudes sin worker libre esperan en cola y se atienden al liberarse uno', async () => {
+  ocrWorkerPool.maxWorkers = 1;
+  
+  const results = await Promise.all([
+    ocrWorkerPool.recognize('a', 'spa'),
+    ocrWorkerPool.recognize('b', 'eng'),
+    ocrWorkerPool.recognize('c', 'spa')
+  ]);
+  
+  assert.deepEqual(results.map(result => result.text), ['a:spa', 'b:eng', 'c:spa']);
+  assert.equal(started.length, 1);
+  assert.equal(ocrWorkerPool.queue.length, 0);
+});
+
+test('si falla la reconfiguración se descarta el worker y la siguiente solicitud crea uno nuevo', async () => {
+  ocrWorkerPool.maxWorkers = 1;
+  ocrWorkerPool.startWorker = async (language) => {
+    const worker = fakeWorker(language, { failReinitialize: started.length === 0 });
+    started.push(worker);
+    return worker;
+  };
+  
+  await ocrWorkerPool.recognize('a', 'spa');
+  await assert.rejects(ocrWorkerPool.recognize('b', 'eng'), /reinitialize falló/);
+  
+  assert.equal(started[0].terminated, true);
+  assert.equal(ocrWorkerPool.workers.length, 0);
+  
+  assert.deepEqual(await ocrWorkerPool.recognize('c', 'eng'), { text: 'c:eng', confidence: 92 });
+  assert.equal(started.length, 2);
+});
+
+test('si no arranca un worker se libera su hueco en el grupo', async () => {
+  ocrWorkerPool.maxWorkers = 1;
+  ocrWorkerPool.startWorker = async () => {
+    throw new Error('sin idioma');
+  };
+  
+  await assert.rejects(ocrWorkerPool.recognize('a', 'spa'), /sin idioma/);
+  assert.equal(ocrWorkerPool.workers.length, 0);
+});
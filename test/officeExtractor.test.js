@@ -0,0 +1,108 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import JSZip from 'jszip';
+import { extractPptx, extractOdt } from '../extractors/officeExtractor.js';
+import extractEpub from '../extractors/epubExtractor.js';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'office-extractor-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+// Escribe un zip con los archivos indicados y devuelve su ruta
+const writeZip = async (name, files) => {
+  const zip = new JSZip();
+  for (const [fileName, content] of Object.entries(files)) zip.file(fileName, content);
+  
+  const filePath = path.join(tempDir, name);
+  fs.writeFileSync(filePath, await zip.generateAsync({ type: 'nodebuffer' }));
+  return filePath;
+};
+
+const slide = (...paragraphs) => `<p:sld><p:cSld><p:spTree>${paragraphs
+  .map(paragraph => `<a:p>${paragraph}</a:p>`)
+  .join('')}</p:spTree></p:cSld></p:sld>`;
+
+const relationships = (...items) => `<Relationships>${items
+  .map(([id, type, target]) => `<Relationship Id="${id}" Type="http://schemas/${type}" Target="${target}"/>`)
+  .join('')}</Relationships>`;
+
+test('extractPptx sigue el orden de presentation.xml y añade las notas del orador', async () => {
+  const filePath = await writeZip('orden.pptx', {
+    'ppt/presentation.xml': '<p:presentation><p:sldIdLst><p:sldId id="256" r:id="rId3"/><p:sldId id="257" r:id="rId2"/></p:sldIdLst></p:presentation>',
+    'ppt/_rels/presentation.xml.rels': relationships(['rId2', 'slide', 'slides/slide1.xml'], ['rId3', 'slide', 'slides/slide2.xml']),
+    'ppt/slides/slide1.xml': slide('<a:r><a:t>Segunda</a:t></a:r>'),
+    'ppt/slides/slide2.xml': slide(
+      '<a:r><a:t>Fotos&amp;íntesis</a:t></a:r><a:br/><a:r><a:t>Cloroplasto</a:t></a:r>',
+      '<a:fld type="slidenum"><a:t>1</a:t></a:fld>'
+    ),
+    'ppt/slides/_rels/slide2.xml.rels': relationships(['rId1', 'notesSlide', '../notesSlides/notesSlide1.xml']),
+    'ppt/notesSlides/notesSlide1.xml': slide('<a:r><a:t>Explicar la fase luminosa</a:t></a:r>')
+  });
+  
+  const { text, pageCount } = await extractPptx(filePath);
+  assert.equal(pageCount, 2);
+  assert.deepEqual(text.split('\f'), [
+    'Fotos&íntesis\nCloroplasto\n\nNotas del orador:\nExplicar la fase luminosa',
+    'Segunda'
+  ]);
+});
+
+test('extractPptx ordena por número de archivo si presentation.xml no lista las diapositivas', async () => {
+  const filePath = await writeZip('sin-lista.pptx', {
+    'ppt/slides/slide10.xml': slide('<a:r><a:t>Diez</a:t></a:r>'),
+    'ppt/slides/slide2.xml': slide('<a:r><a:t>Dos</a:t></a:r>')
+  });
+  
+  assert.deepEqual(await extractPptx(filePath), { text: 'Dos\fDiez', pageCount: 2 });
+});
+
+test('extractOdt respeta text:c, títulos, listas y el número de páginas de meta.xml', async () => {
+  const filePath = await writeZip('apuntes.odt', {
+    'content.xml': [
+      '<office:document-content><office:body><office:text>',
+      '<text:h text:outline-level="2">La célula</text:h>',
+      '<text:p>Tabla<text:tab/>1<text:s/>y<text:s text:c="3"/>más</text:p>',
+      '<text:p>Línea<text:line-break/>partida &lt;ok&gt;</text:p>',
+      '<text:list><text:list-item><text:p>Núcleo</text:p></text:list-item>',
+      '<text:list-item><text:p>Ribosomas</text:p></text:list-item></text:list>',
+      '</office:text></office:body></office:document-content>'
+    ].join(''),
+    'meta.xml': '<office:meta><meta:document-statistic meta:page-count="3"/></office:meta>'
+  });
+  
+  const { text, pageCount } = await extractOdt(filePath);
+  assert.equal(pageCount, 3);
+  assert.equal(text, '## La célula\n\nTabla 1 y más\nLínea\npartida <ok>\n\n- Núcleo\n\n- Ribosomas');
+});
+
+test('extractOdt no se queda colgado con un text:c enorme', async () => {
+  const filePath = await writeZip('espacios.odt', {
+    'content.xml': '<office:body><text:p>a<text:s text:c="999999999"/>b</text:p></office:body>'
+  });
+  
+  assert.deepEqual(await extractOdt(filePath), { text: 'a b', pageCount: null });
+});
+
+test('extractEpub lee los capítulos en el orden del spine e ignora lo que no es HTML', async () => {
+  const filePath = await writeZip('libro.epub', {
+    'META-INF/container.xml': '<container><rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles></container>',
+    'OEBPS/content.opf': [
+      '<package><manifest>',
+      '<item id="c1" href="texto/cap%201.xhtml" media-type="application/xhtml+xml"/>',
+      '<item id="c2" href="texto/cap2.xhtml" media-type="application/xhtml+xml"/>',
+      '<item id="img" href="portada.png" media-type="image/png"/>',
+      '</manifest><spine><itemref idref="img"/><itemref idref="c2"/><itemref idref="c1"/></spine></package>'
+    ].join(''),
+    'OEBPS/texto/cap 1.xhtml': '<html><body><h2>Capítulo 1</h2><p>Inicio</p></body></html>',
+    'OEBPS/texto/cap2.xhtml': '<html><body><p>Final</p></body></html>'
+  });
+  
+  assert.deepEqual(await extractEpub(filePath), { text: 'Final\n\n## Capítulo 1\n\nInicio', pageCount: null });
+});
+
+test('extractEpub rechaza un libro sin container.xml', async () => {
+  const filePath = await writeZip('roto.epub', { 'mimetype': 'application/epub+zip' });
+  await assert.rejects(extractEpub(filePath), /container\.xml/);
+});
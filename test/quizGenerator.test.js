@@ -0,0 +1,221 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  planBloomLevels,
+  resolveLevelPlan,
+  buildQuizPrompt,
+  buildRepairPrompt,
+  generateValidatedQuiz,
+  planQuestionTypes,
+  groupByType,
+  generateCoveredQuiz
+} from '../utils/quizGenerator.js';
+import { createStubProvider } from '../providers/stubProvider.js';
+
+const trueFalse = (statement) => ({ statement, isTrue: true, explanation: 'Explicación' });
+
+// Proveedor que devuelve las respuestas indicadas, en orden, y guarda los prompts recibidos
+const scriptedProvider = (responses) => {
+  const calls = [];
+  return {
+    name: 'scripted',
+    metered: false,
+    calls,
+    generateJSON: async (prompt, options) => {
+      calls.push({ prompt, options });
+      return responses.shift() ?? null;
+    }
+  };
+};
+
+test('planBloomLevels reparte los niveles por turnos y resolveLevelPlan respeta un plan ya hecho', () => {
+  assert.deepEqual(planBloomLevels(['remember', 'apply'], 5), ['remember', 'apply', 'remember', 'apply', 'remember']);
+  assert.deepEqual(resolveLevelPlan({ bloomLevels: ['analyze'], questionCount: 2 }), ['analyze', 'analyze']);
+  assert.deepEqual(resolveLevelPlan({ bloomLevels: ['analyze'], levelPlan: ['apply'], questionCount: 2 }), ['apply']);
+  assert.equal(resolveLevelPlan({ questionCount: 2 }), null);
+});
+
+test('buildQuizPrompt pide la dificultad y cuántas preguntas de cada nivel cognitivo', () => {
+  const prompt = buildQuizPrompt({
+    topic: 'Química',
+    questionType: 'multiple-choice',
+    questionCount: 3,
+    content: '',
+    difficulty: 'hard',
+    levelPlan: ['apply', 'analyze', 'apply']
+  });
+  
+  assert.match(prompt, /Dificultad difícil:/);
+  assert.match(prompt, /- 2 preguntas de nivel "apply" \(usar lo aprendido/);
+  assert.match(prompt, /- 1 pregunta de nivel "analyze" \(relacionar ideas/);
+  assert.match(prompt, /"difficulty": "hard",\n\s*"bloomLevel": "apply"\n\s*\}/);
+  
+  const withoutLevels = buildQuizPrompt({ topic: 'Química', questionType: 'multiple-choice', questionCount: 3, content: '' });
+  assert.doesNotMatch(withoutLevels, /taxonomía de Bloom|"bloomLevel"/);
+});
+
+test('buildRepairPrompt incluye los problemas, las preguntas válidas y solo las que faltan', () => {
+  const prompt = buildRepairPrompt({
+    topic: 'Física',
+    questionType: 'true-false',
+    content: '',
+    missing: 2,
+    problems: ['pregunta 2: "isTrue" debe ser un booleano (true o false)'],
+    validQuestions: [trueFalse('La luz es una onda')]
+  });
+  
+  assert.match(prompt, /tipo "true-false" sobre "Física"/);
+  assert.match(prompt, /- pregunta 2: "isTrue" debe ser un booleano/);
+  assert.match(prompt, /No repitas estas preguntas que ya son válidas:\n- La luz es una onda/);
+  assert.match(prompt, /Genera exactamente 2 preguntas nuevas/);
+});
+
+test('buildRepairPrompt no menciona problemas ni preguntas si no los hay', () => {
+  const prompt = buildRepairPrompt({ topic: 'Física', questionType: 'open-ended', content: '', missing: 1, problems: [], validQuestions: [] });
+  assert.doesNotMatch(prompt, /problemas|No repitas/);
+});
+
+test('generateValidatedQuiz re-pide solo las preguntas inválidas explicando qué falló', async () => {
+  const provider = scriptedProvider([
+    { questions: [trueFalse('Uno'), { statement: 'Dos', isTrue: 'quizá', explanation: 'E' }, trueFalse('Tres')] },
+    { questions: [trueFalse('Cuatro')] }
+  ]);
+  
+  const quiz = await generateValidatedQuiz(provider, { topic: 'T', questionType: 'true-false', questionCount: 3, content: '' });
+  
+  assert.deepEqual(quiz.questions.map(question => question.statement), ['Uno', 'Tres', 'Cuatro']);
+  assert.equal(provider.calls.length, 2);
+  assert.equal(provider.calls[1].options.questionCount, 1);
+  assert.match(provider.calls[1].prompt, /pregunta 2: "isTrue" debe ser un booleano/);
+  assert.match(provider.calls[1].prompt, /- Uno\n- Tres/);
+});
+
+test('generateValidatedQuiz repara una respuesta que no era JSON', async () => {
+  const provider = scriptedProvider([null, { questions: [trueFalse('Uno')] }]);
+  const quiz = await generateValidatedQuiz(provider, { topic: 'T', questionType: 'true-false', questionCount: 1, content: '' });
+  
+  assert.equal(quiz.questions.length, 1);
+  assert.match(provider.calls[1].prompt, /la respuesta no era un JSON válido/);
+});
+
+test('generateValidatedQuiz falla con QUIZ_VALIDATION_FAILED si los reintentos no bastan', async () => {
+  const provider = scriptedProvider([{ questions: [] }, { questions: [] }, { questions: [] }]);
+  let progress = 0;
+  
+  await assert.rejects(
+    generateValidatedQuiz(provider, { topic: 'T', questionType: 'true-false', questionCount: 2, content: '' }, { onProgress: () => progress++ }),
+    (error) => error.code === 'QUIZ_VALIDATION_FAILED' && /0 de 2/.test(error.message)
+  );
+  assert.equal(provider.calls.length, 3);
+  // El aviso de progreso llega también tras cada reparación
+  assert.equal(progress, 3);
+});
+
+test('generateValidatedQuiz completa los niveles que faltan y solo re-pide los que no se han cubierto', async () => {
+  const provider = scriptedProvider([
+    { questions: [{ ...trueFalse('Uno'), bloomLevel: 'analyze' }, trueFalse('Dos'), { statement: 'Mal' }] },
+    { questions: [trueFalse('Tres')] }
+  ]);
+  
+  const quiz = await generateValidatedQuiz(provider, {
+    topic: 'T',
+    questionType: 'true-false',
+    questionCount: 3,
+    content: '',
+    difficulty: 'easy',
+    bloomLevels: ['apply', 'analyze']
+  });
+  
+  assert.deepEqual(provider.calls[0].options.levelPlan, ['apply', 'analyze', 'apply']);
+  assert.deepEqual(provider.calls[1].options.levelPlan, ['apply']);
+  assert.match(provider.calls[1].prompt, /- 1 pregunta de nivel "apply"/);
+  assert.deepEqual(quiz.questions.map(question => [question.statement, question.bloomLevel]), [['Uno', 'analyze'], ['Dos', 'apply'], ['Tres', 'apply']]);
+  assert.ok(quiz.questions.every(question => question.difficulty === 'easy'));
+});
+
+test('generateValidatedQuiz genera un cuestionario válido con el proveedor local', async () => {
+  const quiz = await generateValidatedQuiz(createStubProvider(), {
+    topic: 'Historia',
+    questionType: 'multiple-choice',
+    questionCount: 4,
+    content: '',
+    difficulty: 'hard',
+    bloomLevels: ['apply', 'analyze']
+  });
+  
+  assert.equal(quiz.questions.length, 4);
+  assert.deepEqual(quiz.questions.map(question => question.bloomLevel), ['apply', 'analyze', 'apply', 'analyze']);
+  assert.ok(quiz.questions.every(question => question.difficulty === 'hard'));
+});
+
+test('generateCoveredQuiz reparte las preguntas entre como mucho una sección por cada tres preguntas', async () => {
+  // Frases con palabras distintas para que el proveedor local no genere preguntas repetidas
+  const sentence = (title, index) => ['alfa', 'beta', 'gamma'].map(word => `${title.toLowerCase()}${word}${index}`).join(' se relaciona con ');
+  const section = (title) => `# ${title}\n${Array.from({ length: 40 }, (_, index) => `${sentence(title, index)} en este apartado.`).join(' ')}`;
+  const content = ['Primero', 'Segundo', 'Tercero', 'Cuarto'].map(section).join('\n\n');
+  
+  const provider = createStubProvider();
+  const generateJSON = provider.generateJSON;
+  let requests = 0;
+  provider.generateJSON = (...args) => {
+    requests++;
+    return generateJSON(...args);
+  };
+  let progress = 0;
+  const { questions, coverage } = await generateCoveredQuiz(provider, {
+    topic: 'Apuntes',
+    questionType: 'true-false',
+    questionCount: 6,
+    content
+  }, { onProgress: () => progress++ });
+  
+  assert.equal(questions.length, 6);
+  assert.ok(questions.every(question => question.questionType === 'true-false' && Number.isInteger(question.section)));
+  assert.equal(coverage.sections.reduce((sum, item) => sum + item.questionCount, 0), 6);
+  assert.ok(coverage.sections.filter(item => item.used).length <= 2);
+  assert.ok(coverage.coveredCharacters <= coverage.totalCharacters);
+  // Un aviso de progreso por cada respuesta del modelo
+  assert.ok(requests >= coverage.sections.filter(item => item.used).length);
+  assert.equal(progress, requests);
+});
+
+test('planQuestionTypes sigue la composición de un cuestionario mixto o repite el único tipo', () => {
+  const composition = [{ questionType: 'multiple-choice', count: 2 }, { questionType: 'true-false', count: 1 }];
+  assert.deepEqual(planQuestionTypes({ questionType: 'mixed', questionCount: 3, composition }), ['multiple-choice', 'multiple-choice', 'true-false']);
+  assert.deepEqual(planQuestionTypes({ questionType: 'open-ended', questionCount: 2, composition: null }), ['open-ended', 'open-ended']);
+});
+
+test('groupByType agrupa los tipos consecutivos con sus niveles cognitivos', () => {
+  const types = ['true-false', 'true-false', 'multiple-choice', 'true-false'];
+  
+  assert.deepEqual(groupByType(types, ['remember', 'apply', 'analyze', 'understand']), [
+    { questionType: 'true-false', count: 2, levelPlan: ['remember', 'apply'] },
+    { questionType: 'multiple-choice', count: 1, levelPlan: ['analyze'] },
+    { questionType: 'true-false', count: 1, levelPlan: ['understand'] }
+  ]);
+  assert.deepEqual(groupByType(['matching'], null), [{ questionType: 'matching', count: 1, levelPlan: null }]);
+  assert.deepEqual(groupByType([], null), []);
+});
+
+test('generateCoveredQuiz pide por separado cada tipo de un cuestionario mixto y anota el tipo de cada pregunta', async () => {
+  const provider = createStubProvider();
+  const generateJSON = provider.generateJSON;
+  const requested = [];
+  provider.generateJSON = (prompt, options) => {
+    requested.push([options.questionType, options.questionCount, options.levelPlan]);
+    return generateJSON(prompt, options);
+  };
+  
+  const { questions } = await generateCoveredQuiz(provider, {
+    topic: 'Geografía',
+    questionType: 'mixed',
+    questionCount: 3,
+    composition: [{ questionType: 'true-false', count: 2 }, { questionType: 'multiple-choice', count: 1 }],
+    content: '',
+    difficulty: 'medium',
+    bloomLevels: ['remember', 'apply']
+  });
+  
+  assert.deepEqual(requested, [['true-false', 2, ['remember', 'apply']], ['multiple-choice', 1, ['remember']]]);
+  assert.deepEqual(questions.map(question => question.questionType), ['true-false', 'true-false', 'multiple-choice']);
+});
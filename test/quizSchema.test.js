@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateQuestion, validateQuiz, parseQuizParams } from '../utils/quizSchema.js';
+
+const multipleChoice = (overrides = {}) => ({
+  question: '¿Cuál es la capital de Francia?',
+  options: ['Madrid', 'París', 'Roma', 'Berlín'],
+  correctAnswer: 'b',
+  explanation: 'París es la capital de Francia.',
+  ...overrides
+});
+
+test('validateQuestion acepta una pregunta de opción múltiple válida y normaliza la letra', () => {
+  const { question, errors } = validateQuestion('multiple-choice', multipleChoice({ correctAnswer: ' B) ' }));
+  assert.deepEqual(errors, []);
+  assert.equal(question.correctAnswer, 'b');
+});
+
+test('validateQuestion rechaza opciones de más, letras desconocidas y explicaciones vacías', () => {
+  const { errors } = validateQuestion('multiple-choice', multipleChoice({
+    options: ['a', 'b', 'c', 'd', 'e'],
+    correctAnswer: 'e',
+    explanation: '  '
+  }));
+  assert.equal(errors.length, 3);
+});
+
+test('validateQuestion rechaza lo que no es un objeto', () => {
+  assert.deepEqual(validateQuestion('true-false', null).errors, ['la pregunta debe ser un objeto']);
+  assert.deepEqual(validateQuestion('true-false', ['a']).errors, ['la pregunta debe ser un objeto']);
+});
+
+test('validateQuestion convierte "true"/"false" de verdadero/falso en booleanos', () => {
+  const { question, errors } = validateQuestion('true-false', { statement: 'El agua hierve a 100 ºC', isTrue: 'True', explanation: 'A nivel del mar.' });
+  assert.deepEqual(errors, []);
+  assert.equal(question.isTrue, true);
+  
+  assert.equal(validateQuestion('true-false', { statement: 'S', isTrue: 'quizá', explanation: 'E' }).errors.length, 1);
+});
+
+test('validateQuestion exige un hueco en el texto por cada hueco de "blanks"', () => {
+  const valid = validateQuestion('fill-in-the-blank', {
+    text: 'La ______ produce energía en la ___.',
+    blanks: ['mitocondria', { answers: ['célula', 'celula'] }],
+    explanation: 'E'
+  });
+  assert.deepEqual(valid.errors, []);
+  assert.equal(valid.question.text, 'La ____ produce energía en la ____.');
+  assert.deepEqual(valid.question.blanks, [{ answers: ['mitocondria'] }, { answers: ['célula', 'celula'] }]);
+  
+  const invalid = validateQuestion('fill-in-the-blank', { text: 'Un ____ solo.', blanks: ['a', 'b'], explanation: 'E' });
+  assert.equal(invalid.errors.length, 1);
+});
+
+test('validateQuestion rechaza parejas repetidas y secuencias cortas', () => {
+  const matching = validateQuestion('matching', {
+    question: 'Relaciona',
+    pairs: [{ left: 'A', right: '1' }, { left: 'a ', right: '2' }, { left: 'C', right: '3' }],
+    explanation: 'E'
+  });
+  assert.match(matching.errors[0], /no pueden repetirse/);
+  
+  const ordering = validateQuestion('ordering', { question: 'Ordena', sequence: ['uno', 'dos'], explanation: 'E' });
+  assert.match(ordering.errors[0], /entre 3 y 8/);
+});
+
+test('validateQuestion lee números escritos como texto y da margen 0 por defecto', () => {
+  const { question, errors } = validateQuestion('numeric', { question: '¿g?', answer: '9,81', unit: 'm/s²', explanation: 'E' });
+  assert.deepEqual(errors, []);
+  assert.equal(question.answer, 9.81);
+  assert.equal(question.tolerance, 0);
+  
+  assert.equal(validateQuestion('numeric', { question: '¿g?', answer: 'mucho', tolerance: -1, explanation: 'E' }).errors.length, 2);
+});
+
+test('validateQuestion comprueba la dificultad y el nivel cognitivo si se indican', () => {
+  const { errors } = validateQuestion('multiple-choice', multipleChoice({ difficulty: 'Extreme', bloomLevel: 'create' }));
+  assert.equal(errors.length, 2);
+  assert.deepEqual(validateQuestion('multiple-choice', multipleChoice({ difficulty: 'Hard', bloomLevel: 'apply' })).errors, []);
+});
+
+test('validateQuiz separa las preguntas válidas de las inválidas y cuenta las que faltan', () => {
+  const result = validateQuiz('multiple-choice', {
+    questions: [multipleChoice(), multipleChoice({ correctAnswer: 'z' }), multipleChoice({ question: 'Otra' })]
+  }, 4);
+  
+  assert.equal(result.valid.length, 2);
+  assert.equal(result.invalid.length, 1);
+  assert.equal(result.invalid[0].index, 1);
+  assert.equal(result.missing, 2);
+  assert.equal(result.structureError, null);
+});
+
+test('validateQuiz recorta las preguntas que sobran', () => {
+  const result = validateQuiz('multiple-choice', { questions: [multipleChoice(), multipleChoice(), multipleChoice()] }, 2);
+  assert.equal(result.valid.length, 2);
+  assert.equal(result.missing, 0);
+});
+
+test('validateQuiz informa de una respuesta sin arreglo "questions"', () => {
+  for (const response of [null, {}, { questions: 'ninguna' }]) {
+    const result = validateQuiz('true-false', response, 3);
+    assert.equal(result.valid.length, 0);
+    assert.equal(result.missing, 3);
+    assert.match(result.structureError, /"questions"/);
+  }
+});
+
+test('parseQuizParams aplica los valores por defecto y rechaza los no soportados', () => {
+  assert.deepEqual(parseQuizParams({}), {
+    questionType: 'multiple-choice',
+    questionCount: 5,
+    composition: null,
+    difficulty: 'medium',
+    bloomLevels: ['remember', 'understand', 'apply']
+  });
+  assert.ok(parseQuizParams({ questionType: 'essay' }).error);
+  assert.ok(parseQuizParams({ questionCount: '21' }).error);
+  assert.ok(parseQuizParams({ bloomLevels: 'remember,create' }).error);
+});
+
+test('parseQuizParams suma la composición de un cuestionario mixto', () => {
+  const params = parseQuizParams({ composition: 'multiple-choice:2,true-false:3,multiple-choice:1' });
+  assert.equal(params.questionType, 'mixed');
+  assert.equal(params.questionCount, 6);
+  assert.deepEqual(params.composition, [
+    { questionType: 'multiple-choice', count: 3 },
+    { questionType: 'true-false', count: 3 }
+  ]);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scheduleReview, answerQuality, ratingToAnswer, MIN_EASE_FACTOR } from '../utils/spacedRepetition.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-01-10T09:00:00Z');
+
+// Aplicar una serie de calidades partiendo de una pregunta nueva
+const review = (qualities) => qualities.reduce((state, quality) => scheduleReview(state, quality, now), {});
+
+test('scheduleReview repasa tras 1 día, 6 días y después multiplica el intervalo por la facilidad', () => {
+  const first = scheduleReview({}, 4, now);
+  assert.equal(first.interval, 1);
+  assert.equal(first.repetitions, 1);
+  assert.equal(first.easeFactor, 2.5);
+  assert.equal(first.dueAt.getTime(), now.getTime() + DAY_MS);
+  
+  assert.equal(review([4, 4]).interval, 6);
+  assert.equal(review([4, 4, 4]).interval, 15);
+  assert.equal(review([5, 5, 5]).interval, 16); // 6 × 2,7: la facilidad sube 0,1 con cada respuesta perfecta
+});
+
+test('scheduleReview reinicia las repeticiones tras un fallo y cuenta el olvido', () => {
+  const state = review([4, 4, 1]);
+  assert.equal(state.repetitions, 0);
+  assert.equal(state.interval, 1);
+  assert.equal(state.lapses, 1);
+  assert.equal(state.reviewCount, 3);
+  assert.equal(state.lastQuality, 1);
+  
+  // Fallar una pregunta que nunca se había acertado no es un olvido
+  assert.equal(review([0]).lapses, 0);
+});
+
+test('scheduleReview no baja la facilidad del mínimo', () => {
+  const state = review([0, 0, 0, 0, 0, 0, 0, 0]);
+  assert.equal(state.easeFactor, MIN_EASE_FACTOR);
+  assert.equal(scheduleReview({ easeFactor: 1.4 }, 3, now).easeFactor, MIN_EASE_FACTOR);
+});
+
+test('answerQuality convierte la nota o el acierto en la calidad SM-2', () => {
+  assert.equal(answerQuality({ correct: true, score: 10 }), 5);
+  assert.equal(answerQuality({ correct: false, score: 3 }), 2);
+  assert.equal(answerQuality({ correct: true }), 4);
+  assert.equal(answerQuality({ correct: false }), 1);
+  // Sin evaluar no se planifica, aunque tenga nota
+  assert.equal(answerQuality({ correct: null, score: 8 }), null);
+});
+
+test('ratingToAnswer guarda la autoevaluación como una respuesta con la calidad sobre 10', () => {
+  assert.deepEqual(ratingToAnswer('again'), { correct: false, score: 2 });
+  assert.equal(answerQuality(ratingToAnswer('good')), 4);
+  assert.equal(answerQuality(ratingToAnswer('easy')), 5);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateStudyNotes } from '../utils/summaryGenerator.js';
+import { createStubProvider } from '../providers/stubProvider.js';
+import { PAGE_SEPARATOR } from '../utils/documentChunker.js';
+
+// Proveedor local que cuenta las peticiones
+const countingProvider = () => {
+  const provider = createStubProvider();
+  const generateJSON = provider.generateJSON;
+  provider.requests = 0;
+  provider.generateJSON = (...args) => {
+    provider.requests++;
+    return generateJSON(...args);
+  };
+  return provider;
+};
+
+test('generateStudyNotes resume un documento muy largo en como mucho 8 partes', async () => {
+  // Unas 90 páginas de 11.000 caracteres (cerca de 1 MB de texto)
+  const page = (index) => `Página ${index}: la célula ${index} contiene orgánulos con funciones propias. `.repeat(150);
+  const content = Array.from({ length: 90 }, (_, index) => page(index)).join(PAGE_SEPARATOR);
+  const provider = countingProvider();
+  let progress = 0;
+  
+  const notes = await generateStudyNotes(provider, { topic: 'Biología', content, length: 'short' }, { onProgress: () => progress++ });
+  
+  assert.ok(notes.sections.length <= 8);
+  assert.equal(notes.sections[0].pages.from, 1);
+  assert.equal(notes.sections[notes.sections.length - 1].pages.to, 90);
+  // Una petición por parte y otra para el resumen final
+  assert.equal(provider.requests, notes.sections.length + 1);
+  assert.equal(progress, provider.requests);
+});
+
+test('generateStudyNotes pide los apuntes de un texto corto en una sola petición', async () => {
+  const provider = countingProvider();
+  const notes = await generateStudyNotes(provider, { topic: 'Biología', content: 'La mitocondria produce energía para la célula.', length: 'medium' });
+  
+  assert.equal(provider.requests, 1);
+  assert.equal(notes.sections.length, 1);
+  assert.equal(notes.length, 'medium');
+});
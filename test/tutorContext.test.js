@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { keywords, selectRelevantSections, windowHistory, buildTutorPrompt } from '../utils/tutorContext.js';
+
+// Sección de unos 8.000 caracteres sobre un tema
+const section = (title, word) => `# ${title}\n\n${Array.from({ length: 300 }, (_, i) => `${word} palabra${i % 7} relleno`).join(' ')}`;
+
+test('keywords quita acentos y mayúsculas y descarta las palabras cortas', () => {
+  assert.deepEqual([...keywords('¿Qué es la Fotosíntesis? La FOTOSÍNTESIS, año 2024')], ['fotosintesis', '2024']);
+  assert.equal(keywords(null).size, 0);
+});
+
+test('selectRelevantSections devuelve todo el material si cabe', () => {
+  const sections = selectRelevantSections('# Tema\n\nUno\fDos', 'cualquier cosa');
+  
+  assert.equal(sections.length, 1);
+  assert.deepEqual(sections[0].pages, { from: 1, to: 2 });
+  assert.equal(sections[0].text, '# Tema\n\nUno\n\nDos');
+});
+
+test('selectRelevantSections elige las secciones que comparten palabras con la pregunta', () => {
+  const text = [section('Mitosis', 'division'), section('Fotosíntesis', 'clorofila cloroplasto'), section('Respiración', 'oxigeno')].join('\n\n');
+  
+  const sections = selectRelevantSections(text, '¿Qué hace el cloroplasto?');
+  assert.deepEqual(sections.map(selected => selected.title), ['Fotosíntesis']);
+  
+  // Las palabras presentes en todas las secciones no cuentan: se mantiene el orden del documento
+  const fallback = selectRelevantSections(text, 'relleno');
+  assert.deepEqual(fallback.map(selected => selected.title), ['Mitosis']);
+});
+
+test('windowHistory se queda con los turnos más recientes que caben en la ventana', () => {
+  const turns = Array.from({ length: 12 }, (_, i) => ({ message: `Pregunta ${i}`, answer: 'Respuesta' }));
+  
+  const { turns: included, omitted } = windowHistory(turns);
+  assert.equal(included.length, 10);
+  assert.equal(omitted, 2);
+  assert.equal(included[0].message, 'Pregunta 2');
+  assert.equal(included[9].message, 'Pregunta 11');
+  
+  const long = [{ message: 'a', answer: 'x'.repeat(5000) }, { message: 'b', answer: 'y'.repeat(5000) }];
+  assert.deepEqual(windowHistory(long), { turns: [long[1]], omitted: 1 });
+  
+  // El último turno se incluye aunque por sí solo supere la ventana
+  const huge = [{ message: 'c', answer: 'z'.repeat(7000) }];
+  assert.deepEqual(windowHistory(huge), { turns: huge, omitted: 0 });
+});
+
+test('buildTutorPrompt incluye el material con sus páginas, el historial y la pregunta', () => {
+  const prompt = buildTutorPrompt({
+    sourceTitle: 'Biología',
+    sections: [{ title: 'Célula', pages: { from: 2, to: 3 }, text: 'La célula es la unidad de la vida.' }, { title: 'Tejidos', pages: null, text: 'Grupos de células.' }],
+    history: { turns: [{ message: '¿Qué es un tejido?', answer: 'Un grupo de células.' }], omitted: 4 },
+    message: '¿Y un órgano?'
+  });
+  
+  assert.match(prompt, /"Biología"/);
+  assert.match(prompt, /\[Célula \(páginas 2-3\)\]\nLa célula es la unidad de la vida\./);
+  assert.match(prompt, /\[Tejidos\]\nGrupos de células\./);
+  assert.match(prompt, /se omiten 4 mensajes más antiguos/);
+  assert.match(prompt, /Estudiante: ¿Qué es un tejido\?\nTutor: Un grupo de células\./);
+  assert.match(prompt, /Pregunta del estudiante: "¿Y un órgano\?"/);
+  
+  const withoutHistory = buildTutorPrompt({ sourceTitle: 'X', sections: [], history: { turns: [], omitted: 0 }, message: 'Hola' });
+  assert.doesNotMatch(withoutHistory, /Conversación anterior/);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Session from '../models/Session.js';
+import Conversation from '../models/Conversation.js';
+import { loadTutorSource } from '../services/tutorService.js';
+
+const quiz = {
+  questions: [
+    { type: 'multiple-choice', question: '¿Capital de Francia?', options: ['París', 'Roma'], correctAnswer: 'París', explanation: 'Es París.' },
+    { type: 'true-false', question: 'El agua hierve a 100 ºC', isTrue: true, explanation: 'A nivel del mar.' },
+    { type: 'ordering', question: 'Ordena', sequence: ['Uno', 'Dos', 'Tres'] }
+  ]
+};
+
+// Simular una sesión de cuestionario guardada con sus conversaciones
+const mockQuizSession = (t, conversations) => {
+  t.mock.method(Session, 'findOne', async () => ({ _id: 'quiz', title: 'Repaso' }));
+  t.mock.method(Conversation, 'find', () => ({ sort: () => ({ lean: async () => conversations }) }));
+};
+
+test('loadTutorSource solo incluye la clave de respuestas de las preguntas ya respondidas', async (t) => {
+  mockQuizSession(t, [{
+    response: JSON.stringify(quiz),
+    userAnswers: [{ questionIndex: 0, userAnswer: 'Roma', correct: false }]
+  }]);
+  
+  const source = await loadTutorSource('user', { sourceSessionId: 'quiz' });
+  const [first, second, third] = source.text.split('\n\n');
+  
+  assert.equal(source.title, 'Repaso');
+  assert.match(first, /^# Pregunta 1\n/);
+  assert.match(first, /Respuesta correcta: París/);
+  assert.match(first, /Explicación: Es París\./);
+  assert.match(first, /Respuesta del estudiante: Roma \(incorrecta\)$/);
+  
+  assert.match(second, /Pregunta: El agua hierve a 100 ºC/);
+  assert.doesNotMatch(second, /Es verdadera|Explicación|Respuesta del estudiante/);
+  
+  assert.match(third, /Elementos a ordenar: /);
+  assert.doesNotMatch(third, /Orden correcto/);
+});
+
+test('loadTutorSource numera las preguntas por cuestionario y devuelve null si la sesión no existe', async (t) => {
+  mockQuizSession(t, [{ response: JSON.stringify(quiz), userAnswers: [] }, { response: JSON.stringify(quiz), userAnswers: [] }]);
+  
+  const source = await loadTutorSource('user', { sourceSessionId: 'quiz' });
+  assert.match(source.text, /# Cuestionario 2 - Pregunta 3/);
+  assert.doesNotMatch(source.text, /Respuesta correcta/);
+  
+  Session.findOne.mock.mockImplementation(async () => null);
+  assert.equal(await loadTutorSource('user', { sourceSessionId: 'quiz' }), null);
+});
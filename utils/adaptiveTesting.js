@@ -0,0 +1,119 @@
+import { QUESTION_TYPES, DIFFICULTY_LEVELS, DEFAULT_BLOOM_LEVELS } from './quizSchema.js';
+
+// Estimación de la habilidad del estudiante en la práctica adaptativa con el modelo de Rasch (TRI de un parámetro).
+// La habilidad y la dificultad de las preguntas se miden en la misma escala, centrada en 0.
+
+export const MIN_ADAPTIVE_QUESTIONS = 5;
+export const MAX_ADAPTIVE_QUESTIONS = 30;
+export const DEFAULT_MAX_QUESTIONS = 15;
+export const MIN_TARGET_ERROR = 0.3;
+export const MAX_TARGET_ERROR = 1;
+export const DEFAULT_TARGET_ERROR = 0.6;
+
+// Dificultad de cada nivel en la escala de habilidad
+export const DIFFICULTY_SCALE = {
+  easy: -1,
+  medium: 0,
+  hard: 1
+};
+
+// Puntos en los que se evalúa la distribución de la habilidad (de -4 a 4) y su distribución inicial N(0, 1)
+const ABILITY_GRID = Array.from({ length: 81 }, (_, index) => -4 + index * 0.1);
+const PRIOR = ABILITY_GRID.map(ability => Math.exp(-(ability * ability) / 2));
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Probabilidad de acertar una pregunta de la dificultad dada con la habilidad dada
+export const successProbability = (ability, difficulty) => 1 / (1 + Math.exp(DIFFICULTY_SCALE[difficulty] - ability));
+
+// Resultado de una respuesta entre 0 y 1: la nota (0-10) si la tiene, para contar el crédito parcial, o el acierto.
+// Devuelve null si la respuesta no se pudo evaluar.
+export const responseValue = ({ correct, score }) => {
+  if (correct === null || correct === undefined) return null;
+  if (typeof score === 'number' && Number.isFinite(score)) return Math.max(0, Math.min(10, score)) / 10;
+  return correct ? 1 : 0;
+};
+
+// Estimar la habilidad a partir de las respuestas [{ difficulty, value }] (value entre 0 y 1).
+// Es la media de la distribución a posteriori (EAP), que existe aunque el estudiante lo acierte o falle todo;
+// su desviación típica es el error típico de la estimación, que baja con cada respuesta.
+export const estimateAbility = (responses) => {
+  const posterior = ABILITY_GRID.map((ability, index) => responses.reduce((likelihood, { difficulty, value }) => {
+    const probability = successProbability(ability, difficulty);
+    return likelihood * Math.pow(probability, value) * Math.pow(1 - probability, 1 - value);
+  }, PRIOR[index]));
+  
+  const total = posterior.reduce((sum, weight) => sum + weight, 0);
+  const ability = ABILITY_GRID.reduce((sum, point, index) => sum + point * posterior[index], 0) / total;
+  const variance = ABILITY_GRID.reduce((sum, point, index) => sum + (point - ability) ** 2 * posterior[index], 0) / total;
+  
+  return { ability, standardError: Math.sqrt(variance) };
+};
+
+// Dificultad de la siguiente pregunta: la más cercana a la habilidad estimada, que es la que más informa
+export const selectDifficulty = (ability) => {
+  return DIFFICULTY_LEVELS.reduce((best, level) => (
+    Math.abs(DIFFICULTY_SCALE[level] - ability) < Math.abs(DIFFICULTY_SCALE[best] - ability) ? level : best
+  ));
+};
+
+// Nivel cognitivo de la siguiente pregunta: los de su dificultad, por turnos
+export const selectBloomLevel = (difficulty, askedAtDifficulty) => {
+  const levels = DEFAULT_BLOOM_LEVELS[difficulty];
+  return levels[askedAtDifficulty % levels.length];
+};
+
+// Motivo para terminar la práctica ('target-error' o 'max-questions'), o null si debe continuar.
+// La precisión pedida solo se tiene en cuenta a partir de MIN_ADAPTIVE_QUESTIONS respuestas.
+export const stoppingReason = ({ answered, standardError }, { maxQuestions, targetError }) => {
+  if (answered >= MIN_ADAPTIVE_QUESTIONS && standardError <= targetError) return 'target-error';
+  if (answered >= maxQuestions) return 'max-questions';
+  return null;
+};
+
+// Estimación del dominio del estudiante: habilidad, error típico, intervalo de confianza del 95 %,
+// nivel de dificultad que le corresponde y porcentaje de acierto esperado en cada nivel
+export const describeProficiency = ({ ability, standardError }) => {
+  return {
+    ability: round(ability),
+    standardError: round(standardError),
+    confidenceInterval: {
+      low: round(ability - 1.96 * standardError),
+      high: round(ability + 1.96 * standardError)
+    },
+    level: selectDifficulty(ability),
+    expectedAccuracy: Object.fromEntries(DIFFICULTY_LEVELS.map(level => [level, Math.round(successProbability(ability, level) * 100)]))
+  };
+};
+
+// Normalizar y validar los parámetros de una práctica adaptativa
+export const parseAdaptiveParams = ({ questionType, maxQuestions, targetError }) => {
+  const type = questionType || 'multiple-choice';
+  if (!QUESTION_TYPES.includes(type)) {
+    return { error: `Tipo de pregunta no soportado. Usa uno de: ${QUESTION_TYPES.join(', ')}` };
+  }
+  
+  const max = maxQuestions === undefined || maxQuestions === '' ? DEFAULT_MAX_QUESTIONS : Number(maxQuestions);
+  if (!Number.isInteger(max) || max < MIN_ADAPTIVE_QUESTIONS || max > MAX_ADAPTIVE_QUESTIONS) {
+    return { error: `El número máximo de preguntas debe estar entre ${MIN_ADAPTIVE_QUESTIONS} y ${MAX_ADAPTIVE_QUESTIONS}` };
+  }
+  
+  const error = targetError === undefined || targetError === '' ? DEFAULT_TARGET_ERROR : Number(targetError);
+  if (!Number.isFinite(error) || error < MIN_TARGET_ERROR || error > MAX_TARGET_ERROR) {
+    return { error: `El error típico objetivo debe estar entre ${MIN_TARGET_ERROR} y ${MAX_TARGET_ERROR}` };
+  }
+  
+  return { questionType: type, maxQuestions: max, targetError: error };
+};
+
+export default {
+  DIFFICULTY_SCALE,
+  successProbability,
+  responseValue,
+  estimateAbility,
+  selectDifficulty,
+  selectBloomLevel,
+  stoppingReason,
+  describeProficiency,
+  parseAdaptiveParams
+};
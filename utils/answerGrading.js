@@ -0,0 +1,164 @@
+import { parseDecimal } from './quizSchema.js';
+
+// Tipos de pregunta que se corrigen localmente, con crédito parcial cuando tiene sentido
+export const LOCALLY_GRADED_TYPES = ['fill-in-the-blank', 'matching', 'ordering', 'numeric'];
+
+// Margen para los errores de redondeo al comparar números decimales
+const NUMERIC_EPSILON = 1e-9;
+
+// Texto comparable: sin acentos, mayúsculas, espacios repetidos ni puntuación en los extremos
+const normalizeAnswer = (value) => {
+  return String(value ?? '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.,;:!?\u00a1\u00bf"'()]+|[\s.,;:!?\u00a1\u00bf"'()]+$/g, '');
+};
+
+// Respuesta en forma de lista: un arreglo o su JSON (los formularios la envían como texto)
+const parseList = (userAnswer) => {
+  if (Array.isArray(userAnswer)) return userAnswer;
+  if (typeof userAnswer !== 'string' || !userAnswer.trim().startsWith('[')) return null;
+  try {
+    const parsed = JSON.parse(userAnswer);
+    return Array.isArray(parsed) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Puntuación de 0 a 10 a partir de la fracción acertada
+const toScore = (fraction) => Math.round(fraction * 10);
+
+// Mensaje para el estudiante según lo acertado, con la solución si no ha acertado todo
+const buildFeedback = (fraction, { progress, solution, explanation }) => {
+  if (fraction === 1) return `¡Correcto! 👏 ${explanation || 'Muy bien hecho.'}`;
+  if (fraction > 0) return `Parcialmente correcto. 🙂 ${progress} ${solution} ${explanation || ''}`.trim();
+  return `Incorrecto. 😕 ${solution} ${explanation || 'Intenta de nuevo.'}`;
+};
+
+// Correctores por tipo: devuelven { fraction, progress, solution, correctAnswer, details } o { error }
+const graders = {
+  // Cada hueco cuenta por igual; se acepta cualquiera de sus variantes sin tener en cuenta acentos ni mayúsculas
+  'fill-in-the-blank': (question, userAnswer) => {
+    const answers = question.blanks.length === 1 && !Array.isArray(parseList(userAnswer))
+      ? [userAnswer]
+      : parseList(userAnswer);
+    if (!answers || answers.length !== question.blanks.length) {
+      return { error: `La respuesta debe ser una lista con un texto por cada hueco (${question.blanks.length})` };
+    }
+    
+    const details = question.blanks.map((blank, index) => ({
+      userAnswer: String(answers[index] ?? ''),
+      correct: blank.answers.some(accepted => normalizeAnswer(accepted) === normalizeAnswer(answers[index])),
+      acceptedAnswers: blank.answers
+    }));
+    const hits = details.filter(detail => detail.correct).length;
+    
+    return {
+      fraction: hits / details.length,
+      progress: `Has acertado ${hits} de ${details.length} huecos.`,
+      solution: `La respuesta correcta es: ${question.blanks.map(blank => blank.answers[0]).join(', ')}.`,
+      correctAnswer: question.blanks.map(blank => blank.answers[0]),
+      details
+    };
+  },
+  
+  // La respuesta es la lista de elementos de la columna derecha en el orden de la izquierda; cada pareja cuenta por igual
+  'matching': (question, userAnswer) => {
+    const answers = parseList(userAnswer);
+    if (!answers || answers.length !== question.pairs.length) {
+      return { error: `La respuesta debe ser una lista con un elemento de la columna derecha por cada elemento de la izquierda (${question.pairs.length})` };
+    }
+    
+    const details = question.pairs.map((pair, index) => ({
+      left: pair.left,
+      userAnswer: String(answers[index] ?? ''),
+      correctAnswer: pair.right,
+      correct: normalizeAnswer(pair.right) === normalizeAnswer(answers[index])
+    }));
+    const hits = details.filter(detail => detail.correct).length;
+    
+    return {
+      fraction: hits / details.length,
+      progress: `Has acertado ${hits} de ${details.length} parejas.`,
+      solution: `Las parejas correctas son: ${question.pairs.map(pair => `${pair.left}: ${pair.right}`).join('; ')}.`,
+      correctAnswer: question.pairs,
+      details
+    };
+  },
+  
+  // La respuesta es la lista de elementos en el orden elegido. La puntuación es la fracción de pares de
+  // elementos que quedan en el orden correcto entre sí, para que un solo elemento fuera de sitio no lo anule todo.
+  'ordering': (question, userAnswer) => {
+    const answers = parseList(userAnswer);
+    const expected = question.sequence.map(normalizeAnswer);
+    const positions = answers ? answers.map(item => expected.indexOf(normalizeAnswer(item))) : [];
+    if (!answers || answers.length !== expected.length || positions.includes(-1) || new Set(positions).size !== positions.length) {
+      return { error: 'La respuesta debe ser una lista con todos los elementos a ordenar, una vez cada uno' };
+    }
+    
+    let orderedPairs = 0;
+    for (let i = 0; i < positions.length; i++) {
+      for (let j = i + 1; j < positions.length; j++) {
+        if (positions[i] < positions[j]) orderedPairs++;
+      }
+    }
+    const totalPairs = (positions.length * (positions.length - 1)) / 2;
+    const inPlace = positions.filter((position, index) => position === index).length;
+    
+    return {
+      fraction: orderedPairs / totalPairs,
+      progress: `Has colocado ${inPlace} de ${positions.length} elementos en su posición.`,
+      solution: `El orden correcto es: ${question.sequence.join(', ')}.`,
+      correctAnswer: question.sequence,
+      details: positions.map((position, index) => ({ item: question.sequence[position], correct: position === index }))
+    };
+  },
+  
+  // Correcta si está dentro del margen de error; se admite coma decimal y la unidad al final
+  'numeric': (question, userAnswer) => {
+    const unit = question.unit ? question.unit.trim() : '';
+    let text = String(userAnswer).trim();
+    if (unit && text.toLowerCase().endsWith(unit.toLowerCase())) {
+      text = text.slice(0, -unit.length).trim();
+    }
+    
+    const value = parseDecimal(text);
+    if (value === null) {
+      return { error: 'La respuesta debe ser un número' };
+    }
+    
+    const difference = Math.abs(value - question.answer);
+    const margin = question.tolerance > 0 ? ` (se acepta un margen de ±${question.tolerance})` : '';
+    
+    return {
+      fraction: difference <= question.tolerance + NUMERIC_EPSILON ? 1 : 0,
+      progress: '',
+      solution: `La respuesta correcta es ${question.answer}${unit ? ` ${unit}` : ''}${margin}.`,
+      correctAnswer: question.answer,
+      details: { userAnswer: value, difference, tolerance: question.tolerance, unit }
+    };
+  }
+};
+
+// Corregir una respuesta de los tipos con corrección local.
+// Devuelve { isCorrect, score (0-10), feedback, correctAnswer, details } o { error } si la respuesta no tiene el formato esperado.
+export const gradeAnswer = (questionType, question, userAnswer) => {
+  const result = graders[questionType](question, userAnswer);
+  if (result.error) return result;
+  
+  return {
+    isCorrect: result.fraction === 1,
+    score: toScore(result.fraction),
+    feedback: buildFeedback(result.fraction, { ...result, explanation: question.explanation }),
+    correctAnswer: result.correctAnswer,
+    details: result.details
+  };
+};
+
+export default {
+  LOCALLY_GRADED_TYPES,
+  gradeAnswer
+};
@@ -0,0 +1,251 @@
+// División del texto extraído de un documento en secciones y fragmentos para generar preguntas
+// sobre todo el documento (y no solo sobre sus primeras páginas).
+
+// Separador de páginas en el texto extraído (salto de página)
+export const PAGE_SEPARATOR = '\f';
+
+// Tamaño máximo de un fragmento enviado al modelo
+export const MAX_CHUNK_LENGTH = 12000;
+// Tamaño mínimo de un fragmento (las secciones más pequeñas se agrupan con las vecinas)
+const MIN_CHUNK_LENGTH = 1500;
+// Número máximo de fragmentos (cada fragmento es al menos una llamada al modelo)
+const MAX_CHUNKS = 8;
+
+// Líneas que parecen títulos de sección
+const HEADING_PATTERNS = [
+  /^#{1,6}\s+\S/, // Markdown
+  /^(cap[ií]tulo|tema|unidad|secci[oó]n|lecci[oó]n|m[oó]dulo|parte|chapter|section|lesson|unit)\b.{0,80}$/i,
+  /^\d+(\.\d+)*[.)]?\s+[A-ZÁÉÍÓÚÑ].{0,80}$/ // "1.2 Título"
+];
+
+const isHeading = (line) => {
+  const trimmed = line.trim();
+  if (trimmed.length < 3 || trimmed.length > 90) return false;
+  if (HEADING_PATTERNS.some(pattern => pattern.test(trimmed))) return true;
+  
+  // Líneas cortas en mayúsculas ("INTRODUCCIÓN")
+  const letters = trimmed.replace(/[^A-Za-zÁÉÍÓÚÑáéíóúñ]/g, '');
+  return letters.length >= 4 && trimmed.length <= 60 && letters === letters.toUpperCase() && !/[.,;:]$/.test(trimmed);
+};
+
+const cleanTitle = (line) => line.trim().replace(/^#{1,6}\s+/, '').substring(0, 80);
+
+// Secciones por páginas (o una única sección si el texto no tiene saltos de página)
+const splitByPages = (text) => {
+  const pages = text.split(PAGE_SEPARATOR);
+  let start = 0;
+  
+  return pages.map((pageText, index) => {
+    const section = {
+      title: pages.length > 1 ? `Página ${index + 1}` : 'Contenido',
+      start,
+      end: start + pageText.length,
+      pageStart: index + 1,
+      pageEnd: index + 1
+    };
+    start = section.end + PAGE_SEPARATOR.length;
+    return section;
+  });
+};
+
+// Primera y última página con texto de una línea (puede contener saltos de página) y página siguiente
+const linePages = (line, page) => {
+  const parts = line.split(PAGE_SEPARATOR);
+  const withText = parts
+    .map((part, index) => (part.trim() ? page + index : null))
+    .filter(value => value !== null);
+  const next = page + parts.length - 1;
+  
+  return {
+    first: withText.length > 0 ? withText[0] : next,
+    last: withText.length > 0 ? withText[withText.length - 1] : next,
+    next
+  };
+};
+
+// Secciones por títulos, anotando las páginas que abarca cada una
+const splitByHeadings = (text) => {
+  const sections = [];
+  let current = null;
+  let offset = 0;
+  let page = 1;
+  
+  for (const line of text.split('\n')) {
+    const lineStart = offset;
+    const visibleLine = line.split(PAGE_SEPARATOR).join('');
+    const pages = linePages(line, page);
+    offset += line.length + 1;
+    page = pages.next;
+    
+    if (isHeading(visibleLine) || !current) {
+      if (current) current.end = lineStart;
+      current = {
+        title: isHeading(visibleLine) ? cleanTitle(visibleLine) : null,
+        start: lineStart,
+        end: lineStart,
+        pageStart: pages.first,
+        pageEnd: pages.last
+      };
+      sections.push(current);
+    } else if (visibleLine.trim()) {
+      current.pageEnd = pages.last;
+    }
+  }
+  
+  if (current) current.end = text.length;
+  return sections;
+};
+
+// Dividir el texto en secciones por títulos; si no hay al menos dos títulos, por páginas.
+// Cada sección: { title, text, start, end, pageStart, pageEnd }
+export const splitIntoSections = (text) => {
+  const source = String(text || '');
+  const headingSections = splitByHeadings(source);
+  const useHeadings = headingSections.filter(section => section.title).length >= 2;
+  const sections = useHeadings
+    ? headingSections.map(section => ({ ...section, title: section.title || 'Inicio' }))
+    : splitByPages(source);
+  
+  return sections
+    .map(section => ({ ...section, text: source.slice(section.start, section.end).split(PAGE_SEPARATOR).join('\n').trim() }))
+    .filter(section => section.text.length > 0);
+};
+
+// Partir una sección demasiado grande por párrafos (o por tamaño si un párrafo no cabe)
+const splitLargeSection = (section, maxLength) => {
+  if (section.text.length <= maxLength) return [section];
+  
+  const parts = [];
+  let current = '';
+  const pushPart = () => {
+    if (current.trim()) {
+      parts.push({ ...section, title: `${section.title} (parte ${parts.length + 1})`, text: current.trim() });
+    }
+    current = '';
+  };
+  
+  for (const paragraph of section.text.split(/\n\s*\n/)) {
+    if (current.length + paragraph.length + 2 > maxLength) pushPart();
+    if (paragraph.length > maxLength) {
+      for (let i = 0; i < paragraph.length; i += maxLength) {
+        current = paragraph.slice(i, i + maxLength);
+        pushPart();
+      }
+    } else {
+      current += (current ? '\n\n' : '') + paragraph;
+    }
+  }
+  pushPart();
+  
+  return parts;
+};
+
+// Agrupar secciones contiguas en fragmentos de tamaño similar (unos `maxChunks`, sin superar MAX_CHUNK_LENGTH)
+export const buildChunks = (text, { maxChunks = MAX_CHUNKS } = {}) => {
+  const sections = splitIntoSections(text);
+  const totalLength = sections.reduce((sum, section) => sum + section.text.length, 0);
+  if (totalLength === 0) return [];
+  
+  const targetLength = Math.min(MAX_CHUNK_LENGTH, Math.max(MIN_CHUNK_LENGTH, Math.ceil(totalLength / maxChunks)));
+  const pieces = sections.flatMap(section => splitLargeSection(section, MAX_CHUNK_LENGTH));
+  const chunks = [];
+  
+  for (const piece of pieces) {
+    const last = chunks[chunks.length - 1];
+    if (last && last.text.length + piece.text.length / 2 <= targetLength && last.text.length + piece.text.length <= MAX_CHUNK_LENGTH) {
+      last.text += '\n\n' + piece.text;
+      last.titles.push(piece.title);
+      last.pageEnd = piece.pageEnd;
+      last.end = piece.end;
+    } else {
+      chunks.push({
+        titles: [piece.title],
+        text: piece.text,
+        start: piece.start,
+        end: piece.end,
+        pageStart: piece.pageStart,
+        pageEnd: piece.pageEnd
+      });
+    }
+  }
+  
+  return chunks.map((chunk, index) => ({ ...chunk, index, length: chunk.text.length }));
+};
+
+// Tramo (de 0 a groupCount - 1) de cada fragmento según la posición de su centro en el documento
+const spanIndexes = (chunks, groupCount) => {
+  const totalLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  let offset = 0;
+  return chunks.map(chunk => {
+    const span = Math.min(groupCount - 1, Math.floor(((offset + chunk.length / 2) / totalLength) * groupCount));
+    offset += chunk.length;
+    return span;
+  });
+};
+
+// Unir fragmentos contiguos en como mucho maxChunks tramos de tamaño parecido (cada tramo es al menos
+// una llamada al modelo). Si un tramo supera maxLength, de cada fragmento se toma solo su comienzo, en
+// proporción a su tamaño, para que el tramo siga cubriendo todas sus partes.
+export const mergeChunks = (chunks, maxChunks, { maxLength = Infinity } = {}) => {
+  if (chunks.length <= maxChunks) return chunks;
+  
+  const spans = spanIndexes(chunks, maxChunks);
+  const groups = Array.from({ length: maxChunks }, () => []);
+  chunks.forEach((chunk, index) => groups[spans[index]].push(chunk));
+  
+  return groups.filter(group => group.length > 0).map((group, index) => {
+    const groupLength = group.reduce((sum, chunk) => sum + chunk.length, 0);
+    const text = group
+      .map(chunk => groupLength <= maxLength ? chunk.text : chunk.text.slice(0, Math.floor((chunk.length / groupLength) * maxLength)))
+      .join('\n\n');
+    return {
+      titles: group.flatMap(chunk => chunk.titles),
+      text,
+      start: group[0].start,
+      end: group[group.length - 1].end,
+      pageStart: group[0].pageStart,
+      pageEnd: group[group.length - 1].pageEnd,
+      index,
+      length: text.length
+    };
+  });
+};
+
+// Repartir las preguntas entre fragmentos en proporción a su tamaño. Se redondea la posición acumulada,
+// así que si hay menos preguntas que fragmentos las preguntas quedan repartidas a lo largo de todo el documento.
+// Con maxChunks, los fragmentos se agrupan en como mucho maxChunks tramos contiguos de tamaño parecido y las
+// preguntas de cada tramo van a su fragmento más grande, para limitar las llamadas al modelo sin dejar de cubrir
+// todo el documento.
+export const allocateQuestions = (chunks, questionCount, { maxChunks = chunks.length } = {}) => {
+  const totalLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const groupCount = Math.max(1, Math.min(maxChunks, chunks.length));
+  
+  const spans = spanIndexes(chunks, groupCount);
+  const groups = Array.from({ length: groupCount }, () => ({ length: 0, largest: null }));
+  chunks.forEach((chunk, index) => {
+    const group = groups[spans[index]];
+    group.length += chunk.length;
+    if (!group.largest || chunk.length > group.largest.length) group.largest = chunk;
+  });
+  
+  const allocation = chunks.map(() => 0);
+  let cumulativeLength = 0;
+  let assigned = 0;
+  groups.filter(group => group.largest).forEach(group => {
+    cumulativeLength += group.length;
+    const target = Math.round((cumulativeLength / totalLength) * questionCount);
+    allocation[chunks.indexOf(group.largest)] = target - assigned;
+    assigned = target;
+  });
+  
+  return allocation;
+};
+
+export default {
+  PAGE_SEPARATOR,
+  MAX_CHUNK_LENGTH,
+  splitIntoSections,
+  buildChunks,
+  mergeChunks,
+  allocateQuestions
+};
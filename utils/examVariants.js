@@ -0,0 +1,74 @@
+import { OPTION_LETTERS } from './quizSchema.js';
+import { seededRandom, shuffleList } from './seededRandom.js';
+
+// Número máximo de variantes de un examen impreso
+export const MAX_EXAM_VARIANTS = 5;
+
+const TRUE_VALUES = ['true', '1', 'yes', 'si', 'sí'];
+const FALSE_VALUES = ['false', '0', 'no'];
+
+// Barajar las opciones de una pregunta de opción múltiple, actualizando la letra de la respuesta correcta
+const shuffleQuestionOptions = (question, random) => {
+  const order = shuffleList(question.options.map((_, index) => index), random);
+  return {
+    ...question,
+    options: order.map(index => question.options[index]),
+    correctAnswer: OPTION_LETTERS[order.indexOf(OPTION_LETTERS.indexOf(question.correctAnswer))]
+  };
+};
+
+// Generar las variantes de un examen. Cada variante: { label: 'A', questions: [{ ...pregunta, sourceIndex }] },
+// donde sourceIndex es la posición de la pregunta en el cuestionario original.
+export const buildExamVariants = (questionType, questions, { variants = 1, shuffle = false, shuffleOptions = false, seed = '' } = {}) => {
+  return Array.from({ length: variants }, (_, variantIndex) => {
+    const label = String.fromCharCode(65 + variantIndex);
+    const random = seededRandom(`${seed}:${label}`);
+    const indexed = questions.map((question, sourceIndex) => ({ ...question, sourceIndex }));
+    const ordered = shuffle ? shuffleList(indexed, random) : indexed;
+    
+    return {
+      label,
+      questions: shuffleOptions
+        ? ordered.map(question => ((question.questionType || questionType) === 'multiple-choice'
+          ? shuffleQuestionOptions(question, random)
+          : question))
+        : ordered
+    };
+  });
+};
+
+const parseBoolean = (value, defaultValue) => {
+  if (value === undefined || value === '') return defaultValue;
+  const normalized = String(value).toLowerCase();
+  if (TRUE_VALUES.includes(normalized)) return true;
+  if (FALSE_VALUES.includes(normalized)) return false;
+  return null;
+};
+
+// Normalizar y validar las opciones de impresión (variantes y barajado). Con varias variantes se
+// barajan por defecto las preguntas y las opciones, para que las variantes sean distintas.
+export const parsePrintParams = ({ variants, shuffle, shuffleOptions, seed }) => {
+  const variantCount = variants === undefined || variants === '' ? 1 : Number(variants);
+  if (!Number.isInteger(variantCount) || variantCount < 1 || variantCount > MAX_EXAM_VARIANTS) {
+    return { error: `El número de variantes debe estar entre 1 y ${MAX_EXAM_VARIANTS}` };
+  }
+  
+  const shuffleQuestions = parseBoolean(shuffle, variantCount > 1);
+  const shuffleChoices = parseBoolean(shuffleOptions, variantCount > 1);
+  if (shuffleQuestions === null || shuffleChoices === null) {
+    return { error: '"shuffle" y "shuffleOptions" deben ser true o false' };
+  }
+  
+  return {
+    variants: variantCount,
+    shuffle: shuffleQuestions,
+    shuffleOptions: shuffleChoices,
+    seed: seed ? String(seed) : null
+  };
+};
+
+export default {
+  MAX_EXAM_VARIANTS,
+  buildExamVariants,
+  parsePrintParams
+};
@@ -0,0 +1,219 @@
+import QuizJob from '../models/QuizJob.js';
+import Document from '../models/Document.js';
+import { createQuiz } from '../services/quizService.js';
+import { createDeck } from '../services/flashcardService.js';
+import { createSummary } from '../services/summaryService.js';
+import { getLLMProvider } from '../providers/index.js';
+
+// Un trabajo "running" sin latido durante este tiempo se considera interrumpido (p. ej. reinicio del servidor).
+// El latido se da cada vez que el modelo responde; una sola petición, con sus reintentos por cuota, tarda
+// como mucho unos 4 minutos.
+const STALE_JOB_MS = 10 * 60 * 1000;
+// Cada cuánto se buscan trabajos interrumpidos mientras el servidor está en marcha
+const RECOVERY_INTERVAL_MS = 5 * 60 * 1000;
+// Número máximo de veces que se intenta ejecutar un trabajo
+const MAX_JOB_ATTEMPTS = 3;
+
+// Generador de cada tipo de trabajo y mensaje para cuando el modelo no devuelve un resultado válido
+const JOB_KINDS = {
+  quiz: {
+    generate: createQuiz,
+    validationCode: 'QUIZ_VALIDATION_FAILED',
+    validationMessage: 'No se pudo generar un cuestionario estructurado. Por favor, intente de nuevo.'
+  },
+  flashcards: {
+    generate: createDeck,
+    validationCode: 'QUIZ_VALIDATION_FAILED',
+    validationMessage: 'No se pudieron generar tarjetas estructuradas. Por favor, intente de nuevo.'
+  },
+  summary: {
+    generate: createSummary,
+    validationCode: 'SUMMARY_VALIDATION_FAILED',
+    validationMessage: 'No se pudieron generar unos apuntes estructurados. Por favor, intente de nuevo.'
+  }
+};
+
+// Cola de trabajos de generación (cuestionarios, mazos de tarjetas y apuntes) persistida en MongoDB.
+// Los trabajos se reclaman de forma atómica, así que varias instancias pueden compartir la cola.
+// El worker se ejecuta dentro del proceso del servidor: en serverless (Vercel) la función se congela al
+// terminar la respuesta y el worker se detiene con ella, así que allí los trabajos solo avanzan mientras
+// hay solicitudes en curso (cada consulta del estado lo despierta) y los que se cortan se recuperan por
+// latido. Para cuestionarios largos en serverless conviene /api/chat/quiz/stream, que genera dentro de la solicitud.
+export const jobQueue = {
+  processing: false,
+  recoveryTimer: null,
+  
+  // Crear un trabajo pendiente y despertar al worker
+  enqueue: async function(owner, params, { kind = 'quiz' } = {}) {
+    const job = await QuizJob.create({ owner, kind, params });
+    this.kick();
+    return job;
+  },
+  
+  // Posición en la cola (1 = el siguiente en ejecutarse); null si ya no está pendiente
+  getQueuePosition: async function(job) {
+    if (job.status !== 'queued') return null;
+    const ahead = await QuizJob.countDocuments({ status: 'queued', createdAt: { $lt: job.createdAt } });
+    return ahead + 1;
+  },
+  
+  // Devolver a la cola los trabajos que quedaron a medias, o marcarlos como fallidos si agotaron sus intentos
+  recoverInterruptedJobs: async function() {
+    const staleBefore = new Date(Date.now() - STALE_JOB_MS);
+    // Los trabajos anteriores al latido solo tienen startedAt
+    const stale = {
+      status: 'running',
+      $or: [
+        { heartbeatAt: { $lt: staleBefore } },
+        { heartbeatAt: null, startedAt: { $lt: staleBefore } }
+      ]
+    };
+    
+    const failed = await QuizJob.updateMany(
+      { ...stale, attempts: { $gte: MAX_JOB_ATTEMPTS } },
+      { $set: { status: 'failed', finishedAt: new Date(), error: { message: 'El trabajo se interrumpió demasiadas veces' } } }
+    );
+    const requeued = await QuizJob.updateMany(
+      stale,
+      { $set: { status: 'queued' }, $unset: { startedAt: 1, heartbeatAt: 1 } }
+    );
+    
+    if (failed.modifiedCount || requeued.modifiedCount) {
+      console.log(`Trabajos interrumpidos: ${requeued.modifiedCount} reencolados, ${failed.modifiedCount} fallidos`);
+    }
+  },
+  
+  // ¿Lleva el trabajo en ejecución más tiempo sin latido del permitido?
+  isStale: function(job) {
+    const lastBeat = job.heartbeatAt || job.startedAt;
+    return job.status === 'running' && (!lastBeat || Date.now() - lastBeat.getTime() > STALE_JOB_MS);
+  },
+  
+  // Recuperar los trabajos interrumpidos y despertar al worker
+  recover: async function() {
+    try {
+      await this.recoverInterruptedJobs();
+    } catch (error) {
+      console.error('Error al recuperar trabajos interrumpidos:', error);
+    }
+    this.kick();
+  },
+  
+  // Iniciar el worker al conectar con la base de datos y revisar periódicamente los trabajos interrumpidos
+  // (p. ej. los de otra instancia que se detuvo). El temporizador no impide que el proceso termine.
+  start: function() {
+    if (!this.recoveryTimer) {
+      this.recoveryTimer = setInterval(() => this.recover(), RECOVERY_INTERVAL_MS);
+      this.recoveryTimer.unref();
+    }
+    return this.recover();
+  },
+  
+  // Procesar la cola si el worker no está ya trabajando
+  kick: function() {
+    if (!this.processing) {
+      this.processQueue();
+    }
+  },
+  
+  // Procesar trabajos pendientes de uno en uno hasta vaciar la cola
+  processQueue: async function() {
+    this.processing = true;
+    
+    try {
+      let job;
+      while ((job = await this.claimNextJob())) {
+        await this.runJob(job);
+      }
+    } catch (error) {
+      console.error('Error en el worker de trabajos:', error);
+    } finally {
+      this.processing = false;
+    }
+  },
+  
+  // Reclamar atómicamente el trabajo pendiente más antiguo
+  claimNextJob: function() {
+    return QuizJob.findOneAndUpdate(
+      { status: 'queued' },
+      { $set: { status: 'running', startedAt: new Date(), heartbeatAt: new Date() }, $inc: { attempts: 1 } },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  },
+  
+  // Renovar el latido del trabajo si sigue perteneciendo a este intento.
+  // Lanza un error con code 'JOB_SUPERSEDED' si se dio por interrumpido y se volvió a encolar.
+  touch: async function(job) {
+    const { matchedCount } = await QuizJob.updateOne(
+      { _id: job._id, status: 'running', attempts: job.attempts },
+      { $set: { heartbeatAt: new Date() } }
+    );
+    if (!matchedCount) {
+      const error = new Error(`El trabajo ${job._id} ya no pertenece al intento ${job.attempts}`);
+      error.code = 'JOB_SUPERSEDED';
+      throw error;
+    }
+  },
+  
+  // Latido durante la generación: un fallo puntual de la base de datos no detiene el trabajo
+  heartbeat: async function(job) {
+    try {
+      await this.touch(job);
+    } catch (error) {
+      if (error.code === 'JOB_SUPERSEDED') throw error;
+      console.error(`Error al actualizar el latido del trabajo ${job._id}:`, error);
+    }
+  },
+  
+  // Ejecutar un trabajo y guardar su resultado o su error
+  runJob: async function(job) {
+    console.log(`Ejecutando trabajo ${job._id} de tipo ${job.kind} (intento ${job.attempts})`);
+    const { generate, validationCode, validationMessage } = JOB_KINDS[job.kind];
+    const update = { $set: {} };
+    
+    try {
+      const params = { owner: job.owner, ...job.toObject().params };
+      
+      // El texto de los documentos de la biblioteca se lee al ejecutar el trabajo
+      if (params.documentId) {
+        const document = await Document.findOne({ _id: params.documentId, owner: job.owner });
+        if (!document) {
+          throw new Error('El documento ya no existe en la biblioteca');
+        }
+        params.content = document.text;
+      }
+      
+      // Antes de guardar se confirma que el trabajo sigue siendo de este intento: el latido recién
+      // renovado impide que se reencole mientras se guarda, así que no puede haber dos resultados
+      const result = await generate(getLLMProvider(), params, {
+        onProgress: () => this.heartbeat(job),
+        beforeSave: () => this.touch(job)
+      });
+      
+      update.$set.status = 'done';
+      update.$set.result = result;
+      update.$unset = { 'params.content': 1 }; // El texto del documento ya no es necesario
+    } catch (error) {
+      if (error.code === 'JOB_SUPERSEDED') {
+        console.log(`${error.message}; se abandona este intento`);
+        return;
+      }
+      console.error(`Error en el trabajo ${job._id}:`, error);
+      
+      update.$set.status = 'failed';
+      update.$set.error = {
+        message: error.code === validationCode ? validationMessage : error.message,
+        problems: error.problems || []
+      };
+    }
+    
+    update.$set.finishedAt = new Date();
+    // Solo el intento dueño del trabajo guarda su estado final
+    const saved = await QuizJob.updateOne({ _id: job._id, status: 'running', attempts: job.attempts }, update);
+    if (!saved.modifiedCount) {
+      console.log(`El trabajo ${job._id} ya no pertenece al intento ${job.attempts}; se descarta su estado final`);
+    }
+  }
+};
+
+export default jobQueue;
@@ -0,0 +1,68 @@
+// Parser incremental para respuestas JSON del tipo { "questions": [ {...}, {...} ] } que llegan por partes.
+// Cada llamada a push(chunk) devuelve las preguntas que se han completado con ese fragmento.
+export const createQuestionStreamParser = () => {
+  let buffer = '';
+  let position = 0;
+  let arrayStarted = false;
+  let depth = 0;
+  let objectStart = -1;
+  let inString = false;
+  let escaped = false;
+  
+  // Buscar el inicio del arreglo "questions"
+  const findArrayStart = () => {
+    const keyIndex = buffer.indexOf('"questions"');
+    if (keyIndex === -1) return false;
+    
+    const bracketIndex = buffer.indexOf('[', keyIndex);
+    if (bracketIndex === -1) return false;
+    
+    position = bracketIndex + 1;
+    arrayStarted = true;
+    return true;
+  };
+  
+  const push = (chunk) => {
+    buffer += chunk;
+    const completed = [];
+    
+    if (!arrayStarted && !findArrayStart()) {
+      return completed;
+    }
+    
+    for (; position < buffer.length; position++) {
+      const char = buffer[position];
+      
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+      
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        if (depth === 0) objectStart = position;
+        depth++;
+      } else if (char === '}') {
+        depth--;
+        if (depth === 0 && objectStart !== -1) {
+          try {
+            completed.push(JSON.parse(buffer.slice(objectStart, position + 1)));
+          } catch (error) {
+            // Se entrega tal cual para que el validador la registre como inválida
+            completed.push(null);
+          }
+          objectStart = -1;
+        }
+      }
+    }
+    
+    return completed;
+  };
+  
+  return { push };
+};
+
+export default createQuestionStreamParser;
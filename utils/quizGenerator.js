@@ -0,0 +1,632 @@
+import { trackApiRequest } from './quotaMonitor.js';
+import { validateQuiz, validateQuestion, OPTION_LETTERS, FLASHCARD_ITEM_TYPE } from './quizSchema.js';
+import { createQuestionStreamParser } from './questionStreamParser.js';
+import { buildChunks, allocateQuestions, MAX_CHUNK_LENGTH } from './documentChunker.js';
+
+// Número máximo de re-prompts para reparar preguntas inválidas o que faltan
+const MAX_REPAIR_ATTEMPTS = 2;
+
+// Máximo de caracteres del contenido que se envían al modelo en cada llamada
+const MAX_CONTENT_LENGTH = MAX_CHUNK_LENGTH;
+
+// Similitud a partir de la cual dos preguntas se consideran la misma
+const DUPLICATE_SIMILARITY = 0.8;
+
+// Fragmentos de un documento que se usan para generar un cuestionario: uno por cada QUESTIONS_PER_CHUNK
+// preguntas y como mucho MAX_QUIZ_CHUNKS (cada fragmento usado es al menos una llamada al modelo)
+const QUESTIONS_PER_CHUNK = 3;
+const MAX_QUIZ_CHUNKS = 5;
+
+// Estructura JSON esperada para cada tipo de pregunta (se incluye en los prompts)
+const QUESTION_FORMATS = {
+  'multiple-choice': `{
+        "question": "¿Pregunta 1?",
+        "options": ["opción a", "opción b", "opción c", "opción d"],
+        "correctAnswer": "a",
+        "explanation": "Explicación de por qué esta respuesta es correcta"
+      }`,
+  'true-false': `{
+        "statement": "Afirmación 1",
+        "isTrue": true,
+        "explanation": "Explicación de por qué esta afirmación es verdadera/falsa"
+      }`,
+  'open-ended': `{
+        "question": "¿Pregunta 1?",
+        "modelAnswer": "Respuesta modelo detallada para esta pregunta"
+      }`,
+  'fill-in-the-blank': `{
+        "text": "Frase con un hueco ____ que el estudiante debe completar",
+        "blanks": [{ "answers": ["respuesta", "variante aceptada"] }],
+        "explanation": "Explicación de la respuesta"
+      }`,
+  'matching': `{
+        "question": "Relaciona cada concepto con su definición",
+        "pairs": [
+          { "left": "Concepto 1", "right": "Definición 1" },
+          { "left": "Concepto 2", "right": "Definición 2" },
+          { "left": "Concepto 3", "right": "Definición 3" }
+        ],
+        "explanation": "Explicación de las parejas"
+      }`,
+  'ordering': `{
+        "question": "Ordena estos pasos del proceso",
+        "sequence": ["Primer paso", "Segundo paso", "Tercer paso"],
+        "explanation": "Explicación del orden correcto"
+      }`,
+  'numeric': `{
+        "question": "¿Pregunta 1 con respuesta numérica?",
+        "answer": 9.8,
+        "tolerance": 0.1,
+        "unit": "m/s²",
+        "explanation": "Explicación de cómo se obtiene el resultado"
+      }`,
+  'flashcard': `{
+        "type": "term",
+        "front": "Término, pregunta o frase con un hueco ____",
+        "back": "Definición, respuesta o texto que completa el hueco"
+      }`
+};
+
+// Reglas del esquema que se recuerdan al modelo al pedir una reparación
+const QUESTION_RULES = {
+  'multiple-choice': 'exactamente 4 opciones de texto, "correctAnswer" igual a "a", "b", "c" o "d" y una "explanation" no vacía',
+  'true-false': '"isTrue" como booleano JSON (true o false, sin comillas) y una "explanation" no vacía',
+  'open-ended': '"question" y "modelAnswer" como textos no vacíos',
+  'fill-in-the-blank': '"text" con huecos ____ (máximo 5), un elemento en "blanks" por cada hueco con sus respuestas aceptadas en "answers", y una "explanation" no vacía',
+  'matching': 'entre 3 y 8 parejas en "pairs" con "left" y "right" no vacíos y sin repetir en cada columna, y una "explanation" no vacía',
+  'ordering': 'entre 3 y 8 elementos distintos en "sequence", en su orden correcto, y una "explanation" no vacía',
+  'numeric': '"answer" como número JSON (sin comillas ni unidades), "tolerance" como número mayor o igual que 0 y una "explanation" no vacía',
+  'flashcard': '"type" igual a "term", "qa" o "cloze", y "front" y "back" como textos no vacíos (en "cloze", "front" contiene el hueco ____)'
+};
+
+// Descripción de cada dificultad y nivel cognitivo para el modelo
+const DIFFICULTY_DESCRIPTIONS = {
+  easy: 'fácil: preguntas directas sobre las ideas principales, con distractores claramente distinguibles',
+  medium: 'media: preguntas que requieren entender bien el contenido, con distractores plausibles',
+  hard: 'difícil: preguntas sobre detalles y relaciones entre ideas, con distractores muy parecidos a la respuesta correcta'
+};
+const BLOOM_DESCRIPTIONS = {
+  remember: 'recordar datos, términos y definiciones',
+  understand: 'explicar o interpretar ideas con otras palabras',
+  apply: 'usar lo aprendido para resolver un caso o ejercicio nuevo',
+  analyze: 'relacionar ideas, comparar y distinguir causas y consecuencias'
+};
+
+// Nivel cognitivo de cada pregunta del cuestionario: los niveles pedidos se reparten por turnos
+export const planBloomLevels = (levels, count) => Array.from({ length: count }, (_, index) => levels[index % levels.length]);
+
+// Niveles del plan que aún no cubren las preguntas aceptadas (los que se piden al completar el cuestionario)
+const remainingLevels = (levelPlan, questions, count) => {
+  const pending = [...levelPlan];
+  questions.forEach(question => {
+    const index = pending.indexOf(question.bloomLevel);
+    if (index !== -1) pending.splice(index, 1);
+  });
+  
+  return pending.length >= count
+    ? pending.slice(0, count)
+    : [...pending, ...planBloomLevels([...new Set(levelPlan)], count - pending.length)];
+};
+
+// Plan de niveles de una solicitud (null si no se piden niveles, como en las tarjetas de estudio)
+export const resolveLevelPlan = ({ bloomLevels, levelPlan, questionCount }) => {
+  if (levelPlan) return levelPlan;
+  return bloomLevels ? planBloomLevels(bloomLevels, questionCount) : null;
+};
+
+// Completar la dificultad y el nivel de una pregunta válida que no los indica, según el plan
+const labelLevels = (question, { difficulty, levelPlan }, accepted) => {
+  if (!difficulty || !levelPlan) return question;
+  return {
+    ...question,
+    difficulty: question.difficulty || difficulty,
+    bloomLevel: question.bloomLevel || remainingLevels(levelPlan, accepted, 1)[0]
+  };
+};
+
+// Instrucciones de dificultad y niveles cognitivos del prompt (vacías si no se piden)
+const buildLevelBlock = ({ difficulty, levelPlan }) => {
+  if (!difficulty || !levelPlan) return '';
+  
+  const counts = levelPlan.reduce((acc, level) => ({ ...acc, [level]: (acc[level] || 0) + 1 }), {});
+  const mix = Object.entries(counts)
+    .map(([level, count]) => `- ${count} ${count === 1 ? 'pregunta' : 'preguntas'} de nivel "${level}" (${BLOOM_DESCRIPTIONS[level]})`)
+    .join('\n      ');
+  
+  return `Dificultad ${DIFFICULTY_DESCRIPTIONS[difficulty]}.
+      Reparte las preguntas entre estos niveles cognitivos de la taxonomía de Bloom:
+      ${mix}
+      Indica en cada pregunta su dificultad en "difficulty" ("${difficulty}") y su nivel cognitivo en "bloomLevel".`;
+};
+
+// Estructura JSON de una pregunta, con los campos de dificultad y nivel cuando se piden
+const questionFormat = (questionType, { difficulty, levelPlan }) => {
+  const format = QUESTION_FORMATS[questionType];
+  if (!difficulty || !levelPlan) return format;
+  return format.replace(/\n(\s*)\}$/, `,\n$1  "difficulty": "${difficulty}",\n$1  "bloomLevel": "${levelPlan[0]}"\n$1}`);
+};
+
+// Instrucciones de cada tipo de cuestionario: qué crea el profesor, qué se pide y cómo se explica cada respuesta
+const QUESTION_INSTRUCTIONS = {
+  'multiple-choice': {
+    subject: 'un cuestionario de opción múltiple',
+    request: (count) => `Genera ${count} preguntas de opción múltiple con 4 opciones cada una (a, b, c, d).`,
+    details: 'Para cada pregunta, marca claramente la respuesta correcta y proporciona una explicación de por qué es correcta.'
+  },
+  'true-false': {
+    subject: 'un cuestionario de verdadero/falso',
+    request: (count) => `Genera ${count} afirmaciones y especifica si cada una es verdadera o falsa.`,
+    details: 'Para cada afirmación, proporciona una explicación de por qué es verdadera o falsa.'
+  },
+  'open-ended': {
+    subject: 'un cuestionario de preguntas abiertas',
+    request: (count) => `Genera ${count} preguntas que requieran respuestas explicativas.`,
+    details: 'Para cada pregunta, proporciona una respuesta modelo que sea completa y detallada.'
+  },
+  'fill-in-the-blank': {
+    subject: 'un ejercicio de completar huecos',
+    request: (count) => `Genera ${count} frases o párrafos breves con entre 1 y 3 huecos marcados con ____ en "text".`,
+    details: `Para cada hueco, indica en "blanks" (en el mismo orden que en el texto) la respuesta correcta y sus variantes aceptadas
+      (sinónimos, singular/plural, con o sin artículo), y proporciona una explicación.`
+  },
+  'matching': {
+    subject: 'un ejercicio de relacionar conceptos',
+    request: (count) => `Genera ${count} ejercicios de relacionar, cada uno con entre 3 y 6 parejas (un elemento de la columna izquierda y su correspondiente de la derecha).`,
+    details: 'Los elementos de cada columna no deben repetirse ni poder relacionarse con más de un elemento de la otra. Proporciona una explicación de las parejas.'
+  },
+  'ordering': {
+    subject: 'un ejercicio de ordenar secuencias',
+    request: (count) => `Genera ${count} ejercicios de ordenar, cada uno con entre 3 y 6 elementos (pasos de un proceso, etapas, acontecimientos...).`,
+    details: 'Escribe los elementos de "sequence" en su orden correcto, sin numerarlos, y proporciona una explicación del orden.'
+  },
+  'numeric': {
+    subject: 'un cuestionario de preguntas con respuesta numérica',
+    request: (count) => `Genera ${count} preguntas o problemas cuya respuesta sea un número.`,
+    details: `Indica la respuesta en "answer" como número JSON, el margen de error aceptado en "tolerance" (0 si debe ser exacta)
+      y la unidad en "unit" (vacía si no tiene). Proporciona una explicación de cómo se obtiene el resultado.`
+  },
+  'flashcard': {
+    subject: 'tarjetas de estudio (flashcards)',
+    request: (count) => `Genera ${count} tarjetas con un anverso ("front") y un reverso ("back"), combinando estos tipos:
+      - "term": un término en el anverso y su definición en el reverso.
+      - "qa": una pregunta breve en el anverso y su respuesta en el reverso.
+      - "cloze": una frase con un hueco ____ en el anverso y el texto que falta en el reverso.`,
+    details: 'Las tarjetas deben ser breves y centrarse en una sola idea cada una.',
+    plain: true // Sin emojis
+  }
+};
+
+// Construir el prompt según el tipo de cuestionario
+export const buildQuizPrompt = ({ topic, questionType, questionCount, content, difficulty, levelPlan }) => {
+  const contentBlock = content ? 'Basándote en el siguiente contenido: ' + content.substring(0, MAX_CONTENT_LENGTH) : '';
+  const instructions = QUESTION_INSTRUCTIONS[questionType];
+  
+  return `Actúa como un profesor que crea ${instructions.subject} sobre "${topic}".
+      ${contentBlock}
+      ${instructions.request(questionCount)}
+      ${buildLevelBlock({ difficulty, levelPlan })}
+      ${instructions.details}
+      ${instructions.plain ? '' : 'Usa emojis para hacer el contenido más atractivo.'}
+      Formatea tu respuesta como un objeto JSON con esta estructura exacta:
+      {
+        "questions": [
+          ${questionFormat(questionType, { difficulty, levelPlan })}
+        ]
+      }`;
+};
+
+// Prompt de reparación: explica qué falló y pide solo las preguntas que faltan
+export const buildRepairPrompt = ({ topic, questionType, content, missing, problems, validQuestions, difficulty, levelPlan }) => {
+  const contentBlock = content ? 'Basándote en el siguiente contenido: ' + content.substring(0, MAX_CONTENT_LENGTH) : '';
+  const problemList = problems.length > 0
+    ? `Tu respuesta anterior tenía estos problemas:\n${problems.map(problem => `- ${problem}`).join('\n')}`
+    : '';
+  const existingList = validQuestions.length > 0
+    ? `No repitas estas preguntas que ya son válidas:\n${validQuestions.map(question => `- ${question.question || question.statement || question.text || question.front}`).join('\n')}`
+    : '';
+  
+  return `Actúa como un profesor que crea un cuestionario de tipo "${questionType}" sobre "${topic}".
+      ${contentBlock}
+      ${problemList}
+      ${existingList}
+      Genera exactamente ${missing} preguntas nuevas. Cada pregunta debe tener ${QUESTION_RULES[questionType]}.
+      ${buildLevelBlock({ difficulty, levelPlan })}
+      Responde únicamente con un objeto JSON válido, sin texto adicional, con esta estructura exacta:
+      {
+        "questions": [
+          ${questionFormat(questionType, { difficulty, levelPlan })}
+        ]
+      }`;
+};
+
+// Describir los problemas de validación para incluirlos en el prompt de reparación
+const describeProblems = (validation) => {
+  const problems = [];
+  if (validation.structureError) problems.push(validation.structureError);
+  validation.invalid.forEach(({ index, errors }) => {
+    problems.push(`pregunta ${index + 1}: ${errors.join('; ')}`);
+  });
+  return problems;
+};
+
+// Llamar al proveedor registrando el uso de cuota cuando corresponde.
+// onProgress() se llama cuando el proveedor responde (p. ej. para marcar que el trabajo sigue vivo).
+const requestQuestions = async (provider, prompt, options, { onProgress } = {}) => {
+  if (provider.metered) {
+    await trackApiRequest();
+  }
+  
+  let response;
+  try {
+    response = await provider.generateJSON(prompt, { task: 'quiz', ...options });
+  } catch (error) {
+    if (error.code !== 'INVALID_JSON') throw error;
+    console.error('Respuesta del modelo sin JSON válido:', error.message);
+    response = null;
+  }
+  
+  if (onProgress) await onProgress();
+  return response;
+};
+
+// Completar un cuestionario re-pidiendo al modelo las preguntas inválidas o que faltan.
+// Lanza un error con code 'QUIZ_VALIDATION_FAILED' si tras los reintentos no se completa el cuestionario.
+const repairQuiz = async (provider, { topic, questionType, questionCount, content }, levels, questions, problems, { onQuestion, onProgress } = {}) => {
+  const baseOptions = { topic, questionType, content, difficulty: levels.difficulty };
+  
+  for (let attempt = 1; attempt <= MAX_REPAIR_ATTEMPTS && questions.length < questionCount; attempt++) {
+    const missing = questionCount - questions.length;
+    console.log(`Reparando cuestionario (intento ${attempt}/${MAX_REPAIR_ATTEMPTS}): faltan ${missing} preguntas válidas`);
+    
+    // Se piden solo los niveles cognitivos que aún faltan
+    const levelPlan = levels.levelPlan ? remainingLevels(levels.levelPlan, questions, missing) : null;
+    const repairResponse = await requestQuestions(
+      provider,
+      buildRepairPrompt({ ...baseOptions, levelPlan, missing, problems, validQuestions: questions }),
+      { ...baseOptions, levelPlan, questionCount: missing },
+      { onProgress }
+    );
+    
+    const validation = validateQuiz(questionType, repairResponse, missing);
+    validation.valid.forEach(question => {
+      questions.push(labelLevels(question, levels, questions));
+      if (onQuestion) onQuestion(questions[questions.length - 1], questions.length - 1);
+    });
+    problems = repairResponse ? describeProblems(validation) : ['la respuesta no era un JSON válido'];
+  }
+  
+  if (questions.length < questionCount) {
+    const error = new Error(`El modelo no generó un cuestionario válido: ${questions.length} de ${questionCount} preguntas válidas`);
+    error.code = 'QUIZ_VALIDATION_FAILED';
+    error.problems = problems;
+    throw error;
+  }
+  
+  return { questions };
+};
+
+// Generar un cuestionario validado contra el esquema, reparando las preguntas inválidas o que faltan
+export const generateValidatedQuiz = async (provider, params, { onProgress } = {}) => {
+  const { topic, questionType, questionCount, content, difficulty } = params;
+  const levels = { difficulty, levelPlan: resolveLevelPlan(params) };
+  
+  const firstResponse = await requestQuestions(
+    provider,
+    buildQuizPrompt({ topic, questionType, questionCount, content, ...levels }),
+    { topic, questionType, content, questionCount, ...levels },
+    { onProgress }
+  );
+  
+  const validation = validateQuiz(questionType, firstResponse, questionCount);
+  const problems = firstResponse ? describeProblems(validation) : ['la respuesta no era un JSON válido'];
+  const questions = [];
+  validation.valid.forEach(question => questions.push(labelLevels(question, levels, questions)));
+  
+  return repairQuiz(provider, params, levels, questions, problems, { onProgress });
+};
+
+// Igual que generateValidatedQuiz, pero leyendo la respuesta del modelo en streaming:
+// onQuestion(question, index) se llama con cada pregunta en cuanto está completa y es válida.
+export const streamValidatedQuiz = async (provider, params, { onQuestion, onProgress } = {}) => {
+  const { topic, questionType, questionCount, content, difficulty } = params;
+  const levels = { difficulty, levelPlan: resolveLevelPlan(params) };
+  const parser = createQuestionStreamParser();
+  const questions = [];
+  const problems = [];
+  let received = 0;
+  
+  if (provider.metered) {
+    await trackApiRequest();
+  }
+  
+  const stream = provider.streamText(
+    buildQuizPrompt({ topic, questionType, questionCount, content, ...levels }),
+    { task: 'quiz', topic, questionType, content, questionCount, ...levels }
+  );
+  
+  for await (const chunk of stream) {
+    for (const rawQuestion of parser.push(chunk)) {
+      received++;
+      const { question, errors } = validateQuestion(questionType, rawQuestion);
+      
+      if (errors.length > 0) {
+        problems.push(`pregunta ${received}: ${errors.join('; ')}`);
+      } else if (questions.length < questionCount) {
+        questions.push(labelLevels(question, levels, questions));
+        if (onQuestion) onQuestion(questions[questions.length - 1], questions.length - 1);
+      }
+    }
+  }
+  
+  if (received === 0) {
+    problems.push('la respuesta no contenía un arreglo "questions" en formato JSON válido');
+  }
+  if (onProgress) await onProgress();
+  
+  return repairQuiz(provider, params, levels, questions, problems, { onQuestion, onProgress });
+};
+
+// Palabras de una pregunta y su respuesta, sin acentos ni puntuación (para detectar duplicados)
+const questionTokens = (question) => {
+  const answer = Array.isArray(question.options)
+    ? question.options[OPTION_LETTERS.indexOf(question.correctAnswer)]
+    : question.modelAnswer;
+  // Las preguntas de relacionar u ordenar se distinguen por sus elementos, no por el enunciado
+  const items = [
+    ...(question.pairs || []).flatMap(pair => [pair.left, pair.right]),
+    ...(question.sequence || []),
+    ...(question.blanks || []).map(blank => blank.answers[0])
+  ];
+  
+  return new Set(
+    [question.question, question.statement, question.text, question.front, question.back, answer, ...items]
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .split(/[^a-z0-9ñ]+/)
+      .filter(word => word.length > 2 || /\d/.test(word))
+  );
+};
+
+// Índice de Jaccard entre dos conjuntos de palabras
+const similarity = (a, b) => {
+  if (a.size === 0 && b.size === 0) return 1;
+  const shared = [...a].filter(word => b.has(word)).length;
+  return shared / (a.size + b.size - shared);
+};
+
+// Resumen de qué partes del documento se usaron para generar preguntas
+const buildCoverage = (chunks, sectionQuestionCounts) => {
+  const hasPages = chunks.some(chunk => chunk.pageEnd > 1);
+  const totalCharacters = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const coveredCharacters = chunks
+    .filter(chunk => sectionQuestionCounts[chunk.index] > 0)
+    .reduce((sum, chunk) => sum + chunk.length, 0);
+  
+  return {
+    totalCharacters,
+    coveredCharacters,
+    coverageRatio: totalCharacters > 0 ? Math.round((coveredCharacters / totalCharacters) * 100) / 100 : 0,
+    sections: chunks.map(chunk => ({
+      index: chunk.index,
+      title: chunk.titles.join(' / '),
+      pages: hasPages ? { from: chunk.pageStart, to: chunk.pageEnd } : null,
+      characters: chunk.length,
+      questionCount: sectionQuestionCounts[chunk.index],
+      used: sectionQuestionCounts[chunk.index] > 0
+    }))
+  };
+};
+
+// Tipo de cada pregunta del cuestionario: los de la composición, en orden, o el único tipo pedido
+export const planQuestionTypes = ({ questionType, questionCount, composition }) => {
+  return composition && composition.length > 0
+    ? composition.flatMap(part => Array(part.count).fill(part.questionType))
+    : Array(questionCount).fill(questionType);
+};
+
+// Dividir un tramo del plan en grupos consecutivos del mismo tipo, cada uno con sus niveles cognitivos
+export const groupByType = (types, levelPlan) => {
+  const groups = [];
+  types.forEach((questionType, index) => {
+    if (groups.length === 0 || groups[groups.length - 1].questionType !== questionType) {
+      groups.push({ questionType, count: 0, levelPlan: levelPlan ? [] : null });
+    }
+    const group = groups[groups.length - 1];
+    group.count++;
+    if (levelPlan) group.levelPlan.push(levelPlan[index]);
+  });
+  return groups;
+};
+
+// Anotar su tipo en cada pregunta (las tarjetas de estudio ya indican el suyo en "type")
+const withQuestionType = (question, questionType) => {
+  return questionType === FLASHCARD_ITEM_TYPE ? question : { ...question, questionType };
+};
+
+// Generar una sola pregunta que no repita ninguna de las anteriores (la siguiente de una práctica adaptativa),
+// con la dificultad y el nivel cognitivo indicados.
+// Lanza un error con code 'QUIZ_VALIDATION_FAILED' si tras los reintentos no hay una pregunta válida y nueva.
+export const generateNewQuestion = async (provider, { topic, questionType, content, difficulty, bloomLevel, previousQuestions = [] }) => {
+  const levels = { difficulty, levelPlan: [bloomLevel] };
+  const seenTokens = previousQuestions.map(questionTokens);
+  let problems = [];
+  
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    const response = await requestQuestions(
+      provider,
+      buildRepairPrompt({ topic, questionType, content, missing: 1, problems, validQuestions: previousQuestions, ...levels }),
+      // startIndex permite al proveedor local numerar la pregunta después de las anteriores
+      { topic, questionType, content, questionCount: 1, startIndex: previousQuestions.length + attempt, ...levels }
+    );
+    
+    const validation = validateQuiz(questionType, response, 1);
+    const [question] = validation.valid;
+    if (question && !seenTokens.some(other => similarity(questionTokens(question), other) >= DUPLICATE_SIMILARITY)) {
+      return withQuestionType(labelLevels(question, levels, []), questionType);
+    }
+    
+    if (!response) {
+      problems = ['la respuesta no era un JSON válido'];
+    } else {
+      problems = question ? ['la pregunta repetía una de las anteriores'] : describeProblems(validation);
+    }
+  }
+  
+  const error = new Error('El modelo no generó una pregunta nueva válida');
+  error.code = 'QUIZ_VALIDATION_FAILED';
+  error.problems = problems;
+  throw error;
+};
+
+// Generar un cuestionario que cubra todo el documento: el contenido se divide en fragmentos (por títulos
+// o páginas), las preguntas se reparten entre ellos según su tamaño, cada fragmento se genera por separado
+// y se descartan las preguntas repetidas. Cada pregunta lleva su tipo en "questionType" y el índice del
+// fragmento en "section", y el resultado incluye un informe "coverage" con las partes del documento usadas.
+// En los cuestionarios mixtos (params.composition) cada grupo de preguntas del mismo tipo se pide por separado.
+// Si se pasa onQuestion, los fragmentos se generan en streaming y se avisa de cada pregunta aceptada.
+// onProgress() se llama cada vez que el modelo responde (p. ej. para marcar que el trabajo sigue vivo).
+export const generateCoveredQuiz = async (provider, params, { onQuestion, onProgress } = {}) => {
+  const { topic, questionCount, content, difficulty } = params;
+  // Los tipos y niveles cognitivos del cuestionario se reparten entre los fragmentos junto con sus preguntas
+  const typePlan = planQuestionTypes(params);
+  const levelPlan = resolveLevelPlan(params);
+  const levels = { difficulty, levelPlan };
+  
+  // Sin documento no hay nada que repartir
+  if (!content || !content.trim()) {
+    const questions = [];
+    for (const group of groupByType(typePlan, levelPlan)) {
+      const groupParams = { topic, questionType: group.questionType, questionCount: group.count, content, difficulty, levelPlan: group.levelPlan };
+      const offset = questions.length;
+      const groupQuiz = onQuestion
+        ? await streamValidatedQuiz(provider, groupParams, {
+          onQuestion: (question, index) => onQuestion(withQuestionType(question, group.questionType), offset + index),
+          onProgress
+        })
+        : await generateValidatedQuiz(provider, groupParams, { onProgress });
+      questions.push(...groupQuiz.questions.map(question => withQuestionType(question, group.questionType)));
+    }
+    return { questions };
+  }
+  
+  const maxChunks = Math.min(MAX_QUIZ_CHUNKS, Math.ceil(questionCount / QUESTIONS_PER_CHUNK));
+  const chunks = buildChunks(content, { maxChunks });
+  const allocation = allocateQuestions(chunks, questionCount, { maxChunks });
+  const sectionQuestionCounts = chunks.map(() => 0);
+  const questions = [];
+  const acceptedTypes = [];
+  const seenTokens = [];
+  let problems = [];
+  let duplicates = 0;
+  
+  console.log(`Generando cuestionario por fragmentos: ${chunks.length} fragmentos, reparto ${allocation.join('/')}`);
+  
+  // Tipos del plan que aún no tienen una pregunta aceptada
+  const pendingTypes = () => {
+    const pending = [...typePlan];
+    acceptedTypes.forEach(type => pending.splice(pending.indexOf(type), 1));
+    return pending;
+  };
+  
+  // Aceptar una pregunta si aún faltan preguntas de su tipo y no repite una anterior
+  const accept = (chunk, questionType) => (question) => {
+    if (!pendingTypes().includes(questionType)) return;
+    
+    const tokens = questionTokens(question);
+    if (seenTokens.some(other => similarity(tokens, other) >= DUPLICATE_SIMILARITY)) {
+      duplicates++;
+      return;
+    }
+    
+    const tagged = { ...withQuestionType(question, questionType), section: chunk.index };
+    seenTokens.push(tokens);
+    acceptedTypes.push(questionType);
+    questions.push(tagged);
+    sectionQuestionCounts[chunk.index]++;
+    if (onQuestion) onQuestion(tagged, questions.length - 1);
+  };
+  
+  let planOffset = 0;
+  for (const chunk of chunks) {
+    const count = allocation[chunk.index];
+    if (count === 0) continue;
+    
+    const groups = groupByType(
+      typePlan.slice(planOffset, planOffset + count),
+      levelPlan ? levelPlan.slice(planOffset, planOffset + count) : null
+    );
+    planOffset += count;
+    for (const group of groups) {
+      const chunkParams = {
+        topic,
+        questionType: group.questionType,
+        questionCount: group.count,
+        content: chunk.text,
+        difficulty,
+        levelPlan: group.levelPlan
+      };
+      try {
+        if (onQuestion) {
+          await streamValidatedQuiz(provider, chunkParams, { onQuestion: accept(chunk, group.questionType), onProgress });
+        } else {
+          const chunkQuiz = await generateValidatedQuiz(provider, chunkParams, { onProgress });
+          chunkQuiz.questions.forEach(accept(chunk, group.questionType));
+        }
+      } catch (error) {
+        // Las preguntas que falten de este fragmento se piden después a los demás
+        if (error.code !== 'QUIZ_VALIDATION_FAILED') throw error;
+        console.error(`Fragmento ${chunk.index + 1} sin cuestionario válido:`, error.message);
+        problems = problems.concat(error.problems || []);
+      }
+    }
+  }
+  
+  if (duplicates > 0) {
+    console.log(`Preguntas repetidas descartadas: ${duplicates}`);
+    problems.push(`se descartaron ${duplicates} preguntas repetidas`);
+  }
+  
+  // Completar las preguntas descartadas o fallidas con los fragmentos más grandes
+  const byLength = [...chunks].sort((a, b) => b.length - a.length);
+  for (let attempt = 0; attempt < MAX_REPAIR_ATTEMPTS && questions.length < questionCount; attempt++) {
+    const chunk = byLength[attempt % byLength.length];
+    console.log(`Completando cuestionario con el fragmento ${chunk.index + 1}: faltan ${questionCount - questions.length} preguntas`);
+    
+    for (const group of groupByType(pendingTypes(), null)) {
+      const missingLevels = { difficulty, levelPlan: levelPlan ? remainingLevels(levelPlan, questions, group.count) : null };
+      const response = await requestQuestions(
+        provider,
+        buildRepairPrompt({ topic, questionType: group.questionType, content: chunk.text, missing: group.count, problems, validQuestions: questions, ...missingLevels }),
+        { topic, questionType: group.questionType, content: chunk.text, questionCount: group.count, ...missingLevels },
+        { onProgress }
+      );
+      validateQuiz(group.questionType, response, group.count).valid
+        .forEach(question => accept(chunk, group.questionType)(labelLevels(question, levels, questions)));
+    }
+  }
+  
+  if (questions.length < questionCount) {
+    const error = new Error(`El modelo no generó un cuestionario válido: ${questions.length} de ${questionCount} preguntas válidas`);
+    error.code = 'QUIZ_VALIDATION_FAILED';
+    error.problems = problems;
+    throw error;
+  }
+  
+  return { questions, coverage: buildCoverage(chunks, sectionQuestionCounts) };
+};
+
+export default {
+  planBloomLevels,
+  resolveLevelPlan,
+  buildQuizPrompt,
+  buildRepairPrompt,
+  generateValidatedQuiz,
+  streamValidatedQuiz,
+  generateNewQuestion,
+  planQuestionTypes,
+  groupByType,
+  generateCoveredQuiz
+};
@@ -0,0 +1,62 @@
+import { seededRandom, shuffleList } from './seededRandom.js';
+
+// Campos de cada pregunta que forman la clave de respuestas y nunca se envían al cliente antes de responder
+const ANSWER_KEY_FIELDS = ['correctAnswer', 'isTrue', 'explanation', 'modelAnswer', 'blanks', 'pairs', 'sequence', 'answer', 'tolerance'];
+
+// Barajar los elementos de una pregunta, siempre igual para la misma pregunta y nunca en el orden correcto
+const shuffleItems = (items, seed) => {
+  const shuffled = shuffleList(items, seededRandom(seed));
+  return shuffled.every((item, index) => item === items[index])
+    ? [...items.slice(1), items[0]]
+    : shuffled;
+};
+
+// Quitar la clave de respuestas de una pregunta. Las preguntas de relacionar, ordenar y completar
+// conservan lo necesario para responderlas: las columnas (la derecha barajada), los elementos barajados
+// y el número de huecos.
+export const stripAnswerKey = (question) => {
+  const publicQuestion = { ...question };
+  ANSWER_KEY_FIELDS.forEach(field => delete publicQuestion[field]);
+  
+  if (Array.isArray(question.pairs)) {
+    publicQuestion.left = question.pairs.map(pair => pair.left);
+    publicQuestion.right = shuffleItems(question.pairs.map(pair => pair.right), question.question);
+  }
+  if (Array.isArray(question.sequence)) {
+    publicQuestion.items = shuffleItems(question.sequence, question.question);
+  }
+  if (Array.isArray(question.blanks)) {
+    publicQuestion.blankCount = question.blanks.length;
+  }
+  
+  return publicQuestion;
+};
+
+// Versión pública de un cuestionario: sin respuestas, salvo en las preguntas ya respondidas
+export const toPublicQuiz = (quiz, answeredIndexes = []) => {
+  if (!quiz || !Array.isArray(quiz.questions)) return quiz;
+  
+  const answered = new Set(answeredIndexes.map(Number));
+  return {
+    ...quiz,
+    questions: quiz.questions.map((question, index) =>
+      answered.has(index) ? question : stripAnswerKey(question)
+    )
+  };
+};
+
+// Parsear el cuestionario almacenado en Conversation.response
+export const parseStoredQuiz = (conversation) => {
+  try {
+    return JSON.parse(conversation.response);
+  } catch (error) {
+    console.error(`No se pudo parsear el cuestionario de la conversación ${conversation._id}:`, error);
+    return null;
+  }
+};
+
+export default {
+  stripAnswerKey,
+  toPublicQuiz,
+  parseStoredQuiz
+};
@@ -0,0 +1,368 @@
+// Esquemas estrictos de las preguntas generadas por el modelo, por tipo de cuestionario
+
+export const QUESTION_TYPES = ['multiple-choice', 'true-false', 'open-ended', 'fill-in-the-blank', 'matching', 'ordering', 'numeric'];
+export const OPTION_LETTERS = ['a', 'b', 'c', 'd'];
+// Máximo de huecos de una pregunta de completar y tamaño de las parejas a relacionar o elementos a ordenar
+export const MAX_BLANKS = 5;
+export const MIN_ITEM_COUNT = 3;
+export const MAX_ITEM_COUNT = 8;
+export const MIN_QUESTION_COUNT = 1;
+export const MAX_QUESTION_COUNT = 20;
+export const DEFAULT_QUESTION_COUNT = 5;
+// Tipo de sesión de los cuestionarios que mezclan varios tipos de pregunta (cada pregunta guarda el suyo)
+export const MIXED_QUESTION_TYPE = 'mixed';
+
+// Tarjetas de estudio: se generan con el mismo flujo que las preguntas (tipo de elemento 'flashcard')
+export const FLASHCARD_ITEM_TYPE = 'flashcard';
+export const CARD_TYPES = ['term', 'qa', 'cloze'];
+export const CLOZE_BLANK = '____';
+export const MIN_CARD_COUNT = 1;
+export const MAX_CARD_COUNT = 40;
+export const DEFAULT_CARD_COUNT = 10;
+
+// Dificultad y nivel cognitivo (taxonomía de Bloom) de las preguntas
+export const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+export const DEFAULT_DIFFICULTY = 'medium';
+export const BLOOM_LEVELS = ['remember', 'understand', 'apply', 'analyze'];
+// Niveles cognitivos por defecto de cada dificultad, si la solicitud no indica la mezcla
+export const DEFAULT_BLOOM_LEVELS = {
+  easy: ['remember', 'understand'],
+  medium: ['remember', 'understand', 'apply'],
+  hard: ['apply', 'analyze']
+};
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// Número de un texto con coma o punto decimal ("3,5"); null si no es un número
+export const parseDecimal = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const number = Number(value.trim().replace(',', '.'));
+  return Number.isFinite(number) ? number : null;
+};
+
+// Número de huecos de un texto para completar
+export const countBlanks = (text) => text.split(CLOZE_BLANK).length - 1;
+
+// Textos distintos entre sí (sin tener en cuenta mayúsculas ni espacios)
+const areDistinct = (values) => new Set(values.map(value => value.trim().toLowerCase())).size === values.length;
+
+// Respuestas aceptadas de un hueco: { answers: [...] }, una lista o un único texto
+const normalizeBlank = (blank) => {
+  const answers = Array.isArray(blank) ? blank
+    : typeof blank === 'string' ? [blank]
+    : blank && typeof blank === 'object' ? [].concat(blank.answers ?? blank.answer ?? []) : [];
+  return { answers: answers.filter(isNonEmptyString).map(answer => answer.trim()) };
+};
+
+// Corregir diferencias triviales de formato antes de validar ("A)", "True", espacios...)
+const normalizeQuestion = (questionType, question) => {
+  if (!question || typeof question !== 'object' || Array.isArray(question)) return question;
+  
+  const normalized = { ...question };
+  
+  if (questionType === 'multiple-choice' && typeof normalized.correctAnswer === 'string') {
+    normalized.correctAnswer = normalized.correctAnswer.trim().toLowerCase().replace(/[).:]$/, '');
+  }
+  
+  if (questionType === FLASHCARD_ITEM_TYPE && typeof normalized.type === 'string') {
+    normalized.type = normalized.type.trim().toLowerCase();
+  }
+  
+  ['difficulty', 'bloomLevel'].forEach(field => {
+    if (typeof normalized[field] === 'string') {
+      normalized[field] = normalized[field].trim().toLowerCase();
+    }
+  });
+  
+  if (questionType === 'true-false' && typeof normalized.isTrue === 'string') {
+    const value = normalized.isTrue.trim().toLowerCase();
+    if (value === 'true' || value === 'false') {
+      normalized.isTrue = value === 'true';
+    }
+  }
+  
+  // Huecos escritos con más o menos guiones bajos ("_____")
+  if (questionType === 'fill-in-the-blank') {
+    if (typeof normalized.text === 'string') normalized.text = normalized.text.replace(/_{3,}/g, CLOZE_BLANK);
+    if (Array.isArray(normalized.blanks)) normalized.blanks = normalized.blanks.map(normalizeBlank);
+  }
+  
+  // Números escritos como texto y margen de error ausente (respuesta exacta)
+  if (questionType === 'numeric') {
+    ['answer', 'tolerance'].forEach(field => {
+      if (typeof normalized[field] === 'string' && parseDecimal(normalized[field]) !== null) {
+        normalized[field] = parseDecimal(normalized[field]);
+      }
+    });
+    if (normalized.tolerance === undefined || normalized.tolerance === null) normalized.tolerance = 0;
+  }
+  
+  return normalized;
+};
+
+// Validadores por tipo: devuelven la lista de errores de una pregunta (vacía si es válida)
+const questionValidators = {
+  'multiple-choice': (question) => {
+    const errors = [];
+    if (!isNonEmptyString(question.question)) errors.push('"question" debe ser un texto no vacío');
+    if (!Array.isArray(question.options) || question.options.length !== OPTION_LETTERS.length) {
+      errors.push(`"options" debe tener exactamente ${OPTION_LETTERS.length} opciones`);
+    } else if (!question.options.every(isNonEmptyString)) {
+      errors.push('todas las opciones deben ser textos no vacíos');
+    }
+    if (!OPTION_LETTERS.includes(question.correctAnswer)) {
+      errors.push(`"correctAnswer" debe ser una de: ${OPTION_LETTERS.join(', ')}`);
+    }
+    if (!isNonEmptyString(question.explanation)) errors.push('"explanation" debe ser un texto no vacío');
+    return errors;
+  },
+  
+  'true-false': (question) => {
+    const errors = [];
+    if (!isNonEmptyString(question.statement)) errors.push('"statement" debe ser un texto no vacío');
+    if (typeof question.isTrue !== 'boolean') errors.push('"isTrue" debe ser un booleano (true o false)');
+    if (!isNonEmptyString(question.explanation)) errors.push('"explanation" debe ser un texto no vacío');
+    return errors;
+  },
+  
+  'open-ended': (question) => {
+    const errors = [];
+    if (!isNonEmptyString(question.question)) errors.push('"question" debe ser un texto no vacío');
+    if (!isNonEmptyString(question.modelAnswer)) errors.push('"modelAnswer" debe ser un texto no vacío');
+    return errors;
+  },
+  
+  'fill-in-the-blank': (question) => {
+    const errors = [];
+    if (!isNonEmptyString(question.text)) errors.push('"text" debe ser un texto no vacío');
+    if (!Array.isArray(question.blanks) || question.blanks.length === 0 || question.blanks.length > MAX_BLANKS) {
+      errors.push(`"blanks" debe tener entre 1 y ${MAX_BLANKS} huecos`);
+    } else {
+      if (!question.blanks.every(blank => blank && Array.isArray(blank.answers) && blank.answers.length > 0)) {
+        errors.push('cada hueco de "blanks" debe tener al menos una respuesta aceptada en "answers"');
+      }
+      if (isNonEmptyString(question.text) && countBlanks(question.text) !== question.blanks.length) {
+        errors.push(`"text" debe contener un hueco ${CLOZE_BLANK} por cada elemento de "blanks"`);
+      }
+    }
+    if (!isNonEmptyString(question.explanation)) errors.push('"explanation" debe ser un texto no vacío');
+    return errors;
+  },
+  
+  'matching': (question) => {
+    const errors = [];
+    if (!isNonEmptyString(question.question)) errors.push('"question" debe ser un texto no vacío');
+    if (!Array.isArray(question.pairs) || question.pairs.length < MIN_ITEM_COUNT || question.pairs.length > MAX_ITEM_COUNT) {
+      errors.push(`"pairs" debe tener entre ${MIN_ITEM_COUNT} y ${MAX_ITEM_COUNT} parejas`);
+    } else if (!question.pairs.every(pair => pair && isNonEmptyString(pair.left) && isNonEmptyString(pair.right))) {
+      errors.push('cada pareja debe tener "left" y "right" como textos no vacíos');
+    } else if (!areDistinct(question.pairs.map(pair => pair.left)) || !areDistinct(question.pairs.map(pair => pair.right))) {
+      errors.push('los elementos de cada columna de "pairs" no pueden repetirse');
+    }
+    if (!isNonEmptyString(question.explanation)) errors.push('"explanation" debe ser un texto no vacío');
+    return errors;
+  },
+  
+  'ordering': (question) => {
+    const errors = [];
+    if (!isNonEmptyString(question.question)) errors.push('"question" debe ser un texto no vacío');
+    if (!Array.isArray(question.sequence) || question.sequence.length < MIN_ITEM_COUNT || question.sequence.length > MAX_ITEM_COUNT) {
+      errors.push(`"sequence" debe tener entre ${MIN_ITEM_COUNT} y ${MAX_ITEM_COUNT} elementos`);
+    } else if (!question.sequence.every(isNonEmptyString)) {
+      errors.push('todos los elementos de "sequence" deben ser textos no vacíos');
+    } else if (!areDistinct(question.sequence)) {
+      errors.push('los elementos de "sequence" no pueden repetirse');
+    }
+    if (!isNonEmptyString(question.explanation)) errors.push('"explanation" debe ser un texto no vacío');
+    return errors;
+  },
+  
+  'numeric': (question) => {
+    const errors = [];
+    if (!isNonEmptyString(question.question)) errors.push('"question" debe ser un texto no vacío');
+    if (typeof question.answer !== 'number' || !Number.isFinite(question.answer)) errors.push('"answer" debe ser un número');
+    if (typeof question.tolerance !== 'number' || !(question.tolerance >= 0)) errors.push('"tolerance" debe ser un número mayor o igual que 0');
+    if (question.unit !== undefined && question.unit !== null && typeof question.unit !== 'string') errors.push('"unit" debe ser un texto');
+    if (!isNonEmptyString(question.explanation)) errors.push('"explanation" debe ser un texto no vacío');
+    return errors;
+  },
+  
+  [FLASHCARD_ITEM_TYPE]: (card) => {
+    const errors = [];
+    if (!CARD_TYPES.includes(card.type)) errors.push(`"type" debe ser uno de: ${CARD_TYPES.join(', ')}`);
+    if (!isNonEmptyString(card.front)) errors.push('"front" debe ser un texto no vacío');
+    if (!isNonEmptyString(card.back)) errors.push('"back" debe ser un texto no vacío');
+    if (card.type === 'cloze' && isNonEmptyString(card.front) && !card.front.includes(CLOZE_BLANK)) {
+      errors.push(`en las tarjetas "cloze", "front" debe contener el hueco ${CLOZE_BLANK}`);
+    }
+    return errors;
+  }
+};
+
+// Validar una pregunta; devuelve la pregunta normalizada y sus errores
+export const validateQuestion = (questionType, question) => {
+  if (!question || typeof question !== 'object' || Array.isArray(question)) {
+    return { question, errors: ['la pregunta debe ser un objeto'] };
+  }
+  
+  const normalized = normalizeQuestion(questionType, question);
+  const errors = questionValidators[questionType](normalized);
+  
+  // La dificultad y el nivel cognitivo son opcionales (las preguntas importadas no los tienen)
+  if (normalized.difficulty !== undefined && !DIFFICULTY_LEVELS.includes(normalized.difficulty)) {
+    errors.push(`"difficulty" debe ser uno de: ${DIFFICULTY_LEVELS.join(', ')}`);
+  }
+  if (normalized.bloomLevel !== undefined && !BLOOM_LEVELS.includes(normalized.bloomLevel)) {
+    errors.push(`"bloomLevel" debe ser uno de: ${BLOOM_LEVELS.join(', ')}`);
+  }
+  
+  return { question: normalized, errors };
+};
+
+// Validar la salida completa del modelo contra el número de preguntas solicitado.
+// Devuelve las preguntas válidas, las inválidas (con sus errores) y cuántas faltan.
+export const validateQuiz = (questionType, quiz, questionCount) => {
+  const questions = quiz && Array.isArray(quiz.questions) ? quiz.questions : [];
+  const valid = [];
+  const invalid = [];
+  
+  questions.forEach((rawQuestion, index) => {
+    const { question, errors } = validateQuestion(questionType, rawQuestion);
+    if (errors.length === 0) {
+      valid.push(question);
+    } else {
+      invalid.push({ index, question: rawQuestion, errors });
+    }
+  });
+  
+  return {
+    valid: valid.slice(0, questionCount),
+    invalid,
+    missing: Math.max(0, questionCount - valid.length),
+    structureError: quiz && Array.isArray(quiz.questions) ? null : 'la respuesta debe tener un arreglo "questions"'
+  };
+};
+
+// Composición de un cuestionario mixto: un objeto { tipo: número }, una lista [{ questionType, count }]
+// o, en formularios multipart, un texto "multiple-choice:5,true-false:3" (o el JSON de las anteriores).
+// Devuelve { composition: [{ questionType, count }] } en el orden indicado, o { error }.
+const parseComposition = (composition) => {
+  let value = composition;
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (error) {
+      value = value.split(',').filter(part => part.trim()).map(part => {
+        const [type, count] = part.split(':');
+        return { questionType: type, count };
+      });
+    }
+  }
+  
+  const entries = Array.isArray(value)
+    ? value.map(part => ({ questionType: part && part.questionType, count: part && part.count }))
+    : value && typeof value === 'object'
+      ? Object.entries(value).map(([type, count]) => ({ questionType: type, count }))
+      : [];
+  if (entries.length === 0) {
+    return { error: 'La composición del cuestionario debe indicar el número de preguntas de cada tipo' };
+  }
+  
+  // Los tipos repetidos se suman
+  const parts = [];
+  for (const entry of entries) {
+    const type = String(entry.questionType || '').trim().toLowerCase();
+    const count = Number(entry.count);
+    if (!QUESTION_TYPES.includes(type)) {
+      return { error: `Tipo de pregunta no soportado en la composición: "${type}". Usa uno de: ${QUESTION_TYPES.join(', ')}` };
+    }
+    if (!Number.isInteger(count) || count < 1) {
+      return { error: `El número de preguntas de tipo ${type} debe ser un entero positivo` };
+    }
+    
+    const existing = parts.find(part => part.questionType === type);
+    if (existing) {
+      existing.count += count;
+    } else {
+      parts.push({ questionType: type, count });
+    }
+  }
+  
+  return { composition: parts };
+};
+
+// Normalizar y validar los parámetros de la solicitud de cuestionario.
+// Con "composition" el cuestionario es mixto: el número de preguntas es la suma de la composición.
+export const parseQuizParams = ({ questionType, questionCount, composition: requestedComposition, difficulty, bloomLevels }) => {
+  let type = questionType || 'multiple-choice';
+  let count = questionCount === undefined || questionCount === ''
+    ? DEFAULT_QUESTION_COUNT
+    : Number(questionCount);
+  let composition = null;
+  
+  if (requestedComposition !== undefined && requestedComposition !== null && requestedComposition !== '') {
+    const parsed = parseComposition(requestedComposition);
+    if (parsed.error) return { error: parsed.error };
+    
+    count = parsed.composition.reduce((sum, part) => sum + part.count, 0);
+    // Una composición de un solo tipo es un cuestionario normal
+    if (parsed.composition.length === 1) {
+      type = parsed.composition[0].questionType;
+    } else {
+      type = MIXED_QUESTION_TYPE;
+      composition = parsed.composition;
+    }
+  } else if (!QUESTION_TYPES.includes(type)) {
+    return { error: `Tipo de pregunta no soportado. Usa uno de: ${QUESTION_TYPES.join(', ')}` };
+  }
+  
+  if (!Number.isInteger(count) || count < MIN_QUESTION_COUNT || count > MAX_QUESTION_COUNT) {
+    return { error: `El número de preguntas debe estar entre ${MIN_QUESTION_COUNT} y ${MAX_QUESTION_COUNT}` };
+  }
+  
+  const level = difficulty ? String(difficulty).toLowerCase() : DEFAULT_DIFFICULTY;
+  if (!DIFFICULTY_LEVELS.includes(level)) {
+    return { error: `Dificultad no soportada. Usa una de: ${DIFFICULTY_LEVELS.join(', ')}` };
+  }
+  
+  // Mezcla de niveles cognitivos: un arreglo o una lista separada por comas (en formularios multipart)
+  const requestedLevels = Array.isArray(bloomLevels) ? bloomLevels : String(bloomLevels || '').split(',');
+  const levels = [...new Set(requestedLevels.map(value => String(value).trim().toLowerCase()).filter(Boolean))];
+  const unknownLevels = levels.filter(value => !BLOOM_LEVELS.includes(value));
+  if (unknownLevels.length > 0) {
+    return { error: `Nivel cognitivo no soportado: ${unknownLevels.join(', ')}. Usa uno de: ${BLOOM_LEVELS.join(', ')}` };
+  }
+  
+  return {
+    questionType: type,
+    questionCount: count,
+    composition,
+    difficulty: level,
+    bloomLevels: levels.length > 0 ? levels : DEFAULT_BLOOM_LEVELS[level]
+  };
+};
+
+// Normalizar y validar los parámetros de la solicitud de tarjetas de estudio
+export const parseDeckParams = ({ cardCount }) => {
+  const count = cardCount === undefined || cardCount === ''
+    ? DEFAULT_CARD_COUNT
+    : Number(cardCount);
+  if (!Number.isInteger(count) || count < MIN_CARD_COUNT || count > MAX_CARD_COUNT) {
+    return { error: `El número de tarjetas debe estar entre ${MIN_CARD_COUNT} y ${MAX_CARD_COUNT}` };
+  }
+  
+  return { questionType: FLASHCARD_ITEM_TYPE, questionCount: count };
+};
+
+export default {
+  QUESTION_TYPES,
+  MIXED_QUESTION_TYPE,
+  DIFFICULTY_LEVELS,
+  parseDecimal,
+  BLOOM_LEVELS,
+  validateQuestion,
+  validateQuiz,
+  parseQuizParams,
+  parseDeckParams
+};
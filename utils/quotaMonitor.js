@@ -1,6 +1,8 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+import ApiQuota from '../models/ApiQuota.js';
 import { isVercel, isVercelPath } from './environmentHelper.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -14,7 +16,16 @@ const quotaLogPath = vercelEnvironment
   ? '/tmp/quota.json' 
   : path.join(__dirname, '../logs/quota.json');
 
-console.log(`Monitor de cuotas - Usando ruta: ${quotaLogPath} (Vercel: ${vercelEnvironment})`);
+// Almacén del estado de cuota: 'mongo' (compartido entre instancias) o 'file' (desarrollo local).
+// Por defecto se usa MongoDB en Vercel, donde cada instancia serverless tiene su propia memoria y disco.
+const quotaStore = (process.env.QUOTA_STORE || (vercelEnvironment ? 'mongo' : 'file')).toLowerCase();
+
+// Límites por defecto de la API Gemini Flash
+const DEFAULT_MINUTE_QUOTA = 15;
+const DEFAULT_DAILY_QUOTA = 120; // Estimado para tier gratuito de Flash
+const QUOTA_KEY = 'gemini';
+
+console.log(`Monitor de cuotas - Almacén: ${quotaStore}${quotaStore === 'file' ? `, ruta: ${quotaLogPath}` : ''} (Vercel: ${vercelEnvironment})`);
 
 // Asegurar que el directorio de logs existe (solo si no estamos en Vercel)
 const ensureLogDir = () => {
@@ -57,8 +68,8 @@ const initQuotaLog = () => {
     requestsThisMinute: 0,
     lastMinuteTimestamp: Date.now(),
     dailyReset: new Date().toISOString().split('T')[0],
-    minuteQuota: 15, // Cuota API Gemini Flash
-    dailyQuota: 120, // Estimado para tier gratuito de Flash
+    minuteQuota: DEFAULT_MINUTE_QUOTA, // Cuota API Gemini Flash
+    dailyQuota: DEFAULT_DAILY_QUOTA, // Estimado para tier gratuito de Flash
     quotaExceededCount: 0,
     lastUpdate: new Date().toISOString(),
     history: []
@@ -77,9 +88,9 @@ const initQuotaLog = () => {
     const data = JSON.parse(fs.readFileSync(quotaLogPath, 'utf8'));
     
     // Actualizar a los límites del modelo flash si estaban configurados para otro modelo
-    if (data.minuteQuota < 15) {
-      data.minuteQuota = 15;
-      data.dailyQuota = 120;
+    if (data.minuteQuota < DEFAULT_MINUTE_QUOTA) {
+      data.minuteQuota = DEFAULT_MINUTE_QUOTA;
+      data.dailyQuota = DEFAULT_DAILY_QUOTA;
       saveQuotaData(data);
     }
     
@@ -93,8 +104,8 @@ const initQuotaLog = () => {
   }
 };
 
-// Registrar una solicitud y verificar si estamos dentro de los límites
-export const trackApiRequest = () => {
+// Registrar una solicitud en el archivo local y verificar si estamos dentro de los límites
+const trackApiRequestInFile = () => {
   let quotaData = initQuotaLog();
   const now = Date.now();
   const today = new Date().toISOString().split('T')[0];
@@ -149,8 +160,8 @@ export const trackApiRequest = () => {
   };
 };
 
-// Verificar si tenemos cuota disponible sin registrar una solicitud
-export const checkQuotaAvailable = () => {
+// Verificar en el archivo local si tenemos cuota disponible sin registrar una solicitud
+const checkQuotaInFile = () => {
   let quotaData = initQuotaLog();
   const now = Date.now();
   
@@ -174,7 +185,156 @@ export const checkQuotaAvailable = () => {
   };
 };
 
+// Registrar una solicitud en MongoDB de forma atómica (una única actualización con pipeline),
+// para que varias instancias concurrentes compartan los mismos contadores
+const trackApiRequestInMongo = async () => {
+  const now = Date.now();
+  const today = new Date().toISOString().split('T')[0];
+  const isNewMinute = { $gte: [{ $subtract: [now, { $ifNull: ['$lastMinuteTimestamp', 0] }] }, 60000] };
+  const isNewDay = { $ne: ['$dailyReset', today] };
+  
+  const quotaData = await ApiQuota.findOneAndUpdate(
+    { _id: QUOTA_KEY },
+    [
+      {
+        $set: {
+          minuteQuota: { $ifNull: ['$minuteQuota', DEFAULT_MINUTE_QUOTA] },
+          dailyQuota: { $ifNull: ['$dailyQuota', DEFAULT_DAILY_QUOTA] },
+          // Guardar el registro del día anterior en el historial (últimos 30 días)
+          history: {
+            $cond: [
+              { $and: [isNewDay, { $gt: ['$dailyReset', null] }] },
+              { $slice: [{ $concatArrays: [
+                { $ifNull: ['$history', []] },
+                [{ date: '$dailyReset', requests: '$requestsToday', quotaExceeds: '$quotaExceededCount' }]
+              ] }, -30] },
+              { $ifNull: ['$history', []] }
+            ]
+          },
+          // Reiniciar contadores diarios si es un nuevo día
+          requestsToday: { $cond: [isNewDay, 1, { $add: ['$requestsToday', 1] }] },
+          quotaExceededCount: { $cond: [isNewDay, 0, { $ifNull: ['$quotaExceededCount', 0] }] },
+          dailyReset: today,
+          // Reiniciar contador de minutos si ha pasado un minuto
+          requestsThisMinute: { $cond: [isNewMinute, 1, { $add: ['$requestsThisMinute', 1] }] },
+          lastMinuteTimestamp: { $cond: [isNewMinute, now, '$lastMinuteTimestamp'] },
+          lastUpdate: new Date().toISOString()
+        }
+      },
+      {
+        $set: {
+          quotaExceededCount: {
+            $cond: [
+              { $or: [
+                { $gt: ['$requestsThisMinute', '$minuteQuota'] },
+                { $gte: ['$requestsToday', '$dailyQuota'] }
+              ] },
+              { $add: ['$quotaExceededCount', 1] },
+              '$quotaExceededCount'
+            ]
+          }
+        }
+      }
+    ],
+    { upsert: true, new: true, lean: true, setDefaultsOnInsert: false }
+  );
+  
+  // Verificar si excedemos cuota
+  const isQuotaExceeded = quotaData.requestsThisMinute > quotaData.minuteQuota ||
+                        quotaData.requestsToday >= quotaData.dailyQuota;
+  
+  return {
+    isQuotaExceeded,
+    quotaData,
+    timeToReset: isQuotaExceeded ? 
+      Math.max(0, 60000 - (now - quotaData.lastMinuteTimestamp)) : 0
+  };
+};
+
+// Verificar en MongoDB si tenemos cuota disponible sin registrar una solicitud
+const checkQuotaInMongo = async () => {
+  const now = Date.now();
+  const quotaData = await ApiQuota.findById(QUOTA_KEY).lean() || {
+    requestsToday: 0,
+    requestsThisMinute: 0,
+    lastMinuteTimestamp: 0,
+    minuteQuota: DEFAULT_MINUTE_QUOTA,
+    dailyQuota: DEFAULT_DAILY_QUOTA
+  };
+  
+  // Reiniciar contador de minutos si ha pasado un minuto
+  if (now - quotaData.lastMinuteTimestamp >= 60000) {
+    return {
+      isQuotaExceeded: false,
+      quotaData,
+      timeToReset: 0
+    };
+  }
+  
+  // Verificar si excedemos cuota
+  const isQuotaExceeded = quotaData.requestsThisMinute >= quotaData.minuteQuota;
+  
+  return {
+    isQuotaExceeded,
+    quotaData,
+    timeToReset: isQuotaExceeded ? 
+      Math.max(0, 60000 - (now - quotaData.lastMinuteTimestamp)) : 0
+  };
+};
+
+// Reservar en MongoDB el siguiente hueco para una solicitud, respetando el intervalo mínimo entre instancias
+const reserveRequestSlotInMongo = async (minTimeBetweenRequests) => {
+  const quotaData = await ApiQuota.findOneAndUpdate(
+    { _id: QUOTA_KEY },
+    [{
+      $set: {
+        lastRequestSlot: {
+          $max: [Date.now(), { $add: [{ $ifNull: ['$lastRequestSlot', 0] }, minTimeBetweenRequests] }]
+        }
+      }
+    }],
+    { upsert: true, new: true, lean: true, setDefaultsOnInsert: false }
+  );
+  
+  return quotaData.lastRequestSlot;
+};
+
+// Reservar el siguiente hueco en memoria (almacén de archivo: una sola instancia)
+let lastRequestSlot = 0;
+const reserveRequestSlotInMemory = (minTimeBetweenRequests) => {
+  lastRequestSlot = Math.max(Date.now(), lastRequestSlot + minTimeBetweenRequests);
+  return lastRequestSlot;
+};
+
+// Ejecutar la operación en MongoDB si es el almacén configurado y, si no, en el almacén local.
+// Con MongoDB no se recurre al almacén local si falla: cada instancia contaría su propia cuota, así que
+// el error se propaga (con code 'QUOTA_STORE_UNAVAILABLE' si no hay conexión) y la solicitud no se envía.
+const withQuotaStore = async (mongoOperation, localOperation) => {
+  if (quotaStore !== 'mongo') return localOperation();
+  
+  if (mongoose.connection.readyState !== 1) {
+    const error = new Error('Monitor de cuotas - MongoDB no está conectado');
+    error.code = 'QUOTA_STORE_UNAVAILABLE';
+    throw error;
+  }
+  
+  return mongoOperation();
+};
+
+// Registrar una solicitud y verificar si estamos dentro de los límites
+export const trackApiRequest = () => withQuotaStore(trackApiRequestInMongo, trackApiRequestInFile);
+
+// Verificar si tenemos cuota disponible sin registrar una solicitud
+export const checkQuotaAvailable = () => withQuotaStore(checkQuotaInMongo, checkQuotaInFile);
+
+// Reservar el momento en que puede enviarse la siguiente solicitud (timestamp en ms)
+export const reserveRequestSlot = (minTimeBetweenRequests) => withQuotaStore(
+  () => reserveRequestSlotInMongo(minTimeBetweenRequests),
+  () => reserveRequestSlotInMemory(minTimeBetweenRequests)
+);
+
 export default {
   trackApiRequest,
-  checkQuotaAvailable
+  checkQuotaAvailable,
+  reserveRequestSlot
 };
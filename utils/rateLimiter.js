@@ -0,0 +1,88 @@
+import { reserveRequestSlot } from './quotaMonitor.js';
+
+// Gestión de límites de tasa para Gemini API.
+// El momento de cada solicitud se reserva en el monitor de cuotas para respetar el intervalo entre instancias.
+export const rateLimiter = {
+  queue: [],
+  processing: false,
+  minTimeBetweenRequests: 30000, // 30 segundos entre solicitudes
+  maxRetries: 3,
+  
+  // Añadir solicitud a la cola
+  addToQueue: function(promiseFunction, retryCount = 0) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        promiseFunction,
+        resolve,
+        reject,
+        retryCount
+      });
+      
+      if (!this.processing) {
+        this.processQueue();
+      }
+    });
+  },
+  
+  // Procesar la cola de solicitudes
+  processQueue: async function() {
+    if (this.queue.length === 0) {
+      this.processing = false;
+      return;
+    }
+    
+    this.processing = true;
+    const { promiseFunction, resolve, reject, retryCount } = this.queue.shift();
+    
+    // Un fallo al reservar el hueco rechaza esta solicitud sin detener la cola
+    try {
+      // Calcular el tiempo de espera necesario según el hueco reservado
+      const requestSlot = await reserveRequestSlot(this.minTimeBetweenRequests);
+      const timeToWait = Math.max(0, requestSlot - Date.now());
+      
+      if (timeToWait > 0) {
+        console.log(`Esperando ${timeToWait}ms antes de la siguiente solicitud`);
+        await new Promise(r => setTimeout(r, timeToWait));
+      }
+      
+      const result = await promiseFunction();
+      resolve(result);
+    } catch (error) {
+      console.error('Error en solicitud a Gemini API:', error);
+      
+      // Comprobar si es un error de límite de tasa
+      if (error.message && error.message.includes('429 Too Many Requests')) {
+        let retryDelay = 30000; // Por defecto 30 segundos
+        
+        // Extraer el tiempo de espera sugerido por la API si está disponible
+        const retryDelayMatch = error.message.match(/retryDelay:"(\d+)s"/);
+        if (retryDelayMatch && retryDelayMatch[1]) {
+          retryDelay = parseInt(retryDelayMatch[1]) * 1000;
+        }
+        
+        // Añadir backoff exponencial
+        retryDelay = retryDelay * Math.pow(2, retryCount);
+        
+        if (retryCount < this.maxRetries) {
+          console.log(`Reintento ${retryCount + 1}/${this.maxRetries} después de ${retryDelay/1000}s`);
+          
+          // Esperar y reintentar
+          setTimeout(() => {
+            this.addToQueue(promiseFunction, retryCount + 1)
+              .then(resolve)
+              .catch(reject);
+          }, retryDelay);
+        } else {
+          reject(new Error('Se alcanzó el número máximo de reintentos debido a límites de tasa'));
+        }
+      } else {
+        reject(error);
+      }
+    }
+    
+    // Procesar la siguiente solicitud en la cola
+    setTimeout(() => this.processQueue(), 100);
+  }
+};
+
+export default rateLimiter;
@@ -0,0 +1,38 @@
+// Barajado reproducible: la misma semilla produce siempre el mismo orden
+
+// Hash FNV-1a de 32 bits de un texto, usado como semilla
+const hashSeed = (text) => {
+  let hash = 0x811c9dc5;
+  for (const char of String(text)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+};
+
+// Generador pseudoaleatorio con semilla (mulberry32)
+export const seededRandom = (seed) => {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Barajar una lista (Fisher-Yates) sin modificar la original
+export const shuffleList = (list, random) => {
+  const shuffled = [...list];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+export default {
+  seededRandom,
+  shuffleList
+};
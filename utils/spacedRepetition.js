@@ -0,0 +1,86 @@
+// Planificación de repasos con el algoritmo SM-2 (SuperMemo 2)
+
+export const DEFAULT_EASE_FACTOR = 2.5;
+export const MIN_EASE_FACTOR = 1.3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Autoevaluación de las tarjetas de estudio y su calidad SM-2
+export const CARD_RATINGS = {
+  again: 1,
+  hard: 3,
+  good: 4,
+  easy: 5
+};
+
+// Convertir el resultado de una respuesta en la calidad SM-2 (0-5).
+// Las preguntas abiertas usan la nota del 0 al 10; el resto, si la respuesta fue correcta.
+// Devuelve null si la respuesta no se pudo evaluar (no se planifica el repaso).
+export const answerQuality = ({ correct, score }) => {
+  if (typeof score === 'number' && Number.isFinite(score) && correct !== null && correct !== undefined) {
+    return Math.max(0, Math.min(5, Math.round(score / 2)));
+  }
+  if (correct === true) return 4;
+  if (correct === false) return 1;
+  return null;
+};
+
+// Respuesta equivalente a la autoevaluación de una tarjeta (la nota es la calidad SM-2 sobre 10),
+// para guardarla en el historial de respuestas como el resto de preguntas
+export const ratingToAnswer = (rating) => ({
+  correct: rating !== 'again',
+  score: CARD_RATINGS[rating] * 2
+});
+
+// Calcular el siguiente estado de repaso de una pregunta a partir de su calidad (0-5)
+export const scheduleReview = (state, quality, now = new Date()) => {
+  const previous = {
+    easeFactor: DEFAULT_EASE_FACTOR,
+    interval: 0,
+    repetitions: 0,
+    lapses: 0,
+    reviewCount: 0,
+    ...state
+  };
+  
+  let { repetitions, interval, lapses } = previous;
+  
+  if (quality >= 3) {
+    // Acierto: 1 día, 6 días y después el intervalo anterior multiplicado por la facilidad
+    if (repetitions === 0) {
+      interval = 1;
+    } else if (repetitions === 1) {
+      interval = 6;
+    } else {
+      interval = Math.round(interval * previous.easeFactor);
+    }
+    repetitions += 1;
+  } else {
+    // Fallo: se vuelve a empezar y se repasa al día siguiente
+    repetitions = 0;
+    interval = 1;
+    lapses += previous.repetitions > 0 ? 1 : 0;
+  }
+  
+  const easeFactor = Math.max(
+    MIN_EASE_FACTOR,
+    previous.easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+  
+  return {
+    easeFactor: Math.round(easeFactor * 100) / 100,
+    interval,
+    repetitions,
+    lapses,
+    reviewCount: previous.reviewCount + 1,
+    lastQuality: quality,
+    lastReviewedAt: now,
+    dueAt: new Date(now.getTime() + interval * DAY_MS)
+  };
+};
+
+export default {
+  CARD_RATINGS,
+  answerQuality,
+  ratingToAnswer,
+  scheduleReview
+};
@@ -0,0 +1,198 @@
+import { trackApiRequest } from './quotaMonitor.js';
+import { validateNotes, SUMMARY_LENGTHS } from './summarySchema.js';
+import { buildChunks, mergeChunks, MAX_CHUNK_LENGTH } from './documentChunker.js';
+
+// Número máximo de re-prompts para reparar unos apuntes inválidos
+const MAX_REPAIR_ATTEMPTS = 2;
+// Partes en las que se resume como mucho un documento (cada parte son hasta 1 + MAX_REPAIR_ATTEMPTS
+// llamadas al modelo) y tamaño máximo del texto de cada parte: de los documentos muy largos se resume
+// el comienzo de cada fragmento
+const MAX_SUMMARY_CHUNKS = 8;
+const MAX_SUMMARY_PART_LENGTH = 4 * MAX_CHUNK_LENGTH;
+
+// Estructura JSON esperada de los apuntes (se incluye en los prompts)
+const NOTES_FORMAT = `{
+        "summary": "Resumen del contenido",
+        "outline": [
+          {
+            "title": "Apartado 1",
+            "points": ["Idea principal del apartado"],
+            "children": [
+              { "title": "Subapartado 1.1", "points": ["Idea del subapartado"], "children": [] }
+            ]
+          }
+        ],
+        "keyConcepts": [
+          { "concept": "Concepto clave", "explanation": "Por qué es importante y cómo se relaciona con el resto" }
+        ],
+        "glossary": [
+          { "term": "Término", "definition": "Definición breve" }
+        ]
+      }`;
+
+// Prompt de los apuntes de un contenido (o de un tema si no hay contenido)
+export const buildNotesPrompt = ({ topic, content, length }) => {
+  const { words, concepts } = SUMMARY_LENGTHS[length];
+  const contentBlock = content ? 'Basándote únicamente en el siguiente contenido: ' + content : '';
+  
+  return `Actúa como un profesor que prepara apuntes de estudio sobre "${topic}".
+      ${contentBlock}
+      Prepara:
+      - "summary": un resumen de unas ${words} palabras.
+      - "outline": un esquema jerárquico (hasta 3 niveles) con los apartados del contenido y sus ideas principales.
+      - "keyConcepts": hasta ${concepts} conceptos clave con una explicación breve.
+      - "glossary": las definiciones de los términos técnicos que aparecen.
+      Responde únicamente con un objeto JSON válido, sin texto adicional, con esta estructura exacta:
+      ${NOTES_FORMAT}`;
+};
+
+// Prompt de reparación: explica qué falló en los apuntes anteriores
+const buildNotesRepairPrompt = (params, problems) => {
+  return `${buildNotesPrompt(params)}
+      Tu respuesta anterior tenía estos problemas:
+      ${problems.map(problem => `- ${problem}`).join('\n')}`;
+};
+
+// Prompt del resumen final de un documento largo a partir de los resúmenes de sus partes
+export const buildSynthesisPrompt = ({ topic, partSummaries, length }) => {
+  return `Actúa como un profesor que resume un documento sobre "${topic}".
+      Estos son los resúmenes de sus partes, en orden:
+      ${partSummaries.map((summary, index) => `${index + 1}. ${summary}`).join('\n')}
+      Escribe un único resumen de todo el documento de unas ${SUMMARY_LENGTHS[length].words} palabras.
+      Responde únicamente con un objeto JSON válido con esta estructura exacta:
+      { "summary": "Resumen de todo el documento" }`;
+};
+
+// Llamar al proveedor registrando el uso de cuota; null si la respuesta no es un JSON válido.
+// onProgress() se llama cuando el proveedor responde (p. ej. para marcar que el trabajo sigue vivo).
+const requestNotes = async (provider, prompt, options, { onProgress } = {}) => {
+  if (provider.metered) {
+    await trackApiRequest();
+  }
+  
+  let response;
+  try {
+    response = await provider.generateJSON(prompt, { task: 'summary', ...options });
+  } catch (error) {
+    if (error.code !== 'INVALID_JSON') throw error;
+    console.error('Respuesta del modelo sin JSON válido:', error.message);
+    response = null;
+  }
+  
+  if (onProgress) await onProgress();
+  return response;
+};
+
+// Generar unos apuntes validados, re-pidiéndolos al modelo si no cumplen el esquema.
+// Lanza un error con code 'SUMMARY_VALIDATION_FAILED' si tras los reintentos siguen sin ser válidos.
+export const generateValidatedNotes = async (provider, params, { onProgress } = {}) => {
+  const { topic, content, length } = params;
+  let problems = [];
+  
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    if (attempt > 0) {
+      console.log(`Reparando apuntes (intento ${attempt}/${MAX_REPAIR_ATTEMPTS})`);
+    }
+    
+    const response = await requestNotes(
+      provider,
+      attempt === 0 ? buildNotesPrompt(params) : buildNotesRepairPrompt(params, problems),
+      { mode: 'notes', topic, content, length },
+      { onProgress }
+    );
+    const { notes, errors } = validateNotes(response);
+    if (response && errors.length === 0) return notes;
+    
+    problems = response ? errors : ['la respuesta no era un JSON válido'];
+  }
+  
+  const error = new Error('El modelo no generó unos apuntes válidos');
+  error.code = 'SUMMARY_VALIDATION_FAILED';
+  error.problems = problems;
+  throw error;
+};
+
+const normalizeKey = (value) => value.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+
+// Alternar los elementos de varias listas (el primero de cada una, luego el segundo...), para que
+// al recortar la lista unida todas las partes del documento conserven sus primeros elementos
+const interleave = (lists) => {
+  const longest = Math.max(0, ...lists.map(list => list.length));
+  return Array.from({ length: longest }, (_, index) => lists.filter(list => index < list.length).map(list => list[index])).flat();
+};
+
+// Quitar las entradas repetidas de una lista de pares (por su clave, sin acentos ni mayúsculas)
+const removeDuplicates = (entries, keyField) => {
+  const seen = new Set();
+  return entries.filter(entry => {
+    const key = normalizeKey(entry[keyField]);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// Glosario en orden alfabético
+const sortGlossary = (glossary) => [...glossary].sort((a, b) => a.term.localeCompare(b.term, 'es', { sensitivity: 'base' }));
+
+// Generar los apuntes de un tema o documento. Los documentos largos se dividen en fragmentos (por títulos
+// o páginas, como mucho MAX_SUMMARY_CHUNKS): se preparan los apuntes de cada fragmento, se unen el esquema,
+// los conceptos y el glosario, y el resumen final se escribe a partir de los resúmenes de las partes.
+// Devuelve { summary, outline, keyConcepts, glossary, length, sections }.
+// onProgress() se llama cada vez que el modelo responde (p. ej. para marcar que el trabajo sigue vivo).
+export const generateStudyNotes = async (provider, { topic, content, length }, { onProgress } = {}) => {
+  const chunks = content && content.trim()
+    ? mergeChunks(buildChunks(content), MAX_SUMMARY_CHUNKS, { maxLength: MAX_SUMMARY_PART_LENGTH })
+    : [];
+  const sections = chunks.map(chunk => ({
+    title: chunk.titles.join(' / '),
+    pages: chunks.some(other => other.pageEnd > 1) ? { from: chunk.pageStart, to: chunk.pageEnd } : null,
+    characters: chunk.length
+  }));
+  
+  if (chunks.length <= 1) {
+    const notes = await generateValidatedNotes(provider, { topic, content: chunks.length ? chunks[0].text : '', length }, { onProgress });
+    return {
+      ...notes,
+      keyConcepts: notes.keyConcepts.slice(0, SUMMARY_LENGTHS[length].concepts),
+      glossary: sortGlossary(notes.glossary),
+      length,
+      sections
+    };
+  }
+  
+  console.log(`Generando apuntes por fragmentos: ${chunks.length} fragmentos`);
+  
+  // Cada parte se resume brevemente; la extensión pedida se aplica al resumen final
+  const parts = [];
+  for (const chunk of chunks) {
+    parts.push(await generateValidatedNotes(provider, { topic, content: chunk.text, length: 'short' }, { onProgress }));
+  }
+  
+  const partSummaries = parts.map(part => part.summary);
+  const synthesis = await requestNotes(
+    provider,
+    buildSynthesisPrompt({ topic, partSummaries, length }),
+    { mode: 'synthesis', topic, partSummaries, length },
+    { onProgress }
+  );
+  const summary = synthesis && typeof synthesis.summary === 'string' && synthesis.summary.trim()
+    ? synthesis.summary.trim()
+    : partSummaries.join('\n\n'); // Sin resumen final válido, se usan los resúmenes de las partes
+  
+  return {
+    summary,
+    outline: parts.flatMap(part => part.outline),
+    keyConcepts: removeDuplicates(interleave(parts.map(part => part.keyConcepts)), 'concept').slice(0, SUMMARY_LENGTHS[length].concepts),
+    glossary: sortGlossary(removeDuplicates(parts.flatMap(part => part.glossary), 'term')),
+    length,
+    sections
+  };
+};
+
+export default {
+  buildNotesPrompt,
+  buildSynthesisPrompt,
+  generateValidatedNotes,
+  generateStudyNotes
+};
@@ -0,0 +1,82 @@
+// Esquema de los apuntes de estudio generados por el modelo (resumen, esquema, conceptos clave y glosario)
+
+// Extensiones de resumen disponibles: palabras aproximadas del resumen y número máximo de conceptos clave
+export const SUMMARY_LENGTHS = {
+  short: { words: 120, concepts: 5 },
+  medium: { words: 300, concepts: 8 },
+  long: { words: 700, concepts: 12 }
+};
+export const DEFAULT_SUMMARY_LENGTH = 'medium';
+// Niveles máximos del esquema jerárquico
+export const MAX_OUTLINE_DEPTH = 3;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// Validar un nodo del esquema y sus subapartados; devuelve el nodo normalizado o null si no es válido
+const normalizeOutlineNode = (node, depth, errors, path) => {
+  if (!node || typeof node !== 'object' || !isNonEmptyString(node.title)) {
+    errors.push(`el apartado ${path} del esquema debe tener un "title" no vacío`);
+    return null;
+  }
+  
+  const points = Array.isArray(node.points) ? node.points.filter(isNonEmptyString).map(point => point.trim()) : [];
+  const children = Array.isArray(node.children) && depth < MAX_OUTLINE_DEPTH
+    ? node.children
+      .map((child, index) => normalizeOutlineNode(child, depth + 1, errors, `${path}.${index + 1}`))
+      .filter(Boolean)
+    : [];
+  
+  return { title: node.title.trim(), points, children };
+};
+
+// Entradas válidas de una lista de pares (conceptos o glosario); las incompletas se descartan
+const normalizePairs = (entries, keyField, valueField) => {
+  if (!Array.isArray(entries)) return [];
+  return entries
+    .filter(entry => entry && isNonEmptyString(entry[keyField]) && isNonEmptyString(entry[valueField]))
+    .map(entry => ({ [keyField]: entry[keyField].trim(), [valueField]: entry[valueField].trim() }));
+};
+
+// Validar los apuntes de una respuesta del modelo; devuelve los apuntes normalizados y sus errores
+export const validateNotes = (notes) => {
+  if (!notes || typeof notes !== 'object' || Array.isArray(notes)) {
+    return { notes: null, errors: ['la respuesta debe ser un objeto JSON'] };
+  }
+  
+  const errors = [];
+  if (!isNonEmptyString(notes.summary)) errors.push('"summary" debe ser un texto no vacío');
+  
+  const outline = Array.isArray(notes.outline)
+    ? notes.outline.map((node, index) => normalizeOutlineNode(node, 1, errors, String(index + 1))).filter(Boolean)
+    : [];
+  if (outline.length === 0) errors.push('"outline" debe tener al menos un apartado');
+  
+  const keyConcepts = normalizePairs(notes.keyConcepts, 'concept', 'explanation');
+  if (keyConcepts.length === 0) errors.push('"keyConcepts" debe tener al menos un concepto con "concept" y "explanation"');
+  
+  return {
+    notes: {
+      summary: isNonEmptyString(notes.summary) ? notes.summary.trim() : '',
+      outline,
+      keyConcepts,
+      glossary: normalizePairs(notes.glossary, 'term', 'definition')
+    },
+    errors
+  };
+};
+
+// Normalizar y validar los parámetros de la solicitud de resumen
+export const parseSummaryParams = ({ length }) => {
+  const summaryLength = length || DEFAULT_SUMMARY_LENGTH;
+  if (!Object.hasOwn(SUMMARY_LENGTHS, summaryLength)) {
+    return { error: `Extensión de resumen no soportada. Usa una de: ${Object.keys(SUMMARY_LENGTHS).join(', ')}` };
+  }
+  
+  return { length: summaryLength };
+};
+
+export default {
+  SUMMARY_LENGTHS,
+  validateNotes,
+  parseSummaryParams
+};
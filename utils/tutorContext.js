@@ -0,0 +1,113 @@
+import { buildChunks, MAX_CHUNK_LENGTH } from './documentChunker.js';
+
+// Máximo de caracteres del material de referencia que se envían al modelo en cada mensaje
+const MAX_MATERIAL_LENGTH = MAX_CHUNK_LENGTH;
+// Tamaño aproximado de los fragmentos entre los que se eligen los más relevantes para la pregunta
+const RETRIEVAL_CHUNK_LENGTH = 2000;
+// Ventana del historial: últimos turnos que caben en este número de caracteres (y como máximo MAX_HISTORY_TURNS)
+const MAX_HISTORY_LENGTH = 6000;
+const MAX_HISTORY_TURNS = 10;
+
+// Palabras significativas de un texto, sin acentos ni mayúsculas
+export const keywords = (text) => {
+  return new Set(
+    String(text || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .split(/[^a-z0-9ñ]+/)
+      .filter(word => word.length > 3)
+  );
+};
+
+// Fragmentos del material más relevantes para la pregunta (por las palabras que comparten, dando más
+// peso a las palabras poco frecuentes en el documento), en su orden original y sin superar MAX_MATERIAL_LENGTH.
+// Cada fragmento: { title, pages: { from, to } | null, text }
+export const selectRelevantSections = (text, query) => {
+  const source = String(text || '');
+  const chunks = buildChunks(source, { maxChunks: Math.max(1, Math.ceil(source.length / RETRIEVAL_CHUNK_LENGTH)) });
+  const toSection = (chunk) => ({
+    title: chunk.titles.join(' · '),
+    pages: chunk.pageStart ? { from: chunk.pageStart, to: chunk.pageEnd } : null,
+    text: chunk.text
+  });
+  
+  const totalLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  if (totalLength <= MAX_MATERIAL_LENGTH) return chunks.map(toSection);
+  
+  const queryWords = [...keywords(query)];
+  const chunkWords = chunks.map(chunk => keywords(chunk.text));
+  const weight = (word) => Math.log(1 + chunks.length / (1 + chunkWords.filter(words => words.has(word)).length));
+  
+  const ranked = chunks
+    .map((chunk, index) => ({
+      chunk,
+      score: queryWords.reduce((sum, word) => sum + (chunkWords[index].has(word) ? weight(word) : 0), 0)
+    }))
+    .sort((a, b) => b.score - a.score || a.chunk.index - b.chunk.index);
+  
+  const selected = [];
+  let length = 0;
+  for (const { chunk } of ranked) {
+    if (length + chunk.length > MAX_MATERIAL_LENGTH) continue;
+    selected.push(chunk);
+    length += chunk.length;
+  }
+  
+  return selected.sort((a, b) => a.index - b.index).map(toSection);
+};
+
+// Últimos turnos de la conversación que caben en la ventana de contexto.
+// `turns` va del más antiguo al más reciente; devuelve { turns, omitted }.
+export const windowHistory = (turns) => {
+  const included = [];
+  let length = 0;
+  
+  for (let i = turns.length - 1; i >= 0 && included.length < MAX_HISTORY_TURNS; i--) {
+    const turnLength = turns[i].message.length + turns[i].answer.length;
+    if (length + turnLength > MAX_HISTORY_LENGTH && included.length > 0) break;
+    included.unshift(turns[i]);
+    length += turnLength;
+  }
+  
+  return { turns: included, omitted: turns.length - included.length };
+};
+
+// Prompt del tutor: responde solo con el material de referencia y el historial reciente
+export const buildTutorPrompt = ({ sourceTitle, sections, history, message }) => {
+  const material = sections
+    .map(section => `[${section.title}${section.pages ? ` (páginas ${section.pages.from}-${section.pages.to})` : ''}]\n${section.text}`)
+    .join('\n\n');
+  const historyBlock = history.turns.length > 0
+    ? `Conversación anterior${history.omitted > 0 ? ` (se omiten ${history.omitted} mensajes más antiguos)` : ''}:\n${history.turns
+      .map(turn => `Estudiante: ${turn.message}\nTutor: ${turn.answer}`)
+      .join('\n')}`
+    : '';
+  
+  return `Actúa como un tutor que ayuda a un estudiante a entender "${sourceTitle}".
+      Responde únicamente con la información del material de referencia. Si la respuesta no está en el material,
+      dilo claramente, no inventes información y sugiere qué parte del material podría consultar.
+      Usa un tono cercano y explicaciones breves; puedes usar emojis.
+      
+      Material de referencia:
+      ${material}
+      
+      ${historyBlock}
+      
+      Pregunta del estudiante: "${message}"
+      
+      Formatea tu respuesta como un objeto JSON con esta estructura exacta:
+      {
+        "answer": "Respuesta para el estudiante",
+        "grounded": true,
+        "sections": ["Títulos de las secciones del material usadas en la respuesta"]
+      }
+      Usa "grounded": false si el material no contiene la respuesta.`;
+};
+
+export default {
+  keywords,
+  selectRelevantSections,
+  windowHistory,
+  buildTutorPrompt
+};
@@ -0,0 +1,148 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import UsageCounter from '../models/UsageCounter.js';
+
+dotenv.config();
+
+const readLimit = (name, defaultValue) => {
+  const value = parseInt(process.env[name]);
+  return Number.isInteger(value) && value >= 0 ? value : defaultValue;
+};
+
+// Límites por usuario de cada acción, configurables por entorno
+export const USAGE_LIMITS = {
+  generation: {
+    minute: readLimit('USAGE_GENERATION_PER_MINUTE', 3),
+    day: readLimit('USAGE_GENERATION_PER_DAY', 30)
+  },
+  grading: {
+    minute: readLimit('USAGE_GRADING_PER_MINUTE', 10),
+    day: readLimit('USAGE_GRADING_PER_DAY', 100)
+  },
+  chat: {
+    minute: readLimit('USAGE_CHAT_PER_MINUTE', 10),
+    day: readLimit('USAGE_CHAT_PER_DAY', 150)
+  }
+};
+
+// Ventanas de tiempo actuales: minuto natural y día UTC
+const getWindows = (now = Date.now()) => {
+  const minuteStart = Math.floor(now / 60000) * 60000;
+  const dayStart = new Date(now);
+  dayStart.setUTCHours(0, 0, 0, 0);
+  
+  return [
+    { name: 'minute', id: String(minuteStart), resetAt: minuteStart + 60000 },
+    { name: 'day', id: dayStart.toISOString().split('T')[0], resetAt: dayStart.getTime() + 24 * 60 * 60 * 1000 }
+  ];
+};
+
+const counterKey = (action, subject, window) => `${action}:${subject}:${window.name}:${window.id}`;
+
+// Almacén en memoria (una sola instancia o MongoDB no disponible)
+const memoryCounters = new Map();
+
+const memoryStore = {
+  increment: (key, amount, expiresAt) => {
+    const now = Date.now();
+    for (const [storedKey, counter] of memoryCounters) {
+      if (counter.expiresAt <= now) memoryCounters.delete(storedKey);
+    }
+    
+    const counter = memoryCounters.get(key) || { count: 0, expiresAt };
+    counter.count += amount;
+    memoryCounters.set(key, counter);
+    return counter.count;
+  },
+  get: (key) => {
+    const counter = memoryCounters.get(key);
+    return counter && counter.expiresAt > Date.now() ? counter.count : 0;
+  }
+};
+
+// Almacén en MongoDB, compartido entre instancias (incrementos atómicos)
+const mongoStore = {
+  increment: async (key, amount, expiresAt) => {
+    const counter = await UsageCounter.findOneAndUpdate(
+      { key },
+      { $inc: { count: amount }, $setOnInsert: { expiresAt: new Date(expiresAt) } },
+      { upsert: true, new: true, lean: true }
+    );
+    return counter.count;
+  },
+  get: async (key) => {
+    const counter = await UsageCounter.findOne({ key }).lean();
+    return counter ? counter.count : 0;
+  }
+};
+
+const getStore = () => (mongoose.connection.readyState === 1 ? mongoStore : memoryStore);
+
+// Registrar un uso de la acción; si supera algún límite se revierte y se indica cuándo reintentar.
+// Si se permite, devuelve las ventanas en las que se contó (para liberarlo con releaseUsage).
+export const consumeUsage = async (action, subject) => {
+  const limits = USAGE_LIMITS[action];
+  const store = getStore();
+  const windows = getWindows();
+  const counts = [];
+  
+  for (const window of windows) {
+    counts.push(await store.increment(counterKey(action, subject, window), 1, window.resetAt));
+  }
+  
+  const exceededIndex = windows.findIndex((window, index) => counts[index] > limits[window.name]);
+  if (exceededIndex === -1) {
+    return { allowed: true, windows };
+  }
+  
+  // Revertir: un intento rechazado no debe contar
+  for (const window of windows) {
+    await store.increment(counterKey(action, subject, window), -1, window.resetAt);
+  }
+  
+  const window = windows[exceededIndex];
+  return {
+    allowed: false,
+    window: window.name,
+    limit: limits[window.name],
+    retryAfter: Math.max(1, Math.ceil((window.resetAt - Date.now()) / 1000))
+  };
+};
+
+// Devolver un uso ya registrado (p. ej. si la solicitud terminó en error) a las ventanas en las que se contó
+export const releaseUsage = async (action, subject, windows) => {
+  const store = getStore();
+  for (const window of windows) {
+    await store.increment(counterKey(action, subject, window), -1, window.resetAt);
+  }
+};
+
+// Uso actual de cada acción y ventana para un usuario
+export const getUsageStatus = async (subject) => {
+  const store = getStore();
+  const now = Date.now();
+  const windows = getWindows(now);
+  const status = {};
+  
+  for (const [action, limits] of Object.entries(USAGE_LIMITS)) {
+    status[action] = {};
+    for (const window of windows) {
+      const used = await store.get(counterKey(action, subject, window));
+      status[action][window.name] = {
+        used,
+        limit: limits[window.name],
+        remaining: Math.max(0, limits[window.name] - used),
+        resetIn: Math.ceil((window.resetAt - now) / 1000)
+      };
+    }
+  }
+  
+  return status;
+};
+
+export default {
+  USAGE_LIMITS,
+  consumeUsage,
+  releaseUsage,
+  getUsageStatus
+};